@@ -0,0 +1,126 @@
+/**
+ * Destinos (sinks) dos eventos de analytics
+ * Todos expõem a mesma interface: isConfigured() e send(record)
+ */
+
+import { ValidationUtils } from './utils.js';
+import i18n from './i18n.js';
+
+/**
+ * Envia cada evento para um endpoint próprio, sem cookies
+ * navigator.sendBeacon sempre inclui credenciais; fetch com keepalive entrega
+ * da mesma forma ao sair da página, mas permite credentials: 'omit'
+ */
+class BeaconSink {
+    /**
+     * @param {object} options - Opções do sink
+     * @param {string} options.endpoint - URL que recebe o POST
+     * @param {Function} options.fetchFn - Implementação de fetch
+     */
+    constructor({ endpoint = '', fetchFn = (...args) => fetch(...args) } = {}) {
+        this.endpoint = endpoint;
+        this.fetchFn = fetchFn;
+    }
+
+    isConfigured() {
+        return ValidationUtils.isExternalUrl(this.endpoint);
+    }
+
+    /**
+     * @param {object} record - Evento montado por Analytics.buildRecord
+     * @returns {Promise<void>}
+     */
+    async send(record) {
+        if (!this.isConfigured()) return;
+
+        // text/plain evita o preflight de CORS; o corpo continua sendo JSON
+        await this.fetchFn(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+            body: JSON.stringify(record),
+            credentials: 'omit',
+            keepalive: true
+        });
+    }
+}
+
+/**
+ * Guarda os eventos no localStorage (e no console) para depuração local
+ */
+class LocalStorageSink {
+    static STORAGE_KEY = 'portfolio-analytics-debug';
+
+    /**
+     * @param {object} options - Opções do sink
+     * @param {number} options.limit - Quantidade máxima de eventos guardados
+     */
+    constructor({ limit = 100 } = {}) {
+        this.limit = limit;
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    /**
+     * @param {object} record - Evento montado por Analytics.buildRecord
+     */
+    send(record) {
+        console.debug('[analytics]', record.event, record.data);
+
+        try {
+            const records = [...this.read(), record].slice(-this.limit);
+            localStorage.setItem(LocalStorageSink.STORAGE_KEY, JSON.stringify(records));
+        } catch (error) {
+            console.warn(i18n.t('console.analyticsStoreError'), error);
+        }
+    }
+
+    /**
+     * Lê os eventos guardados
+     * @returns {object[]}
+     */
+    read() {
+        try {
+            const records = JSON.parse(localStorage.getItem(LocalStorageSink.STORAGE_KEY));
+            return Array.isArray(records) ? records : [];
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Apaga os eventos guardados
+     */
+    clear() {
+        try {
+            localStorage.removeItem(LocalStorageSink.STORAGE_KEY);
+        } catch {
+            // Sem acesso ao storage: não há o que apagar
+        }
+    }
+}
+
+/**
+ * Cria o sink definido em PortfolioConfig.analytics
+ * @param {object} config - { enabled, sink, endpoint }
+ * @returns {BeaconSink|LocalStorageSink|null} null quando analytics está desligado
+ */
+function createAnalyticsSink(config) {
+    if (!config.enabled) return null;
+
+    switch (config.sink) {
+        case 'beacon':
+            return new BeaconSink({ endpoint: config.endpoint });
+        case 'debug':
+            return new LocalStorageSink();
+        default:
+            throw new Error(`Sink de analytics desconhecido: "${config.sink}"`);
+    }
+}
+
+export {
+    BeaconSink,
+    LocalStorageSink,
+    createAnalyticsSink
+};
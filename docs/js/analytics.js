@@ -0,0 +1,226 @@
+/**
+ * Analytics do portfólio: assina o barramento de eventos e repassa ao sink configurado
+ * Respeita Do Not Track / Global Privacy Control e permite que o visitante saia (opt-out)
+ * Nenhum identificador do visitante é gerado ou guardado
+ */
+
+import eventBus, { PortfolioEvents } from './event-bus.js';
+import { TemplateUtils, html } from './template.js';
+import i18n from './i18n.js';
+
+class Analytics {
+    static OPT_OUT_KEY = 'portfolio-analytics-opt-out';
+    static QUERY_PARAM = 'analytics';
+    static TRACKED_EVENTS = [
+        PortfolioEvents.SECTION_VIEWED,
+        PortfolioEvents.PROJECT_OPENED,
+        PortfolioEvents.POST_OPENED,
+        PortfolioEvents.OUTBOUND_LINK,
+        PortfolioEvents.SKILL_CLICKED,
+        PortfolioEvents.THEME_CHANGED
+    ];
+
+    /**
+     * @param {object} options - Opções
+     * @param {object|null} options.sink - Destino dos eventos (ver analytics-sinks.js)
+     * @param {EventBus} options.bus - Barramento assinado
+     */
+    constructor({ sink = null, bus = eventBus } = {}) {
+        this.sink = sink;
+        this.bus = bus;
+        this.unsubscribers = [];
+        this.notice = null;
+    }
+
+    /**
+     * Começa a repassar os eventos, se o visitante permitir
+     */
+    start() {
+        if (this.unsubscribers.length > 0 || !this.isActive()) return;
+
+        this.unsubscribers = Analytics.TRACKED_EVENTS.map(event =>
+            this.bus.on(event, (data) => this.track(event, data))
+        );
+    }
+
+    /**
+     * Para de repassar os eventos
+     */
+    stop() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+
+    /**
+     * Se há um sink pronto para receber eventos
+     * @returns {boolean}
+     */
+    isConfigured() {
+        return Boolean(this.sink && this.sink.isConfigured());
+    }
+
+    /**
+     * Se o navegador pede para não ser rastreado (Do Not Track ou Global Privacy Control)
+     * @returns {boolean}
+     */
+    static isDoNotTrackEnabled() {
+        const signals = [navigator.doNotTrack, window.doNotTrack, navigator.msDoNotTrack];
+        return signals.some(value => value === '1' || value === 'yes') || navigator.globalPrivacyControl === true;
+    }
+
+    /**
+     * Se o visitante desativou as estatísticas neste navegador
+     * @returns {boolean}
+     */
+    isOptedOut() {
+        try {
+            return localStorage.getItem(Analytics.OPT_OUT_KEY) === 'true';
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Se os eventos devem ser enviados
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.isConfigured() && !Analytics.isDoNotTrackEnabled() && !this.isOptedOut();
+    }
+
+    /**
+     * Desativa as estatísticas neste navegador
+     */
+    optOut() {
+        try {
+            localStorage.setItem(Analytics.OPT_OUT_KEY, 'true');
+        } catch (error) {
+            console.warn(i18n.t('console.analyticsPreferenceError'), error);
+        }
+
+        this.stop();
+        this.renderNotice();
+    }
+
+    /**
+     * Reativa as estatísticas neste navegador
+     */
+    optIn() {
+        try {
+            localStorage.removeItem(Analytics.OPT_OUT_KEY);
+        } catch {
+            // Sem acesso ao storage: a preferência já não estava salva
+        }
+
+        this.start();
+        this.renderNotice();
+    }
+
+    /**
+     * Aplica a saída vinda da URL (?analytics=off), útil para o próprio autor não contar as suas visitas
+     * A URL nunca reativa as estatísticas: um link compartilhado não pode dar consentimento pelo
+     * visitante, que só volta a participar pelo controle do aviso (optIn)
+     * @param {string} search - Query string da página
+     */
+    applyQueryPreference(search = window.location.search) {
+        if (new URLSearchParams(search).get(Analytics.QUERY_PARAM) === 'off') this.optOut();
+    }
+
+    /**
+     * Envia um evento ao sink (falhas de envio são ignoradas)
+     * @param {string} event - Nome do evento
+     * @param {object} data - Dados do evento
+     */
+    track(event, data = {}) {
+        if (!this.isActive()) return;
+
+        Promise.resolve()
+            .then(() => this.sink.send(Analytics.buildRecord(event, data)))
+            .catch(error => console.warn(i18n.t('console.analyticsSendError'), error));
+    }
+
+    /**
+     * Monta o registro enviado ao sink
+     * Do referrer vai apenas a origem (ex.: https://www.linkedin.com), nunca o caminho
+     * @param {string} event - Nome do evento
+     * @param {object} data - Dados do evento
+     * @returns {object}
+     */
+    static buildRecord(event, data) {
+        let referrer = null;
+        try {
+            referrer = document.referrer ? new URL(document.referrer).origin : null;
+        } catch {
+            referrer = null;
+        }
+
+        return {
+            event,
+            data,
+            page: window.location.pathname,
+            locale: i18n.locale,
+            referrer,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Exibe o aviso de privacidade com o botão de opt-out
+     * O aviso só aparece quando há um sink configurado
+     * @param {Element} container - Elemento que receberá o aviso (fica oculto sem sink)
+     */
+    mountNotice(container) {
+        if (!container || this.notice) return;
+
+        this.notice = container;
+        this.notice.addEventListener('click', (e) => {
+            if (!e.target.closest('.analytics-toggle')) return;
+
+            if (this.isOptedOut()) {
+                this.optIn();
+            } else {
+                this.optOut();
+            }
+        });
+
+        i18n.onChange(() => this.renderNotice());
+        this.renderNotice();
+    }
+
+    /**
+     * Atualiza o texto do aviso conforme o estado atual
+     */
+    renderNotice() {
+        if (!this.notice) return;
+
+        this.notice.hidden = !this.isConfigured();
+        if (this.notice.hidden) return;
+
+        this.notice.replaceChildren(TemplateUtils.render(Analytics.noticeTemplate({
+            doNotTrack: Analytics.isDoNotTrackEnabled(),
+            optedOut: this.isOptedOut()
+        })));
+    }
+
+    /**
+     * Gera o template do aviso de privacidade
+     * @param {object} state - { doNotTrack, optedOut }
+     * @returns {SafeHTML}
+     */
+    static noticeTemplate({ doNotTrack, optedOut }) {
+        if (doNotTrack) {
+            return html`<p class="analytics-notice">${i18n.t('analytics.doNotTrack')}</p>`;
+        }
+
+        return html`
+            <p class="analytics-notice">
+                ${i18n.t(optedOut ? 'analytics.optedOut' : 'analytics.notice')}
+                <button type="button" class="analytics-toggle">
+                    ${i18n.t(optedOut ? 'analytics.optIn' : 'analytics.optOut')}
+                </button>
+            </p>
+        `;
+    }
+}
+
+export { Analytics };
@@ -0,0 +1,232 @@
+/**
+ * Motor de animações do portfólio (Web Animations API)
+ * Usa a duração e o easing de PortfolioConfig.animations; cada seção escolhe seu preset
+ * em PortfolioConfig.sections (ex.: { "sections": { "timeline": { "animation": "slide-in" } } })
+ *
+ * Sem suporte a element.animate, com animações desligadas ou com movimento reduzido,
+ * nada é animado e os elementos ficam no estado final
+ */
+
+import eventBus, { PortfolioEvents } from './event-bus.js';
+import portfolioConfig from './config.js';
+
+class AnimationEngine {
+    // Presets de entrada (os nomes aceitos em sections.*.animation, além de "none")
+    static PRESETS = {
+        'fade-up': {
+            keyframes: [
+                { opacity: 0, transform: 'translateY(20px)' },
+                { opacity: 1, transform: 'none' }
+            ]
+        },
+        'slide-in': {
+            keyframes: [
+                { opacity: 0, transform: 'translateX(-30px)' },
+                { opacity: 1, transform: 'none' }
+            ]
+        },
+        'scale-pop': {
+            keyframes: [
+                { opacity: 0, transform: 'scale(0.85)' },
+                { opacity: 1, transform: 'scale(1.04)', offset: 0.7 },
+                { opacity: 1, transform: 'none' }
+            ]
+        },
+        // Como fade-up, mas os itens de um grupo entram em cascata
+        stagger: {
+            keyframes: [
+                { opacity: 0, transform: 'translateY(20px)' },
+                { opacity: 1, transform: 'none' }
+            ],
+            cascade: true
+        }
+    };
+
+    static OBSERVER_OPTIONS = {
+        threshold: 0.1,
+        rootMargin: '0px 0px -50px 0px'
+    };
+
+    constructor() {
+        this.running = new Set();
+        this.hovers = new Map();
+        this.targets = new Map();
+        this.observer = null;
+
+        eventBus.on(PortfolioEvents.MOTION_PREFERENCE_CHANGED, ({ reduced }) => {
+            if (reduced) this.cancelAll();
+        });
+        portfolioConfig.subscribe('animations.enabled', (enabled) => {
+            if (!enabled) this.cancelAll();
+        });
+    }
+
+    /**
+     * Verifica se as animações podem rodar agora (configuração e movimento reduzido)
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return portfolioConfig.areAnimationsEnabled();
+    }
+
+    /**
+     * Chama o callback uma vez, quando o elemento aparece na tela
+     * Todos os elementos compartilham o mesmo IntersectionObserver
+     * @param {Element} element - Elemento observado
+     * @param {Function} callback - Recebe o elemento
+     */
+    observe(element, callback) {
+        if (!element) return;
+
+        if (!this.observer) {
+            this.observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) this.handleIntersection(entry.target);
+                });
+            }, AnimationEngine.OBSERVER_OPTIONS);
+        }
+
+        if (!this.targets.has(element)) this.targets.set(element, []);
+        this.targets.get(element).push(callback);
+        this.observer.observe(element);
+    }
+
+    /**
+     * Executa os callbacks de um elemento que apareceu e para de observá-lo
+     * @param {Element} element - Elemento visível
+     */
+    handleIntersection(element) {
+        const callbacks = this.targets.get(element) || [];
+
+        this.targets.delete(element);
+        this.observer.unobserve(element);
+        callbacks.forEach(callback => callback(element));
+    }
+
+    /**
+     * Anima a entrada dos elementos quando aparecem na tela
+     * @param {Element[]|NodeList} elements - Elementos (a ordem define a cascata do preset stagger)
+     * @param {string} presetName - Nome do preset ("none" não anima)
+     * @param {object} options - Opções
+     * @param {number} options.delay - Atraso inicial em ms
+     */
+    reveal(elements, presetName, { delay = 0 } = {}) {
+        const preset = AnimationEngine.PRESETS[presetName];
+        if (!preset || !this.isEnabled()) return;
+
+        const step = preset.cascade ? this.getCascadeStep() : 0;
+        Array.from(elements).forEach((element, index) => {
+            this.observe(element, () => this.play(element, presetName, { delay: delay + index * step }));
+        });
+    }
+
+    /**
+     * Toca um preset de entrada em um elemento
+     * @param {Element} element - Elemento a animar
+     * @param {string} presetName - Nome do preset
+     * @param {object} options - Opções
+     * @param {number} options.delay - Atraso em ms
+     * @returns {Animation|null}
+     */
+    play(element, presetName, { delay = 0 } = {}) {
+        const preset = AnimationEngine.PRESETS[presetName];
+        if (!preset) return null;
+
+        // fill "backwards" mantém o primeiro quadro durante o atraso e não deixa estilo ao terminar
+        return this.animate(element, preset.keyframes, { delay, fill: 'backwards' });
+    }
+
+    /**
+     * Destaca um elemento com uma transformação que vai e volta (ex.: clique, foto de perfil)
+     * @param {Element} element - Elemento a animar
+     * @param {string} transform - Transformação no meio da animação (ex.: "scale(0.95)")
+     * @param {object} options - Opções
+     * @param {number} options.delay - Atraso em ms
+     * @returns {Animation|null}
+     */
+    emphasize(element, transform, { delay = 0 } = {}) {
+        return this.animate(element, [
+            { transform: 'none' },
+            { transform },
+            { transform: 'none' }
+        ], { delay });
+    }
+
+    /**
+     * Aplica ou desfaz o efeito de hover/foco; ao sair, a animação volta do ponto em que está
+     * @param {Element} element - Elemento
+     * @param {boolean} isActive - Se está em hover ou com foco
+     * @param {string} transform - Transformação no estado ativo (ex.: "translateY(-5px)")
+     */
+    hover(element, isActive, transform) {
+        const current = this.hovers.get(element);
+
+        if (current) {
+            const isForward = current.playbackRate > 0;
+            if (isForward !== isActive) current.reverse();
+            return;
+        }
+
+        if (!isActive) return;
+
+        const animation = this.animate(element, [
+            { transform: 'none' },
+            { transform }
+        ], { fill: 'both' });
+        if (!animation) return;
+
+        this.hovers.set(element, animation);
+        animation.addEventListener('finish', () => {
+            // Terminou de voltar: remove o efeito em vez de mantê-lo preso no primeiro quadro
+            if (animation.playbackRate < 0) {
+                this.hovers.delete(element);
+                animation.cancel();
+            }
+        });
+    }
+
+    /**
+     * Cria uma animação com a duração e o easing configurados
+     * @param {Element} element - Elemento a animar
+     * @param {object[]} keyframes - Quadros-chave
+     * @param {object} options - Opções extras do element.animate (delay, fill...)
+     * @returns {Animation|null} null quando a animação não deve rodar
+     */
+    animate(element, keyframes, options = {}) {
+        if (!element || typeof element.animate !== 'function' || !this.isEnabled()) return null;
+
+        const { duration, easing } = portfolioConfig.animations;
+        const animation = element.animate(keyframes, { duration, easing, ...options });
+
+        this.running.add(animation);
+        animation.addEventListener('finish', () => {
+            // Efeitos de hover seguem aplicados depois de terminar; saem em cancelAll
+            if (this.hovers.get(element) !== animation) this.running.delete(animation);
+        });
+        animation.addEventListener('cancel', () => this.running.delete(animation));
+
+        return animation;
+    }
+
+    /**
+     * Intervalo entre os itens do preset stagger (um terço da duração configurada)
+     * @returns {number} ms
+     */
+    getCascadeStep() {
+        return Math.round(portfolioConfig.animations.duration / 3);
+    }
+
+    /**
+     * Cancela todas as animações em andamento; os elementos voltam ao estado final
+     */
+    cancelAll() {
+        this.running.forEach(animation => animation.cancel());
+        this.running.clear();
+        this.hovers.clear();
+    }
+}
+
+// Exporta instância singleton
+const animationEngine = new AnimationEngine();
+export { AnimationEngine };
+export default animationEngine;
@@ -1,36 +1,473 @@
 /**
  * Arquivo de configuração do portfólio
  * Seguindo princípios de Single Responsibility e Open/Closed
+ *
+ * Os valores são montados em camadas; cada camada sobrescreve as anteriores:
+ *   1. padrões (PortfolioConfig.createDefaults)
+ *   2. config.json opcional, ao lado do index.html
+ *   3. atributos data-* no <html> (ex.: data-animations="off", data-scroll-offset="100")
+ *   4. query string da URL (ex.: ?animations=off&theme=dark&scroll.offset=100), só com as
+ *      chaves de apresentação de URL_KEYS: endereços e envio de dados nunca vêm de um link
+ *   5. preferências do visitante salvas no localStorage (setPreference)
+ *   6. ajustes em tempo de execução (updateAnimationConfig, updateThemeConfig)
+ * Chaves desconhecidas e valores inválidos são ignorados com um aviso no console
  */
 
+import i18n from './i18n.js';
+
 class PortfolioConfig {
+    static LAYERS = ['defaults', 'file', 'attributes', 'query', 'preferences', 'runtime'];
+    static FILE_URL = 'config.json';
+    static STORAGE_KEY = 'portfolio-config';
+    
+    // Atalhos aceitos nos atributos data-* e na query string
+    static ALIASES = {
+        animations: 'animations.enabled',
+        theme: 'theme.mode'
+    };
+    
+    // Chaves que a query string pode alterar; as demais (endpoints, destinatário, URLs de conteúdo)
+    // deixariam qualquer link desviar mensagens e eventos para outro servidor
+    static URL_KEYS = [
+        'animations.enabled',
+        'theme.mode',
+        'scroll.smooth',
+        'scroll.offset',
+        'sections.*.enabled',
+        'sections.*.animation'
+    ];
+    
+    // Valores aceitos por chaves de texto com opções fixas
+    static ENUMS = {
+        'theme.mode': ['auto', 'light', 'dark'],
+        'contactForm.adapter': ['mailto', 'json', 'form-service'],
+        'analytics.sink': ['beacon', 'debug'],
+        // Presets de AnimationEngine.PRESETS (animations.js), em qualquer seção
+        'sections.*.animation': ['fade-up', 'slide-in', 'scale-pop', 'stagger', 'none']
+    };
+    
+    // Formato de seções sem padrão próprio (ex.: registradas por plugins)
+    static SECTION_DEFAULTS = { enabled: true, animation: 'fade-up', animationDelay: 0 };
+    
     constructor() {
-        this.animations = {
-            enabled: true,
-            duration: 300,
-            easing: 'ease-in-out'
+        this.layers = Object.fromEntries(PortfolioConfig.LAYERS.map(layer => [layer, {}]));
+        this.layers.defaults = PortfolioConfig.createDefaults();
+        this.values = {};
+        this.listeners = [];
+        this.resolve();
+    }
+    
+    /**
+     * Valores padrão (primeira camada)
+     * @returns {object}
+     */
+    static createDefaults() {
+        return {
+            animations: {
+                enabled: true,
+                duration: 300,
+                easing: 'ease-in-out'
+            },
+            
+            scroll: {
+                smooth: true,
+                offset: 80
+            },
+            
+            // mode: 'auto' segue o sistema operacional; 'light' e 'dark' fixam o tema
+            theme: {
+                mode: 'auto',
+                darkModeEnabled: false,
+                primaryColor: '#3498db',
+                secondaryColor: '#2ecc71'
+            },
+            
+            content: {
+                url: 'data/portfolio.json'
+            },
+            
+            // indexUrl: gerado por scripts/build-posts.mjs (os posts .md ficam na mesma pasta)
+            blog: {
+                indexUrl: 'posts/index.json',
+                feedUrl: 'feed.xml',
+                pageSize: 5
+            },
+            
+            // adapter: 'mailto' (usa recipient), 'json' ou 'form-service' (usam endpoint)
+            // Desligado por padrão: ative junto com o recipient ou o endpoint do adaptador escolhido
+            contactForm: {
+                enabled: false,
+                adapter: 'mailto',
+                recipient: '',
+                endpoint: '',
+                minFillTime: 3000,
+                maxLength: { name: 100, subject: 150, message: 2000 }
+            },
+            
+            github: {
+                apiBaseUrl: 'https://api.github.com',
+                cacheTtl: 60 * 60 * 1000
+            },
+            
+            // sink: 'beacon' (envia para endpoint, sem cookies) ou 'debug' (guarda no localStorage)
+            // Sem endpoint o sink 'beacon' fica inativo; Do Not Track e opt-out sempre são respeitados
+            analytics: {
+                enabled: true,
+                sink: 'beacon',
+                endpoint: ''
+            },
+            
+            // url: relativo à página; o escopo do service worker é a pasta onde ele está
+            serviceWorker: {
+                enabled: true,
+                url: 'sw.js'
+            },
+            
+            // siteUrl: endereço canônico publicado (usado em canonical, Open Graph e JSON-LD)
+            seo: {
+                siteUrl: 'https://fatec-jacarei-dsm-portfolio.github.io/ra2581392513035/',
+                image: 'assets/images/profile-placeholder.jpg',
+                twitterHandle: ''
+            },
+            
+            sections: {
+                hero: { enabled: true, animation: 'fade-up', animationDelay: 100 },
+                projects: { enabled: true, animation: 'stagger', animationDelay: 200 },
+                blog: { enabled: true, animation: 'stagger', animationDelay: 250 },
+                skills: { enabled: true, animation: 'stagger', animationDelay: 300 },
+                timeline: { enabled: true, animation: 'slide-in', animationDelay: 350 },
+                additionalInfo: { enabled: true, animation: 'stagger', animationDelay: 400 },
+                contact: { enabled: true, animation: 'scale-pop', animationDelay: 500 }
+            }
         };
+    }
+    
+    /**
+     * Carrega as camadas do navegador: config.json, data-* do <html>, query string e preferências
+     * @param {object} options - Opções
+     * @param {string} options.url - Endereço do config.json
+     * @param {Function} options.fetchFn - Implementação de fetch
+     */
+    async load({ url = PortfolioConfig.FILE_URL, fetchFn = (...args) => fetch(...args) } = {}) {
+        this.layers.file = await this.fetchFile(url, fetchFn);
+        this.layers.attributes = this.parseOverrides(
+            Object.entries(document.documentElement.dataset),
+            'data-*',
+            key => this.findPathByDatasetKey(key)
+        );
+        this.layers.query = this.parseOverrides(
+            [...new URLSearchParams(window.location.search)],
+            'URL',
+            key => key,
+            path => PortfolioConfig.isUrlKey(path)
+        );
+        this.layers.preferences = this.validate(this.readPreferences(), 'localStorage');
+        this.resolve();
+    }
+    
+    /**
+     * Busca o config.json (arquivo ausente não é erro)
+     * @param {string} url - Endereço do arquivo
+     * @param {Function} fetchFn - Implementação de fetch
+     * @returns {Promise<object>} Valores válidos do arquivo
+     */
+    async fetchFile(url, fetchFn) {
+        try {
+            const response = await fetchFn(url);
+            if (response.status === 404) return {};
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            
+            return this.validate(await response.json(), url);
+        } catch (error) {
+            console.warn(i18n.t('console.configLoadError', { url }), error.message);
+            return {};
+        }
+    }
+    
+    /**
+     * Substitui uma camada inteira (ex.: config.json lido do disco nos scripts de build)
+     * @param {string} layer - Nome da camada (ver PortfolioConfig.LAYERS)
+     * @param {object} values - Valores da camada
+     * @param {string} source - Origem dos valores (para os avisos)
+     */
+    setLayer(layer, values, source = layer) {
+        if (!PortfolioConfig.LAYERS.includes(layer) || layer === 'defaults') {
+            throw new Error(`Camada de configuração inválida: "${layer}"`);
+        }
         
-        this.scroll = {
-            smooth: true,
-            offset: 80
-        };
+        this.layers[layer] = this.validate(values, source);
+        this.resolve();
+    }
+    
+    /**
+     * Converte pares chave/texto (data-* ou query string) em valores tipados
+     * Chaves que não são de configuração (ex.: ?lang, data-prerendered) são ignoradas em silêncio
+     * @param {Array<[string, string]>} entries - Pares chave/valor em texto
+     * @param {string} source - Origem dos valores (para os avisos)
+     * @param {Function} toPath - Converte a chave no caminho da configuração
+     * @param {Function} isAllowed - Se a origem pode alterar o caminho (padrão: todos)
+     * @returns {object}
+     */
+    parseOverrides(entries, source, toPath, isAllowed = () => true) {
+        const result = {};
         
-        this.theme = {
-            darkModeEnabled: false,
-            primaryColor: '#3498db',
-            secondaryColor: '#2ecc71'
-        };
+        entries.forEach(([key, raw]) => {
+            const path = PortfolioConfig.ALIASES[key] || toPath(key);
+            const type = path && this.getSchemaType(path);
+            if (!type || type === 'object') return;
+            
+            if (!isAllowed(path)) {
+                console.warn(i18n.t('console.configNotUrlKey', { source, path }));
+                return;
+            }
+            
+            const value = PortfolioConfig.parseValue(raw, type);
+            const error = value === undefined
+                ? i18n.t('console.configUnparsable', { raw, type })
+                : PortfolioConfig.checkValue(path, type, value);
+            if (error) {
+                console.warn(i18n.t('console.configIgnored', { source, path, reason: error }));
+                return;
+            }
+            
+            setPath(result, path, value);
+        });
+        
+        return result;
+    }
+    
+    /**
+     * Verifica se a query string pode alterar o caminho (ver URL_KEYS)
+     * @param {string} path - Caminho (ex.: "theme.mode")
+     * @returns {boolean}
+     */
+    static isUrlKey(path) {
+        if (!isSafePath(path)) return false;
+        
+        return PortfolioConfig.URL_KEYS.includes(path)
+            || PortfolioConfig.URL_KEYS.includes(path.replace(/^sections\.[^.]+\./, 'sections.*.'));
+    }
+    
+    /**
+     * Encontra o caminho correspondente a uma chave de dataset ("scrollOffset" -> "scroll.offset")
+     * @param {string} key - Chave de element.dataset
+     * @returns {string|null}
+     */
+    findPathByDatasetKey(key) {
+        const toDatasetKey = path => path.replace(/\.(\w)/g, (match, letter) => letter.toUpperCase());
+        return listPaths(this.values).find(path => toDatasetKey(path) === key) || null;
+    }
+    
+    /**
+     * Converte texto no tipo esperado
+     * @param {string} raw - Valor em texto
+     * @param {string} type - 'boolean', 'number' ou 'string'
+     * @returns {*} undefined se o texto não representa o tipo
+     */
+    static parseValue(raw, type) {
+        const text = String(raw).trim();
+        
+        if (type === 'boolean') {
+            if (['on', 'true', '1', 'yes'].includes(text.toLowerCase())) return true;
+            if (['off', 'false', '0', 'no'].includes(text.toLowerCase())) return false;
+            return undefined;
+        }
+        
+        if (type === 'number') {
+            const number = Number(text);
+            return text !== '' && Number.isFinite(number) ? number : undefined;
+        }
+        
+        return text;
+    }
+    
+    /**
+     * Tipo esperado para um caminho, a partir dos padrões
+     * @param {string} path - Caminho (ex.: "scroll.offset")
+     * @returns {string|null} 'boolean', 'number', 'string', 'object' ou null se desconhecido
+     */
+    getSchemaType(path) {
+        if (!isSafePath(path)) return null;
+        
+        const [root, name, ...rest] = path.split('.');
+        let value = getPath(this.layers.defaults, path);
+        
+        // Seções sem padrão próprio seguem o formato comum
+        if (value === undefined && root === 'sections' && name) {
+            value = rest.length ? getPath(PortfolioConfig.SECTION_DEFAULTS, rest.join('.')) : {};
+        }
+        
+        if (value === undefined) return null;
+        return isPlainObject(value) ? 'object' : typeof value;
+    }
+    
+    /**
+     * Confere um valor contra o tipo e as opções permitidas
+     * @param {string} path - Caminho da chave
+     * @param {string} type - Tipo esperado
+     * @param {*} value - Valor a conferir
+     * @returns {string|null} Descrição do problema ou null se válido
+     */
+    static checkValue(path, type, value) {
+        if (typeof value !== type) return i18n.t('console.configWrongType', { type, value: JSON.stringify(value) });
+        
+        const options = PortfolioConfig.ENUMS[path] || PortfolioConfig.ENUMS[path.replace(/^sections\.[^.]+\./, 'sections.*.')];
+        if (options && !options.includes(value)) return i18n.t('console.configNotOption', { options: options.join(', ') });
+        
+        return null;
+    }
+    
+    /**
+     * Mantém apenas as chaves conhecidas e com valores válidos, avisando sobre as demais
+     * Chaves iniciadas por "$" (ex.: "$comment") são ignoradas em silêncio
+     * @param {object} values - Valores a validar
+     * @param {string} source - Origem dos valores (para os avisos)
+     * @param {string} prefix - Caminho do objeto atual
+     * @returns {object} Valores válidos
+     */
+    validate(values, source, prefix = '') {
+        const result = {};
+        
+        if (!isPlainObject(values)) {
+            console.warn(i18n.t('console.configNotObject', { source, path: prefix || i18n.t('console.configRoot') }));
+            return result;
+        }
+        
+        Object.entries(values).forEach(([key, value]) => {
+            if (key.startsWith('$')) return;
+            
+            const path = prefix ? `${prefix}.${key}` : key;
+            const type = this.getSchemaType(path);
+            
+            if (!type) {
+                console.warn(i18n.t('console.configUnknownKey', { source, path }));
+                return;
+            }
+            
+            if (type === 'object') {
+                result[key] = this.validate(value, source, path);
+                return;
+            }
+            
+            const error = PortfolioConfig.checkValue(path, type, value);
+            if (error) {
+                console.warn(i18n.t('console.configIgnored', { source, path, reason: error }));
+                return;
+            }
+            
+            result[key] = value;
+        });
+        
+        return result;
+    }
+    
+    /**
+     * Combina as camadas e avisa os assinantes cujos valores mudaram
+     */
+    resolve() {
+        const previous = this.values;
+        this.values = PortfolioConfig.LAYERS.reduce((merged, layer) => deepMerge(merged, this.layers[layer]), {});
+        
+        // Mantém o acesso direto (portfolioConfig.scroll.offset) usado pelo restante do app
+        Object.assign(this, this.values);
+        
+        this.listeners.forEach(({ path, listener }) => {
+            const before = getPath(previous, path);
+            const after = getPath(this.values, path);
+            
+            if (JSON.stringify(before) !== JSON.stringify(after)) {
+                listener(after, before, path);
+            }
+        });
+    }
+    
+    /**
+     * Lê um valor pelo caminho
+     * @param {string} path - Caminho (ex.: "animations.enabled")
+     * @returns {*}
+     */
+    get(path) {
+        return getPath(this.values, path);
+    }
+    
+    /**
+     * Camada de onde vem o valor efetivo de um caminho
+     * @param {string} path - Caminho (ex.: "seo.image")
+     * @returns {string|null} Nome da camada (ex.: 'defaults', 'file') ou null se nenhuma o define
+     */
+    getSource(path) {
+        const layer = [...PortfolioConfig.LAYERS].reverse().find(name => getPath(this.layers[name], path) !== undefined);
+        return layer || null;
+    }
+    
+    /**
+     * Assina mudanças de um valor (ou de qualquer valor abaixo dele)
+     * @param {string} path - Caminho (ex.: "theme" ou "theme.mode")
+     * @param {Function} listener - Recebe (novo valor, valor anterior, caminho)
+     * @returns {Function} Cancela a assinatura
+     */
+    subscribe(path, listener) {
+        const subscription = { path, listener };
+        this.listeners.push(subscription);
         
-        this.sections = {
-            hero: { enabled: true, animationDelay: 100 },
-            projects: { enabled: true, animationDelay: 200 },
-            skills: { enabled: true, animationDelay: 300 },
-            additionalInfo: { enabled: true, animationDelay: 400 },
-            contact: { enabled: true, animationDelay: 500 }
+        return () => {
+            this.listeners = this.listeners.filter(item => item !== subscription);
         };
     }
     
+    /**
+     * Salva uma preferência do visitante (camada do localStorage)
+     * @param {string} path - Caminho da chave
+     * @param {*} value - Novo valor
+     * @returns {boolean} Se o valor era válido
+     */
+    setPreference(path, value) {
+        const type = this.getSchemaType(path);
+        const error = !type || type === 'object' ? i18n.t('console.configNotValueKey') : PortfolioConfig.checkValue(path, type, value);
+        if (error) {
+            console.warn(i18n.t('console.preferenceIgnored', { path, reason: error }));
+            return false;
+        }
+        
+        setPath(this.layers.preferences, path, value);
+        this.writePreferences();
+        this.resolve();
+        return true;
+    }
+    
+    /**
+     * Remove uma preferência do visitante (volta a valer a camada anterior)
+     * @param {string} path - Caminho da chave
+     */
+    clearPreference(path) {
+        deletePath(this.layers.preferences, path);
+        this.writePreferences();
+        this.resolve();
+    }
+    
+    /**
+     * Lê as preferências salvas
+     * @returns {object}
+     */
+    readPreferences() {
+        try {
+            return JSON.parse(localStorage.getItem(PortfolioConfig.STORAGE_KEY)) || {};
+        } catch {
+            return {};
+        }
+    }
+    
+    /**
+     * Salva as preferências no localStorage
+     */
+    writePreferences() {
+        try {
+            localStorage.setItem(PortfolioConfig.STORAGE_KEY, JSON.stringify(this.layers.preferences));
+        } catch (error) {
+            console.warn(i18n.t('console.preferencesSaveError'), error);
+        }
+    }
+    
     /**
      * Obtém configuração de uma seção específica
      * @param {string} sectionName - Nome da seção
@@ -45,7 +482,24 @@ class PortfolioConfig {
      * @param {object} newConfig - Nova configuração
      */
     updateAnimationConfig(newConfig) {
-        this.animations = { ...this.animations, ...newConfig };
+        this.updateRuntime({ animations: newConfig });
+    }
+    
+    /**
+     * Atualiza configuração de tema
+     * @param {object} newConfig - Nova configuração
+     */
+    updateThemeConfig(newConfig) {
+        this.updateRuntime({ theme: newConfig });
+    }
+    
+    /**
+     * Combina novos valores na camada de tempo de execução
+     * @param {object} values - Valores parciais
+     */
+    updateRuntime(values) {
+        this.layers.runtime = deepMerge(this.layers.runtime, this.validate(values, 'runtime'));
+        this.resolve();
     }
     
     /**
@@ -57,6 +511,110 @@ class PortfolioConfig {
     }
 }
 
+/**
+ * Verifica se o valor é um objeto simples (não array, não null)
+ * @param {*} value - Valor a verificar
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Nomes que, usados como chave, alcançariam o protótipo de todos os objetos (ex.: ?sections.__proto__.enabled)
+const RESERVED_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Verifica se nenhum trecho do caminho é um nome reservado (ver RESERVED_KEYS)
+ * @param {string} path - Caminho separado por pontos
+ * @returns {boolean}
+ */
+function isSafePath(path) {
+    return path.split('.').every(key => !RESERVED_KEYS.includes(key));
+}
+
+/**
+ * Combina objetos em profundidade, sem alterar os originais
+ * @param {object} target - Valores base
+ * @param {object} source - Valores que sobrescrevem
+ * @returns {object}
+ */
+function deepMerge(target, source) {
+    const result = { ...target };
+
+    Object.entries(source).forEach(([key, value]) => {
+        result[key] = isPlainObject(value) && isPlainObject(result[key])
+            ? deepMerge(result[key], value)
+            : (isPlainObject(value) ? deepMerge({}, value) : value);
+    });
+
+    return result;
+}
+
+/**
+ * Lê um valor aninhado pelo caminho ("a.b.c"); caminho vazio devolve o próprio objeto
+ * @param {object} object - Objeto de origem
+ * @param {string} path - Caminho separado por pontos
+ * @returns {*}
+ */
+function getPath(object, path) {
+    if (!path) return object;
+
+    return path.split('.').reduce((value, key) => (isPlainObject(value) && Object.hasOwn(value, key) ? value[key] : undefined), object);
+}
+
+/**
+ * Grava um valor aninhado pelo caminho, criando os objetos intermediários
+ * @param {object} object - Objeto de destino
+ * @param {string} path - Caminho separado por pontos
+ * @param {*} value - Valor a gravar
+ */
+function setPath(object, path, value) {
+    if (!isSafePath(path)) return;
+
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((current, key) => {
+        if (!isPlainObject(current[key])) current[key] = {};
+        return current[key];
+    }, object);
+
+    parent[last] = value;
+}
+
+/**
+ * Remove um valor aninhado pelo caminho, descartando os objetos que ficarem vazios
+ * @param {object} object - Objeto de origem
+ * @param {string} path - Caminho separado por pontos
+ */
+function deletePath(object, path) {
+    const [key, ...rest] = path.split('.');
+    if (!isPlainObject(object) || !(key in object)) return;
+
+    if (rest.length === 0) {
+        delete object[key];
+        return;
+    }
+
+    deletePath(object[key], rest.join('.'));
+    if (isPlainObject(object[key]) && Object.keys(object[key]).length === 0) {
+        delete object[key];
+    }
+}
+
+/**
+ * Lista os caminhos de todos os valores finais de um objeto
+ * @param {object} object - Objeto de origem
+ * @param {string} prefix - Caminho do objeto atual
+ * @returns {string[]}
+ */
+function listPaths(object, prefix = '') {
+    return Object.entries(object).flatMap(([key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        return isPlainObject(value) ? listPaths(value, path) : [path];
+    });
+}
+
 // Exporta instância singleton
 const portfolioConfig = new PortfolioConfig();
-export default portfolioConfig;
\ No newline at end of file
+export { PortfolioConfig };
+export default portfolioConfig;
@@ -0,0 +1,192 @@
+/**
+ * Adaptadores de envio do formulário de contato
+ * Todos expõem a mesma interface: isConfigured() e send(message)
+ */
+
+import { ValidationUtils } from './utils.js';
+
+/**
+ * Erro de envio com chave de mensagem traduzível
+ */
+class ContactSubmissionError extends Error {
+    /**
+     * @param {string} messageKey - Chave i18n exibida ao usuário
+     * @param {string} detail - Detalhe técnico (para o console)
+     */
+    constructor(messageKey, detail = '') {
+        super(detail || messageKey);
+        this.name = 'ContactSubmissionError';
+        this.messageKey = messageKey;
+    }
+}
+
+/**
+ * Abre o cliente de e-mail do visitante com a mensagem preenchida
+ */
+class MailtoAdapter {
+    /**
+     * @param {object} options - Opções do adaptador
+     * @param {string} options.recipient - E-mail de destino
+     * @param {Function} options.openUrl - Abre a URL mailto: gerada
+     */
+    constructor({ recipient = '', openUrl = (url) => { window.location.href = url; } } = {}) {
+        this.recipient = recipient;
+        this.openUrl = openUrl;
+    }
+
+    isConfigured() {
+        return ValidationUtils.isValidEmail(this.recipient);
+    }
+
+    /**
+     * @param {object} message - { name, email, subject, message }
+     * @returns {Promise<{status: string}>} 'handoff': o envio depende do cliente de e-mail
+     */
+    async send(message) {
+        if (!this.isConfigured()) {
+            throw new ContactSubmissionError('contactForm.error.notConfigured', 'MailtoAdapter sem destinatário válido');
+        }
+
+        const params = new URLSearchParams({
+            subject: message.subject,
+            body: `${message.message}\n\n— ${message.name} <${message.email}>`
+        });
+
+        // URLSearchParams codifica espaço como "+", que clientes de e-mail não decodificam
+        this.openUrl(`mailto:${this.recipient}?${params.toString().replace(/\+/g, '%20')}`);
+        return { status: 'handoff' };
+    }
+}
+
+/**
+ * Envia a mensagem como JSON para um endpoint próprio
+ */
+class JsonPostAdapter {
+    /**
+     * @param {object} options - Opções do adaptador
+     * @param {string} options.endpoint - URL que recebe o POST
+     * @param {Function} options.fetchFn - Implementação de fetch
+     */
+    constructor({ endpoint = '', fetchFn = (...args) => fetch(...args) } = {}) {
+        this.endpoint = endpoint;
+        this.fetchFn = fetchFn;
+    }
+
+    isConfigured() {
+        return ValidationUtils.isValidUrl(this.endpoint);
+    }
+
+    /**
+     * @param {object} message - { name, email, subject, message }
+     * @returns {Promise<{status: string}>}
+     */
+    async send(message) {
+        if (!this.isConfigured()) {
+            throw new ContactSubmissionError('contactForm.error.notConfigured', 'JsonPostAdapter sem endpoint');
+        }
+
+        const response = await postOrFail(this.fetchFn, this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+            body: JSON.stringify(message)
+        });
+
+        if (!response.ok) {
+            throw new ContactSubmissionError('contactForm.error.server', `HTTP ${response.status}`);
+        }
+
+        return { status: 'sent' };
+    }
+}
+
+/**
+ * Envia para serviços de formulário (Formspree, Getform e similares)
+ * Esses serviços aceitam FormData e respondem JSON com Accept: application/json
+ */
+class FormServiceAdapter {
+    /**
+     * @param {object} options - Opções do adaptador
+     * @param {string} options.endpoint - URL do formulário no serviço
+     * @param {Function} options.fetchFn - Implementação de fetch
+     */
+    constructor({ endpoint = '', fetchFn = (...args) => fetch(...args) } = {}) {
+        this.endpoint = endpoint;
+        this.fetchFn = fetchFn;
+    }
+
+    isConfigured() {
+        return ValidationUtils.isValidUrl(this.endpoint);
+    }
+
+    /**
+     * @param {object} message - { name, email, subject, message }
+     * @returns {Promise<{status: string}>}
+     */
+    async send(message) {
+        if (!this.isConfigured()) {
+            throw new ContactSubmissionError('contactForm.error.notConfigured', 'FormServiceAdapter sem endpoint');
+        }
+
+        const formData = new FormData();
+        Object.entries(message).forEach(([key, value]) => formData.append(key, value));
+        formData.append('_replyto', message.email);
+        formData.append('_subject', message.subject);
+
+        const response = await postOrFail(this.fetchFn, this.endpoint, {
+            method: 'POST',
+            headers: { Accept: 'application/json' },
+            body: formData
+        });
+
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            const detail = Array.isArray(body.errors)
+                ? body.errors.map(error => error.message).join('; ')
+                : `HTTP ${response.status}`;
+            throw new ContactSubmissionError('contactForm.error.server', detail);
+        }
+
+        return { status: 'sent' };
+    }
+}
+
+/**
+ * Executa o fetch convertendo falhas de rede em ContactSubmissionError
+ * @param {Function} fetchFn - Implementação de fetch
+ * @param {string} url - Endpoint
+ * @param {object} options - Opções do fetch
+ * @returns {Promise<Response>}
+ */
+async function postOrFail(fetchFn, url, options) {
+    try {
+        return await fetchFn(url, options);
+    } catch (error) {
+        throw new ContactSubmissionError('contactForm.error.network', error.message);
+    }
+}
+
+/**
+ * Cria o adaptador definido em PortfolioConfig.contactForm
+ * @param {object} config - { adapter, recipient, endpoint }
+ * @returns {MailtoAdapter|JsonPostAdapter|FormServiceAdapter}
+ */
+function createContactAdapter(config) {
+    switch (config.adapter) {
+        case 'json':
+            return new JsonPostAdapter({ endpoint: config.endpoint });
+        case 'form-service':
+            return new FormServiceAdapter({ endpoint: config.endpoint });
+        case 'mailto':
+            return new MailtoAdapter({ recipient: config.recipient });
+        default:
+            throw new Error(`Adaptador de contato desconhecido: "${config.adapter}"`);
+    }
+}
+
+export {
+    ContactSubmissionError,
+    MailtoAdapter,
+    JsonPostAdapter,
+    FormServiceAdapter,
+    createContactAdapter
+};
@@ -0,0 +1,254 @@
+/**
+ * Formulário de contato com validação inline, proteção anti-spam e envio via adaptadores
+ */
+
+import { ValidationUtils } from './utils.js';
+import { TemplateUtils, html } from './template.js';
+import { ContactSubmissionError } from './contact-adapters.js';
+import i18n from './i18n.js';
+
+class ContactForm {
+    static FIELDS = ['name', 'email', 'subject', 'message'];
+    static MIN_MESSAGE_LENGTH = 10;
+
+    /**
+     * @param {object} adapter - Adaptador de envio (MailtoAdapter, JsonPostAdapter...)
+     * @param {object} options - Opções do formulário
+     * @param {number} options.minFillTime - Tempo mínimo (ms) entre exibir e enviar
+     * @param {object} options.maxLength - Limite de caracteres por campo
+     */
+    constructor(adapter, { minFillTime = 3000, maxLength = {} } = {}) {
+        this.adapter = adapter;
+        this.minFillTime = minFillTime;
+        this.maxLength = maxLength;
+        this.form = null;
+        this.renderedAt = 0;
+        this.isSubmitting = false;
+    }
+
+    /**
+     * Renderiza o formulário no container
+     * @param {Element} container - Elemento que receberá o formulário
+     */
+    mount(container) {
+        if (!container || this.form) return;
+
+        this.form = TemplateUtils.renderElement(ContactForm.template(this.maxLength));
+        this.renderedAt = Date.now();
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        });
+
+        ContactForm.FIELDS.forEach(field => {
+            const input = this.getInput(field);
+
+            input.addEventListener('input', () => {
+                this.updateCounter(field);
+                if (input.getAttribute('aria-invalid') === 'true') this.validateField(field);
+            });
+
+            input.addEventListener('blur', () => {
+                if (input.value) this.validateField(field);
+            });
+
+            this.updateCounter(field);
+        });
+
+        container.appendChild(this.form);
+    }
+
+    /**
+     * Gera o template do formulário
+     * @param {object} maxLength - Limite de caracteres por campo
+     * @returns {SafeHTML}
+     */
+    static template(maxLength) {
+        const field = (name, type, autocomplete) => {
+            // O contador só existe nos campos com limite de caracteres
+            const describedBy = maxLength[name]
+                ? `contact-${name}-error contact-${name}-counter`
+                : `contact-${name}-error`;
+
+            return html`
+                <div class="form-field">
+                    <label for="contact-${name}" data-i18n="contactForm.${name}">${i18n.t(`contactForm.${name}`)}</label>
+                    ${type === 'textarea'
+                        ? html`<textarea id="contact-${name}" name="${name}" rows="6" required
+                                         ${maxLength[name] && html`maxlength="${maxLength[name]}"`}
+                                         aria-describedby="${describedBy}"></textarea>`
+                        : html`<input id="contact-${name}" name="${name}" type="${type}" autocomplete="${autocomplete}" required
+                                      ${maxLength[name] && html`maxlength="${maxLength[name]}"`}
+                                      aria-describedby="${describedBy}">`}
+                    <div class="form-field-footer">
+                        <p class="field-error" id="contact-${name}-error"></p>
+                        ${maxLength[name] && html`<span class="char-counter" id="contact-${name}-counter" aria-live="polite"></span>`}
+                    </div>
+                </div>
+            `;
+        };
+
+        return html`
+            <form class="contact-form" novalidate>
+                <h3 data-i18n="contactForm.title">${i18n.t('contactForm.title')}</h3>
+                ${field('name', 'text', 'name')}
+                ${field('email', 'email', 'email')}
+                ${field('subject', 'text', 'off')}
+                ${field('message', 'textarea', 'off')}
+                <div class="form-honeypot" aria-hidden="true">
+                    <label for="contact-website">Website</label>
+                    <input id="contact-website" name="website" type="text" tabindex="-1" autocomplete="off">
+                </div>
+                <button type="submit" class="form-submit" data-i18n="contactForm.submit">${i18n.t('contactForm.submit')}</button>
+                <p class="form-status" role="status"></p>
+            </form>
+        `;
+    }
+
+    /**
+     * Obtém o campo do formulário
+     * @param {string} field - Nome do campo
+     * @returns {HTMLInputElement|HTMLTextAreaElement}
+     */
+    getInput(field) {
+        return this.form.elements.namedItem(field);
+    }
+
+    /**
+     * Atualiza o contador de caracteres
+     * @param {string} field - Nome do campo
+     */
+    updateCounter(field) {
+        const counter = this.form.querySelector(`#contact-${field}-counter`);
+        if (!counter) return;
+
+        const length = this.getInput(field).value.length;
+        const max = this.maxLength[field];
+        counter.textContent = `${length}/${max}`;
+        counter.classList.toggle('is-near-limit', length >= max * 0.9);
+    }
+
+    /**
+     * Valida um campo e exibe o erro inline
+     * @param {string} field - Nome do campo
+     * @returns {boolean}
+     */
+    validateField(field) {
+        const input = this.getInput(field);
+        const errorKey = ContactForm.getErrorKey(field, input.value);
+        const errorElement = this.form.querySelector(`#contact-${field}-error`);
+
+        input.setAttribute('aria-invalid', String(Boolean(errorKey)));
+        errorElement.textContent = errorKey ? i18n.t(errorKey) : '';
+
+        return !errorKey;
+    }
+
+    /**
+     * Regras de validação de cada campo
+     * @param {string} field - Nome do campo
+     * @param {string} value - Valor digitado
+     * @returns {string|null} Chave i18n do erro, ou null se válido
+     */
+    static getErrorKey(field, value) {
+        if (!ValidationUtils.isNotEmpty(value)) return 'contactForm.error.required';
+
+        if (field === 'email' && !ValidationUtils.isValidEmail(value.trim())) {
+            return 'contactForm.error.email';
+        }
+
+        if (field === 'message' && value.trim().length < ContactForm.MIN_MESSAGE_LENGTH) {
+            return 'contactForm.error.messageTooShort';
+        }
+
+        return null;
+    }
+
+    /**
+     * Valida, aplica as proteções anti-spam e envia pelo adaptador
+     */
+    async handleSubmit() {
+        if (this.isSubmitting) return;
+
+        const results = ContactForm.FIELDS.map(field => this.validateField(field));
+        const firstInvalid = ContactForm.FIELDS.find((field, index) => !results[index]);
+
+        if (firstInvalid) {
+            this.getInput(firstInvalid).focus();
+            this.setStatus('error', i18n.t('contactForm.error.invalid'));
+            return;
+        }
+
+        // Honeypot preenchido: provável bot. Fingimos sucesso sem enviar nada.
+        if (this.getInput('website').value) {
+            this.handleSuccess({ status: 'sent' });
+            return;
+        }
+
+        if (Date.now() - this.renderedAt < this.minFillTime) {
+            this.setStatus('error', i18n.t('contactForm.error.tooFast'));
+            return;
+        }
+
+        const message = Object.fromEntries(
+            ContactForm.FIELDS.map(field => [field, this.getInput(field).value.trim()])
+        );
+
+        this.setSubmitting(true);
+        this.setStatus('sending', i18n.t('contactForm.sending'));
+
+        try {
+            this.handleSuccess(await this.adapter.send(message));
+        } catch (error) {
+            console.error(i18n.t('console.contactSendError'), error);
+            const messageKey = error instanceof ContactSubmissionError
+                ? error.messageKey
+                : 'contactForm.error.server';
+            this.setStatus('error', i18n.t(messageKey));
+        } finally {
+            this.setSubmitting(false);
+        }
+    }
+
+    /**
+     * Exibe o estado de sucesso e limpa o formulário
+     * @param {{status: string}} result - Resultado do adaptador
+     */
+    handleSuccess(result) {
+        this.form.reset();
+        this.renderedAt = Date.now();
+        ContactForm.FIELDS.forEach(field => {
+            this.getInput(field).removeAttribute('aria-invalid');
+            this.updateCounter(field);
+        });
+
+        this.setStatus('success', i18n.t(result.status === 'handoff'
+            ? 'contactForm.success.handoff'
+            : 'contactForm.success.sent'));
+    }
+
+    /**
+     * Bloqueia o botão durante o envio
+     * @param {boolean} isSubmitting - Se está enviando
+     */
+    setSubmitting(isSubmitting) {
+        this.isSubmitting = isSubmitting;
+        const button = this.form.querySelector('.form-submit');
+        button.disabled = isSubmitting;
+        this.form.setAttribute('aria-busy', String(isSubmitting));
+    }
+
+    /**
+     * Atualiza a mensagem de estado do formulário
+     * @param {string} state - 'sending', 'success' ou 'error'
+     * @param {string} text - Mensagem exibida
+     */
+    setStatus(state, text) {
+        const status = this.form.querySelector('.form-status');
+        status.textContent = text;
+        status.dataset.state = state;
+    }
+}
+
+export { ContactForm };
@@ -0,0 +1,379 @@
+/**
+ * Carregamento e validação do conteúdo do portfólio
+ * Seguindo princípio de Single Responsibility
+ */
+
+import { ValidationUtils } from './utils.js';
+import { I18n } from './i18n.js';
+
+/**
+ * Erro lançado quando o conteúdo não segue o schema esperado
+ */
+class ContentValidationError extends Error {
+    /**
+     * @param {string[]} errors - Lista de problemas encontrados
+     */
+    constructor(errors) {
+        super(`Conteúdo do portfólio inválido:\n- ${errors.join('\n- ')}`);
+        this.name = 'ContentValidationError';
+        this.errors = errors;
+    }
+}
+
+class ContentValidator {
+    /**
+     * Versões de schema suportadas por esta versão do código
+     */
+    static SUPPORTED_VERSIONS = [1];
+
+    /**
+     * Tipos aceitos nos itens da trajetória (timeline)
+     */
+    static TIMELINE_TYPES = ['education', 'job', 'course', 'certification'];
+
+    /**
+     * Categorias e níveis aceitos nas habilidades
+     */
+    static SKILL_CATEGORIES = ['frontend', 'backend', 'database', 'devops'];
+    static SKILL_LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+    /**
+     * Valida o conteúdo completo do portfólio
+     * @param {object} content - Conteúdo lido do JSON
+     * @returns {object} O próprio conteúdo, se válido
+     * @throws {ContentValidationError}
+     */
+    static validate(content) {
+        const errors = [];
+
+        if (!ContentValidator.isObject(content)) {
+            throw new ContentValidationError(['o conteúdo deve ser um objeto JSON']);
+        }
+
+        if (!ContentValidator.SUPPORTED_VERSIONS.includes(content.schemaVersion)) {
+            errors.push(`schemaVersion "${content.schemaVersion}" não suportada (esperado: ${ContentValidator.SUPPORTED_VERSIONS.join(', ')})`);
+        }
+
+        ContentValidator.validateProfile(content.profile, errors);
+        ContentValidator.validateList(content, 'projects', errors, ContentValidator.validateProject);
+        ContentValidator.validateList(content, 'skills', errors, ContentValidator.validateSkill);
+        ContentValidator.validateList(content, 'education', errors, ContentValidator.validateEducation);
+        ContentValidator.validateList(content, 'timeline', errors, ContentValidator.validateTimelineEntry);
+        ContentValidator.validateList(content, 'hobbies', errors, ContentValidator.validateText);
+        ContentValidator.validateList(content, 'contacts', errors, ContentValidator.validateContact);
+
+        if (errors.length > 0) {
+            throw new ContentValidationError(errors);
+        }
+
+        return content;
+    }
+
+    /**
+     * Valida o perfil do usuário
+     * @param {object} profile - Dados do perfil
+     * @param {string[]} errors - Acumulador de erros
+     */
+    static validateProfile(profile, errors) {
+        if (!ContentValidator.isObject(profile)) {
+            errors.push('profile: campo obrigatório (objeto)');
+            return;
+        }
+
+        ContentValidator.requireText(profile, 'name', 'profile', errors);
+        ContentValidator.requireText(profile, 'summary', 'profile', errors);
+    }
+
+    /**
+     * Valida um projeto
+     * @param {object} project - Dados do projeto
+     * @param {string} path - Caminho do item (ex.: projects[0])
+     * @param {string[]} errors - Acumulador de erros
+     */
+    static validateProject(project, path, errors) {
+        if (!ContentValidator.isObject(project)) {
+            errors.push(`${path}: deve ser um objeto`);
+            return;
+        }
+
+        ContentValidator.requireText(project, 'title', path, errors);
+        ContentValidator.requireText(project, 'description', path, errors);
+        ContentValidator.requireUrl(project, 'link', path, errors);
+        ContentValidator.optionalUrl(project, 'repository', path, errors);
+        ContentValidator.optionalUrl(project, 'demo', path, errors);
+        
+        if (project.slug !== undefined && !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(project.slug)) {
+            errors.push(`${path}.slug: use apenas letras minúsculas, números e hífens ("${project.slug}")`);
+        }
+        
+        ContentValidator.optionalMonth(project, 'startDate', path, errors);
+        ContentValidator.optionalMonth(project, 'endDate', path, errors);
+        
+        if (project.teamSize !== undefined && !(Number.isInteger(project.teamSize) && project.teamSize > 0)) {
+            errors.push(`${path}.teamSize: deve ser um número inteiro positivo`);
+        }
+        
+        ContentValidator.validateList(project, 'technologies', errors, ContentValidator.validateText, path);
+        ContentValidator.validateList(project, 'contributions', errors, ContentValidator.validateText, path);
+        ContentValidator.validateList(project, 'images', errors, ContentValidator.validateImage, path);
+    }
+    
+    /**
+     * Valida uma imagem da galeria
+     * @param {object} image - Dados da imagem
+     * @param {string} path - Caminho do item
+     * @param {string[]} errors - Acumulador de erros
+     */
+    static validateImage(image, path, errors) {
+        if (!ContentValidator.isObject(image)) {
+            errors.push(`${path}: deve ser um objeto`);
+            return;
+        }
+        
+        ContentValidator.requireText(image, 'src', path, errors);
+        ContentValidator.requireText(image, 'alt', path, errors);
+    }
+
+    /**
+     * Valida uma habilidade (texto simples ou registro estruturado)
+     * @param {string|object} skill - Nome ou dados da habilidade
+     * @param {string} path - Caminho do item
+     * @param {string[]} errors - Acumulador de erros
+     */
+    static validateSkill(skill, path, errors) {
+        if (!ContentValidator.isObject(skill) || I18n.isLocalizedValue(skill)) {
+            ContentValidator.validateText(skill, path, errors);
+            return;
+        }
+
+        ContentValidator.requireText(skill, 'name', path, errors);
+
+        if (skill.category !== undefined && !ContentValidator.SKILL_CATEGORIES.includes(skill.category)) {
+            errors.push(`${path}.category: use um de ${ContentValidator.SKILL_CATEGORIES.join(', ')} ("${skill.category}")`);
+        }
+
+        if (skill.level !== undefined && !ContentValidator.SKILL_LEVELS.includes(skill.level)) {
+            errors.push(`${path}.level: use um de ${ContentValidator.SKILL_LEVELS.join(', ')} ("${skill.level}")`);
+        }
+
+        if (skill.years !== undefined && !(typeof skill.years === 'number' && skill.years > 0)) {
+            errors.push(`${path}.years: deve ser um número positivo`);
+        }
+
+        ContentValidator.validateList(skill, 'aliases', errors, ContentValidator.validateText, path);
+    }
+
+    /**
+     * Valida uma formação acadêmica
+     * @param {object} education - Dados da formação
+     * @param {string} path - Caminho do item
+     * @param {string[]} errors - Acumulador de erros
+     */
+    static validateEducation(education, path, errors) {
+        if (!ContentValidator.isObject(education)) {
+            errors.push(`${path}: deve ser um objeto`);
+            return;
+        }
+
+        ContentValidator.requireText(education, 'course', path, errors);
+        ContentValidator.requireText(education, 'institution', path, errors);
+    }
+
+    /**
+     * Valida um item da trajetória (formação, emprego, curso ou certificação)
+     * @param {object} entry - Dados do item
+     * @param {string} path - Caminho do item
+     * @param {string[]} errors - Acumulador de erros
+     */
+    static validateTimelineEntry(entry, path, errors) {
+        if (!ContentValidator.isObject(entry)) {
+            errors.push(`${path}: deve ser um objeto`);
+            return;
+        }
+
+        if (!ContentValidator.TIMELINE_TYPES.includes(entry.type)) {
+            errors.push(`${path}.type: use um de ${ContentValidator.TIMELINE_TYPES.join(', ')} ("${entry.type}")`);
+        }
+
+        ContentValidator.requireText(entry, 'title', path, errors);
+        ContentValidator.requireText(entry, 'institution', path, errors);
+        ContentValidator.optionalUrl(entry, 'credentialUrl', path, errors);
+
+        // Grau da formação (ex.: Tecnólogo, Bacharelado), exportado no JSON Resume como studyType
+        if (entry.degree !== undefined) {
+            ContentValidator.validateText(entry.degree, `${path}.degree`, errors);
+        }
+
+        // Sem início, o item mostra só a conclusão (ex.: curso com previsão de término)
+        if (entry.startDate === undefined && entry.endDate === undefined) {
+            errors.push(`${path}.startDate: informe startDate ou endDate (AAAA-MM)`);
+        }
+        ContentValidator.optionalMonth(entry, 'startDate', path, errors);
+        ContentValidator.optionalMonth(entry, 'endDate', path, errors);
+
+        if (entry.current !== undefined && typeof entry.current !== 'boolean') {
+            errors.push(`${path}.current: deve ser true ou false`);
+        }
+
+        if (entry.current && entry.endDate !== undefined) {
+            errors.push(`${path}: itens em andamento (current) não devem ter endDate`);
+        }
+    }
+
+    /**
+     * Valida um contato
+     * @param {object} contact - Dados do contato
+     * @param {string} path - Caminho do item
+     * @param {string[]} errors - Acumulador de erros
+     */
+    static validateContact(contact, path, errors) {
+        if (!ContentValidator.isObject(contact)) {
+            errors.push(`${path}: deve ser um objeto`);
+            return;
+        }
+
+        ContentValidator.requireText(contact, 'label', path, errors);
+        ContentValidator.requireUrl(contact, 'url', path, errors);
+    }
+
+    /**
+     * Valida um item de texto simples
+     * @param {string} value - Valor do item
+     * @param {string} path - Caminho do item
+     * @param {string[]} errors - Acumulador de erros
+     */
+    static validateText(value, path, errors) {
+        if (!ContentValidator.isText(value)) {
+            errors.push(`${path}: deve ser um texto não vazio`);
+        }
+    }
+
+    /**
+     * Valida uma lista opcional aplicando o validador a cada item
+     * @param {object} parent - Objeto que contém a lista
+     * @param {string} key - Nome do campo da lista
+     * @param {string[]} errors - Acumulador de erros
+     * @param {Function} validateItem - Validador de cada item
+     * @param {string} parentPath - Caminho do objeto pai
+     */
+    static validateList(parent, key, errors, validateItem, parentPath = '') {
+        const path = parentPath ? `${parentPath}.${key}` : key;
+        const list = parent[key];
+
+        if (list === undefined) return;
+
+        if (!Array.isArray(list)) {
+            errors.push(`${path}: deve ser uma lista`);
+            return;
+        }
+
+        list.forEach((item, index) => validateItem(item, `${path}[${index}]`, errors));
+    }
+
+    /**
+     * Exige um campo de texto não vazio
+     * @param {object} target - Objeto validado
+     * @param {string} key - Nome do campo
+     * @param {string} path - Caminho do objeto
+     * @param {string[]} errors - Acumulador de erros
+     */
+    static requireText(target, key, path, errors) {
+        if (!ContentValidator.isText(target[key])) {
+            errors.push(`${path}.${key}: campo obrigatório (texto)`);
+        }
+    }
+
+    /**
+     * Exige um campo com URL válida e permitida (http, https ou mailto)
+     * @param {object} target - Objeto validado
+     * @param {string} key - Nome do campo
+     * @param {string} path - Caminho do objeto
+     * @param {string[]} errors - Acumulador de erros
+     */
+    static requireUrl(target, key, path, errors) {
+        if (!ValidationUtils.isSafeUrl(target[key])) {
+            errors.push(`${path}.${key}: URL inválida ou não permitida ("${target[key]}")`);
+        }
+    }
+
+    /**
+     * Valida um campo de URL opcional
+     * @param {object} target - Objeto validado
+     * @param {string} key - Nome do campo
+     * @param {string} path - Caminho do objeto
+     * @param {string[]} errors - Acumulador de erros
+     */
+    static optionalUrl(target, key, path, errors) {
+        if (target[key] !== undefined) {
+            ContentValidator.requireUrl(target, key, path, errors);
+        }
+    }
+    
+    /**
+     * Valida um campo de data opcional no formato AAAA-MM
+     * @param {object} target - Objeto validado
+     * @param {string} key - Nome do campo
+     * @param {string} path - Caminho do objeto
+     * @param {string[]} errors - Acumulador de erros
+     */
+    static optionalMonth(target, key, path, errors) {
+        if (target[key] !== undefined && !/^\d{4}-(0[1-9]|1[0-2])$/.test(target[key])) {
+            errors.push(`${path}.${key}: use o formato AAAA-MM ("${target[key]}")`);
+        }
+    }
+
+    /**
+     * Verifica se valor é texto não vazio, simples ou com versões por locale
+     * @param {*} value - Valor a verificar
+     * @returns {boolean}
+     */
+    static isText(value) {
+        if (I18n.isLocalizedValue(value)) {
+            return Object.values(value).every(text => ValidationUtils.isNotEmpty(text));
+        }
+
+        return ValidationUtils.isNotEmpty(value);
+    }
+    
+    /**
+     * Verifica se valor é um objeto simples
+     * @param {*} value - Valor a verificar
+     * @returns {boolean}
+     */
+    static isObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+}
+
+class ContentLoader {
+    /**
+     * @param {string} url - Endereço do arquivo de conteúdo
+     */
+    constructor(url) {
+        this.url = url;
+    }
+
+    /**
+     * Busca e valida o conteúdo do portfólio
+     * @returns {Promise<object>} Conteúdo validado
+     * @throws {Error|ContentValidationError}
+     */
+    async load() {
+        const response = await fetch(this.url);
+
+        if (!response.ok) {
+            throw new Error(`Falha ao carregar ${this.url}: HTTP ${response.status}`);
+        }
+
+        let content;
+        try {
+            content = await response.json();
+        } catch (error) {
+            throw new ContentValidationError([`${this.url} não contém um JSON válido (${error.message})`]);
+        }
+
+        return ContentValidator.validate(content);
+    }
+}
+
+export { ContentLoader, ContentValidator, ContentValidationError };
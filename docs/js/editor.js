@@ -0,0 +1,859 @@
+/**
+ * Editor de conteúdo no navegador (abra a página com ?edit)
+ * Projetos, habilidades, trajetória e perfil podem ser adicionados, editados, reordenados e removidos.
+ * As alterações ficam como rascunho no localStorage; "Exportar JSON" baixa um novo
+ * data/portfolio.json, que deve ser commitado no repositório para ser publicado
+ */
+
+import { TextUtils } from './utils.js';
+import { TemplateUtils, html } from './template.js';
+import { ContentValidator, ContentValidationError } from './content.js';
+import i18n, { I18n } from './i18n.js';
+
+/**
+ * Pilhas de desfazer/refazer com estados completos do conteúdo
+ */
+class EditHistory {
+    /**
+     * @param {number} limit - Quantidade máxima de estados guardados para desfazer
+     */
+    constructor(limit = 50) {
+        this.limit = limit;
+        this.past = [];
+        this.future = [];
+    }
+
+    /**
+     * Guarda o estado anterior a uma alteração (descarta o que podia ser refeito)
+     * @param {object} state - Conteúdo antes da alteração
+     */
+    push(state) {
+        this.past.push(state);
+        if (this.past.length > this.limit) this.past.shift();
+        this.future = [];
+    }
+
+    /**
+     * @param {object} current - Conteúdo atual
+     * @returns {object|null} Estado anterior, ou null se não há o que desfazer
+     */
+    undo(current) {
+        if (!this.canUndo()) return null;
+
+        this.future.push(current);
+        return this.past.pop();
+    }
+
+    /**
+     * @param {object} current - Conteúdo atual
+     * @returns {object|null} Estado desfeito, ou null se não há o que refazer
+     */
+    redo(current) {
+        if (!this.canRedo()) return null;
+
+        this.past.push(current);
+        return this.future.pop();
+    }
+
+    canUndo() {
+        return this.past.length > 0;
+    }
+
+    canRedo() {
+        return this.future.length > 0;
+    }
+}
+
+/**
+ * Estado do editor: conteúdo em edição, rascunho, histórico e exportação
+ */
+class ContentEditor {
+    static QUERY_PARAM = 'edit';
+    static DRAFT_KEY = 'portfolio-editor-draft';
+    static LISTS = ['projects', 'skills', 'timeline'];
+    static EXPORT_FILENAME = 'portfolio.json';
+
+    /**
+     * @param {object} content - Conteúdo publicado (validado)
+     * @param {object} options - Opções
+     * @param {Function} options.onChange - Recebe o conteúdo a cada alteração aplicada
+     * @param {number} options.historyLimit - Quantidade de passos que podem ser desfeitos
+     * @param {Function} options.confirm - Pergunta ao usuário (padrão: window.confirm)
+     */
+    constructor(content, { onChange = () => {}, historyLimit = 50, confirm = (message) => window.confirm(message) } = {}) {
+        this.published = cloneContent(content);
+        this.publishedHash = hashContent(this.published);
+        this.content = cloneContent(content);
+        this.onChange = onChange;
+        this.confirm = confirm;
+        this.history = new EditHistory(historyLimit);
+        this.savedAt = null;
+    }
+
+    /**
+     * Se a página foi aberta no modo de edição (?edit)
+     * @param {string} search - Query string da URL
+     * @returns {boolean}
+     */
+    static isRequested(search = window.location.search) {
+        return new URLSearchParams(search).has(ContentEditor.QUERY_PARAM);
+    }
+
+    /**
+     * Retoma o rascunho salvo, se houver um válido
+     * Se o conteúdo publicado mudou depois do rascunho (ex.: novo commit do data/portfolio.json),
+     * o usuário escolhe entre restaurar o rascunho e descartá-lo
+     * @returns {boolean} Se um rascunho foi restaurado
+     */
+    restoreDraft() {
+        const draft = this.readDraft();
+        if (!draft) return false;
+
+        let content;
+        try {
+            content = ContentValidator.validate(draft.content);
+        } catch (error) {
+            console.warn(i18n.t('console.editorDraftInvalid'), error);
+            this.clearDraft();
+            return false;
+        }
+
+        if (draft.base !== this.publishedHash && !this.confirm(i18n.t('editor.confirmStaleDraft'))) {
+            this.clearDraft();
+            return false;
+        }
+
+        this.content = content;
+
+        this.savedAt = draft.savedAt;
+        this.onChange(this.content);
+        return true;
+    }
+
+    /**
+     * Aplica uma alteração sobre uma cópia do conteúdo
+     * O conteúdo só muda se a cópia continuar válida
+     * @param {Function} mutate - Recebe a cópia e a altera
+     * @throws {ContentValidationError}
+     */
+    update(mutate) {
+        const next = cloneContent(this.content);
+        mutate(next);
+        if (JSON.stringify(next) === JSON.stringify(this.content)) return;
+        ContentValidator.validate(next);
+
+        this.history.push(this.content);
+        this.setContent(next);
+    }
+
+    /**
+     * Adiciona um item ao fim de uma lista
+     * @param {string} list - 'projects', 'skills' ou 'timeline'
+     * @param {object} item - Dados do item
+     */
+    addItem(list, item) {
+        this.update(content => {
+            const items = content[list] || (content[list] = []);
+            items.push(list === 'projects' ? { slug: ContentEditor.createSlug(item, items), ...item } : item);
+        });
+    }
+
+    /**
+     * Substitui um item de uma lista
+     * @param {string} list - Nome da lista
+     * @param {number} index - Posição do item
+     * @param {object} item - Novos dados
+     */
+    updateItem(list, index, item) {
+        this.update(content => {
+            content[list][index] = item;
+        });
+    }
+
+    /**
+     * Remove um item de uma lista
+     * @param {string} list - Nome da lista
+     * @param {number} index - Posição do item
+     */
+    removeItem(list, index) {
+        this.update(content => {
+            content[list].splice(index, 1);
+        });
+    }
+
+    /**
+     * Move um item dentro da lista (reordenação)
+     * @param {string} list - Nome da lista
+     * @param {number} index - Posição atual
+     * @param {number} offset - Deslocamento (-1 sobe, 1 desce)
+     */
+    moveItem(list, index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= (this.content[list] || []).length) return;
+
+        this.update(content => {
+            const [item] = content[list].splice(index, 1);
+            content[list].splice(target, 0, item);
+        });
+    }
+
+    /**
+     * Atualiza os dados do perfil (nome e resumo do hero)
+     * @param {object} profile - Novos dados do perfil
+     */
+    updateProfile(profile) {
+        this.update(content => {
+            content.profile = profile;
+        });
+    }
+
+    /**
+     * Volta ao conteúdo publicado (pode ser desfeito)
+     */
+    discardDraft() {
+        if (!this.isDirty()) return;
+
+        this.history.push(this.content);
+        this.setContent(cloneContent(this.published));
+    }
+
+    undo() {
+        const previous = this.history.undo(this.content);
+        if (previous) this.setContent(previous);
+    }
+
+    redo() {
+        const next = this.history.redo(this.content);
+        if (next) this.setContent(next);
+    }
+
+    /**
+     * Se o conteúdo em edição difere do publicado
+     * @returns {boolean}
+     */
+    isDirty() {
+        return JSON.stringify(this.content) !== JSON.stringify(this.published);
+    }
+
+    /**
+     * Troca o conteúdo em edição, salva o rascunho e avisa o app
+     * @param {object} content - Novo conteúdo (já validado)
+     */
+    setContent(content) {
+        this.content = content;
+        this.saveDraft();
+        this.onChange(this.content);
+    }
+
+    /**
+     * Salva o rascunho (ou apaga, se o conteúdo voltou a ser igual ao publicado)
+     */
+    saveDraft() {
+        if (!this.isDirty()) {
+            this.clearDraft();
+            return;
+        }
+
+        this.savedAt = new Date().toISOString();
+        try {
+            localStorage.setItem(ContentEditor.DRAFT_KEY, JSON.stringify({
+                savedAt: this.savedAt,
+                base: this.publishedHash,
+                content: this.content
+            }));
+        } catch (error) {
+            console.warn(i18n.t('console.editorDraftSaveError'), error);
+        }
+    }
+
+    /**
+     * Lê o rascunho salvo
+     * @returns {{savedAt: string, base: string, content: object}|null} base identifica o conteúdo publicado de quando o rascunho foi salvo
+     */
+    readDraft() {
+        try {
+            const draft = JSON.parse(localStorage.getItem(ContentEditor.DRAFT_KEY));
+            return draft && draft.content ? draft : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Apaga o rascunho salvo
+     */
+    clearDraft() {
+        this.savedAt = null;
+        try {
+            localStorage.removeItem(ContentEditor.DRAFT_KEY);
+        } catch {
+            // Sem acesso ao storage: não há o que apagar
+        }
+    }
+
+    /**
+     * Conteúdo em edição no formato do data/portfolio.json
+     * @returns {string}
+     */
+    toJson() {
+        return `${JSON.stringify(this.content, null, 4)}\n`;
+    }
+
+    /**
+     * Baixa o conteúdo em edição como arquivo JSON
+     */
+    download() {
+        const url = URL.createObjectURL(new Blob([this.toJson()], { type: 'application/json' }));
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = ContentEditor.EXPORT_FILENAME;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Revogar na hora pode cancelar o download em alguns navegadores
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Gera um slug único para um projeto novo, a partir do título
+     * @param {object} project - Dados do projeto
+     * @param {object[]} projects - Projetos existentes
+     * @returns {string}
+     */
+    static createSlug(project, projects) {
+        const base = TextUtils.slugify(i18n.localize(project.title)) || 'projeto';
+        const slugs = new Set(projects.map(item => item.slug || TextUtils.slugify(i18n.localize(item.title))));
+
+        let slug = base;
+        for (let suffix = 2; slugs.has(slug); suffix++) {
+            slug = `${base}-${suffix}`;
+        }
+        return slug;
+    }
+}
+
+/**
+ * Painel lateral do editor: listas, formulários e barra de ferramentas
+ * Os textos são editados no idioma atual; as versões dos outros idiomas são preservadas
+ */
+class EditorPanel {
+    static FIELDS = {
+        profile: [
+            { name: 'name', required: true },
+            { name: 'summary', type: 'textarea', required: true }
+        ],
+        projects: [
+            { name: 'title', required: true },
+            { name: 'description', type: 'textarea', required: true },
+            { name: 'link', type: 'url', required: true },
+            { name: 'repository', type: 'url' },
+            { name: 'technologies', type: 'list' },
+            { name: 'contributions', type: 'lines' }
+        ],
+        skills: [
+            { name: 'name', required: true },
+            { name: 'category', type: 'select', options: ContentValidator.SKILL_CATEGORIES, labelPrefix: 'skills.category' },
+            { name: 'level', type: 'select', options: ContentValidator.SKILL_LEVELS, labelPrefix: 'skills.level' },
+            { name: 'years', type: 'number' }
+        ],
+        timeline: [
+            { name: 'type', type: 'select', options: ContentValidator.TIMELINE_TYPES, labelPrefix: 'timeline.type', required: true },
+            { name: 'title', required: true },
+            { name: 'institution', required: true },
+            { name: 'startDate', type: 'month' },
+            { name: 'endDate', type: 'month' },
+            { name: 'current', type: 'checkbox' }
+        ]
+    };
+
+    /**
+     * @param {ContentEditor} editor - Estado do editor
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.element = null;
+        // Item com formulário aberto: { list, index } (index null = item novo)
+        this.editing = null;
+    }
+
+    /**
+     * Renderiza o painel e liga os eventos
+     * @param {Element} container - Elemento que receberá o painel
+     */
+    mount(container) {
+        if (!container || this.element) return;
+
+        this.element = TemplateUtils.renderElement(html`
+            <aside class="editor-panel" aria-labelledby="editor-title"></aside>
+        `);
+
+        this.element.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-editor-action]');
+            if (button) this.handleAction(button.dataset.editorAction, button.dataset.list, Number(button.dataset.index));
+        });
+
+        this.element.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit(e.target);
+        });
+
+        // Ctrl+Z / Ctrl+Shift+Z fora dos campos (nos campos, o desfazer nativo continua valendo)
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.target.closest('input, textarea, select')) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' || key === 'y') {
+                e.preventDefault();
+                this.handleAction(key === 'y' || e.shiftKey ? 'redo' : 'undo');
+            }
+        });
+
+        i18n.onChange(() => this.render());
+
+        document.documentElement.classList.add('is-editing');
+        container.appendChild(this.element);
+        this.render();
+    }
+
+    /**
+     * Renderiza o painel novamente, devolvendo o foco ao controle equivalente
+     * @param {string} focusSelector - Elemento que deve receber o foco
+     */
+    render(focusSelector = null) {
+        const selector = focusSelector || EditorPanel.getFocusSelector(document.activeElement, this.element);
+
+        this.element.replaceChildren(TemplateUtils.render(EditorPanel.template(this.editor, this.editing)));
+
+        const form = this.element.querySelector('.editor-form');
+        const target = form
+            ? form.querySelector('input, textarea, select')
+            : selector && this.element.querySelector(selector);
+        if (target) target.focus();
+    }
+
+    /**
+     * Seletor que identifica um controle do painel entre renderizações
+     * @param {Element} element - Elemento com foco
+     * @param {Element} panel - Painel
+     * @returns {string|null}
+     */
+    static getFocusSelector(element, panel) {
+        if (!element || !panel.contains(element) || !element.dataset.editorAction) return null;
+
+        const { editorAction, list, index } = element.dataset;
+        return `[data-editor-action="${editorAction}"]`
+            + (list ? `[data-list="${list}"]` : '')
+            + (index !== undefined ? `[data-index="${index}"]` : '');
+    }
+
+    /**
+     * Executa uma ação da barra de ferramentas ou de um item
+     * @param {string} action - Nome da ação (data-editor-action)
+     * @param {string} list - Lista do item
+     * @param {number} index - Posição do item
+     */
+    handleAction(action, list, index) {
+        const { editor } = this;
+
+        switch (action) {
+            case 'undo':
+                editor.undo();
+                break;
+            case 'redo':
+                editor.redo();
+                break;
+            case 'export':
+                editor.download();
+                return;
+            case 'discard':
+                if (!window.confirm(i18n.t('editor.confirmDiscard'))) return;
+                editor.discardDraft();
+                break;
+            case 'add':
+                this.editing = { list, index: null };
+                break;
+            case 'edit':
+                this.editing = { list, index: list === 'profile' ? null : index };
+                break;
+            case 'cancel':
+                this.editing = null;
+                this.render(`[data-editor-action="${list === 'profile' ? 'edit' : 'add'}"][data-list="${list}"]`);
+                return;
+            case 'moveUp':
+            case 'moveDown': {
+                const offset = action === 'moveUp' ? -1 : 1;
+                if (!this.tryUpdate(() => editor.moveItem(list, index, offset))) return;
+                this.render(`[data-editor-action="${action}"][data-list="${list}"][data-index="${index + offset}"]`);
+                return;
+            }
+            case 'remove': {
+                const label = EditorPanel.getItemLabel(list, editor.content[list][index]);
+                if (!window.confirm(i18n.t('editor.confirmRemove', { label }))) return;
+                if (!this.tryUpdate(() => editor.removeItem(list, index))) return;
+                this.render(`[data-editor-action="add"][data-list="${list}"]`);
+                return;
+            }
+            default:
+                return;
+        }
+
+        this.render();
+    }
+
+    /**
+     * Salva o formulário aberto
+     * @param {HTMLFormElement} form - Formulário enviado
+     */
+    handleSubmit(form) {
+        const { list, index } = this.editing;
+        const isProfile = list === 'profile';
+        const previous = isProfile ? this.editor.content.profile : (index === null ? {} : this.editor.content[list][index]);
+        const item = EditorPanel.readForm(form, EditorPanel.FIELDS[list], EditorPanel.toRecord(list, previous));
+
+        const isSaved = this.tryUpdate(() => {
+            if (isProfile) this.editor.updateProfile(item);
+            else if (index === null) this.editor.addItem(list, item);
+            else this.editor.updateItem(list, index, item);
+        });
+        if (!isSaved) return;
+
+        const focusIndex = index === null ? this.editor.content[list].length - 1 : index;
+        this.editing = null;
+        this.render(isProfile
+            ? '[data-editor-action="edit"][data-list="profile"]'
+            : `[data-editor-action="edit"][data-list="${list}"][data-index="${focusIndex}"]`);
+    }
+
+    /**
+     * Executa uma alteração e exibe os erros de validação, se houver
+     * @param {Function} change - Alteração no editor
+     * @returns {boolean} Se a alteração foi aplicada
+     */
+    tryUpdate(change) {
+        try {
+            change();
+            return true;
+        } catch (error) {
+            if (!(error instanceof ContentValidationError)) throw error;
+
+            this.showErrors(error.errors);
+            return false;
+        }
+    }
+
+    /**
+     * Exibe os problemas que impediram a alteração
+     * @param {string[]} errors - Mensagens do ContentValidator
+     */
+    showErrors(errors) {
+        const container = this.element.querySelector('.editor-errors');
+        container.replaceChildren(TemplateUtils.render(html`
+            <p>${i18n.t('editor.invalid')}</p>
+            <ul>${errors.map(error => html`<li>${error}</li>`)}</ul>
+        `));
+    }
+
+    /**
+     * Lê os campos do formulário sobre os dados anteriores do item
+     * Campos vazios são removidos; textos com versões por idioma mudam só no idioma atual
+     * @param {HTMLFormElement} form - Formulário
+     * @param {object[]} fields - Definição dos campos
+     * @param {object} previous - Dados anteriores do item
+     * @returns {object}
+     */
+    static readForm(form, fields, previous) {
+        const item = { ...previous };
+
+        fields.forEach(({ name, type }) => {
+            const input = form.elements.namedItem(name);
+            const value = type === 'checkbox' ? input.checked : input.value.trim();
+            let parsed;
+
+            if (type === 'checkbox') {
+                parsed = value || undefined;
+            } else if (type === 'number') {
+                parsed = value === '' ? undefined : Number(value);
+            } else if (type === 'list' || type === 'lines') {
+                const entries = value.split(type === 'list' ? ',' : '\n').map(entry => entry.trim()).filter(Boolean);
+                const previousEntries = previous[name] || [];
+                parsed = entries.length > 0
+                    ? entries.map((entry, index) => mergeText(previousEntries[index], entry))
+                    : undefined;
+            } else {
+                parsed = value === '' ? undefined : mergeText(previous[name], value);
+            }
+
+            if (parsed === undefined) delete item[name];
+            else item[name] = parsed;
+        });
+
+        return item;
+    }
+
+    /**
+     * Converte habilidades no formato antigo (texto) em registro
+     * @param {string} list - Nome da lista
+     * @param {*} item - Item da lista
+     * @returns {object}
+     */
+    static toRecord(list, item) {
+        return list === 'skills' && typeof item !== 'object' ? { name: item } : item;
+    }
+
+    /**
+     * Texto que identifica o item na lista
+     * @param {string} list - Nome da lista
+     * @param {*} item - Item da lista
+     * @returns {string}
+     */
+    static getItemLabel(list, item) {
+        const record = EditorPanel.toRecord(list, item);
+        return i18n.localize(list === 'skills' ? record.name : record.title);
+    }
+
+    /**
+     * Valor exibido no campo
+     * @param {object} field - Definição do campo
+     * @param {*} value - Valor atual
+     * @returns {string}
+     */
+    static formatValue({ type }, value) {
+        if (value === undefined) return '';
+        if (type === 'list') return value.map(entry => i18n.localize(entry)).join(', ');
+        if (type === 'lines') return value.map(entry => i18n.localize(entry)).join('\n');
+        return String(i18n.localize(value));
+    }
+
+    /**
+     * Gera o template do painel
+     * @param {ContentEditor} editor - Estado do editor
+     * @param {object|null} editing - Item com formulário aberto
+     * @returns {SafeHTML}
+     */
+    static template(editor, editing) {
+        const button = (action, className = '') => html`
+            <button type="button" class="editor-button ${className}" data-editor-action="${action}"
+                    ${((action === 'undo' && !editor.history.canUndo())
+                        || (action === 'redo' && !editor.history.canRedo())
+                        || (action === 'discard' && !editor.isDirty())) && html`disabled`}>${i18n.t(`editor.${action}`)}</button>
+        `;
+
+        return html`
+            <div class="editor-header">
+                <h2 id="editor-title">${i18n.t('editor.title')}</h2>
+                <p class="editor-hint">${i18n.t('editor.locale', { locale: i18n.locale })}</p>
+                <div class="editor-toolbar">
+                    ${button('undo')}
+                    ${button('redo')}
+                    ${button('export', 'editor-button-primary')}
+                    ${button('discard')}
+                </div>
+                <p class="editor-status" role="status">${EditorPanel.statusText(editor)}</p>
+                <div class="editor-errors" role="alert"></div>
+            </div>
+            ${EditorPanel.profileTemplate(editor.content.profile, editing)}
+            ${ContentEditor.LISTS.map(list => EditorPanel.listTemplate(list, editor.content[list] || [], editing))}
+        `;
+    }
+
+    /**
+     * Situação do rascunho
+     * @param {ContentEditor} editor - Estado do editor
+     * @returns {string}
+     */
+    static statusText(editor) {
+        if (!editor.isDirty() || !editor.savedAt) return i18n.t('editor.noChanges');
+
+        const time = new Intl.DateTimeFormat(i18n.locale, { dateStyle: 'short', timeStyle: 'short' })
+            .format(new Date(editor.savedAt));
+        return i18n.t('editor.draftSaved', { time });
+    }
+
+    /**
+     * Gera o grupo do perfil
+     * @param {object} profile - Dados do perfil
+     * @param {object|null} editing - Item com formulário aberto
+     * @returns {SafeHTML}
+     */
+    static profileTemplate(profile, editing) {
+        const isEditing = editing && editing.list === 'profile';
+
+        return html`
+            <section class="editor-group" aria-labelledby="editor-group-profile">
+                <h3 id="editor-group-profile">${i18n.t('editor.group.profile')}</h3>
+                ${isEditing
+                    ? EditorPanel.formTemplate('profile', profile)
+                    : html`
+                        <p class="editor-item-label">${i18n.localize(profile.name)}</p>
+                        <button type="button" class="editor-button" data-editor-action="edit" data-list="profile">${i18n.t('editor.edit')}</button>
+                    `}
+            </section>
+        `;
+    }
+
+    /**
+     * Gera o grupo de uma lista (projetos, habilidades ou trajetória)
+     * @param {string} list - Nome da lista
+     * @param {Array} items - Itens da lista
+     * @param {object|null} editing - Item com formulário aberto
+     * @returns {SafeHTML}
+     */
+    static listTemplate(list, items, editing) {
+        const editingIndex = editing && editing.list === list ? editing.index : undefined;
+
+        return html`
+            <section class="editor-group" aria-labelledby="editor-group-${list}">
+                <h3 id="editor-group-${list}">${i18n.t(`editor.group.${list}`)}</h3>
+                <ol class="editor-items">
+                    ${items.map((item, index) => html`
+                        <li class="editor-item">
+                            ${index === editingIndex
+                                ? EditorPanel.formTemplate(list, EditorPanel.toRecord(list, item))
+                                : EditorPanel.itemTemplate(list, item, index, items.length)}
+                        </li>
+                    `)}
+                </ol>
+                ${editingIndex === null
+                    ? EditorPanel.formTemplate(list, {})
+                    : html`<button type="button" class="editor-button" data-editor-action="add" data-list="${list}">${i18n.t(`editor.add.${list}`)}</button>`}
+            </section>
+        `;
+    }
+
+    /**
+     * Gera a linha de um item com as ações
+     * @param {string} list - Nome da lista
+     * @param {*} item - Item da lista
+     * @param {number} index - Posição do item
+     * @param {number} count - Tamanho da lista
+     * @returns {SafeHTML}
+     */
+    static itemTemplate(list, item, index, count) {
+        const label = EditorPanel.getItemLabel(list, item);
+        const action = (name, disabled = false) => html`
+            <button type="button" class="editor-button editor-button-small" data-editor-action="${name}"
+                    data-list="${list}" data-index="${index}" aria-label="${i18n.t(`editor.${name}Item`, { label })}"
+                    ${disabled && html`disabled`}>${i18n.t(`editor.${name}`)}</button>
+        `;
+
+        return html`
+            <span class="editor-item-label">${label}</span>
+            <span class="editor-item-actions">
+                ${action('edit')}
+                ${action('moveUp', index === 0)}
+                ${action('moveDown', index === count - 1)}
+                ${action('remove')}
+            </span>
+        `;
+    }
+
+    /**
+     * Gera o formulário de um item
+     * @param {string} list - Nome da lista (ou 'profile')
+     * @param {object} item - Dados atuais do item
+     * @returns {SafeHTML}
+     */
+    static formTemplate(list, item) {
+        return html`
+            <form class="editor-form" data-list="${list}" novalidate>
+                ${EditorPanel.FIELDS[list].map(field => EditorPanel.fieldTemplate(list, field, item[field.name]))}
+                <div class="editor-form-actions">
+                    <button type="submit" class="editor-button editor-button-primary">${i18n.t('editor.save')}</button>
+                    <button type="button" class="editor-button" data-editor-action="cancel" data-list="${list}">${i18n.t('editor.cancel')}</button>
+                </div>
+            </form>
+        `;
+    }
+
+    /**
+     * Gera um campo do formulário
+     * @param {string} list - Nome da lista
+     * @param {object} field - Definição do campo
+     * @param {*} value - Valor atual
+     * @returns {SafeHTML}
+     */
+    static fieldTemplate(list, field, value) {
+        const id = `editor-${list}-${field.name}`;
+        const label = i18n.t(`editor.field.${field.name}`);
+        const hintKey = { list: 'editor.hint.list', lines: 'editor.hint.lines', month: 'editor.hint.month' }[field.type];
+        const describedBy = hintKey && html`aria-describedby="${id}-hint"`;
+        const text = EditorPanel.formatValue(field, value);
+        let control;
+
+        switch (field.type) {
+            case 'textarea':
+            case 'lines':
+                control = html`<textarea id="${id}" name="${field.name}" rows="4" ${field.required && html`required`} ${describedBy}>${text}</textarea>`;
+                break;
+            case 'select':
+                control = html`
+                    <select id="${id}" name="${field.name}" ${field.required && html`required`}>
+                        ${!field.required && html`<option value="">${i18n.t('editor.none')}</option>`}
+                        ${field.options.map(option => html`
+                            <option value="${option}" ${option === value && html`selected`}>${i18n.t(`${field.labelPrefix}.${option}`)}</option>
+                        `)}
+                    </select>
+                `;
+                break;
+            case 'checkbox':
+                return html`
+                    <div class="form-field form-field-checkbox">
+                        <input id="${id}" name="${field.name}" type="checkbox" ${value === true && html`checked`}>
+                        <label for="${id}">${label}</label>
+                    </div>
+                `;
+            default:
+                control = html`<input id="${id}" name="${field.name}" type="${field.type || 'text'}" value="${text}"
+                                      ${field.type === 'number' && html`min="0" step="any"`}
+                                      ${field.required && html`required`} ${describedBy}>`;
+        }
+
+        return html`
+            <div class="form-field">
+                <label for="${id}">${label}</label>
+                ${control}
+                ${hintKey && html`<p class="editor-hint" id="${id}-hint">${i18n.t(hintKey)}</p>`}
+            </div>
+        `;
+    }
+}
+
+/**
+ * Cópia profunda do conteúdo (só dados JSON)
+ * @param {object} content - Conteúdo
+ * @returns {object}
+ */
+function cloneContent(content) {
+    return JSON.parse(JSON.stringify(content));
+}
+
+/**
+ * Identificador curto do conteúdo (hash djb2 do JSON), para notar mudanças no publicado
+ * @param {object} content - Conteúdo
+ * @returns {string}
+ */
+function hashContent(content) {
+    const text = JSON.stringify(content);
+    let hash = 5381;
+
+    for (let index = 0; index < text.length; index++) {
+        hash = ((hash * 33) ^ text.charCodeAt(index)) >>> 0;
+    }
+    return hash.toString(36);
+}
+
+/**
+ * Aplica o texto editado: em valores com versões por idioma, troca só o idioma atual
+ * @param {string|object} previous - Valor anterior
+ * @param {string} text - Texto digitado
+ * @returns {string|object}
+ */
+function mergeText(previous, text) {
+    if (!I18n.isLocalizedValue(previous)) return text;
+    if (i18n.localize(previous) === text) return previous;
+
+    return { ...previous, [i18n.locale]: text };
+}
+
+export { EditHistory, ContentEditor, EditorPanel };
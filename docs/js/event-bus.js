@@ -0,0 +1,79 @@
+/**
+ * Barramento de eventos interno do portfólio
+ * As seções publicam o que acontece na página; quem quiser reagir (ex.: analytics)
+ * assina os eventos sem que as seções conheçam os assinantes
+ */
+
+/**
+ * Eventos publicados pelo portfólio e seus dados
+ */
+const PortfolioEvents = Object.freeze({
+    SECTION_VIEWED: 'section:viewed',                      // { section }
+    PROJECT_OPENED: 'project:opened',                      // { slug }
+    POST_OPENED: 'post:opened',                            // { id }
+    OUTBOUND_LINK: 'link:outbound',                        // { url, section }
+    SKILL_CLICKED: 'skill:clicked',                        // { skill, expanded }
+    THEME_CHANGED: 'theme:changed',                        // { theme }
+    VIEWPORT_RESIZED: 'viewport:resized',                  // { width, height }
+    MOTION_PREFERENCE_CHANGED: 'motion:preference-changed' // { reduced }
+});
+
+class EventBus {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * Assina um evento
+     * @param {string} event - Nome do evento ('*' recebe todos)
+     * @param {Function} listener - Recebe (dados, nome do evento)
+     * @returns {Function} Cancela a assinatura
+     */
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+
+        this.listeners.get(event).add(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Cancela a assinatura de um evento
+     * @param {string} event - Nome do evento
+     * @param {Function} listener - Listener registrado com on()
+     */
+    off(event, listener) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) return;
+
+        listeners.delete(listener);
+        if (listeners.size === 0) this.listeners.delete(event);
+    }
+
+    /**
+     * Publica um evento
+     * Erros de um assinante não impedem os demais nem quem publicou
+     * @param {string} event - Nome do evento
+     * @param {object} data - Dados do evento
+     */
+    emit(event, data = {}) {
+        const listeners = [
+            ...(this.listeners.get(event) || []),
+            ...(this.listeners.get('*') || [])
+        ];
+
+        listeners.forEach(listener => {
+            try {
+                listener(data, event);
+            } catch (error) {
+                console.error(`Erro em assinante do evento "${event}":`, error);
+            }
+        });
+    }
+}
+
+// Exporta instância singleton
+const eventBus = new EventBus();
+export { EventBus, PortfolioEvents };
+export default eventBus;
@@ -0,0 +1,167 @@
+/**
+ * Provedor de dados de repositórios do GitHub com cache em localStorage
+ * A URL base da API é injetável para permitir testes com um servidor local
+ */
+
+class GitHubProvider {
+    static CACHE_PREFIX = 'portfolio-github:';
+
+    /**
+     * @param {object} options - Opções do provedor
+     * @param {string} options.baseUrl - URL base da API (padrão: https://api.github.com)
+     * @param {number} options.cacheTtl - Validade do cache em ms
+     * @param {Storage|null} options.storage - Armazenamento do cache (padrão: localStorage)
+     * @param {Function} options.fetchFn - Implementação de fetch
+     */
+    constructor({
+        baseUrl = 'https://api.github.com',
+        cacheTtl = 60 * 60 * 1000,
+        storage = GitHubProvider.getDefaultStorage(),
+        fetchFn = (...args) => fetch(...args)
+    } = {}) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.cacheTtl = cacheTtl;
+        this.storage = storage;
+        this.fetchFn = fetchFn;
+    }
+
+    /**
+     * Extrai dono e nome do repositório de uma URL do GitHub
+     * @param {string} url - URL do repositório
+     * @returns {{owner: string, repo: string}|null}
+     */
+    static parseRepositoryUrl(url) {
+        try {
+            const { hostname, pathname } = new URL(url);
+            if (hostname !== 'github.com' && hostname !== 'www.github.com') return null;
+
+            const [owner, repo] = pathname.split('/').filter(Boolean);
+            if (!owner || !repo) return null;
+
+            return { owner, repo: repo.replace(/\.git$/, '') };
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Obtém estatísticas do repositório (cache válido > API > cache expirado)
+     * @param {string} owner - Dono do repositório
+     * @param {string} repo - Nome do repositório
+     * @returns {Promise<object>} { stars, openIssues, lastCommit, languages }
+     * @throws {Error} Se a API falhar e não houver cache
+     */
+    async getRepositoryStats(owner, repo) {
+        const cacheKey = `${GitHubProvider.CACHE_PREFIX}${owner}/${repo}`;
+        const cached = this.readCache(cacheKey);
+
+        if (cached && !cached.isExpired) return cached.data;
+
+        try {
+            const stats = await this.fetchRepositoryStats(owner, repo);
+            this.writeCache(cacheKey, stats);
+            return stats;
+        } catch (error) {
+            if (cached) return cached.data;
+            throw error;
+        }
+    }
+
+    /**
+     * Busca as estatísticas diretamente na API
+     * @param {string} owner - Dono do repositório
+     * @param {string} repo - Nome do repositório
+     * @returns {Promise<object>}
+     */
+    async fetchRepositoryStats(owner, repo) {
+        const path = `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+
+        const [repository, languages, commits] = await Promise.all([
+            this.request(path),
+            this.request(`${path}/languages`),
+            this.request(`${path}/commits?per_page=1`).catch(() => [])
+        ]);
+
+        const lastCommit = Array.isArray(commits) && commits.length
+            ? commits[0].commit.committer.date
+            : repository.pushed_at;
+
+        return {
+            stars: repository.stargazers_count,
+            // A API soma issues e pull requests abertos neste número (o rótulo mostra os dois)
+            openIssues: repository.open_issues_count,
+            lastCommit,
+            languages: Object.entries(languages)
+                .sort(([, a], [, b]) => b - a)
+                .slice(0, 3)
+                .map(([language]) => language)
+        };
+    }
+
+    /**
+     * Faz uma requisição GET à API
+     * @param {string} path - Caminho relativo à URL base
+     * @returns {Promise<*>} Corpo JSON da resposta
+     */
+    async request(path) {
+        const response = await this.fetchFn(`${this.baseUrl}${path}`, {
+            headers: { Accept: 'application/vnd.github+json' }
+        });
+
+        if (!response.ok) {
+            throw new Error(`GitHub API respondeu HTTP ${response.status} para ${path}`);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Lê uma entrada do cache
+     * @param {string} key - Chave do cache
+     * @returns {{data: object, isExpired: boolean}|null}
+     */
+    readCache(key) {
+        if (!this.storage) return null;
+
+        try {
+            const entry = JSON.parse(this.storage.getItem(key));
+            if (!entry || typeof entry.timestamp !== 'number') return null;
+
+            return {
+                data: entry.data,
+                isExpired: Date.now() - entry.timestamp > this.cacheTtl
+            };
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Grava uma entrada no cache
+     * @param {string} key - Chave do cache
+     * @param {object} data - Dados a guardar
+     */
+    writeCache(key, data) {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(key, JSON.stringify({ timestamp: Date.now(), data }));
+        } catch {
+            // Cache é opcional: armazenamento cheio ou bloqueado não deve quebrar a página
+        }
+    }
+
+    /**
+     * Obtém o localStorage, se disponível
+     * @returns {Storage|null}
+     */
+    static getDefaultStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch {
+            return null;
+        }
+    }
+}
+
+export { GitHubProvider };
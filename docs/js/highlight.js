@@ -0,0 +1,140 @@
+/**
+ * Destaque de sintaxe para blocos de código dos artigos
+ * Cada linguagem é uma lista ordenada de regras [tipo, expressão]; o texto que não casa com
+ * nenhuma regra sai como texto puro. Tudo passa pelo template html``, que escapa o código
+ */
+
+import { html } from './template.js';
+
+const DOUBLE_QUOTED = /"(?:\\.|[^"\\\n])*"/;
+const SINGLE_QUOTED = /'(?:\\.|[^'\\\n])*'/;
+const NUMBER = /\b\d+(?:\.\d+)?\b/;
+
+/**
+ * Junta expressões em uma alternativa
+ * @param {...RegExp} patterns - Expressões
+ * @returns {RegExp}
+ */
+function anyOf(...patterns) {
+    return new RegExp(patterns.map(pattern => pattern.source).join('|'));
+}
+
+/**
+ * Cria a regra de palavras-chave
+ * @param {string} words - Palavras separadas por espaço
+ * @returns {RegExp}
+ */
+function keywords(words) {
+    return new RegExp(`\\b(?:${words.trim().split(/\s+/).join('|')})\\b`);
+}
+
+const JAVASCRIPT = [
+    ['comment', /\/\/.*|\/\*[\s\S]*?\*\//],
+    ['string', anyOf(/`(?:\\[\s\S]|[^`\\])*`/, DOUBLE_QUOTED, SINGLE_QUOTED)],
+    ['keyword', keywords(`
+        async await break case catch class const continue default delete do else export extends
+        finally for from function if import in instanceof let new of return static super switch
+        this throw try typeof var void while yield interface type implements enum
+    `)],
+    ['literal', keywords('true false null undefined NaN')],
+    ['number', NUMBER]
+];
+
+class CodeHighlighter {
+    static LANGUAGES = {
+        javascript: JAVASCRIPT,
+        typescript: JAVASCRIPT,
+        json: [
+            ['property', /"(?:\\.|[^"\\\n])*"(?=\s*:)/],
+            ['string', DOUBLE_QUOTED],
+            ['literal', keywords('true false null')],
+            ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/]
+        ],
+        css: [
+            ['comment', /\/\*[\s\S]*?\*\//],
+            ['string', anyOf(DOUBLE_QUOTED, SINGLE_QUOTED)],
+            ['keyword', /@[\w-]+/],
+            ['property', /[\w-]+(?=\s*:[^;{}]*;)/],
+            ['number', /-?\b\d+(?:\.\d+)?(?:px|rem|em|%|s|ms|vh|vw|fr)?/]
+        ],
+        html: [
+            ['comment', /<!--[\s\S]*?-->/],
+            ['tag', /<\/?[a-zA-Z][\w-]*|\/?>/],
+            ['property', /\b[\w-]+(?==)/],
+            ['string', anyOf(DOUBLE_QUOTED, SINGLE_QUOTED)]
+        ],
+        bash: [
+            ['comment', /(?<!\S)#.*/],
+            ['string', anyOf(DOUBLE_QUOTED, SINGLE_QUOTED)],
+            ['keyword', keywords('if then else elif fi for in do done while case esac function export local return')],
+            ['variable', /\$\{?[\w@#?*!-]+\}?/]
+        ],
+        python: [
+            ['comment', /#.*/],
+            ['string', anyOf(/"""[\s\S]*?"""|'''[\s\S]*?'''/, DOUBLE_QUOTED, SINGLE_QUOTED)],
+            ['keyword', keywords(`
+                and as assert async await break class continue def del elif else except finally for
+                from global if import in is lambda nonlocal not or pass raise return try while with yield
+            `)],
+            ['literal', keywords('True False None')],
+            ['number', NUMBER]
+        ],
+        sql: [
+            ['comment', /--.*|\/\*[\s\S]*?\*\//],
+            ['string', SINGLE_QUOTED],
+            ['keyword', /\b(?:select|from|where|and|or|not|insert|into|values|update|set|delete|create|table|alter|drop|join|left|right|inner|outer|on|group|by|order|having|limit|as|null|primary|key|references|index|distinct|count)\b/i],
+            ['number', NUMBER]
+        ]
+    };
+
+    static ALIASES = {
+        js: 'javascript',
+        mjs: 'javascript',
+        ts: 'typescript',
+        sh: 'bash',
+        shell: 'bash',
+        py: 'python',
+        xml: 'html',
+        svg: 'html'
+    };
+
+    /**
+     * Nome canônico de uma linguagem ("js" -> "javascript")
+     * @param {string} language - Linguagem informada no bloco de código
+     * @returns {string|null} null se a linguagem não tiver destaque
+     */
+    static resolveLanguage(language) {
+        const name = String(language || '').toLowerCase();
+        const resolved = CodeHighlighter.ALIASES[name] || name;
+        return CodeHighlighter.LANGUAGES[resolved] ? resolved : null;
+    }
+
+    /**
+     * Destaca o código com <span class="token tipo">
+     * @param {string} code - Código-fonte
+     * @param {string} language - Linguagem (desconhecida: apenas escapa o código)
+     * @returns {SafeHTML}
+     */
+    static highlight(code, language) {
+        const resolved = CodeHighlighter.resolveLanguage(language);
+        if (!resolved) return html`${code}`;
+
+        const rules = CodeHighlighter.LANGUAGES[resolved];
+        const flags = rules.some(([, rule]) => rule.ignoreCase) ? 'gmi' : 'gm';
+        const pattern = new RegExp(rules.map(([, rule]) => `(${rule.source})`).join('|'), flags);
+        const parts = [];
+        let lastIndex = 0;
+
+        for (const match of code.matchAll(pattern)) {
+            const index = match.slice(1).findIndex(group => group !== undefined);
+            parts.push(code.slice(lastIndex, match.index));
+            parts.push(html`<span class="token ${rules[index][0]}">${match[0]}</span>`);
+            lastIndex = match.index + match[0].length;
+        }
+        parts.push(code.slice(lastIndex));
+
+        return html`${parts}`;
+    }
+}
+
+export { CodeHighlighter };
@@ -0,0 +1,289 @@
+/**
+ * Internacionalização (pt-BR / en) de textos estáticos e dinâmicos
+ * Seguindo princípio de Single Responsibility
+ */
+
+import ptBR from './locales/pt-BR.js';
+import en from './locales/en.js';
+
+class I18n {
+    static DEFAULT_LOCALE = 'pt-BR';
+    static STORAGE_KEY = 'portfolio-locale';
+    static LOCALE_NAMES = { 'pt-BR': 'Português', en: 'English' };
+
+    /**
+     * @param {object} catalogs - Catálogos de mensagens indexados pelo locale
+     */
+    constructor(catalogs) {
+        this.catalogs = catalogs;
+        this.locale = I18n.DEFAULT_LOCALE;
+        this.listeners = [];
+        this.switcher = null;
+    }
+
+    /**
+     * Locales disponíveis
+     * @returns {string[]}
+     */
+    get locales() {
+        return Object.keys(this.catalogs);
+    }
+
+    /**
+     * Define o locale inicial e traduz o documento
+     */
+    init() {
+        this.applyLocale(this.detectLocale());
+    }
+
+    /**
+     * Escolhe o locale: escolha salva > navigator.language(s) > padrão
+     * @returns {string}
+     */
+    detectLocale() {
+        const storedLocale = this.getStoredLocale();
+        if (storedLocale) return storedLocale;
+
+        const preferred = typeof navigator !== 'undefined'
+            ? (navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language])
+            : [];
+
+        for (const language of preferred) {
+            const locale = this.resolveLocale(language);
+            if (locale) return locale;
+        }
+
+        return I18n.DEFAULT_LOCALE;
+    }
+
+    /**
+     * Converte uma tag de idioma (ex.: "en-US", "pt") para um locale suportado
+     * @param {string} language - Tag de idioma
+     * @returns {string|null}
+     */
+    resolveLocale(language) {
+        if (!language) return null;
+
+        const exact = this.locales.find(locale => locale.toLowerCase() === language.toLowerCase());
+        if (exact) return exact;
+
+        const base = language.split('-')[0].toLowerCase();
+        return this.locales.find(locale => locale.split('-')[0].toLowerCase() === base) || null;
+    }
+
+    /**
+     * Traduz uma chave do catálogo
+     * @param {string} key - Chave da mensagem
+     * @param {object} params - Valores para os marcadores {nome}
+     * @returns {string}
+     */
+    t(key, params = {}) {
+        const catalog = this.catalogs[this.locale] || {};
+        const fallback = this.catalogs[I18n.DEFAULT_LOCALE] || {};
+        const message = catalog[key] ?? fallback[key] ?? key;
+
+        return message.replace(/\{(\w+)\}/g, (match, name) => (
+            params[name] !== undefined ? String(params[name]) : match
+        ));
+    }
+
+    /**
+     * Resolve um valor de conteúdo que pode ter versões por locale
+     * @param {string|object} value - Texto simples ou { 'pt-BR': '...', en: '...' }
+     * @returns {*}
+     */
+    localize(value) {
+        if (!I18n.isLocalizedValue(value)) return value;
+
+        return value[this.locale] ?? value[I18n.DEFAULT_LOCALE] ?? Object.values(value)[0];
+    }
+
+    /**
+     * Resolve recursivamente todos os valores localizados de um conteúdo
+     * @param {*} content - Conteúdo do portfólio (ou parte dele)
+     * @returns {*} Cópia com textos no locale atual
+     */
+    localizeContent(content) {
+        if (I18n.isLocalizedValue(content)) return this.localize(content);
+        if (Array.isArray(content)) return content.map(item => this.localizeContent(item));
+
+        if (typeof content === 'object' && content !== null) {
+            return Object.fromEntries(
+                Object.entries(content).map(([key, value]) => [key, this.localizeContent(value)])
+            );
+        }
+
+        return content;
+    }
+
+    /**
+     * Formata uma data no formato AAAA-MM (ex.: "2025-02" -> "fev. de 2025")
+     * @param {string} value - Data AAAA-MM
+     * @returns {string}
+     */
+    formatMonth(value) {
+        const [year, month] = String(value).split('-').map(Number);
+        return new Intl.DateTimeFormat(this.locale, { month: 'short', year: 'numeric' })
+            .format(new Date(year, (month || 1) - 1));
+    }
+
+    /**
+     * Formata uma data no formato AAAA-MM-DD (ex.: "2025-03-08" -> "8 de mar. de 2025")
+     * @param {string} value - Data AAAA-MM-DD
+     * @returns {string}
+     */
+    formatDate(value) {
+        const [year, month, day] = String(value).split('-').map(Number);
+        return new Intl.DateTimeFormat(this.locale, { dateStyle: 'medium' })
+            .format(new Date(year, (month || 1) - 1, day || 1));
+    }
+
+    /**
+     * Nome de um idioma no locale atual (ex.: "en" -> "inglês")
+     * @param {string} language - Código do idioma
+     * @returns {string}
+     */
+    formatLanguage(language) {
+        try {
+            return new Intl.DisplayNames([this.locale], { type: 'language' }).of(language) || language;
+        } catch {
+            return language;
+        }
+    }
+
+    /**
+     * Altera o idioma, salva a escolha e notifica os interessados
+     * @param {string} locale - Locale desejado
+     */
+    setLocale(locale) {
+        const resolved = this.resolveLocale(locale);
+        if (!resolved || resolved === this.locale) return;
+
+        this.storeLocale(resolved);
+        this.applyLocale(resolved);
+        this.listeners.forEach(listener => listener(resolved));
+    }
+
+    /**
+     * Aplica o locale no documento
+     * @param {string} locale - Locale suportado
+     */
+    applyLocale(locale) {
+        this.locale = locale;
+
+        if (typeof document === 'undefined') return;
+
+        document.documentElement.lang = locale;
+        this.translateDocument();
+        this.updateSwitcher();
+    }
+
+    /**
+     * Registra callback para mudança de idioma
+     * @param {Function} listener - Recebe o novo locale
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Traduz elementos marcados com data-i18n (texto) e data-i18n-attr (atributos)
+     * Formato de data-i18n-attr: "atributo:chave;outro-atributo:outra.chave"
+     * @param {ParentNode} root - Raiz da tradução
+     */
+    translateDocument(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) element.setAttribute(attribute, this.t(key));
+            });
+        });
+    }
+
+    /**
+     * Cria o seletor de idioma
+     * @param {Element} container - Elemento que receberá o seletor
+     */
+    mountSwitcher(container) {
+        if (!container || this.switcher) return;
+
+        this.switcher = document.createElement('div');
+        this.switcher.className = 'language-switcher';
+        this.switcher.setAttribute('role', 'group');
+        this.switcher.dataset.i18nAttr = 'aria-label:language.label';
+
+        this.locales.forEach(locale => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'language-option';
+            button.lang = locale;
+            button.dataset.locale = locale;
+            button.textContent = locale.split('-')[0].toUpperCase();
+            button.setAttribute('aria-label', I18n.LOCALE_NAMES[locale] || locale);
+            button.addEventListener('click', () => {
+                this.setLocale(locale);
+            });
+            this.switcher.appendChild(button);
+        });
+
+        container.appendChild(this.switcher);
+        this.translateDocument(container);
+        this.updateSwitcher();
+    }
+
+    /**
+     * Sincroniza o seletor com o idioma atual
+     */
+    updateSwitcher() {
+        if (!this.switcher) return;
+
+        this.switcher.querySelectorAll('.language-option').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.locale === this.locale));
+        });
+    }
+
+    /**
+     * Lê o idioma salvo pelo usuário
+     * @returns {string|null}
+     */
+    getStoredLocale() {
+        try {
+            return this.resolveLocale(localStorage.getItem(I18n.STORAGE_KEY));
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Salva o idioma escolhido pelo usuário
+     * @param {string} locale - Locale escolhido
+     */
+    storeLocale(locale) {
+        try {
+            localStorage.setItem(I18n.STORAGE_KEY, locale);
+        } catch (error) {
+            console.warn(this.t('console.localeSaveError'), error);
+        }
+    }
+
+    /**
+     * Verifica se valor é um texto com versões por locale ({ 'pt-BR': '...', en: '...' })
+     * @param {*} value - Valor a verificar
+     * @returns {boolean}
+     */
+    static isLocalizedValue(value) {
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) return false;
+
+        const keys = Object.keys(value);
+        return keys.length > 0 && keys.every(key => /^[a-z]{2}(-[A-Z]{2})?$/.test(key));
+    }
+}
+
+// Exporta instância singleton
+const i18n = new I18n({ 'pt-BR': ptBR, en });
+export { I18n };
+export default i18n;
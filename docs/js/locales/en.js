@@ -0,0 +1,210 @@
+/**
+ * Catálogo de mensagens em inglês
+ */
+
+export default {
+    'document.title': 'Portfolio - {name}',
+    'language.label': 'Language',
+    'nav.label': 'Main navigation',
+    'nav.open': 'Open menu',
+    'nav.close': 'Close menu',
+    'theme.toDark': 'Switch to dark theme',
+    'theme.toLight': 'Switch to light theme',
+    'hero.greeting': 'Hi, I am {name}',
+    'hero.photoAlt': 'Profile picture',
+    'resume.download': 'Download résumé',
+    'resume.exportJson': 'Export JSON Resume',
+    'resume.documentTitle': 'Résumé - {name}',
+    'resume.portfolio': 'Portfolio',
+    'resume.summary': 'Summary',
+    'resume.experience': 'Work experience',
+    'resume.education': 'Education and courses',
+    'resume.certifications': 'Certifications',
+    'resume.projects': 'Projects',
+    'resume.skills': 'Skills',
+    'resume.interests': 'Interests',
+    'a11y.skipToContent': 'Skip to content',
+    'a11y.newTab': '(opens in a new tab)',
+    'a11y.projectAdded': 'Project added: {title}',
+    'analytics.notice': 'This site records anonymous visit statistics (sections viewed, projects opened and links followed), without cookies.',
+    'analytics.optedOut': 'Statistics are disabled in this browser.',
+    'analytics.optOut': 'Opt out',
+    'analytics.optIn': 'Opt back in',
+    'analytics.doNotTrack': 'Your browser asks not to be tracked (Do Not Track): no statistics are recorded.',
+    'update.available': 'New version available.',
+    'update.reload': 'Update',
+    'update.dismiss': 'Not now',
+    'editor.title': 'Content editor',
+    'editor.locale': 'Editing texts in {locale}; other translations are kept.',
+    'editor.undo': 'Undo',
+    'editor.redo': 'Redo',
+    'editor.export': 'Export JSON',
+    'editor.discard': 'Discard draft',
+    'editor.confirmDiscard': 'Discard all changes and go back to the published content?',
+    'editor.confirmRemove': 'Remove "{label}"?',
+    'editor.confirmStaleDraft': 'The published content changed after this draft was saved. Restore the draft anyway? Cancel discards the draft.',
+    'editor.noChanges': 'No changes from the published content.',
+    'editor.draftSaved': 'Draft saved on {time}. Export the JSON and commit it to publish.',
+    'editor.invalid': 'Change not applied:',
+    'editor.group.profile': 'Profile',
+    'editor.group.projects': 'Projects',
+    'editor.group.skills': 'Skills',
+    'editor.group.timeline': 'Journey',
+    'editor.add.projects': 'Add project',
+    'editor.add.skills': 'Add skill',
+    'editor.add.timeline': 'Add entry',
+    'editor.edit': 'Edit',
+    'editor.moveUp': 'Move up',
+    'editor.moveDown': 'Move down',
+    'editor.remove': 'Remove',
+    'editor.editItem': 'Edit "{label}"',
+    'editor.moveUpItem': 'Move "{label}" up',
+    'editor.moveDownItem': 'Move "{label}" down',
+    'editor.removeItem': 'Remove "{label}"',
+    'editor.save': 'Save',
+    'editor.cancel': 'Cancel',
+    'editor.none': '(none)',
+    'editor.field.name': 'Name',
+    'editor.field.summary': 'Summary',
+    'editor.field.title': 'Title',
+    'editor.field.description': 'Description',
+    'editor.field.link': 'Link',
+    'editor.field.repository': 'Repository',
+    'editor.field.technologies': 'Technologies',
+    'editor.field.contributions': 'Contributions',
+    'editor.field.category': 'Category',
+    'editor.field.level': 'Level',
+    'editor.field.years': 'Years of experience',
+    'editor.field.type': 'Type',
+    'editor.field.institution': 'Institution',
+    'editor.field.startDate': 'Start',
+    'editor.field.endDate': 'End',
+    'editor.field.current': 'In progress',
+    'editor.hint.list': 'Comma-separated',
+    'editor.hint.lines': 'One per line',
+    'editor.hint.month': 'Format YYYY-MM',
+    'blog.title': 'Articles',
+    'blog.feed': 'Subscribe to the feed (Atom)',
+    'blog.feedTitle': 'Articles by {name}',
+    'blog.filterLabel': 'Filter articles by tag',
+    'blog.allTags': 'All',
+    'blog.paginationLabel': 'Article pages',
+    'blog.previous': 'Previous page',
+    'blog.next': 'Next page',
+    'blog.page': 'Page {page} of {total}',
+    'blog.inLanguage': 'In {language}',
+    'blog.back': 'Back to articles',
+    'blog.empty': 'No articles published yet.',
+    'blog.loadError': 'Could not load the articles.',
+    'router.documentTitle': '{title} | {site}',
+    'router.notFoundTitle': 'Page not found',
+    'router.notFoundText': 'The address you opened does not match any project, skill or article in this portfolio.',
+    'router.backHome': 'Back to the top',
+    'projects.title': 'My Projects',
+    'projects.contributions': 'My Contributions:',
+    'projects.viewProject': 'View Project',
+    'projects.details': 'View details',
+    'github.label': 'GitHub repository stats',
+    'github.stars': 'Stars',
+    'github.lastCommit': 'Last commit',
+    'github.languages': 'Languages',
+    'github.openIssues': 'Open issues and PRs',
+    'filter.searchLabel': 'Search projects',
+    'filter.searchPlaceholder': 'Search by title, description or contribution',
+    'filter.techGroupLabel': 'Filter by technology',
+    'filter.clear': 'Clear filters',
+    'filter.results': '{visible} of {total} project(s) found',
+    'filter.empty': 'No projects match these filters.',
+    'modal.close': 'Close',
+    'modal.role': 'Role',
+    'modal.period': 'Period',
+    'modal.present': 'present',
+    'modal.teamSize': 'Team',
+    'modal.teamMembers': '{count} people',
+    'modal.gallery': 'Screenshots',
+    'modal.previous': 'Previous image',
+    'modal.next': 'Next image',
+    'modal.imageCounter': '{current} of {total}',
+    'modal.repository': 'Repository',
+    'modal.demo': 'Live demo',
+    'skills.title': 'My Skills',
+    'skills.category.frontend': 'Front-end',
+    'skills.category.backend': 'Back-end',
+    'skills.category.database': 'Databases',
+    'skills.category.devops': 'DevOps & tools',
+    'skills.category.other': 'Other',
+    'skills.level.beginner': 'beginner',
+    'skills.level.intermediate': 'intermediate',
+    'skills.level.advanced': 'advanced',
+    'skills.levelLabel': 'Level: {level} ({value} of {max})',
+    'skills.years': '{count} yr(s)',
+    'skills.usedIn': 'Projects using {skill}',
+    'skills.noProjects': 'No published project uses {skill} yet.',
+    'skills.filterProjects': 'Filter projects by this skill',
+    'timeline.title': 'Journey',
+    'timeline.filterLabel': 'Filter journey by type',
+    'timeline.all': 'All',
+    'timeline.type.education': 'Education',
+    'timeline.type.job': 'Experience',
+    'timeline.type.course': 'Course',
+    'timeline.type.certification': 'Certification',
+    'timeline.current': 'Ongoing',
+    'timeline.present': 'present',
+    'timeline.credential': 'View credential',
+    'info.title': 'Other Information',
+    'info.education': 'Education',
+    'info.hobbies': 'Hobbies & Interests',
+    'info.completion': 'Expected completion',
+    'contact.title': 'Contact',
+    'contactForm.title': 'Send a message',
+    'contactForm.name': 'Name',
+    'contactForm.email': 'Email',
+    'contactForm.subject': 'Subject',
+    'contactForm.message': 'Message',
+    'contactForm.submit': 'Send message',
+    'contactForm.sending': 'Sending...',
+    'contactForm.success.sent': 'Message sent! I will reply soon.',
+    'contactForm.success.handoff': 'Your email app was opened with the message ready to send.',
+    'contactForm.error.required': 'Please fill in this field.',
+    'contactForm.error.email': 'Please enter a valid email.',
+    'contactForm.error.messageTooShort': 'The message must be at least 10 characters long.',
+    'contactForm.error.invalid': 'Please fix the highlighted fields before sending.',
+    'contactForm.error.tooFast': 'Sent too quickly. Please wait a few seconds and try again.',
+    'contactForm.error.notConfigured': 'Messaging is not configured. Please use the contact links above.',
+    'contactForm.error.network': 'Could not connect. Check your connection and try again.',
+    'contactForm.error.server': 'Could not send the message. Please try again later.',
+    'console.initialized': 'Portfolio initialized successfully!',
+    'console.initError': 'Error initializing portfolio:',
+    'console.sectionError': 'Error initializing section {name}:',
+    'console.contentError': 'Error loading portfolio content:',
+    'console.renderError': 'Error rendering content for section {name}:',
+    'console.postsLoadError': 'Could not load the articles:',
+    'console.postLoadError': 'Could not load article "{id}":',
+    'console.placeholderLink': 'Project {index} clicked - Configure the real link',
+    'console.contactFormNotConfigured': 'Contact form hidden: set {field} in PortfolioConfig.contactForm',
+    'console.contactFormError': 'Error creating contact form:',
+    'console.contactSendError': 'Error sending contact form:',
+    'console.configLoadError': 'Could not load {url}:',
+    'console.configIgnored': 'Setting ignored ({source}): {path} {reason}',
+    'console.configNotUrlKey': 'Setting ignored ({source}): {path} is not a presentation key',
+    'console.configNotObject': 'Setting ignored ({source}): {path} must be an object',
+    'console.configUnknownKey': 'Setting ignored ({source}): unknown key "{path}"',
+    'console.configRoot': 'root',
+    'console.configUnparsable': '"{raw}" is not {type}',
+    'console.configWrongType': 'must be {type} (got: {value})',
+    'console.configNotOption': 'must be one of: {options}',
+    'console.configNotValueKey': 'is not a value key',
+    'console.preferenceIgnored': 'Preference ignored: {path} {reason}',
+    'console.preferencesSaveError': 'Could not save preferences:',
+    'console.analyticsPreferenceError': 'Could not save the analytics preference:',
+    'console.analyticsSendError': 'Failed to send analytics event:',
+    'console.analyticsStoreError': 'Could not store the analytics event:',
+    'console.routeError': 'Failed to open route {route}:',
+    'console.fallbackRoute': 'fallback',
+    'console.sectionMissingDependencies': 'Section "{name}" skipped: missing dependencies ({dependencies})',
+    'console.sectionSkippedDependency': 'Section "{name}" skipped: one of its dependencies was skipped',
+    'console.serviceWorkerError': 'Could not register the service worker:',
+    'console.localeSaveError': 'Could not save the language preference:',
+    'console.editorDraftInvalid': 'Invalid editor draft, discarded:',
+    'console.editorDraftSaveError': 'Could not save the editor draft:'
+};
@@ -0,0 +1,210 @@
+/**
+ * Catálogo de mensagens em português (Brasil)
+ */
+
+export default {
+    'document.title': 'Portfólio - {name}',
+    'language.label': 'Idioma',
+    'nav.label': 'Navegação principal',
+    'nav.open': 'Abrir menu',
+    'nav.close': 'Fechar menu',
+    'theme.toDark': 'Ativar tema escuro',
+    'theme.toLight': 'Ativar tema claro',
+    'hero.greeting': 'Olá, eu sou {name}',
+    'hero.photoAlt': 'Foto de Perfil',
+    'resume.download': 'Baixar currículo',
+    'resume.exportJson': 'Exportar JSON Resume',
+    'resume.documentTitle': 'Currículo - {name}',
+    'resume.portfolio': 'Portfólio',
+    'resume.summary': 'Resumo',
+    'resume.experience': 'Experiência profissional',
+    'resume.education': 'Formação e cursos',
+    'resume.certifications': 'Certificações',
+    'resume.projects': 'Projetos',
+    'resume.skills': 'Habilidades',
+    'resume.interests': 'Interesses',
+    'a11y.skipToContent': 'Pular para o conteúdo',
+    'a11y.newTab': '(abre em nova aba)',
+    'a11y.projectAdded': 'Projeto adicionado: {title}',
+    'analytics.notice': 'Este site registra estatísticas anônimas de visitas (seções vistas, projetos abertos e links acessados), sem cookies.',
+    'analytics.optedOut': 'Estatísticas desativadas neste navegador.',
+    'analytics.optOut': 'Não participar',
+    'analytics.optIn': 'Voltar a participar',
+    'analytics.doNotTrack': 'Seu navegador pede para não ser rastreado (Do Not Track): nenhuma estatística é registrada.',
+    'update.available': 'Nova versão disponível.',
+    'update.reload': 'Atualizar',
+    'update.dismiss': 'Agora não',
+    'editor.title': 'Editor de conteúdo',
+    'editor.locale': 'Editando os textos em {locale}; as outras traduções são mantidas.',
+    'editor.undo': 'Desfazer',
+    'editor.redo': 'Refazer',
+    'editor.export': 'Exportar JSON',
+    'editor.discard': 'Descartar rascunho',
+    'editor.confirmDiscard': 'Descartar todas as alterações e voltar ao conteúdo publicado?',
+    'editor.confirmRemove': 'Remover "{label}"?',
+    'editor.confirmStaleDraft': 'O conteúdo publicado mudou depois que o rascunho foi salvo. Restaurar o rascunho mesmo assim? Cancelar descarta o rascunho.',
+    'editor.noChanges': 'Sem alterações em relação ao conteúdo publicado.',
+    'editor.draftSaved': 'Rascunho salvo em {time}. Exporte o JSON e faça o commit para publicar.',
+    'editor.invalid': 'Alteração não aplicada:',
+    'editor.group.profile': 'Perfil',
+    'editor.group.projects': 'Projetos',
+    'editor.group.skills': 'Habilidades',
+    'editor.group.timeline': 'Trajetória',
+    'editor.add.projects': 'Adicionar projeto',
+    'editor.add.skills': 'Adicionar habilidade',
+    'editor.add.timeline': 'Adicionar item',
+    'editor.edit': 'Editar',
+    'editor.moveUp': 'Subir',
+    'editor.moveDown': 'Descer',
+    'editor.remove': 'Remover',
+    'editor.editItem': 'Editar "{label}"',
+    'editor.moveUpItem': 'Subir "{label}"',
+    'editor.moveDownItem': 'Descer "{label}"',
+    'editor.removeItem': 'Remover "{label}"',
+    'editor.save': 'Salvar',
+    'editor.cancel': 'Cancelar',
+    'editor.none': '(nenhum)',
+    'editor.field.name': 'Nome',
+    'editor.field.summary': 'Resumo',
+    'editor.field.title': 'Título',
+    'editor.field.description': 'Descrição',
+    'editor.field.link': 'Link',
+    'editor.field.repository': 'Repositório',
+    'editor.field.technologies': 'Tecnologias',
+    'editor.field.contributions': 'Contribuições',
+    'editor.field.category': 'Categoria',
+    'editor.field.level': 'Nível',
+    'editor.field.years': 'Anos de experiência',
+    'editor.field.type': 'Tipo',
+    'editor.field.institution': 'Instituição',
+    'editor.field.startDate': 'Início',
+    'editor.field.endDate': 'Fim',
+    'editor.field.current': 'Em andamento',
+    'editor.hint.list': 'Separadas por vírgula',
+    'editor.hint.lines': 'Uma por linha',
+    'editor.hint.month': 'Formato AAAA-MM',
+    'blog.title': 'Artigos',
+    'blog.feed': 'Assinar o feed (Atom)',
+    'blog.feedTitle': 'Artigos de {name}',
+    'blog.filterLabel': 'Filtrar artigos por tag',
+    'blog.allTags': 'Todos',
+    'blog.paginationLabel': 'Páginas de artigos',
+    'blog.previous': 'Página anterior',
+    'blog.next': 'Próxima página',
+    'blog.page': 'Página {page} de {total}',
+    'blog.inLanguage': 'Em {language}',
+    'blog.back': 'Voltar para os artigos',
+    'blog.empty': 'Nenhum artigo publicado ainda.',
+    'blog.loadError': 'Não foi possível carregar os artigos.',
+    'router.documentTitle': '{title} | {site}',
+    'router.notFoundTitle': 'Página não encontrada',
+    'router.notFoundText': 'O endereço aberto não corresponde a nenhum projeto, habilidade ou artigo do portfólio.',
+    'router.backHome': 'Voltar para o início',
+    'projects.title': 'Meus Projetos',
+    'projects.contributions': 'Minhas Contribuições:',
+    'projects.viewProject': 'Ver Projeto',
+    'projects.details': 'Ver detalhes',
+    'github.label': 'Estatísticas do repositório no GitHub',
+    'github.stars': 'Estrelas',
+    'github.lastCommit': 'Último commit',
+    'github.languages': 'Linguagens',
+    'github.openIssues': 'Issues e PRs abertos',
+    'filter.searchLabel': 'Buscar projetos',
+    'filter.searchPlaceholder': 'Buscar por título, descrição ou contribuição',
+    'filter.techGroupLabel': 'Filtrar por tecnologia',
+    'filter.clear': 'Limpar filtros',
+    'filter.results': '{visible} de {total} projeto(s) encontrado(s)',
+    'filter.empty': 'Nenhum projeto encontrado com esses filtros.',
+    'modal.close': 'Fechar',
+    'modal.role': 'Função',
+    'modal.period': 'Período',
+    'modal.present': 'atual',
+    'modal.teamSize': 'Equipe',
+    'modal.teamMembers': '{count} pessoas',
+    'modal.gallery': 'Capturas de tela',
+    'modal.previous': 'Imagem anterior',
+    'modal.next': 'Próxima imagem',
+    'modal.imageCounter': '{current} de {total}',
+    'modal.repository': 'Repositório',
+    'modal.demo': 'Demonstração',
+    'skills.title': 'Minhas Habilidades',
+    'skills.category.frontend': 'Front-end',
+    'skills.category.backend': 'Back-end',
+    'skills.category.database': 'Banco de dados',
+    'skills.category.devops': 'DevOps e ferramentas',
+    'skills.category.other': 'Outras',
+    'skills.level.beginner': 'básico',
+    'skills.level.intermediate': 'intermediário',
+    'skills.level.advanced': 'avançado',
+    'skills.levelLabel': 'Nível {level} ({value} de {max})',
+    'skills.years': '{count} ano(s)',
+    'skills.usedIn': 'Projetos que usam {skill}',
+    'skills.noProjects': 'Nenhum projeto publicado usa {skill} ainda.',
+    'skills.filterProjects': 'Filtrar projetos por esta habilidade',
+    'timeline.title': 'Trajetória',
+    'timeline.filterLabel': 'Filtrar trajetória por tipo',
+    'timeline.all': 'Todos',
+    'timeline.type.education': 'Formação',
+    'timeline.type.job': 'Experiência',
+    'timeline.type.course': 'Curso',
+    'timeline.type.certification': 'Certificação',
+    'timeline.current': 'Em andamento',
+    'timeline.present': 'atual',
+    'timeline.credential': 'Ver credencial',
+    'info.title': 'Outras Informações',
+    'info.education': 'Formação Acadêmica',
+    'info.hobbies': 'Hobbies & Interesses',
+    'info.completion': 'Conclusão',
+    'contact.title': 'Contatos',
+    'contactForm.title': 'Envie uma mensagem',
+    'contactForm.name': 'Nome',
+    'contactForm.email': 'E-mail',
+    'contactForm.subject': 'Assunto',
+    'contactForm.message': 'Mensagem',
+    'contactForm.submit': 'Enviar mensagem',
+    'contactForm.sending': 'Enviando...',
+    'contactForm.success.sent': 'Mensagem enviada! Responderei em breve.',
+    'contactForm.success.handoff': 'Seu aplicativo de e-mail foi aberto com a mensagem pronta para envio.',
+    'contactForm.error.required': 'Preencha este campo.',
+    'contactForm.error.email': 'Informe um e-mail válido.',
+    'contactForm.error.messageTooShort': 'A mensagem deve ter pelo menos 10 caracteres.',
+    'contactForm.error.invalid': 'Corrija os campos destacados antes de enviar.',
+    'contactForm.error.tooFast': 'Envio muito rápido. Aguarde alguns segundos e tente novamente.',
+    'contactForm.error.notConfigured': 'O envio de mensagens não está configurado. Use os links de contato acima.',
+    'contactForm.error.network': 'Não foi possível conectar. Verifique sua conexão e tente novamente.',
+    'contactForm.error.server': 'Não foi possível enviar a mensagem. Tente novamente mais tarde.',
+    'console.initialized': 'Portfólio inicializado com sucesso!',
+    'console.initError': 'Erro ao inicializar portfólio:',
+    'console.sectionError': 'Erro ao inicializar seção {name}:',
+    'console.contentError': 'Erro ao carregar conteúdo do portfólio:',
+    'console.renderError': 'Erro ao renderizar o conteúdo da seção {name}:',
+    'console.postsLoadError': 'Não foi possível carregar os artigos:',
+    'console.postLoadError': 'Não foi possível carregar o artigo "{id}":',
+    'console.placeholderLink': 'Projeto {index} clicado - Configure o link real',
+    'console.contactFormNotConfigured': 'Formulário de contato oculto: configure {field} em PortfolioConfig.contactForm',
+    'console.contactFormError': 'Erro ao criar formulário de contato:',
+    'console.contactSendError': 'Erro ao enviar formulário de contato:',
+    'console.configLoadError': 'Não foi possível carregar {url}:',
+    'console.configIgnored': 'Configuração ignorada ({source}): {path} {reason}',
+    'console.configNotUrlKey': 'Configuração ignorada ({source}): {path} não é uma chave de apresentação',
+    'console.configNotObject': 'Configuração ignorada ({source}): {path} deve ser um objeto',
+    'console.configUnknownKey': 'Configuração ignorada ({source}): chave desconhecida "{path}"',
+    'console.configRoot': 'raiz',
+    'console.configUnparsable': '"{raw}" não é {type}',
+    'console.configWrongType': 'deve ser {type} (recebido: {value})',
+    'console.configNotOption': 'deve ser um de: {options}',
+    'console.configNotValueKey': 'não é uma chave de valor',
+    'console.preferenceIgnored': 'Preferência ignorada: {path} {reason}',
+    'console.preferencesSaveError': 'Não foi possível salvar as preferências:',
+    'console.analyticsPreferenceError': 'Não foi possível salvar a preferência de analytics:',
+    'console.analyticsSendError': 'Falha ao enviar evento de analytics:',
+    'console.analyticsStoreError': 'Não foi possível salvar o evento de analytics:',
+    'console.routeError': 'Falha ao abrir a rota {route}:',
+    'console.fallbackRoute': 'de fallback',
+    'console.sectionMissingDependencies': 'Seção "{name}" ignorada: dependências indisponíveis ({dependencies})',
+    'console.sectionSkippedDependency': 'Seção "{name}" ignorada: uma dependência foi ignorada',
+    'console.serviceWorkerError': 'Não foi possível registrar o service worker:',
+    'console.localeSaveError': 'Não foi possível salvar a preferência de idioma:',
+    'console.editorDraftInvalid': 'Rascunho do editor inválido, descartado:',
+    'console.editorDraftSaveError': 'Não foi possível salvar o rascunho do editor:'
+};
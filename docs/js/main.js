@@ -1,5 +1,19 @@
-import { HeroSection, ProjectsSection, SkillsSection, AdditionalInfoSection, ContactSection } from './sections.js';
-import { DOMUtils, ScrollUtils } from './utils.js';
+import { HeroSection, ProjectsSection, BlogSection, SkillsSection, TimelineSection, AdditionalInfoSection, ContactSection } from './sections.js';
+import { DOMUtils, A11yUtils, ScrollUtils, ValidationUtils } from './utils.js';
+import { ContentLoader } from './content.js';
+import { ThemeManager } from './theme.js';
+import { NavigationMenu } from './navigation.js';
+import { GitHubProvider } from './github.js';
+import { SectionRegistry } from './section-registry.js';
+import { Resume } from './resume.js';
+import { SeoMetadata } from './seo.js';
+import { Analytics } from './analytics.js';
+import { createAnalyticsSink } from './analytics-sinks.js';
+import { ServiceWorkerManager } from './service-worker.js';
+import { ContentEditor, EditorPanel } from './editor.js';
+import { HashRouter } from './router.js';
+import eventBus, { PortfolioEvents } from './event-bus.js';
+import i18n from './i18n.js';
 import portfolioConfig from './config.js';
 
 /**
@@ -8,6 +22,20 @@ import portfolioConfig from './config.js';
 class PortfolioApp {
     constructor() {
         this.sections = new Map();
+        this.registry = new SectionRegistry();
+        this.sectionsInitialized = false;
+        this.content = null;
+        this.themeManager = new ThemeManager();
+        this.navigation = null;
+        this.resume = new Resume();
+        // Título fora das rotas; as visões (#/posts/id...) acrescentam o próprio título a ele
+        this.documentTitle = document.title;
+        this.router = new HashRouter({ baseTitle: () => this.documentTitle });
+        // Criados em init(), depois de carregar a configuração
+        this.analytics = null;
+        this.serviceWorker = null;
+        this.githubProvider = null;
+        this.editor = null;
         this.isInitialized = false;
     }
     
@@ -19,14 +47,26 @@ class PortfolioApp {
         
         try {
             await this.waitForDOM();
+            await this.loadConfig();
+            this.setupI18n();
+            this.setupAnalytics();
+            this.setupTheme();
+            this.registerBuiltInSections();
             this.initializeSections();
+            this.setupNavigation();
+            this.resume.mount(DOMUtils.querySelector('.hero-actions'));
             this.setupGlobalEventListeners();
             this.setupScrollBehavior();
+            await this.loadContent();
+            this.setupEditor();
+            this.setupRouter();
+            this.handleHashChange();
+            this.setupServiceWorker();
             this.isInitialized = true;
             
-            console.log('Portfólio inicializado com sucesso!');
+            console.log(i18n.t('console.initialized'));
         } catch (error) {
-            console.error('Erro ao inicializar portfólio:', error);
+            console.error(i18n.t('console.initError'), error);
         }
     }
     
@@ -44,27 +84,353 @@ class PortfolioApp {
     }
     
     /**
-     * Inicializa todas as seções
+     * Define o idioma inicial e adiciona o seletor de idioma na navegação
+     */
+    setupI18n() {
+        i18n.init();
+        i18n.mountSwitcher(DOMUtils.querySelector('header nav'));
+        i18n.onChange(() => {
+            this.handleLocaleChange();
+        });
+    }
+    
+    /**
+     * Carrega as camadas de configuração e reage às mudanças feitas depois
+     */
+    async loadConfig() {
+        await portfolioConfig.load();
+        
+        this.githubProvider = new GitHubProvider({
+            baseUrl: portfolioConfig.github.apiBaseUrl,
+            cacheTtl: portfolioConfig.github.cacheTtl
+        });
+        
+        this.applyAnimationPreference();
+        portfolioConfig.subscribe('animations.enabled', () => {
+            this.applyAnimationPreference();
+        });
+    }
+    
+    /**
+     * Desliga as animações de CSS quando a configuração pede (?animations=off, data-animations...)
+     * A preferência do sistema por movimento reduzido já é tratada no próprio CSS
+     */
+    applyAnimationPreference() {
+        document.documentElement.classList.toggle('no-animations', !portfolioConfig.animations.enabled);
+    }
+    
+    /**
+     * Liga o analytics ao barramento de eventos e exibe o aviso de privacidade no rodapé
+     * Precisa vir antes das seções para não perder os primeiros eventos
+     */
+    setupAnalytics() {
+        this.analytics = new Analytics({ sink: createAnalyticsSink(portfolioConfig.analytics) });
+        this.analytics.applyQueryPreference();
+        this.analytics.start();
+        this.analytics.mountNotice(DOMUtils.querySelector('.site-footer'));
+    }
+    
+    /**
+     * Registra o service worker (cache offline e aviso de nova versão)
+     * Fica para depois do conteúdo para não disputar a rede com a primeira renderização
+     */
+    setupServiceWorker() {
+        if (!portfolioConfig.serviceWorker.enabled) return;
+        
+        this.serviceWorker = new ServiceWorkerManager({ url: portfolioConfig.serviceWorker.url });
+        this.serviceWorker.register();
+    }
+    
+    /**
+     * Abre o editor de conteúdo quando a página é aberta com ?edit
+     * As alterações ficam como rascunho no navegador até serem exportadas
+     */
+    setupEditor() {
+        if (!ContentEditor.isRequested() || !this.content) return;
+        
+        this.editor = new ContentEditor(this.content, {
+            onChange: (content) => this.setContent(content)
+        });
+        this.editor.restoreDraft();
+        
+        new EditorPanel(this.editor).mount(document.body);
+    }
+    
+    /**
+     * Define a visão de rota desconhecida (#/qualquer-coisa, projeto ou artigo inexistente)
+     * As rotas das seções são registradas por cada seção em registerRoutes
+     */
+    setupRouter() {
+        const view = DOMUtils.querySelector('#not-found');
+        if (!view) return;
+        
+        this.router.setFallback({
+            enter: () => {
+                view.hidden = false;
+            },
+            leave: () => {
+                view.hidden = true;
+            },
+            title: () => i18n.t('router.notFoundTitle'),
+            scrollTo: () => '#not-found',
+            focus: () => view
+        });
+    }
+    
+    /**
+     * Aplica o tema inicial e adiciona o seletor de tema na navegação
+     */
+    setupTheme() {
+        this.themeManager.init();
+        this.themeManager.mountToggle(DOMUtils.querySelector('header nav'));
+    }
+    
+    /**
+     * Registra as seções nativas do portfólio
+     */
+    registerBuiltInSections() {
+        this.registerSection('hero', HeroSection, { order: 10 });
+        this.registerSection('projects', ProjectsSection, { order: 20 });
+        this.registerSection('blog', BlogSection, { order: 25 });
+        this.registerSection('skills', SkillsSection, { order: 30 });
+        this.registerSection('timeline', TimelineSection, { order: 35 });
+        this.registerSection('additional-info', AdditionalInfoSection, { order: 40 });
+        this.registerSection('contact', ContactSection, { order: 50 });
+    }
+    
+    /**
+     * Registra uma seção (também funciona depois da inicialização)
+     * @param {string} name - Nome único da seção
+     * @param {Function} SectionClass - Classe da seção (subclasse de BaseSection)
+     * @param {object} options - Ver SectionRegistry.register
+     * @returns {PortfolioApp}
+     */
+    registerSection(name, SectionClass, options = {}) {
+        const definition = this.registry.register(name, SectionClass, options);
+        
+        if (this.sectionsInitialized) {
+            const isResolved = this.registry.resolve().includes(definition);
+            if (isResolved && this.initializeSection(definition)) {
+                this.handleSectionAdded(this.getSection(name));
+            }
+        }
+        
+        return this;
+    }
+    
+    /**
+     * Inicializa todas as seções registradas e habilitadas, respeitando dependências
      */
     initializeSections() {
-        // Dependency Injection Pattern
-        const sectionClasses = [
-            { name: 'hero', class: HeroSection },
-            { name: 'projects', class: ProjectsSection },
-            { name: 'skills', class: SkillsSection },
-            { name: 'additional-info', class: AdditionalInfoSection },
-            { name: 'contact', class: ContactSection }
-        ];
-        
-        sectionClasses.forEach(({ name, class: SectionClass }) => {
-            try {
-                const section = new SectionClass();
-                section.init();
-                this.sections.set(name, section);
-            } catch (error) {
-                console.warn(`Erro ao inicializar seção ${name}:`, error);
+        this.registry.resolve().forEach(definition => this.initializeSection(definition));
+        this.sectionsInitialized = true;
+    }
+    
+    /**
+     * Cria a marcação (se necessário) e inicializa uma seção
+     * @param {object} definition - Definição registrada da seção
+     * @returns {boolean} Se a seção foi inicializada
+     */
+    initializeSection(definition) {
+        try {
+            this.registry.ensureElement(definition);
+            
+            const section = new definition.SectionClass();
+            section.init();
+            section.registerRoutes(this.router);
+            this.sections.set(definition.name, section);
+            return true;
+        } catch (error) {
+            console.warn(i18n.t('console.sectionError', { name: definition.name }), error);
+            return false;
+        }
+    }
+    
+    /**
+     * Integra ao menu e ao conteúdo uma seção registrada após a inicialização
+     * @param {BaseSection} section - Seção recém-inicializada
+     */
+    handleSectionAdded(section) {
+        if (this.navigation) {
+            this.navigation.refresh(this.sections);
+            this.navigation.updateActiveLink(ScrollUtils.getScrollPosition());
+        }
+        
+        if (this.content && typeof section.renderContent === 'function') {
+            this.renderSectionContent(section, i18n.localizeContent(this.content));
+        }
+    }
+    
+    /**
+     * Gera o menu de navegação a partir das seções inicializadas
+     */
+    setupNavigation() {
+        this.navigation = new NavigationMenu(DOMUtils.querySelector('header nav'));
+        this.navigation.build(this.sections);
+        this.navigation.updateActiveLink(ScrollUtils.getScrollPosition());
+    }
+    
+    /**
+     * Carrega o conteúdo do portfólio e o distribui entre as seções
+     */
+    async loadContent() {
+        try {
+            const loader = new ContentLoader(portfolioConfig.content.url);
+            this.content = await loader.load();
+            this.renderContent(this.content);
+        } catch (error) {
+            console.error(i18n.t('console.contentError'), error);
+        }
+    }
+    
+    /**
+     * Renderiza o conteúdo nas seções correspondentes
+     * @param {object} content - Conteúdo validado do portfólio
+     */
+    renderContent(content) {
+        const localized = i18n.localizeContent(content);
+        const isHydrating = this.prepareHydration();
+        
+        this.documentTitle = i18n.t('document.title', { name: localized.profile.name });
+        document.title = this.documentTitle;
+        SeoMetadata.apply(localized, portfolioConfig.seo);
+        this.updateUserData(localized.profile);
+        
+        (localized.projects || []).forEach(project => this.addProject(project, { announce: false }));
+        
+        // Habilidades ligam-se aos projetos já adicionados (com slug garantido)
+        const projectsSection = this.getSection('projects');
+        const skillsSection = this.getSection('skills');
+        if (skillsSection) {
+            skillsSection.setProjects(projectsSection ? projectsSection.projects.map(({ data }) => data) : []);
+        }
+        (localized.skills || []).forEach(skill => this.addSkill(skill));
+        
+        const additionalInfoSection = this.getSection('additional-info');
+        if (additionalInfoSection) {
+            additionalInfoSection.renderEducation(localized.education || []);
+            additionalInfoSection.renderHobbies(localized.hobbies || []);
+        }
+        
+        const contactSection = this.getSection('contact');
+        if (contactSection) {
+            contactSection.renderContacts(localized.contacts || []);
+        }
+        
+        // Seções registradas por extensões recebem o conteúdo completo
+        this.sections.forEach(section => {
+            if (typeof section.renderContent === 'function') {
+                this.renderSectionContent(section, localized);
             }
         });
+        
+        if (isHydrating) {
+            if (projectsSection) projectsSection.removeStaleCards();
+            if (skillsSection) skillsSection.removeStaleTags();
+        }
+        
+        this.resume.render(localized);
+        this.loadRepositoryStats();
+    }
+    
+    /**
+     * Entrega o conteúdo a uma seção; falhas de seções assíncronas (ex.: blog) vão para o console
+     * Se a seção passar a ficar oculta ou visível (ex.: blog sem posts), o menu é refeito
+     * @param {BaseSection} section - Seção com renderContent
+     * @param {object} content - Conteúdo localizado
+     * @returns {Promise<void>}
+     */
+    renderSectionContent(section, content) {
+        const isHidden = () => Boolean(section.element && section.element.hidden);
+        const wasHidden = isHidden();
+        
+        return Promise.resolve(section.renderContent(content)).then(() => {
+            if (!this.navigation || isHidden() === wasHidden) return;
+            
+            this.navigation.refresh(this.sections);
+            this.navigation.updateActiveLink(ScrollUtils.getScrollPosition());
+        }).catch(error => {
+            console.warn(i18n.t('console.renderError', { name: section.sectionId }), error);
+        });
+    }
+    
+    /**
+     * Prepara a hidratação do HTML pré-renderizado (scripts/prerender.mjs)
+     * No mesmo idioma, cards e tags existentes são reaproveitados; em outro idioma, são descartados
+     * @returns {boolean} Se a página veio pré-renderizada
+     */
+    prepareHydration() {
+        const root = document.documentElement;
+        const prerenderedLocale = root.dataset.prerendered;
+        if (!prerenderedLocale) return false;
+        
+        delete root.dataset.prerendered;
+        
+        if (prerenderedLocale !== i18n.locale) {
+            DOMUtils.querySelectorAll('.projects-grid .project-card, .skills-grid .skill-category').forEach(element => element.remove());
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Enriquece os cards com dados do GitHub sem bloquear a página
+     * Falhas (API fora do ar, limite de requisições) apenas mantêm o card sem estatísticas
+     */
+    loadRepositoryStats() {
+        const projectsSection = this.getSection('projects');
+        if (!projectsSection) return;
+        
+        projectsSection.projects.forEach(({ data }) => {
+            const repository = GitHubProvider.parseRepositoryUrl(data.repository || data.link);
+            if (!repository) return;
+            
+            this.githubProvider.getRepositoryStats(repository.owner, repository.repo)
+                .then(stats => projectsSection.renderRepositoryStats(data.slug, stats))
+                .catch(() => {});
+        });
+    }
+    
+    /**
+     * Renderiza novamente o conteúdo e os textos da interface no novo idioma
+     */
+    handleLocaleChange() {
+        this.themeManager.updateToggle();
+        
+        if (this.navigation) {
+            this.navigation.updateToggleLabel();
+        }
+        
+        if (!this.content) return;
+        
+        this.refreshContent();
+        this.handleHashChange();
+    }
+    
+    /**
+     * Substitui o conteúdo do portfólio e renderiza novamente as seções
+     * @param {object} content - Conteúdo validado do portfólio
+     */
+    setContent(content) {
+        this.content = content;
+        this.refreshContent();
+    }
+    
+    /**
+     * Descarta projetos e habilidades renderizados e renderiza o conteúdo atual
+     */
+    refreshContent() {
+        const projectsSection = this.getSection('projects');
+        if (projectsSection) {
+            projectsSection.clearProjects();
+        }
+        
+        const skillsSection = this.getSection('skills');
+        if (skillsSection) {
+            skillsSection.clearSkills();
+        }
+        
+        this.renderContent(this.content);
     }
     
     /**
@@ -86,6 +452,31 @@ class PortfolioApp {
         mediaQuery.addEventListener('change', () => {
             this.handleMotionPreferenceChange(mediaQuery.matches);
         });
+        
+        // Listener para as rotas (#/projects/slug...), inclui voltar/avançar do navegador
+        window.addEventListener('hashchange', () => {
+            this.handleHashChange();
+        });
+        
+        // Listener para seleção de habilidades (filtra projetos pela tecnologia)
+        const skillsSection = this.getSection('skills');
+        if (skillsSection && skillsSection.element) {
+            skillsSection.element.addEventListener('skill-select', (e) => {
+                this.handleSkillSelect(e.detail.skill);
+            });
+        }
+        
+        // Listener para cliques em links externos (projetos, contatos, GitHub...)
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('a[href]');
+            if (link) this.handleLinkClick(link);
+        });
+        
+        // Listener para mudanças de tema do sistema operacional
+        const colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+        colorSchemeQuery.addEventListener('change', () => {
+            this.handleColorSchemeChange(colorSchemeQuery.matches);
+        });
     }
     
     /**
@@ -93,14 +484,26 @@ class PortfolioApp {
      */
     setupScrollBehavior() {
         if (portfolioConfig.scroll.smooth) {
-            // Adiciona scroll suave para links internos
-            const internalLinks = DOMUtils.querySelectorAll('a[href^="#"]');
-            internalLinks.forEach(link => {
-                link.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    const targetId = link.getAttribute('href').substring(1);
-                    ScrollUtils.smoothScrollTo(`#${targetId}`, portfolioConfig.scroll.offset);
-                });
+            // Adiciona scroll suave para links internos (delegação cobre links criados depois)
+            document.addEventListener('click', (e) => {
+                const link = e.target.closest('a[href^="#"]');
+                if (!link) return;
+                
+                const hash = link.getAttribute('href');
+                // Rotas (#/projects/slug) seguem para o roteador pelo evento hashchange
+                if (HashRouter.isRoute(hash)) return;
+                
+                e.preventDefault();
+                const targetId = hash.substring(1);
+                
+                // Uma âncora comum fecha a visão aberta (artigo, modal, página não encontrada)
+                if (this.router.current) this.router.navigate(hash);
+                
+                ScrollUtils.smoothScrollTo(`#${targetId}`, portfolioConfig.scroll.offset);
+                
+                // Leva também o foco do teclado (link "pular para o conteúdo", menu)
+                const target = document.getElementById(targetId);
+                if (target) A11yUtils.focus(target);
             });
         }
     }
@@ -109,8 +512,31 @@ class PortfolioApp {
      * Manipula redimensionamento da janela
      */
     handleWindowResize() {
-        // Atualiza configurações responsivas se necessário
-        console.log('Janela redimensionada');
+        eventBus.emit(PortfolioEvents.VIEWPORT_RESIZED, {
+            width: window.innerWidth,
+            height: window.innerHeight
+        });
+        
+        if (this.navigation) {
+            this.navigation.handleResize();
+        }
+    }
+    
+    /**
+     * Publica cliques em links que saem do portfólio (http/https de outro site ou mailto)
+     * @param {HTMLAnchorElement} link - Link clicado
+     */
+    handleLinkClick(link) {
+        const url = link.href;
+        const isOutbound = url.startsWith('mailto:')
+            || (ValidationUtils.isExternalUrl(url) && new URL(url).origin !== window.location.origin);
+        if (!isOutbound) return;
+        
+        const section = link.closest('section, dialog');
+        eventBus.emit(PortfolioEvents.OUTBOUND_LINK, {
+            url,
+            section: section ? section.id || section.className : null
+        });
     }
     
     /**
@@ -128,6 +554,11 @@ class PortfolioApp {
                 DOMUtils.removeClass(header, 'scrolled');
             }
         }
+        
+        // Destaca no menu a seção visível
+        if (this.navigation) {
+            this.navigation.updateActiveLink(scrollPosition);
+        }
     }
     
     /**
@@ -135,9 +566,38 @@ class PortfolioApp {
      * @param {boolean} prefersReducedMotion - Se prefere movimento reduzido
      */
     handleMotionPreferenceChange(prefersReducedMotion) {
-        portfolioConfig.updateAnimationConfig({
-            enabled: !prefersReducedMotion
-        });
+        // areAnimationsEnabled() consulta a media query na hora; o motor de animações
+        // cancela as que estiverem em andamento quando o movimento reduzido é ligado
+        eventBus.emit(PortfolioEvents.MOTION_PREFERENCE_CHANGED, { reduced: prefersReducedMotion });
+    }
+    
+    /**
+     * Manipula mudança de tema do sistema operacional
+     * @param {boolean} prefersDark - Se prefere tema escuro
+     */
+    handleColorSchemeChange(prefersDark) {
+        this.themeManager.handleSystemPreferenceChange(prefersDark);
+    }
+    
+    /**
+     * Abre a visão da rota do hash atual (#/projects/slug, #/skills/nome, #/posts/id)
+     * ou fecha a que estiver aberta quando o hash é uma âncora comum
+     * @returns {Promise<boolean>} Se uma rota conhecida foi aberta
+     */
+    handleHashChange() {
+        return this.router.handle();
+    }
+    
+    /**
+     * Aplica a habilidade selecionada como filtro de projetos
+     * @param {string} skillName - Nome da habilidade
+     */
+    handleSkillSelect(skillName) {
+        const projectsSection = this.getSection('projects');
+        if (!projectsSection) return;
+        
+        projectsSection.filterByTechnology(skillName);
+        ScrollUtils.smoothScrollTo('#projects', portfolioConfig.scroll.offset);
     }
     
     /**
@@ -163,22 +623,49 @@ class PortfolioApp {
     /**
      * Adiciona novo projeto
      * @param {object} projectData - Dados do projeto
+     * @param {object} options - Opções
+     * @param {boolean} options.announce - Anuncia o projeto para leitores de tela
      */
-    addProject(projectData) {
+    addProject(projectData, { announce = true } = {}) {
         const projectsSection = this.getSection('projects');
         if (projectsSection && projectData) {
             projectsSection.addProject(projectData);
+            
+            if (announce) {
+                A11yUtils.announce(i18n.t('a11y.projectAdded', { title: projectData.title }));
+            }
         }
     }
     
+    /**
+     * Atualiza um projeto já adicionado
+     * @param {string} slug - Slug do projeto
+     * @param {object} projectData - Novos dados do projeto
+     * @returns {boolean} Se o projeto foi encontrado
+     */
+    updateProject(slug, projectData) {
+        const projectsSection = this.getSection('projects');
+        return Boolean(projectsSection && projectData && projectsSection.updateProject(slug, projectData));
+    }
+    
+    /**
+     * Remove um projeto
+     * @param {string} slug - Slug do projeto
+     * @returns {boolean} Se o projeto foi encontrado
+     */
+    removeProject(slug) {
+        const projectsSection = this.getSection('projects');
+        return Boolean(projectsSection && projectsSection.removeProject(slug));
+    }
+    
     /**
      * Adiciona nova habilidade
-     * @param {string} skillName - Nome da habilidade
+     * @param {string|object} skill - Nome ou dados da habilidade ({ name, category, level, years })
      */
-    addSkill(skillName) {
+    addSkill(skill) {
         const skillsSection = this.getSection('skills');
-        if (skillsSection && skillName) {
-            skillsSection.addSkill(skillName);
+        if (skillsSection && skill) {
+            skillsSection.addSkill(skill);
         }
     }
     
@@ -225,41 +712,4 @@ app.init();
 // Expõe o app globalmente para facilitar debugging e extensões
 window.PortfolioApp = app;
 
-// Exemplo de como usar as funcionalidades (pode ser removido em produção)
-window.addEventListener('load', () => {
-    // atualização de dados do usuário
-    app.updateUserData({
-        name: 'Matheus Sales',
-        summary: 'Sou Analista Clínico em transição de carreira para Desenvolvedor de Sistemas. Tenho experiência com análise de dados, atenção aos detalhes e resolução de problemas — habilidades que agora aplico na programação. Estudo tecnologias como HTML, CSS, JavaScript e Node.js, com foco em desenvolvimento web e APIs. Busco minha primeira oportunidade na área tech para aplicar meu conhecimento, crescer profissionalmente e contribuir com soluções eficientes e bem estruturadas.'
-    });
-    
-    // adição de projeto
-    app.addProject({
-        title: 'Sistema web acadêmico',
-        description: 'Desenvolver um sistema web para que a comunidade acadêmica possa consultar os horários das aulas',
-        link: 'https://github.com/prjDevflow/prj_1sem_client',
-        technologies: ['HTML5', 'CSS3', 'JavaScript', 'Node.js', 'MySQL'],
-        contributions: [
-            'Desenvolvimento da relação Entidade-Relacionamento',
-            'Implementação da lógica de negócio no backend',
-            'Integração com banco de dados MySQL',
-            'Otimização de performance das consultas'
-        ]
-    });
-    app.addProject({
-        title: 'Devflow Analytics - Plataforma de Dados Limnológicos',
-        description: 'Uma plataforma web intuitiva e de alto desempenho para visualização e análise de dados de balanço de carbono em reservatórios, desenvolvida para Furnas Centrais Elétricas S.A. e instituições parceiras (INPE, UFRJ, UFJF, IIE).',
-        link: 'https://github.com/prjDevflow/prj_2dsm',
-        technologies: ['React', 'TypeScript','PostgreSQL', 'Docker', 'Node.js'],
-        contributions: [
-            'Criação de visualizações de dados interativas',
-            'Implementação de Procedures',
-            'Análise de dados do banco de dados fornecido',
-        ]
-    });
-    
-    // Exemplo de adição de habilidade
-    // app.addSkill('Vue.js');
-});
-
 export default app;
\ No newline at end of file
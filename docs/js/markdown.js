@@ -0,0 +1,275 @@
+/**
+ * Conversão de Markdown em HTML seguro para os artigos do blog
+ * Cobre o subconjunto usado nos posts: títulos, parágrafos, listas, citações, linhas horizontais,
+ * blocos de código com destaque, código em linha, ênfase, links e imagens
+ *
+ * HTML escrito no Markdown aparece como texto e links só aceitam endereços relativos (à raiz do
+ * site), http(s) e mailto: a saída é sempre SafeHTML montado pelos templates
+ */
+
+import { TemplateUtils, html } from './template.js';
+import { CodeHighlighter } from './highlight.js';
+
+class Markdown {
+    // Somado ao nível dos títulos: a seção usa <h2> e o título do artigo, <h3> ("## Seção" vira <h4>)
+    static HEADING_OFFSET = 2;
+
+    static FENCE_PATTERN = /^\s*(`{3,}|~{3,})\s*([\w+-]*)/;
+    static HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+    static RULE_PATTERN = /^\s*([-*_])(?:\s*\1){2,}\s*$/;
+    static QUOTE_PATTERN = /^\s*>\s?/;
+    static LIST_ITEM_PATTERN = /^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/;
+
+    // Entidades geradas por TemplateUtils.escape (desfeitas no resumo em texto puro)
+    static ENTITIES = { lt: '<', gt: '>', quot: '"', '#39': "'", amp: '&' };
+
+    // Endereços sem esquema (ex.: "posts/imagem.png", "#contact", "../x")
+    static RELATIVE_URL_PATTERN = /^(?:[#/?.]|[\w-]+(?:[/.#?]|$))/;
+
+    /**
+     * Regras de marcação em linha; vence a que casar mais cedo (empate: a primeira da lista)
+     */
+    static INLINE_RULES = [
+        {
+            pattern: /(`+)([\s\S]*?[^`])\1(?!`)/,
+            render: (match) => html`<code>${match[2].trim()}</code>`
+        },
+        {
+            pattern: /!\[([^\]]*)\]\(([^\s)]+)(?:\s+"([^"]*)")?\)/,
+            render: (match) => html`<img src="${Markdown.url(match[2])}" alt="${match[1]}" ${match[3] && html`title="${match[3]}"`} loading="lazy">`
+        },
+        {
+            pattern: /\[([^\]]+)\]\(([^\s)]+)(?:\s+"([^"]*)")?\)/,
+            render: (match) => html`<a ${Markdown.link(match[2])} ${match[3] && html`title="${match[3]}"`}>${Markdown.renderInline(match[1])}</a>`
+        },
+        {
+            pattern: /<((?:https?:\/\/|mailto:)[^\s>]+)>/,
+            render: (match) => html`<a ${Markdown.link(match[1])}>${match[1]}</a>`
+        },
+        {
+            pattern: /\*\*(?=\S)([\s\S]*?\S)\*\*|__(?=\S)([\s\S]*?\S)__/,
+            render: (match) => html`<strong>${Markdown.renderInline(match[1] ?? match[2])}</strong>`
+        },
+        {
+            pattern: /\*(?=\S)([\s\S]*?\S)\*|(?<!\w)_(?=\S)([\s\S]*?\S)_(?!\w)/,
+            render: (match) => html`<em>${Markdown.renderInline(match[1] ?? match[2])}</em>`
+        },
+        {
+            pattern: /~~(?=\S)([\s\S]*?\S)~~/,
+            render: (match) => html`<del>${Markdown.renderInline(match[1])}</del>`
+        },
+        {
+            pattern: / {2,}\n|\\\n/,
+            render: () => html`<br>`
+        }
+    ];
+
+    /**
+     * Converte um documento Markdown
+     * @param {string} source - Texto em Markdown
+     * @returns {SafeHTML}
+     */
+    static render(source) {
+        return html`${Markdown.renderBlocks(Markdown.toLines(source))}`;
+    }
+
+    /**
+     * Separa o texto em linhas, normalizando as quebras
+     * @param {string} source - Texto
+     * @returns {string[]}
+     */
+    static toLines(source) {
+        return String(source).replace(/\r\n?/g, '\n').split('\n');
+    }
+
+    /**
+     * Converte linhas em blocos (títulos, listas, parágrafos...)
+     * @param {string[]} lines - Linhas do documento
+     * @returns {SafeHTML[]}
+     */
+    static renderBlocks(lines) {
+        const blocks = [];
+        let index = 0;
+
+        while (index < lines.length) {
+            const line = lines[index];
+            const fence = Markdown.FENCE_PATTERN.exec(line);
+            const heading = Markdown.HEADING_PATTERN.exec(line);
+
+            if (!line.trim()) {
+                index++;
+            } else if (fence) {
+                const code = [];
+                index++;
+                while (index < lines.length && !lines[index].trim().startsWith(fence[1])) {
+                    code.push(lines[index]);
+                    index++;
+                }
+                index++;
+                blocks.push(Markdown.codeBlockTemplate(code.join('\n'), fence[2]));
+            } else if (heading) {
+                const level = Math.min(heading[1].length + Markdown.HEADING_OFFSET, 6);
+                blocks.push(html`<h${level}>${Markdown.renderInline(heading[2])}</h${level}>`);
+                index++;
+            } else if (Markdown.RULE_PATTERN.test(line)) {
+                blocks.push(html`<hr>`);
+                index++;
+            } else if (Markdown.QUOTE_PATTERN.test(line)) {
+                const quoted = [];
+                while (index < lines.length && Markdown.QUOTE_PATTERN.test(lines[index])) {
+                    quoted.push(lines[index].replace(Markdown.QUOTE_PATTERN, ''));
+                    index++;
+                }
+                blocks.push(html`<blockquote>${Markdown.renderBlocks(quoted)}</blockquote>`);
+            } else if (Markdown.LIST_ITEM_PATTERN.test(line)) {
+                index = Markdown.readList(lines, index, blocks);
+            } else {
+                const paragraph = [];
+                while (index < lines.length && lines[index].trim() && !Markdown.startsBlock(lines[index])) {
+                    paragraph.push(lines[index]);
+                    index++;
+                }
+                blocks.push(html`<p>${Markdown.renderInline(paragraph.join('\n').trim())}</p>`);
+            }
+        }
+
+        return blocks;
+    }
+
+    /**
+     * Lê uma lista a partir da linha atual
+     * Linhas seguintes que não iniciam item continuam o item anterior
+     * @param {string[]} lines - Linhas do documento
+     * @param {number} start - Índice do primeiro item
+     * @param {SafeHTML[]} blocks - Blocos já convertidos (recebe a lista)
+     * @returns {number} Índice da primeira linha depois da lista
+     */
+    static readList(lines, start, blocks) {
+        const first = Markdown.LIST_ITEM_PATTERN.exec(lines[start]);
+        const isOrdered = !first[1];
+        const items = [];
+        let index = start;
+
+        while (index < lines.length) {
+            const item = Markdown.LIST_ITEM_PATTERN.exec(lines[index]);
+
+            if (item && !item[1] === isOrdered) {
+                items.push([item[3]]);
+            } else if (item || !lines[index].trim()) {
+                // Outro tipo de lista ou linha em branco: a lista continua só se o próximo item for do mesmo tipo
+                const next = Markdown.LIST_ITEM_PATTERN.exec(lines[index + 1] || '');
+                if (item || !next || !next[1] !== isOrdered) break;
+            } else if (Markdown.startsBlock(lines[index])) {
+                break;
+            } else {
+                items[items.length - 1].push(lines[index].trim());
+            }
+            index++;
+        }
+
+        const content = items.map(item => html`<li>${Markdown.renderInline(item.join('\n'))}</li>`);
+        const startAt = Number(first[2]);
+        blocks.push(isOrdered
+            ? html`<ol ${startAt !== 1 && html`start="${startAt}"`}>${content}</ol>`
+            : html`<ul>${content}</ul>`);
+
+        return index;
+    }
+
+    /**
+     * Verifica se a linha inicia um bloco (e, portanto, encerra um parágrafo)
+     * @param {string} line - Linha
+     * @returns {boolean}
+     */
+    static startsBlock(line) {
+        return [
+            Markdown.FENCE_PATTERN,
+            Markdown.HEADING_PATTERN,
+            Markdown.RULE_PATTERN,
+            Markdown.QUOTE_PATTERN,
+            Markdown.LIST_ITEM_PATTERN
+        ].some(pattern => pattern.test(line));
+    }
+
+    /**
+     * Gera o template de um bloco de código
+     * @param {string} code - Código
+     * @param {string} language - Linguagem informada após as crases
+     * @returns {SafeHTML}
+     */
+    static codeBlockTemplate(code, language) {
+        const resolved = CodeHighlighter.resolveLanguage(language);
+
+        return html`<pre class="code-block" ${language && html`data-language="${language}"`}><code ${resolved && html`class="language-${resolved}"`}>${CodeHighlighter.highlight(code, language)}</code></pre>`;
+    }
+
+    /**
+     * Converte a marcação em linha (ênfase, links, código...)
+     * @param {string} text - Texto de um bloco
+     * @returns {SafeHTML}
+     */
+    static renderInline(text) {
+        const parts = [];
+        let rest = text;
+
+        while (rest) {
+            const next = Markdown.INLINE_RULES
+                .map(rule => ({ rule, match: rule.pattern.exec(rest) }))
+                .filter(({ match }) => match)
+                .reduce((first, candidate) => (!first || candidate.match.index < first.match.index ? candidate : first), null);
+
+            if (!next) {
+                parts.push(rest);
+                break;
+            }
+
+            parts.push(rest.slice(0, next.match.index), next.rule.render(next.match));
+            rest = rest.slice(next.match.index + next.match[0].length);
+        }
+
+        return html`${parts}`;
+    }
+
+    /**
+     * Endereço seguro para src/href: relativo ou permitido por TemplateUtils.url
+     * @param {string} url - Endereço escrito no Markdown
+     * @returns {string}
+     */
+    static url(url) {
+        return Markdown.RELATIVE_URL_PATTERN.test(url) ? url : TemplateUtils.url(url);
+    }
+
+    /**
+     * Atributos de um link do Markdown (externos abrem em nova aba, como no resto do site)
+     * @param {string} url - Endereço escrito no Markdown
+     * @returns {SafeHTML}
+     */
+    static link(url) {
+        return Markdown.RELATIVE_URL_PATTERN.test(url) ? html`href="${url}"` : TemplateUtils.link(url);
+    }
+
+    /**
+     * Primeiro parágrafo em texto puro, sem a marcação (usado como resumo)
+     * @param {string} source - Texto em Markdown
+     * @param {number} maxLength - Tamanho máximo
+     * @returns {string}
+     */
+    static excerpt(source, maxLength = 200) {
+        const paragraph = String(source)
+            .replace(/\r\n?/g, '\n')
+            .replace(/^\s*(`{3,}|~{3,})[\s\S]*?^\s*\1.*$/gm, '')
+            .split(/\n\s*\n/)
+            .find(block => block.trim() && !Markdown.startsBlock(block.trim().split('\n')[0])) || '';
+
+        const text = String(Markdown.renderInline(paragraph.trim()))
+            .replace(/<[^>]*>/g, '')
+            .replace(/&(lt|gt|quot|#39|amp);/g, (entity, name) => Markdown.ENTITIES[name])
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        if (text.length <= maxLength) return text;
+        return `${text.slice(0, maxLength).replace(/\s+\S*$/, '')}…`;
+    }
+}
+
+export { Markdown };
@@ -0,0 +1,236 @@
+/**
+ * Menu de navegação gerado a partir das seções registradas
+ * Inclui destaque da seção visível (scroll-spy) e menu recolhível no mobile
+ */
+
+import { DOMUtils } from './utils.js';
+import { TemplateUtils, html } from './template.js';
+import i18n from './i18n.js';
+import portfolioConfig from './config.js';
+
+class NavigationMenu {
+    static MOBILE_QUERY = '(max-width: 768px)';
+
+    /**
+     * @param {Element} navElement - Elemento <nav> do cabeçalho
+     */
+    constructor(navElement) {
+        this.nav = navElement;
+        this.menu = null;
+        this.toggleButton = null;
+        this.items = [];
+        this.activeItem = null;
+        this.isOpen = false;
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    /**
+     * Gera o menu a partir das seções (usa o <h2> de cada seção como rótulo)
+     * @param {Map<string, BaseSection>} sections - Seções inicializadas
+     */
+    build(sections) {
+        if (!this.nav || this.menu) return;
+
+        const fragment = TemplateUtils.render(NavigationMenu.template());
+        this.toggleButton = fragment.querySelector('.nav-toggle');
+        this.menu = fragment.querySelector('.nav-menu');
+        this.nav.prepend(fragment);
+        this.nav.dataset.i18nAttr = 'aria-label:nav.label';
+        this.nav.setAttribute('aria-label', i18n.t('nav.label'));
+
+        this.menu.addEventListener('click', (e) => {
+            if (e.target.closest('.nav-link')) this.close();
+        });
+
+        this.toggleButton.addEventListener('click', () => {
+            if (this.isOpen) {
+                this.close();
+            } else {
+                this.open();
+            }
+        });
+
+        this.refresh(sections);
+    }
+
+    /**
+     * Atualiza os links do menu (ex.: após registrar uma nova seção)
+     * Os itens seguem a ordem das seções na página; seções ocultas ficam de fora
+     * @param {Map<string, BaseSection>} sections - Seções inicializadas
+     */
+    refresh(sections) {
+        if (!this.menu) return;
+
+        this.items = Array.from(sections.values())
+            .filter(section => section.element && !section.element.hidden && section.element.querySelector('h2'))
+            .sort((a, b) => (
+                a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+            ))
+            .map(section => {
+                const title = section.element.querySelector('h2');
+                return {
+                    id: section.sectionId,
+                    element: section.element,
+                    i18nKey: title.dataset.i18n,
+                    title: title.textContent.trim()
+                };
+            });
+
+        this.menu.replaceChildren(TemplateUtils.render(NavigationMenu.itemsTemplate(this.items)));
+        this.items.forEach(item => {
+            item.link = this.menu.querySelector(`a[href="#${item.id}"]`);
+        });
+        this.activeItem = null;
+    }
+
+    /**
+     * Gera o template do botão e da lista do menu
+     * @returns {SafeHTML}
+     */
+    static template() {
+        return html`
+            <button type="button" class="nav-toggle" aria-expanded="false" aria-controls="nav-menu" aria-label="${i18n.t('nav.open')}">
+                <span class="nav-toggle-bar"></span>
+                <span class="nav-toggle-bar"></span>
+                <span class="nav-toggle-bar"></span>
+            </button>
+            <ul id="nav-menu" class="nav-menu"></ul>
+        `;
+    }
+
+    /**
+     * Gera o template dos itens do menu
+     * @param {object[]} items - Itens do menu
+     * @returns {SafeHTML}
+     */
+    static itemsTemplate(items) {
+        return html`${items.map(item => html`
+            <li><a href="#${item.id}" class="nav-link" ${item.i18nKey && html`data-i18n="${item.i18nKey}"`}>${item.title}</a></li>
+        `)}`;
+    }
+
+    /**
+     * Destaca o link da seção visível
+     * @param {number} scrollPosition - Posição atual do scroll
+     */
+    updateActiveLink(scrollPosition) {
+        if (!this.items.length) return;
+
+        const offset = portfolioConfig.scroll.offset;
+        const reachedBottom = window.innerHeight + scrollPosition >= document.documentElement.scrollHeight - 2;
+
+        let current = null;
+        if (reachedBottom) {
+            current = this.items[this.items.length - 1];
+        } else {
+            this.items.forEach(item => {
+                if (item.element.offsetTop - offset - 1 <= scrollPosition) {
+                    current = item;
+                }
+            });
+        }
+
+        if (current === this.activeItem) return;
+
+        if (this.activeItem) {
+            DOMUtils.removeClass(this.activeItem.link, 'active');
+            this.activeItem.link.removeAttribute('aria-current');
+        }
+
+        if (current) {
+            DOMUtils.addClass(current.link, 'active');
+            current.link.setAttribute('aria-current', 'location');
+        }
+
+        this.activeItem = current;
+    }
+
+    /**
+     * Verifica se o menu está no modo mobile (recolhível)
+     * @returns {boolean}
+     */
+    isMobile() {
+        return window.matchMedia(NavigationMenu.MOBILE_QUERY).matches;
+    }
+
+    /**
+     * Abre o menu mobile e prende o foco dentro dele
+     */
+    open() {
+        if (!this.menu || this.isOpen) return;
+
+        this.isOpen = true;
+        DOMUtils.addClass(this.menu, 'is-open');
+        this.toggleButton.setAttribute('aria-expanded', 'true');
+        this.updateToggleLabel();
+        document.addEventListener('keydown', this.handleKeydown);
+
+        const firstLink = this.items.length ? this.items[0].link : null;
+        if (firstLink) firstLink.focus();
+    }
+
+    /**
+     * Fecha o menu mobile
+     * @param {boolean} restoreFocus - Se deve devolver o foco ao botão do menu
+     */
+    close(restoreFocus = false) {
+        if (!this.menu || !this.isOpen) return;
+
+        this.isOpen = false;
+        DOMUtils.removeClass(this.menu, 'is-open');
+        this.toggleButton.setAttribute('aria-expanded', 'false');
+        this.updateToggleLabel();
+        document.removeEventListener('keydown', this.handleKeydown);
+
+        if (restoreFocus) this.toggleButton.focus();
+    }
+
+    /**
+     * Atualiza o rótulo acessível do botão do menu
+     */
+    updateToggleLabel() {
+        if (!this.toggleButton) return;
+
+        this.toggleButton.setAttribute('aria-label', i18n.t(this.isOpen ? 'nav.close' : 'nav.open'));
+    }
+
+    /**
+     * Teclado com menu aberto: Esc fecha e Tab circula entre botão e links
+     * @param {KeyboardEvent} event - Evento de teclado
+     */
+    handleKeydown(event) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.close(true);
+            return;
+        }
+
+        if (event.key !== 'Tab') return;
+
+        const focusable = [this.toggleButton, ...this.items.map(item => item.link)];
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (!focusable.includes(document.activeElement)) {
+            event.preventDefault();
+            first.focus();
+        } else if (event.shiftKey && document.activeElement === first) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Fecha o menu mobile ao voltar para o layout desktop
+     */
+    handleResize() {
+        if (this.isOpen && !this.isMobile()) {
+            this.close();
+        }
+    }
+}
+
+export { NavigationMenu };
@@ -0,0 +1,190 @@
+/**
+ * Artigos do blog: frontmatter, índice e carregamento dos posts
+ * Cada post é um arquivo docs/posts/<id>.md que começa com o frontmatter:
+ *
+ *   ---
+ *   title: Título do artigo
+ *   date: 2025-03-10
+ *   tags: [javascript, acessibilidade]
+ *   lang: pt-BR
+ *   summary: Resumo opcional (padrão: o primeiro parágrafo)
+ *   ---
+ *
+ * O índice docs/posts/index.json é gerado por scripts/build-posts.mjs a partir desses arquivos
+ */
+
+import { ContentValidationError } from './content.js';
+import { Markdown } from './markdown.js';
+
+class PostParser {
+    static FRONTMATTER_PATTERN = /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+    static ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+    static DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+    static LANG_PATTERN = /^[a-z]{2}(-[A-Z]{2})?$/;
+
+    /**
+     * Separa o frontmatter (subconjunto de YAML: "chave: valor", listas [a, b] ou "- item") do texto
+     * @param {string} source - Conteúdo do arquivo .md
+     * @returns {{ data: object, body: string }}
+     */
+    static parseFrontmatter(source) {
+        const match = PostParser.FRONTMATTER_PATTERN.exec(source);
+        if (!match) return { data: {}, body: source };
+
+        const data = {};
+        let listKey = null;
+
+        match[1].split(/\r?\n/).forEach(line => {
+            const item = /^\s+-\s+(.*)$/.exec(line);
+            if (item && listKey) {
+                data[listKey].push(PostParser.parseScalar(item[1]));
+                return;
+            }
+
+            const entry = /^([\w-]+):\s*(.*)$/.exec(line);
+            if (!entry) return;
+
+            const [, key, value] = entry;
+            listKey = value ? null : key;
+
+            if (!value) {
+                data[key] = [];
+            } else if (/^\[.*\]$/.test(value)) {
+                data[key] = value.slice(1, -1).split(',').map(part => PostParser.parseScalar(part)).filter(Boolean);
+            } else {
+                data[key] = PostParser.parseScalar(value);
+            }
+        });
+
+        return { data, body: source.slice(match[0].length) };
+    }
+
+    /**
+     * Converte um valor simples do frontmatter, removendo aspas
+     * @param {string} value - Valor escrito
+     * @returns {string}
+     */
+    static parseScalar(value) {
+        const trimmed = value.trim();
+        const quoted = /^(["'])(.*)\1$/.exec(trimmed);
+        return quoted ? quoted[2] : trimmed;
+    }
+
+    /**
+     * Lê um post e monta sua entrada no índice
+     * @param {string} id - Identificador (nome do arquivo sem .md)
+     * @param {string} source - Conteúdo do arquivo .md
+     * @returns {{ entry: object, body: string }}
+     * @throws {ContentValidationError}
+     */
+    static parse(id, source) {
+        const { data, body } = PostParser.parseFrontmatter(source);
+        const errors = PostParser.validate(id, data);
+
+        if (errors.length) throw new ContentValidationError(errors);
+
+        const entry = {
+            id,
+            title: data.title,
+            date: data.date,
+            tags: Array.isArray(data.tags) ? data.tags : [],
+            lang: data.lang,
+            summary: data.summary || Markdown.excerpt(body)
+        };
+
+        return { entry, body };
+    }
+
+    /**
+     * Confere os campos obrigatórios do frontmatter
+     * @param {string} id - Identificador do post
+     * @param {object} data - Frontmatter
+     * @returns {string[]} Problemas encontrados
+     */
+    static validate(id, data) {
+        const errors = [];
+        const prefix = `posts/${id}.md`;
+
+        if (!PostParser.ID_PATTERN.test(id)) errors.push(`${prefix}: o nome do arquivo deve usar só letras minúsculas, números e hifens`);
+        if (!data.title) errors.push(`${prefix}: title é obrigatório`);
+        if (!PostParser.DATE_PATTERN.test(data.date || '')) errors.push(`${prefix}: date deve estar no formato AAAA-MM-DD`);
+        if (!PostParser.LANG_PATTERN.test(data.lang || '')) errors.push(`${prefix}: lang deve ser um idioma como "pt-BR" ou "en"`);
+        if (data.tags !== undefined && !Array.isArray(data.tags)) errors.push(`${prefix}: tags deve ser uma lista`);
+
+        return errors;
+    }
+
+    /**
+     * Ordena os posts do mais recente para o mais antigo
+     * @param {object[]} entries - Entradas do índice
+     * @returns {object[]}
+     */
+    static sortEntries(entries) {
+        return [...entries].sort((a, b) => b.date.localeCompare(a.date) || a.id.localeCompare(b.id));
+    }
+}
+
+class PostRepository {
+    /**
+     * @param {string} indexUrl - Endereço do índice (os posts ficam na mesma pasta)
+     */
+    constructor(indexUrl) {
+        this.indexUrl = indexUrl;
+        this.baseUrl = indexUrl.slice(0, indexUrl.lastIndexOf('/') + 1);
+        this.index = null;
+        this.posts = new Map();
+    }
+
+    /**
+     * Carrega o índice dos posts (uma vez)
+     * @returns {Promise<object[]>} Entradas do mais recente para o mais antigo
+     * @throws {Error}
+     */
+    async loadIndex() {
+        if (!this.index) {
+            this.index = this.fetchText(this.indexUrl)
+                .then(text => PostParser.sortEntries(JSON.parse(text).posts || []))
+                .catch(error => {
+                    this.index = null;
+                    throw error;
+                });
+        }
+
+        return this.index;
+    }
+
+    /**
+     * Carrega um post completo
+     * @param {string} id - Identificador do post
+     * @returns {Promise<object|null>} Entrada do índice com o corpo em Markdown, ou null se não existir
+     * @throws {Error|ContentValidationError}
+     */
+    async loadPost(id) {
+        const entries = await this.loadIndex();
+        if (!entries.some(entry => entry.id === id)) return null;
+
+        if (!this.posts.has(id)) {
+            const { entry, body } = PostParser.parse(id, await this.fetchText(`${this.baseUrl}${id}.md`));
+            this.posts.set(id, { ...entry, body });
+        }
+
+        return this.posts.get(id);
+    }
+
+    /**
+     * Busca um arquivo de texto
+     * @param {string} url - Endereço
+     * @returns {Promise<string>}
+     */
+    async fetchText(url) {
+        const response = await fetch(url);
+
+        if (!response.ok) {
+            throw new Error(`Falha ao carregar ${url}: HTTP ${response.status}`);
+        }
+
+        return response.text();
+    }
+}
+
+export { PostParser, PostRepository };
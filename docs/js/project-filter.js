@@ -0,0 +1,271 @@
+/**
+ * Filtro de projetos por tecnologia e busca textual
+ * O estado ativo fica na query string para que a visão filtrada possa ser compartilhada
+ */
+
+import { TemplateUtils, html } from './template.js';
+import i18n from './i18n.js';
+
+class ProjectFilter {
+    static TECH_PARAM = 'tech';
+    static QUERY_PARAM = 'q';
+
+    /**
+     * @param {Function} onChange - Chamada sempre que o filtro muda
+     */
+    constructor(onChange) {
+        this.onChange = onChange;
+        this.technologies = [];
+        this.selected = new Set();
+        this.query = '';
+        this.element = null;
+        this.tagsContainer = null;
+        this.searchInput = null;
+        this.status = null;
+    }
+
+    /**
+     * Cria a barra de filtros antes do elemento informado
+     * @param {Element} anchor - Elemento que ficará logo abaixo da barra (ex.: .projects-grid)
+     */
+    mount(anchor) {
+        if (!anchor || this.element) return;
+
+        this.readFromUrl();
+
+        this.element = TemplateUtils.renderElement(ProjectFilter.template(this.query));
+        this.tagsContainer = this.element.querySelector('.filter-tags');
+        this.searchInput = this.element.querySelector('.filter-search');
+        this.status = this.element.querySelector('.filter-status');
+
+        this.searchInput.addEventListener('input', () => {
+            this.query = this.searchInput.value;
+            this.notify();
+        });
+
+        this.tagsContainer.addEventListener('click', (e) => {
+            const tag = e.target.closest('.filter-tag');
+            if (tag) this.toggleTechnology(tag.dataset.tech);
+        });
+
+        this.element.querySelector('.filter-clear').addEventListener('click', () => {
+            this.clear();
+        });
+
+        anchor.parentElement.insertBefore(this.element, anchor);
+        this.renderTags();
+    }
+
+    /**
+     * Gera o template da barra de filtros
+     * @param {string} query - Texto de busca inicial
+     * @returns {SafeHTML}
+     */
+    static template(query) {
+        return html`
+            <div class="project-filter" role="search">
+                <input type="search" class="filter-search" value="${query}"
+                       placeholder="${i18n.t('filter.searchPlaceholder')}" aria-label="${i18n.t('filter.searchLabel')}"
+                       data-i18n-attr="placeholder:filter.searchPlaceholder;aria-label:filter.searchLabel">
+                <div class="filter-tags" role="group" aria-label="${i18n.t('filter.techGroupLabel')}"
+                     data-i18n-attr="aria-label:filter.techGroupLabel"></div>
+                <div class="filter-footer">
+                    <p class="filter-status" aria-live="polite"></p>
+                    <button type="button" class="filter-clear" data-i18n="filter.clear">${i18n.t('filter.clear')}</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Atualiza a lista de tecnologias disponíveis
+     * @param {string[]} technologies - Tecnologias usadas nos projetos
+     */
+    setTechnologies(technologies) {
+        const unique = new Map();
+        technologies.forEach(tech => {
+            const key = ProjectFilter.normalize(tech);
+            if (!unique.has(key)) unique.set(key, tech);
+        });
+
+        this.technologies = Array.from(unique.values())
+            .sort((a, b) => a.localeCompare(b, i18n.locale, { sensitivity: 'base' }));
+        this.renderTags();
+    }
+
+    /**
+     * Renderiza os botões de tecnologia
+     */
+    renderTags() {
+        if (!this.tagsContainer) return;
+
+        this.tagsContainer.replaceChildren(TemplateUtils.render(html`${this.technologies.map(tech => html`
+            <button type="button" class="filter-tag" data-tech="${tech}"
+                    aria-pressed="${String(this.isSelected(tech))}">${tech}</button>
+        `)}`));
+    }
+
+    /**
+     * Verifica se a tecnologia está selecionada
+     * @param {string} technology - Nome da tecnologia
+     * @returns {boolean}
+     */
+    isSelected(technology) {
+        return this.selected.has(ProjectFilter.normalize(technology));
+    }
+
+    /**
+     * Seleciona ou remove uma tecnologia do filtro
+     * @param {string} technology - Nome da tecnologia
+     */
+    toggleTechnology(technology) {
+        const key = ProjectFilter.normalize(technology);
+
+        if (this.selected.has(key)) {
+            this.selected.delete(key);
+        } else {
+            this.selected.add(key);
+        }
+
+        this.renderTags();
+        this.notify();
+    }
+
+    /**
+     * Aplica apenas uma tecnologia como filtro (usado pelo clique em habilidades)
+     * @param {string} technology - Nome da tecnologia ou habilidade
+     */
+    selectOnly(technology) {
+        this.selected = new Set([ProjectFilter.normalize(technology)]);
+        this.query = '';
+        if (this.searchInput) this.searchInput.value = '';
+
+        this.renderTags();
+        this.notify();
+    }
+
+    /**
+     * Remove todos os filtros
+     */
+    clear() {
+        this.selected.clear();
+        this.query = '';
+        if (this.searchInput) this.searchInput.value = '';
+
+        this.renderTags();
+        this.notify();
+    }
+
+    /**
+     * Verifica se algum filtro está ativo
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.selected.size > 0 || this.query.trim().length > 0;
+    }
+
+    /**
+     * Verifica se um projeto atende aos filtros ativos
+     * Todas as tecnologias selecionadas precisam estar presentes no projeto
+     * @param {object} projectData - Dados do projeto
+     * @returns {boolean}
+     */
+    matches(projectData) {
+        const technologies = (projectData.technologies || []).map(ProjectFilter.normalize);
+        const hasTechnologies = Array.from(this.selected).every(tech => technologies.includes(tech));
+        if (!hasTechnologies) return false;
+
+        const terms = ProjectFilter.normalizeText(this.query).split(/\s+/).filter(Boolean);
+        if (!terms.length) return true;
+
+        const searchable = ProjectFilter.normalizeText([
+            projectData.title,
+            projectData.description,
+            ...(projectData.contributions || [])
+        ].join(' '));
+
+        return terms.every(term => searchable.includes(term));
+    }
+
+    /**
+     * Atualiza o texto de resultados
+     * @param {number} visible - Projetos visíveis
+     * @param {number} total - Total de projetos
+     */
+    updateStatus(visible, total) {
+        if (!this.status) return;
+
+        const isActive = this.isActive();
+        const isEmpty = isActive && visible === 0;
+
+        if (!isActive) {
+            this.status.textContent = '';
+        } else if (isEmpty) {
+            this.status.textContent = i18n.t('filter.empty');
+        } else {
+            this.status.textContent = i18n.t('filter.results', { visible, total });
+        }
+
+        this.status.classList.toggle('is-empty', isEmpty);
+        this.element.querySelector('.filter-clear').hidden = !isActive;
+    }
+
+    /**
+     * Lê o estado do filtro da query string
+     */
+    readFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        this.selected = new Set(params.getAll(ProjectFilter.TECH_PARAM).map(ProjectFilter.normalize));
+        this.query = params.get(ProjectFilter.QUERY_PARAM) || '';
+    }
+
+    /**
+     * Grava o estado do filtro na query string, preservando os outros parâmetros e o hash
+     */
+    writeToUrl() {
+        const url = new URL(window.location.href);
+        url.searchParams.delete(ProjectFilter.TECH_PARAM);
+        url.searchParams.delete(ProjectFilter.QUERY_PARAM);
+
+        this.selected.forEach(key => {
+            const label = this.technologies.find(tech => ProjectFilter.normalize(tech) === key) || key;
+            url.searchParams.append(ProjectFilter.TECH_PARAM, label);
+        });
+
+        if (this.query.trim()) {
+            url.searchParams.set(ProjectFilter.QUERY_PARAM, this.query.trim());
+        }
+
+        if (url.href !== window.location.href) {
+            history.replaceState(history.state, '', url);
+        }
+    }
+
+    /**
+     * Notifica a mudança e sincroniza a URL
+     */
+    notify() {
+        this.writeToUrl();
+        if (this.onChange) this.onChange();
+    }
+
+    /**
+     * Normaliza nome de tecnologia para comparação ("JavaScript (ES6+)" -> "javascript")
+     * @param {string} technology - Nome da tecnologia
+     * @returns {string}
+     */
+    static normalize(technology) {
+        return String(technology).replace(/\(.*?\)/g, '').trim().toLowerCase();
+    }
+
+    /**
+     * Normaliza texto para busca (minúsculas e sem acentos)
+     * @param {string} text - Texto a normalizar
+     * @returns {string}
+     */
+    static normalizeText(text) {
+        return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+}
+
+export { ProjectFilter };
@@ -0,0 +1,243 @@
+/**
+ * Modal de detalhes do projeto com galeria de imagens
+ * Usa <dialog> nativo para foco preso, Esc e semântica de diálogo
+ */
+
+import { TemplateUtils, html } from './template.js';
+import i18n from './i18n.js';
+
+class ProjectModal {
+    static SWIPE_THRESHOLD = 50;
+
+    /**
+     * @param {Function} onClose - Chamada quando o usuário fecha o modal
+     */
+    constructor(onClose) {
+        this.onClose = onClose;
+        this.dialog = null;
+        this.project = null;
+        this.imageIndex = 0;
+        this.touchStartX = null;
+        this.returnFocusTo = null;
+    }
+
+    /**
+     * Cria o elemento <dialog> (uma única vez)
+     */
+    ensureDialog() {
+        if (this.dialog) return;
+
+        this.dialog = document.createElement('dialog');
+        this.dialog.className = 'project-modal';
+        this.dialog.setAttribute('aria-labelledby', 'project-modal-title');
+
+        this.dialog.addEventListener('close', () => {
+            this.handleClose();
+        });
+
+        // Clique no fundo (fora do conteúdo) fecha o modal
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target === this.dialog) this.close();
+            if (e.target.closest('.modal-close')) this.close();
+            if (e.target.closest('.gallery-prev')) this.showImage(this.imageIndex - 1);
+            if (e.target.closest('.gallery-next')) this.showImage(this.imageIndex + 1);
+        });
+
+        this.dialog.addEventListener('keydown', (e) => {
+            this.handleKeydown(e);
+        });
+
+        this.dialog.addEventListener('touchstart', (e) => {
+            if (e.target.closest('.modal-gallery')) {
+                this.touchStartX = e.changedTouches[0].clientX;
+            }
+        }, { passive: true });
+
+        this.dialog.addEventListener('touchend', (e) => {
+            this.handleSwipe(e);
+        });
+
+        document.body.appendChild(this.dialog);
+    }
+
+    /**
+     * Abre (ou atualiza) o modal com os dados do projeto
+     * @param {object} projectData - Dados do projeto
+     */
+    open(projectData) {
+        this.ensureDialog();
+
+        const wasOpen = this.isOpen();
+        this.project = projectData;
+        this.imageIndex = 0;
+        this.dialog.replaceChildren(TemplateUtils.render(ProjectModal.template(projectData)));
+
+        if (wasOpen) return;
+
+        this.returnFocusTo = document.activeElement;
+
+        if (typeof this.dialog.showModal === 'function') {
+            this.dialog.showModal();
+        } else {
+            this.dialog.setAttribute('open', '');
+        }
+
+        const closeButton = this.dialog.querySelector('.modal-close');
+        if (closeButton) closeButton.focus();
+    }
+
+    /**
+     * Fecha o modal
+     */
+    close() {
+        if (!this.isOpen()) return;
+
+        if (typeof this.dialog.close === 'function') {
+            this.dialog.close();
+        } else {
+            this.dialog.removeAttribute('open');
+            this.handleClose();
+        }
+    }
+
+    /**
+     * Verifica se o modal está aberto
+     * @returns {boolean}
+     */
+    isOpen() {
+        return Boolean(this.dialog && this.dialog.hasAttribute('open'));
+    }
+
+    /**
+     * Restaura o foco e notifica o fechamento
+     */
+    handleClose() {
+        const project = this.project;
+        this.project = null;
+
+        if (this.returnFocusTo && typeof this.returnFocusTo.focus === 'function') {
+            this.returnFocusTo.focus();
+        }
+        this.returnFocusTo = null;
+
+        if (this.onClose && project) this.onClose(project);
+    }
+
+    /**
+     * Navegação da galeria pelo teclado
+     * @param {KeyboardEvent} event - Evento de teclado
+     */
+    handleKeydown(event) {
+        if (!this.project || !(this.project.images || []).length) return;
+
+        if (event.key === 'ArrowLeft') {
+            event.preventDefault();
+            this.showImage(this.imageIndex - 1);
+        } else if (event.key === 'ArrowRight') {
+            event.preventDefault();
+            this.showImage(this.imageIndex + 1);
+        }
+    }
+
+    /**
+     * Navegação da galeria por gesto de arrastar
+     * @param {TouchEvent} event - Evento de toque
+     */
+    handleSwipe(event) {
+        if (this.touchStartX === null) return;
+
+        const deltaX = event.changedTouches[0].clientX - this.touchStartX;
+        this.touchStartX = null;
+
+        if (Math.abs(deltaX) < ProjectModal.SWIPE_THRESHOLD) return;
+
+        this.showImage(deltaX < 0 ? this.imageIndex + 1 : this.imageIndex - 1);
+    }
+
+    /**
+     * Exibe uma imagem da galeria (circular)
+     * @param {number} index - Índice da imagem
+     */
+    showImage(index) {
+        const images = (this.project && this.project.images) || [];
+        if (!images.length) return;
+
+        this.imageIndex = (index + images.length) % images.length;
+        const image = images[this.imageIndex];
+
+        const img = this.dialog.querySelector('.gallery-image');
+        img.src = image.src;
+        img.alt = image.alt || '';
+
+        this.dialog.querySelector('.gallery-counter').textContent = i18n.t('modal.imageCounter', {
+            current: this.imageIndex + 1,
+            total: images.length
+        });
+    }
+
+    /**
+     * Gera o template do conteúdo do modal
+     * @param {object} project - Dados do projeto
+     * @returns {SafeHTML}
+     */
+    static template(project) {
+        const images = project.images || [];
+        const repository = project.repository || project.link;
+        const paragraphs = String(project.details || project.description)
+            .split(/\n{2,}/)
+            .filter(paragraph => paragraph.trim());
+        const period = ProjectModal.formatPeriod(project.startDate, project.endDate);
+
+        return html`
+            <article class="modal-content">
+                <header class="modal-header">
+                    <h2 id="project-modal-title">${project.title}</h2>
+                    <button type="button" class="modal-close" aria-label="${i18n.t('modal.close')}">×</button>
+                </header>
+                ${(project.role || period || project.teamSize) && html`
+                    <dl class="modal-meta">
+                        ${project.role && html`<div><dt>${i18n.t('modal.role')}</dt><dd>${project.role}</dd></div>`}
+                        ${period && html`<div><dt>${i18n.t('modal.period')}</dt><dd>${period}</dd></div>`}
+                        ${project.teamSize && html`<div><dt>${i18n.t('modal.teamSize')}</dt><dd>${i18n.t('modal.teamMembers', { count: project.teamSize })}</dd></div>`}
+                    </dl>
+                `}
+                ${images.length > 0 && html`
+                    <figure class="modal-gallery" aria-label="${i18n.t('modal.gallery')}">
+                        <img class="gallery-image" src="${images[0].src}" alt="${images[0].alt || ''}">
+                        ${images.length > 1 && html`
+                            <button type="button" class="gallery-prev" aria-label="${i18n.t('modal.previous')}">‹</button>
+                            <button type="button" class="gallery-next" aria-label="${i18n.t('modal.next')}">›</button>
+                        `}
+                        <figcaption class="gallery-counter" aria-live="polite">${i18n.t('modal.imageCounter', { current: 1, total: images.length })}</figcaption>
+                    </figure>
+                `}
+                <div class="modal-details">
+                    ${paragraphs.map(paragraph => html`<p>${paragraph}</p>`)}
+                </div>
+                ${(project.technologies || []).length > 0 && html`
+                    <div class="project-technologies">
+                        ${project.technologies.map(tech => html`<span class="tech-tag">${tech}</span>`)}
+                    </div>
+                `}
+                <div class="modal-links">
+                    ${repository && html`<a ${TemplateUtils.link(repository)} class="project-link">${i18n.t('modal.repository')}</a>`}
+                    ${project.demo && html`<a ${TemplateUtils.link(project.demo)} class="project-link demo-link">${i18n.t('modal.demo')}</a>`}
+                </div>
+            </article>
+        `;
+    }
+
+    /**
+     * Formata o período do projeto (datas no formato AAAA-MM)
+     * @param {string} startDate - Início
+     * @param {string} endDate - Fim (vazio para projetos em andamento)
+     * @returns {string}
+     */
+    static formatPeriod(startDate, endDate) {
+        if (!startDate) return '';
+
+        return `${i18n.formatMonth(startDate)} – ${endDate ? i18n.formatMonth(endDate) : i18n.t('modal.present')}`;
+    }
+}
+
+export { ProjectModal };
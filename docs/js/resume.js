@@ -0,0 +1,300 @@
+/**
+ * Currículo gerado a partir do conteúdo do portfólio
+ * Versão para impressão (salvar como PDF) e exportação no formato JSON Resume
+ */
+
+import { TextUtils } from './utils.js';
+import { TemplateUtils, html } from './template.js';
+import i18n from './i18n.js';
+
+class Resume {
+    static JSON_RESUME_SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+    constructor() {
+        this.content = null;
+        this.element = null;
+        this.actions = null;
+        this.originalTitle = '';
+    }
+
+    /**
+     * Cria o container do currículo (visível apenas na impressão) e liga os botões
+     * @param {Element} actions - Container com os botões [data-resume-action]
+     */
+    mount(actions) {
+        if (this.element) return;
+
+        this.element = document.createElement('article');
+        this.element.id = 'resume';
+        this.element.className = 'resume';
+        // Só a impressão mostra o currículo (print.css); na tela ele fica fora da árvore de acessibilidade
+        this.element.hidden = true;
+        document.body.appendChild(this.element);
+
+        this.actions = actions;
+        if (actions) {
+            actions.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-resume-action]');
+                if (!button) return;
+
+                if (button.dataset.resumeAction === 'print') this.print();
+                if (button.dataset.resumeAction === 'json') this.downloadJson();
+            });
+        }
+
+        // Ctrl+P também imprime o currículo: o título vira o nome sugerido do PDF
+        window.addEventListener('beforeprint', () => {
+            if (!this.content) return;
+            this.originalTitle = document.title;
+            document.title = i18n.t('resume.documentTitle', { name: this.content.profile.name });
+        });
+
+        window.addEventListener('afterprint', () => {
+            if (this.originalTitle) document.title = this.originalTitle;
+            this.originalTitle = '';
+        });
+    }
+
+    /**
+     * Atualiza o currículo com o conteúdo localizado
+     * @param {object} content - Conteúdo do portfólio no locale atual
+     */
+    render(content) {
+        this.content = content;
+        if (!this.element) return;
+
+        this.element.replaceChildren(TemplateUtils.render(Resume.template(content, Resume.getPageUrl())));
+        if (this.actions) this.actions.hidden = false;
+    }
+
+    /**
+     * Abre a caixa de impressão do navegador (onde o visitante pode salvar em PDF)
+     */
+    print() {
+        if (this.content) window.print();
+    }
+
+    /**
+     * Baixa o currículo no formato JSON Resume
+     */
+    downloadJson() {
+        if (!this.content) return;
+
+        const json = JSON.stringify(Resume.toJsonResume(this.content, Resume.getPageUrl()), null, 2);
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `curriculo-${TextUtils.slugify(this.content.profile.name)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Endereço público do portfólio (sem hash e query string)
+     * @returns {string}
+     */
+    static getPageUrl() {
+        return `${window.location.origin}${window.location.pathname}`;
+    }
+
+    /**
+     * Separa as entradas da trajetória por tipo
+     * Sem itens de formação na trajetória, usa a lista "education"
+     * @param {object} content - Conteúdo localizado
+     * @returns {{jobs: object[], education: object[], certifications: object[]}}
+     */
+    static groupEntries(content) {
+        const timeline = content.timeline || [];
+        const ofType = (...types) => timeline.filter(entry => types.includes(entry.type));
+        const timelineEducation = ofType('education', 'course');
+
+        return {
+            jobs: ofType('job'),
+            education: timelineEducation.length
+                ? timelineEducation
+                : (content.education || []).map(item => ({
+                    type: 'education',
+                    title: item.course,
+                    institution: item.institution,
+                    completion: item.completion
+                })),
+            certifications: ofType('certification')
+        };
+    }
+
+    /**
+     * Converte habilidades (texto ou registro) em registros
+     * @param {Array<string|object>} skills - Habilidades do conteúdo
+     * @returns {object[]}
+     */
+    static normalizeSkills(skills = []) {
+        return skills.map(skill => (typeof skill === 'string' ? { name: skill } : skill));
+    }
+
+    /**
+     * Formata o período de uma entrada (AAAA-MM)
+     * @param {object} entry - Entrada com startDate, endDate, current ou completion
+     * @returns {string}
+     */
+    static formatPeriod(entry) {
+        if (!entry.startDate) {
+            const completion = entry.endDate ? i18n.formatMonth(entry.endDate) : entry.completion;
+            return completion ? `${i18n.t('info.completion')}: ${completion}` : '';
+        }
+
+        const end = entry.current || !entry.endDate ? i18n.t('timeline.present') : i18n.formatMonth(entry.endDate);
+        return `${i18n.formatMonth(entry.startDate)} – ${end}`;
+    }
+
+    /**
+     * Gera o template do currículo para impressão (URLs sempre por extenso)
+     * @param {object} content - Conteúdo localizado
+     * @param {string} pageUrl - Endereço do portfólio
+     * @returns {SafeHTML}
+     */
+    static template(content, pageUrl) {
+        const { profile, projects = [], contacts = [], hobbies = [] } = content;
+        const { jobs, education, certifications } = Resume.groupEntries(content);
+        const skills = Resume.normalizeSkills(content.skills);
+
+        const entry = (item) => html`
+            <div class="resume-entry">
+                <h3>${item.title}</h3>
+                <p class="resume-meta">${item.institution}${Resume.formatPeriod(item) && html` · ${Resume.formatPeriod(item)}`}</p>
+                ${item.description && html`<p>${item.description}</p>`}
+                ${item.credentialUrl && html`<p class="resume-url">${item.credentialUrl}</p>`}
+            </div>
+        `;
+
+        const section = (titleKey, items, render) => items.length > 0 && html`
+            <section class="resume-section">
+                <h2>${i18n.t(titleKey)}</h2>
+                ${items.map(render)}
+            </section>
+        `;
+
+        return html`
+            <header class="resume-header">
+                <h1>${profile.name}</h1>
+                <ul class="resume-contacts">
+                    <li>${i18n.t('resume.portfolio')}: <span class="resume-url">${pageUrl}</span></li>
+                    ${contacts.map(contact => html`<li>${contact.label}: <span class="resume-url">${contact.url.replace(/^mailto:/, '')}</span></li>`)}
+                </ul>
+            </header>
+            <section class="resume-section">
+                <h2>${i18n.t('resume.summary')}</h2>
+                <p>${profile.summary}</p>
+            </section>
+            ${section('resume.experience', jobs, entry)}
+            ${section('resume.education', education, entry)}
+            ${section('resume.certifications', certifications, entry)}
+            ${section('resume.projects', projects, project => html`
+                <div class="resume-entry">
+                    <h3>${project.title}</h3>
+                    ${(project.role || project.startDate) && html`
+                        <p class="resume-meta">${[project.role, Resume.formatPeriod(project)].filter(Boolean).join(' · ')}</p>
+                    `}
+                    <p>${project.description}</p>
+                    ${(project.contributions || []).length > 0 && html`
+                        <ul>${project.contributions.map(contribution => html`<li>${contribution}</li>`)}</ul>
+                    `}
+                    ${(project.technologies || []).length > 0 && html`
+                        <p class="resume-meta">${project.technologies.join(', ')}</p>
+                    `}
+                    <p class="resume-url">${project.repository || project.link}</p>
+                    ${project.demo && html`<p class="resume-url">${project.demo}</p>`}
+                </div>
+            `)}
+            ${skills.length > 0 && html`
+                <section class="resume-section">
+                    <h2>${i18n.t('resume.skills')}</h2>
+                    <ul class="resume-skills">
+                        ${skills.map(skill => html`
+                            <li>${skill.name}${skill.level && html` (${i18n.t(`skills.level.${skill.level}`)})`}</li>
+                        `)}
+                    </ul>
+                </section>
+            `}
+            ${hobbies.length > 0 && html`
+                <section class="resume-section">
+                    <h2>${i18n.t('resume.interests')}</h2>
+                    <p>${hobbies.join(' · ')}</p>
+                </section>
+            `}
+        `;
+    }
+
+    /**
+     * Converte o conteúdo para o formato JSON Resume (https://jsonresume.org/schema)
+     * @param {object} content - Conteúdo localizado
+     * @param {string} pageUrl - Endereço do portfólio
+     * @returns {object}
+     */
+    static toJsonResume(content, pageUrl) {
+        const { profile, projects = [], contacts = [], hobbies = [] } = content;
+        const { jobs, education, certifications } = Resume.groupEntries(content);
+        const email = contacts.find(contact => contact.url.startsWith('mailto:'));
+        const compact = (object) => Object.fromEntries(
+            Object.entries(object).filter(([, value]) => value !== undefined && value !== '')
+        );
+
+        return {
+            $schema: Resume.JSON_RESUME_SCHEMA,
+            basics: compact({
+                name: profile.name,
+                summary: profile.summary,
+                url: pageUrl,
+                email: email ? email.url.replace(/^mailto:/, '') : undefined,
+                profiles: contacts
+                    .filter(contact => contact !== email)
+                    .map(contact => compact({
+                        network: contact.label,
+                        username: new URL(contact.url).pathname.split('/').filter(Boolean).pop(),
+                        url: contact.url
+                    }))
+            }),
+            work: jobs.map(job => compact({
+                name: job.institution,
+                position: job.title,
+                startDate: job.startDate,
+                endDate: job.endDate,
+                summary: job.description
+            })),
+            education: education.map(item => compact({
+                institution: item.institution,
+                area: item.title,
+                studyType: item.degree,
+                startDate: item.startDate,
+                endDate: item.endDate
+            })),
+            certificates: certifications.map(certification => compact({
+                name: certification.title,
+                issuer: certification.institution,
+                date: certification.endDate || certification.startDate,
+                url: certification.credentialUrl
+            })),
+            skills: Resume.normalizeSkills(content.skills).map(skill => compact({
+                name: skill.name,
+                level: skill.level && i18n.t(`skills.level.${skill.level}`),
+                keywords: skill.aliases
+            })),
+            projects: projects.map(project => compact({
+                name: project.title,
+                description: project.description,
+                highlights: project.contributions,
+                keywords: project.technologies,
+                startDate: project.startDate,
+                endDate: project.endDate,
+                url: project.demo || project.repository || project.link,
+                roles: project.role ? [project.role] : undefined
+            })),
+            interests: hobbies.map(hobby => ({ name: hobby }))
+        };
+    }
+}
+
+export { Resume };
@@ -0,0 +1,264 @@
+/**
+ * Roteador por hash para as visões endereçáveis do portfólio (#/projects/slug, #/posts/id...)
+ * Hashes sem a barra (#contact) continuam sendo âncoras comuns, tratadas pela rolagem do app
+ *
+ * Cada rota tem ganchos de ciclo de vida registrados pela seção dona da visão:
+ *   enter(params)  mostra a visão; retorna (ou resolve) false se o recurso não existe
+ *   leave(params)  esconde a visão ao sair da rota
+ *   title(params)  título da visão, usado no título do documento
+ *   scrollTo(params)  seletor do elemento rolado até a tela ao entrar
+ *   focus(params)  elemento que recebe o foco depois de entrar
+ *
+ * Rolagem e foco só acontecem ao chegar em outra rota: reaplicar a mesma (ex.: troca de
+ * idioma) apenas renderiza a visão de novo
+ */
+
+import { A11yUtils, ScrollUtils } from './utils.js';
+import i18n from './i18n.js';
+import portfolioConfig from './config.js';
+
+class HashRouter {
+    static PREFIX = '#/';
+
+    // Deep links anteriores ao roteador (#projects/slug) continuam funcionando
+    static LEGACY_PATTERN = /^#([\w-]+\/[^/]+)$/;
+
+    /**
+     * @param {object} options - Opções
+     * @param {Function} options.baseTitle - Título do documento fora das rotas (padrão: o título inicial)
+     */
+    constructor({ baseTitle = null } = {}) {
+        const initialTitle = document.title;
+        this.baseTitle = baseTitle || (() => initialTitle);
+        this.routes = [];
+        this.fallback = null;
+        this.current = null;
+        this.navigationId = 0;
+    }
+
+    /**
+     * Converte o hash no caminho da rota
+     * @param {string} hash - Hash da URL (ex.: "#/posts/id")
+     * @returns {string|null} Caminho (ex.: "/posts/id") ou null se o hash for uma âncora comum
+     */
+    static toPath(hash) {
+        if (hash.startsWith(HashRouter.PREFIX)) return hash.slice(1);
+
+        const legacy = HashRouter.LEGACY_PATTERN.exec(hash);
+        return legacy ? `/${legacy[1]}` : null;
+    }
+
+    /**
+     * Verifica se o hash é uma rota (e não uma âncora comum)
+     * @param {string} hash - Hash da URL
+     * @returns {boolean}
+     */
+    static isRoute(hash) {
+        return HashRouter.toPath(hash) !== null;
+    }
+
+    /**
+     * Monta o hash de uma rota
+     * @param {...string} segments - Segmentos do caminho (são codificados)
+     * @returns {string} Ex.: HashRouter.href('skills', 'Node.js') -> "#/skills/Node.js"
+     */
+    static href(...segments) {
+        return `${HashRouter.PREFIX}${segments.map(segment => encodeURIComponent(segment)).join('/')}`;
+    }
+
+    /**
+     * Converte um padrão ("/projects/:slug") em expressão regular
+     * @param {string} pattern - Padrão da rota
+     * @returns {{ regex: RegExp, keys: string[] }}
+     */
+    static compile(pattern) {
+        const keys = [];
+        const source = pattern.split('/').map(segment => {
+            if (!segment.startsWith(':')) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+            keys.push(segment.slice(1));
+            return '([^/]+)';
+        }).join('/');
+
+        return { regex: new RegExp(`^${source}/?$`), keys };
+    }
+
+    /**
+     * Registra uma rota
+     * @param {string} pattern - Padrão com parâmetros (ex.: "/posts/:id")
+     * @param {object} hooks - Ganchos { enter, leave, title, scrollTo, focus } (ver o topo do arquivo)
+     * @returns {Function} Remove a rota
+     */
+    add(pattern, hooks) {
+        const route = { pattern, hooks, ...HashRouter.compile(pattern) };
+        this.routes.push(route);
+
+        return () => {
+            this.routes = this.routes.filter(item => item !== route);
+        };
+    }
+
+    /**
+     * Define a visão mostrada para rotas desconhecidas (mesmos ganchos das rotas; enter recebe { path })
+     * @param {object} hooks - Ganchos { enter, leave, title, scrollTo, focus }
+     */
+    setFallback(hooks) {
+        this.fallback = { pattern: null, hooks };
+    }
+
+    /**
+     * Encontra a rota do caminho
+     * @param {string} path - Caminho (ex.: "/posts/id")
+     * @returns {{ route: object, params: object }|null}
+     */
+    match(path) {
+        for (const route of this.routes) {
+            const match = route.regex.exec(path);
+            if (!match) continue;
+
+            const params = {};
+            route.keys.forEach((key, index) => {
+                params[key] = HashRouter.decode(match[index + 1]);
+            });
+            return { route, params };
+        }
+
+        return null;
+    }
+
+    /**
+     * Decodifica um parâmetro (mantém o texto original se a codificação for inválida)
+     * @param {string} value - Segmento da URL
+     * @returns {string}
+     */
+    static decode(value) {
+        try {
+            return decodeURIComponent(value);
+        } catch {
+            return value;
+        }
+    }
+
+    /**
+     * Vai para um hash criando (ou substituindo) a entrada no histórico
+     * @param {string} hash - Rota ("#/posts/id") ou âncora ("#blog")
+     * @param {object} options - Opções
+     * @param {boolean} options.replace - Substitui a entrada atual do histórico
+     * @param {*} options.state - Estado guardado no histórico
+     * @returns {Promise<boolean>} Ver handle()
+     */
+    navigate(hash, { replace = false, state = null } = {}) {
+        if (window.location.hash !== hash) {
+            history[replace ? 'replaceState' : 'pushState'](state, '', hash);
+        }
+
+        return this.handle();
+    }
+
+    /**
+     * Aplica a rota do hash atual: sai da visão anterior e entra na nova
+     * Chamado no hashchange (inclui voltar/avançar), na inicialização e na troca de idioma
+     * @returns {Promise<boolean>} Se uma rota conhecida foi aberta
+     */
+    async handle() {
+        const hash = window.location.hash;
+        const path = HashRouter.toPath(hash);
+        const navigationId = ++this.navigationId;
+
+        if (path === null) {
+            this.leave();
+            return false;
+        }
+
+        if (!hash.startsWith(HashRouter.PREFIX)) {
+            history.replaceState(history.state, '', `#${path}`);
+        }
+
+        // O foco a devolver é o de antes da primeira visão, mesmo navegando entre visões
+        const previousFocus = this.current ? this.current.previousFocus : document.activeElement;
+        const isNewView = !this.current || this.current.path !== path;
+        if (this.current && isNewView) this.leave({ restoreFocus: false });
+
+        const matched = this.match(path);
+        this.current = { path, previousFocus, ...(matched || { route: this.fallback, params: { path } }) };
+
+        const found = Boolean(matched) && await this.enter(this.current);
+
+        // Outra navegação começou enquanto esta carregava
+        if (navigationId !== this.navigationId) return false;
+
+        if (!found && matched) {
+            this.leave({ restoreFocus: false });
+            this.current = { path, previousFocus, route: this.fallback, params: { path } };
+        }
+
+        if (!found && this.fallback) {
+            await this.enter(this.current);
+        }
+
+        this.updateTitle();
+        if (isNewView) this.revealCurrent();
+        return found;
+    }
+
+    /**
+     * Executa o gancho enter da rota
+     * @param {object} current - Rota atual
+     * @returns {Promise<boolean>}
+     */
+    async enter({ route, params }) {
+        if (!route) return false;
+
+        try {
+            return (await route.hooks.enter(params)) !== false;
+        } catch (error) {
+            console.warn(i18n.t('console.routeError', { route: route.pattern || i18n.t('console.fallbackRoute') }), error);
+            return false;
+        }
+    }
+
+    /**
+     * Sai da rota atual, devolvendo o título e o foco que a página tinha antes dela
+     * @param {object} options - Opções
+     * @param {boolean} options.restoreFocus - Devolve o foco se ele ficou perdido com a visão fechada
+     */
+    leave({ restoreFocus = true } = {}) {
+        if (!this.current) return;
+
+        const { route, params, previousFocus } = this.current;
+        this.current = null;
+
+        if (route && typeof route.hooks.leave === 'function') route.hooks.leave(params);
+        this.updateTitle();
+
+        const active = document.activeElement;
+        const isFocusLost = !active || active === document.body || !active.isConnected || Boolean(active.closest('[hidden]'));
+        if (restoreFocus && isFocusLost && previousFocus && previousFocus.isConnected) {
+            A11yUtils.focus(previousFocus);
+        }
+    }
+
+    /**
+     * Atualiza o título do documento com o título da visão atual
+     */
+    updateTitle() {
+        const base = this.baseTitle();
+        const hooks = this.current && this.current.route ? this.current.route.hooks : {};
+        const title = typeof hooks.title === 'function' ? hooks.title(this.current.params) : '';
+
+        document.title = title ? i18n.t('router.documentTitle', { title, site: base }) : base;
+    }
+
+    /**
+     * Rola até a visão atual e leva o foco ao elemento indicado por ela
+     */
+    revealCurrent() {
+        const hooks = this.current && this.current.route ? this.current.route.hooks : {};
+        const { params } = this.current || {};
+
+        if (typeof hooks.scrollTo === 'function') ScrollUtils.smoothScrollTo(hooks.scrollTo(params), portfolioConfig.scroll.offset);
+        if (typeof hooks.focus === 'function') A11yUtils.focus(hooks.focus(params));
+    }
+}
+
+export { HashRouter };
@@ -0,0 +1,161 @@
+/**
+ * Registro de seções do portfólio (Open/Closed Principle)
+ * Novas seções são registradas sem alterar o código do app
+ */
+
+import { TemplateUtils, html } from './template.js';
+import portfolioConfig from './config.js';
+import i18n from './i18n.js';
+
+class SectionRegistry {
+    constructor() {
+        this.definitions = new Map();
+    }
+
+    /**
+     * Registra uma seção
+     * @param {string} name - Nome único da seção
+     * @param {Function} SectionClass - Classe da seção (subclasse de BaseSection)
+     * @param {object} options - Opções de registro
+     * @param {string[]} options.dependencies - Seções que precisam ser inicializadas antes
+     * @param {number} options.order - Posição relativa na página (menor vem antes)
+     * @param {string} options.id - Id do elemento da seção (padrão: name)
+     * @param {string} options.configKey - Chave em PortfolioConfig.sections (padrão: id em camelCase)
+     * @param {string} options.title - Título usado quando a marcação é criada dinamicamente
+     * @param {Function} options.template - Gera o conteúdo (SafeHTML) quando não existe marcação
+     * @returns {object} Definição registrada
+     */
+    register(name, SectionClass, options = {}) {
+        if (!name || typeof SectionClass !== 'function') {
+            throw new TypeError('registerSection espera um nome e uma classe de seção');
+        }
+
+        if (this.definitions.has(name)) {
+            throw new Error(`Seção "${name}" já está registrada`);
+        }
+
+        const id = options.id || name;
+        const definition = {
+            name,
+            SectionClass,
+            id,
+            configKey: options.configKey || SectionRegistry.toConfigKey(id),
+            dependencies: options.dependencies || [],
+            order: options.order ?? (this.definitions.size + 1) * 10,
+            title: options.title || name,
+            template: options.template || null
+        };
+
+        this.definitions.set(name, definition);
+        return definition;
+    }
+
+    /**
+     * Obtém a definição de uma seção
+     * @param {string} name - Nome da seção
+     * @returns {object|null}
+     */
+    get(name) {
+        return this.definitions.get(name) || null;
+    }
+
+    /**
+     * Verifica se a seção está habilitada em PortfolioConfig.sections
+     * @param {object} definition - Definição da seção
+     * @returns {boolean}
+     */
+    isEnabled(definition) {
+        return portfolioConfig.getSectionConfig(definition.configKey).enabled !== false;
+    }
+
+    /**
+     * Ordena as seções habilitadas respeitando dependências e depois a ordem declarada
+     * Seções com dependências ausentes ou desabilitadas são ignoradas com aviso
+     * @returns {object[]} Definições na ordem de inicialização
+     * @throws {Error} Em caso de dependência circular
+     */
+    resolve() {
+        const enabled = Array.from(this.definitions.values())
+            .filter(definition => this.isEnabled(definition))
+            .sort((a, b) => a.order - b.order);
+
+        const available = new Set(enabled.map(definition => definition.name));
+        const resolved = [];
+        const visiting = new Set();
+        const skipped = new Set();
+
+        const visit = (definition) => {
+            if (resolved.includes(definition) || skipped.has(definition.name)) return;
+
+            if (visiting.has(definition.name)) {
+                throw new Error(`Dependência circular entre seções envolvendo "${definition.name}"`);
+            }
+
+            const missing = definition.dependencies.filter(dependency => !available.has(dependency));
+            if (missing.length) {
+                console.warn(i18n.t('console.sectionMissingDependencies', { name: definition.name, dependencies: missing.join(', ') }));
+                skipped.add(definition.name);
+                available.delete(definition.name);
+                return;
+            }
+
+            visiting.add(definition.name);
+            definition.dependencies.forEach(dependency => visit(this.definitions.get(dependency)));
+            visiting.delete(definition.name);
+
+            if (definition.dependencies.some(dependency => skipped.has(dependency))) {
+                console.warn(i18n.t('console.sectionSkippedDependency', { name: definition.name }));
+                skipped.add(definition.name);
+                available.delete(definition.name);
+                return;
+            }
+
+            resolved.push(definition);
+        };
+
+        enabled.forEach(visit);
+        return resolved;
+    }
+
+    /**
+     * Garante que a seção tenha marcação na página, criando-a se necessário
+     * A nova seção é inserida antes da próxima seção registrada já presente na página
+     * @param {object} definition - Definição da seção
+     * @returns {Element|null}
+     */
+    ensureElement(definition) {
+        const existing = document.getElementById(definition.id);
+        if (existing) return existing;
+
+        const main = document.querySelector('main');
+        if (!main) return null;
+
+        const content = definition.template
+            ? definition.template(definition)
+            : html`<h2>${definition.title}</h2>`;
+
+        const section = TemplateUtils.renderElement(html`
+            <section id="${definition.id}" class="${definition.id}-section dynamic-section">${content}</section>
+        `);
+
+        const next = Array.from(this.definitions.values())
+            .filter(other => other.order > definition.order)
+            .sort((a, b) => a.order - b.order)
+            .map(other => document.getElementById(other.id))
+            .find(element => element && element.parentElement === main);
+
+        main.insertBefore(section, next || null);
+        return section;
+    }
+
+    /**
+     * Converte id da seção em chave de configuração ("additional-info" -> "additionalInfo")
+     * @param {string} id - Id da seção
+     * @returns {string}
+     */
+    static toConfigKey(id) {
+        return id.replace(/-([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+    }
+}
+
+export { SectionRegistry };
@@ -3,20 +3,46 @@
  * Seguindo princípios SOLID e DDD
  */
 
-import { DOMUtils, AnimationUtils, ScrollUtils } from './utils.js';
+import { DOMUtils, A11yUtils, TextUtils } from './utils.js';
+import { TemplateUtils, html } from './template.js';
+import { ProjectFilter } from './project-filter.js';
+import { ProjectModal } from './project-modal.js';
+import { ContactForm } from './contact-form.js';
+import { createContactAdapter } from './contact-adapters.js';
+import { SectionRegistry } from './section-registry.js';
+import { ContentValidator } from './content.js';
+import { PostRepository } from './posts.js';
+import { Markdown } from './markdown.js';
+import { HashRouter } from './router.js';
+import animationEngine from './animations.js';
+import eventBus, { PortfolioEvents } from './event-bus.js';
+import i18n from './i18n.js';
 import portfolioConfig from './config.js';
 
 /**
  * Classe base para seções (Interface Segregation Principle)
  */
 class BaseSection {
-    constructor(sectionId) {
+    /**
+     * @param {string} sectionId - Id do elemento da seção
+     * @param {string} configKey - Chave em PortfolioConfig.sections (padrão: id em camelCase)
+     */
+    constructor(sectionId, configKey = SectionRegistry.toConfigKey(sectionId)) {
         this.sectionId = sectionId;
+        this.configKey = configKey;
         this.element = DOMUtils.querySelector(`#${sectionId}`);
-        this.config = portfolioConfig.getSectionConfig(sectionId);
+        this.router = null;
         this.isInitialized = false;
     }
     
+    /**
+     * Configuração atual da seção (lida a cada acesso, acompanha mudanças nas camadas)
+     * @returns {object}
+     */
+    get config() {
+        return portfolioConfig.getSectionConfig(this.configKey);
+    }
+    
     /**
      * Inicializa a seção
      */
@@ -25,6 +51,7 @@ class BaseSection {
         
         this.setupEventListeners();
         this.setupAnimations();
+        this.setupViewTracking();
         this.isInitialized = true;
     }
     
@@ -36,14 +63,38 @@ class BaseSection {
     }
     
     /**
-     * Configura animações (deve ser implementado pelas subclasses)
+     * Registra as visões da seção no roteador do app (hook chamado ao inicializar a seção)
+     * Subclasses com visões próprias chamam super.registerRoutes(router) e router.add(...)
+     * @param {HashRouter} router - Roteador do app
+     */
+    registerRoutes(router) {
+        this.router = router;
+    }
+    
+    /**
+     * Configura animações (subclasses animam também seus itens com revealItems)
      */
     setupAnimations() {
-        if (portfolioConfig.areAnimationsEnabled()) {
-            AnimationUtils.observeElements(`#${this.sectionId}`, (element) => {
-                AnimationUtils.fadeIn(element, this.config.animationDelay || 0);
-            });
-        }
+        animationEngine.reveal([this.element], this.config.animation, {
+            delay: this.config.animationDelay || 0
+        });
+    }
+    
+    /**
+     * Anima a entrada dos itens da seção com o preset configurado para ela
+     * @param {Element[]|NodeList} items - Itens, na ordem da cascata
+     */
+    revealItems(items) {
+        animationEngine.reveal(items, this.config.animation);
+    }
+    
+    /**
+     * Publica no barramento de eventos quando a seção aparece pela primeira vez
+     */
+    setupViewTracking() {
+        animationEngine.observe(this.element, () => {
+            eventBus.emit(PortfolioEvents.SECTION_VIEWED, { section: this.sectionId });
+        });
     }
 }
 
@@ -58,38 +109,38 @@ class HeroSection extends BaseSection {
     
     setupEventListeners() {
         if (this.profilePicture) {
+            // Interação também pelo teclado (Enter ou Espaço), como um botão
+            this.profilePicture.setAttribute('role', 'button');
+            this.profilePicture.setAttribute('tabindex', '0');
+            
             this.profilePicture.addEventListener('click', () => {
                 this.handleProfileClick();
             });
+            
+            this.profilePicture.addEventListener('keydown', (e) => {
+                if (e.key !== 'Enter' && e.key !== ' ') return;
+                
+                e.preventDefault();
+                this.handleProfileClick();
+            });
         }
     }
     
     setupAnimations() {
         super.setupAnimations();
         
-        if (portfolioConfig.areAnimationsEnabled()) {
-            // Animação especial para a foto de perfil
-            AnimationUtils.observeElements('.profile-picture-container', (element) => {
-                setTimeout(() => {
-                    element.style.transform = 'scale(1.05)';
-                    setTimeout(() => {
-                        element.style.transform = 'scale(1)';
-                    }, 200);
-                }, 500);
-            });
-        }
+        // Animação especial para a foto de perfil
+        const container = DOMUtils.querySelector('.profile-picture-container');
+        animationEngine.observe(container, () => {
+            animationEngine.emphasize(container, 'scale(1.05)', { delay: 500 });
+        });
     }
     
     /**
      * Manipula clique na foto de perfil
      */
     handleProfileClick() {
-        if (portfolioConfig.areAnimationsEnabled()) {
-            this.profilePicture.style.transform = 'scale(0.95)';
-            setTimeout(() => {
-                this.profilePicture.style.transform = 'scale(1)';
-            }, 150);
-        }
+        animationEngine.emphasize(this.profilePicture, 'scale(0.95)');
     }
     
     /**
@@ -98,15 +149,10 @@ class HeroSection extends BaseSection {
      */
     updateUserInfo(userInfo) {
         const nameElement = DOMUtils.querySelector('.hero-content h1');
-        const taglineElement = DOMUtils.querySelector('.tagline');
         const summaryElement = DOMUtils.querySelector('.summary-text');
         
         if (nameElement && userInfo.name) {
-            nameElement.textContent = `Olá, eu sou ${userInfo.name}`;
-        }
-        
-        if (taglineElement && userInfo.tagline) {
-            taglineElement.textContent = userInfo.tagline;
+            nameElement.textContent = i18n.t('hero.greeting', { name: userInfo.name });
         }
         
         if (summaryElement && userInfo.summary) {
@@ -122,16 +168,40 @@ class ProjectsSection extends BaseSection {
     constructor() {
         super('projects');
         this.projectCards = DOMUtils.querySelectorAll('.project-card');
+        this.projects = [];
+        this.filter = new ProjectFilter(() => this.applyFilter());
+        this.modal = new ProjectModal((project) => this.handleModalClose(project));
+    }
+    
+    init() {
+        super.init();
+        
+        if (this.isInitialized) {
+            this.filter.mount(DOMUtils.querySelector('.projects-grid'));
+        }
+    }
+    
+    /**
+     * Rota #/projects/slug: o modal cuida do próprio foco e o devolve ao card ao fechar
+     * @param {HashRouter} router - Roteador do app
+     */
+    registerRoutes(router) {
+        super.registerRoutes(router);
+        
+        router.add('/projects/:slug', {
+            enter: ({ slug }) => this.openProject(slug),
+            leave: () => this.closeProject(),
+            title: () => this.modal.project.title
+        });
     }
     
     setupEventListeners() {
         this.projectCards.forEach((card, index) => {
-            card.addEventListener('mouseenter', () => {
-                this.handleCardHover(card, true);
-            });
+            // Cards pré-renderizados (com slug) são ligados ao serem hidratados em addProject
+            if (card.dataset.slug) return;
             
-            card.addEventListener('mouseleave', () => {
-                this.handleCardHover(card, false);
+            DOMUtils.onHoverOrFocus(card, (isActive) => {
+                this.handleCardHover(card, isActive);
             });
             
             const link = card.querySelector('.project-link');
@@ -146,12 +216,7 @@ class ProjectsSection extends BaseSection {
     setupAnimations() {
         super.setupAnimations();
         
-        if (portfolioConfig.areAnimationsEnabled()) {
-            AnimationUtils.observeElements('.project-card', (element) => {
-                const index = Array.from(this.projectCards).indexOf(element);
-                AnimationUtils.fadeIn(element, index * 100);
-            });
-        }
+        this.revealItems(this.projectCards);
     }
     
     /**
@@ -160,13 +225,7 @@ class ProjectsSection extends BaseSection {
      * @param {boolean} isHovering - Se está em hover
      */
     handleCardHover(card, isHovering) {
-        if (!portfolioConfig.areAnimationsEnabled()) return;
-        
-        if (isHovering) {
-            card.style.transform = 'translateY(-10px) scale(1.02)';
-        } else {
-            card.style.transform = 'translateY(0) scale(1)';
-        }
+        animationEngine.hover(card, isHovering, 'translateY(-10px) scale(1.02)');
     }
     
     /**
@@ -181,56 +240,256 @@ class ProjectsSection extends BaseSection {
         // Se for um link placeholder (#), previne navegação
         if (href === '#') {
             event.preventDefault();
-            console.log(`Projeto ${projectIndex + 1} clicado - Configure o link real`);
+            console.log(i18n.t('console.placeholderLink', { index: projectIndex + 1 }));
         }
     }
     
+    /**
+     * Gera o template de um card de projeto
+     * @param {object} projectData - Dados do projeto
+     * @returns {SafeHTML}
+     */
+    static projectTemplate(projectData) {
+        const technologies = projectData.technologies || [];
+        const contributions = projectData.contributions || [];
+        
+        return html`
+            <article class="project-card" data-slug="${projectData.slug}">
+                <h3>${projectData.title}</h3>
+                <p class="project-description">${projectData.description}</p>
+                ${technologies.length > 0 && html`
+                    <div class="project-technologies">
+                        ${technologies.map(tech => html`<span class="tech-tag">${tech}</span>`)}
+                    </div>
+                `}
+                ${contributions.length > 0 && html`
+                    <div class="project-contributions">
+                        <h4>${i18n.t('projects.contributions')}</h4>
+                        <ul>
+                            ${contributions.map(contribution => html`<li>${contribution}</li>`)}
+                        </ul>
+                    </div>
+                `}
+                <div class="project-actions">
+                    <button type="button" class="project-details-button">${i18n.t('projects.details')}</button>
+                    <a ${TemplateUtils.link(projectData.link)} class="project-link">${i18n.t('projects.viewProject')}</a>
+                </div>
+            </article>
+        `;
+    }
+    
+    /**
+     * Gera o template de todos os cards (usado na pré-renderização)
+     * @param {object[]} projects - Dados dos projetos
+     * @returns {SafeHTML}
+     */
+    static gridTemplate(projects) {
+        return html`${projects.map(project => ProjectsSection.projectTemplate({
+            ...project,
+            slug: project.slug || TextUtils.slugify(project.title)
+        }))}`;
+    }
+    
     /**
      * Adiciona novo projeto
+     * Se o card já existe na página (HTML pré-renderizado), ele é hidratado em vez de duplicado
      * @param {object} projectData - Dados do projeto
      */
     addProject(projectData) {
         const projectsGrid = DOMUtils.querySelector('.projects-grid');
         if (!projectsGrid) return;
         
-        const projectCard = document.createElement('article');
-        projectCard.className = 'project-card';
+        const project = {
+            ...projectData,
+            slug: projectData.slug || TextUtils.slugify(projectData.title)
+        };
+        const prerenderedCard = Array.from(projectsGrid.querySelectorAll('.project-card'))
+            .find(card => card.dataset.slug === project.slug && !this.projects.some(item => item.card === card));
+        const projectCard = prerenderedCard || TemplateUtils.renderElement(ProjectsSection.projectTemplate(project));
         
-        let technologiesHTML = '';
-        if (projectData.technologies && projectData.technologies.length > 0) {
-            technologiesHTML = `
-                <div class="project-technologies">
-                    ${projectData.technologies.map(tech => 
-                        `<span class="tech-tag">${tech}</span>`
-                    ).join('')}
-                </div>
-            `;
+        if (!prerenderedCard) projectsGrid.appendChild(projectCard);
+        this.setupProjectCard(projectCard);
+        
+        this.projects.push({ data: project, card: projectCard });
+        this.filter.setTechnologies(this.projects.flatMap(project => project.data.technologies || []));
+        this.applyFilter();
+    }
+    
+    /**
+     * Atualiza os dados de um projeto, trocando o card pelo novo
+     * @param {string} slug - Slug atual do projeto
+     * @param {object} projectData - Novos dados (sem slug, mantém o atual)
+     * @returns {boolean} Se o projeto foi encontrado
+     */
+    updateProject(slug, projectData) {
+        const project = this.projects.find(({ data }) => data.slug === slug);
+        if (!project) return false;
+        
+        const data = { ...projectData, slug: projectData.slug || slug };
+        const card = TemplateUtils.renderElement(ProjectsSection.projectTemplate(data));
+        
+        project.card.replaceWith(card);
+        this.setupProjectCard(card);
+        project.data = data;
+        project.card = card;
+        
+        if (this.modal.isOpen() && this.modal.project.slug === slug) {
+            this.modal.open(data);
         }
         
-        let contributionsHTML = '';
-        if (projectData.contributions && projectData.contributions.length > 0) {
-            contributionsHTML = `
-                <div class="project-contributions">
-                    <h4>Minhas Contribuições:</h4>
-                    <ul>
-                        ${projectData.contributions.map(contribution => 
-                            `<li>${contribution}</li>`
-                        ).join('')}
-                    </ul>
-                </div>
-            `;
+        this.filter.setTechnologies(this.projects.flatMap(project => project.data.technologies || []));
+        this.applyFilter();
+        return true;
+    }
+    
+    /**
+     * Remove um projeto
+     * @param {string} slug - Slug do projeto
+     * @returns {boolean} Se o projeto foi encontrado
+     */
+    removeProject(slug) {
+        const index = this.projects.findIndex(({ data }) => data.slug === slug);
+        if (index === -1) return false;
+        
+        if (this.modal.isOpen() && this.modal.project.slug === slug) {
+            this.closeProject();
         }
         
-        projectCard.innerHTML = `
-            <h3>${projectData.title}</h3>
-            <p class="project-description">${projectData.description}</p>
-            ${technologiesHTML}
-            ${contributionsHTML}
-            <a href="${projectData.link}" class="project-link" target="_blank">Ver Projeto</a>
+        this.projects[index].card.remove();
+        this.projects.splice(index, 1);
+        this.filter.setTechnologies(this.projects.flatMap(project => project.data.technologies || []));
+        this.applyFilter();
+        return true;
+    }
+    
+    /**
+     * Gera o template das estatísticas do repositório
+     * @param {object} stats - { stars, openIssues (issues + pull requests), lastCommit, languages }
+     * @returns {SafeHTML}
+     */
+    static repositoryStatsTemplate(stats) {
+        const lastCommit = stats.lastCommit
+            ? new Intl.DateTimeFormat(i18n.locale, { dateStyle: 'medium' }).format(new Date(stats.lastCommit))
+            : null;
+        
+        return html`
+            <dl class="repo-stats" aria-label="${i18n.t('github.label')}">
+                <div><dt>${i18n.t('github.stars')}</dt><dd>${stats.stars}</dd></div>
+                <div><dt>${i18n.t('github.openIssues')}</dt><dd>${stats.openIssues}</dd></div>
+                ${lastCommit && html`<div><dt>${i18n.t('github.lastCommit')}</dt><dd>${lastCommit}</dd></div>`}
+                ${(stats.languages || []).length > 0 && html`<div><dt>${i18n.t('github.languages')}</dt><dd>${stats.languages.join(', ')}</dd></div>`}
+            </dl>
         `;
+    }
+    
+    /**
+     * Exibe estatísticas do repositório no card do projeto
+     * @param {string} slug - Slug do projeto
+     * @param {object} stats - Estatísticas do repositório
+     */
+    renderRepositoryStats(slug, stats) {
+        const project = this.projects.find(({ data }) => data.slug === slug);
+        if (!project) return;
         
-        projectsGrid.appendChild(projectCard);
-        this.setupProjectCard(projectCard);
+        const statsElement = TemplateUtils.renderElement(ProjectsSection.repositoryStatsTemplate(stats));
+        const previous = project.card.querySelector('.repo-stats');
+        
+        if (previous) {
+            previous.replaceWith(statsElement);
+        } else {
+            project.card.querySelector('.project-actions').before(statsElement);
+        }
+    }
+    
+    /**
+     * Remove todos os projetos adicionados
+     */
+    clearProjects() {
+        this.projects.forEach(({ card }) => card.remove());
+        this.projects = [];
+        this.filter.setTechnologies([]);
+    }
+    
+    /**
+     * Remove cards pré-renderizados que não correspondem a nenhum projeto do conteúdo
+     * (ex.: projeto removido do JSON sem refazer o build)
+     */
+    removeStaleCards() {
+        DOMUtils.querySelectorAll('.projects-grid .project-card').forEach(card => {
+            if (!this.projects.some(project => project.card === card)) card.remove();
+        });
+    }
+    
+    /**
+     * Mostra apenas os projetos que atendem ao filtro ativo
+     */
+    applyFilter() {
+        let visibleCount = 0;
+        
+        this.projects.forEach(({ data, card }) => {
+            const isVisible = this.filter.matches(data);
+            card.hidden = !isVisible;
+            if (isVisible) visibleCount++;
+        });
+        
+        this.filter.updateStatus(visibleCount, this.projects.length);
+    }
+    
+    /**
+     * Filtra os projetos por uma única tecnologia
+     * @param {string} technology - Nome da tecnologia (ou habilidade)
+     */
+    filterByTechnology(technology) {
+        this.filter.selectOnly(technology);
+    }
+    
+    /**
+     * Abre o modal de um projeto pelo roteador, criando uma entrada no histórico
+     * @param {string} slug - Slug do projeto
+     */
+    handleProjectOpen(slug) {
+        this.router.navigate(HashRouter.href('projects', slug), { state: { projectModal: slug } });
+    }
+    
+    /**
+     * Abre o modal de detalhes de um projeto
+     * @param {string} slug - Slug do projeto
+     * @returns {boolean} Se o projeto foi encontrado
+     */
+    openProject(slug) {
+        const project = this.projects.find(({ data }) => data.slug === slug);
+        if (!project) return false;
+        
+        // Reabrir o mesmo projeto (ex.: troca de idioma) não conta como nova abertura
+        const isAlreadyOpen = this.modal.isOpen() && this.modal.project.slug === slug;
+        this.modal.open(project.data);
+        
+        if (!isAlreadyOpen) {
+            eventBus.emit(PortfolioEvents.PROJECT_OPENED, { slug });
+        }
+        return true;
+    }
+    
+    /**
+     * Fecha o modal de detalhes, se estiver aberto
+     */
+    closeProject() {
+        this.modal.close();
+    }
+    
+    /**
+     * Ao fechar o modal, remove o deep link da URL
+     * Volta no histórico se a entrada foi criada por nós; senão, apenas substitui o hash
+     * @param {object} project - Projeto que estava aberto
+     */
+    handleModalClose(project) {
+        if (window.location.hash !== HashRouter.href('projects', project.slug)) return;
+        
+        if (history.state && history.state.projectModal === project.slug) {
+            history.back();
+        } else {
+            this.router.navigate('#projects', { replace: true });
+        }
     }
     
     /**
@@ -238,76 +497,659 @@ class ProjectsSection extends BaseSection {
      * @param {Element} card - Card do projeto
      */
     setupProjectCard(card) {
-        card.addEventListener('mouseenter', () => {
-            this.handleCardHover(card, true);
+        DOMUtils.onHoverOrFocus(card, (isActive) => {
+            this.handleCardHover(card, isActive);
         });
         
-        card.addEventListener('mouseleave', () => {
-            this.handleCardHover(card, false);
+        const link = card.querySelector('.project-link');
+        if (link) {
+            const index = card.parentElement
+                ? Array.from(card.parentElement.children).indexOf(card)
+                : 0;
+            link.addEventListener('click', (e) => {
+                this.handleProjectClick(e, index);
+            });
+        }
+        
+        // Clique no card (exceto no link externo) abre os detalhes
+        card.addEventListener('click', (e) => {
+            if (e.target.closest('.project-link')) return;
+            this.handleProjectOpen(card.dataset.slug);
         });
     }
 }
 
+/**
+ * Gerenciador da seção de Artigos (posts em Markdown de docs/posts)
+ * A lista tem filtro por tag e paginação; cada artigo abre na rota #/posts/<id>
+ */
+class BlogSection extends BaseSection {
+    constructor() {
+        super('blog');
+        this.list = DOMUtils.querySelector('.blog-list');
+        this.tagContainer = DOMUtils.querySelector('.blog-tags');
+        this.pagination = DOMUtils.querySelector('.blog-pagination');
+        this.articleContainer = DOMUtils.querySelector('.blog-article');
+        this.repository = new PostRepository(portfolioConfig.blog.indexUrl);
+        this.posts = [];
+        this.hasLoadError = false;
+        this.activeTag = 'all';
+        this.page = 1;
+        this.openPostId = null;
+        this.openedPost = null;
+    }
+    
+    /**
+     * Rota #/posts/id: o artigo aparece no lugar da lista, com o foco no título
+     * @param {HashRouter} router - Roteador do app
+     */
+    registerRoutes(router) {
+        super.registerRoutes(router);
+        
+        router.add('/posts/:id', {
+            enter: ({ id }) => this.openPost(id),
+            leave: () => this.closePost(),
+            title: () => this.openedPost.title,
+            scrollTo: () => `#${this.sectionId}`,
+            focus: () => this.articleContainer.querySelector('.blog-post-title')
+        });
+    }
+    
+    setupEventListeners() {
+        this.element.addEventListener('click', (e) => {
+            const tagButton = e.target.closest('.blog-tag-button');
+            const pageButton = e.target.closest('.blog-page-button');
+            
+            if (tagButton) this.filterByTag(tagButton.dataset.tag);
+            if (pageButton) this.goToPage(Number(pageButton.dataset.page));
+            if (e.target.closest('.blog-back')) this.handleBack();
+        });
+    }
+    
+    /**
+     * Recebe o conteúdo localizado (hook chamado pelo app); os posts vêm do próprio índice
+     * Também é chamado na troca de idioma, para refazer datas e rótulos
+     * Sem posts publicados, a seção fica oculta (e some do menu); um erro de carga continua visível
+     */
+    async renderContent() {
+        await this.loadPosts();
+        this.element.hidden = !this.hasLoadError && this.posts.length === 0;
+        this.renderPosts();
+        if (this.openedPost) this.renderArticle();
+    }
+    
+    /**
+     * Carrega o índice dos posts; em caso de erro, a lista mostra um aviso
+     */
+    async loadPosts() {
+        try {
+            this.posts = await this.repository.loadIndex();
+            this.hasLoadError = false;
+        } catch (error) {
+            console.warn(i18n.t('console.postsLoadError'), error);
+            this.posts = [];
+            this.hasLoadError = true;
+        }
+    }
+    
+    /**
+     * Tags dos posts, sem repetição e em ordem alfabética
+     * @param {object[]} posts - Entradas do índice
+     * @returns {string[]}
+     */
+    static collectTags(posts) {
+        return [...new Set(posts.flatMap(post => post.tags || []))].sort((a, b) => a.localeCompare(b));
+    }
+    
+    /**
+     * Verifica se o post está em outro idioma que não o da página
+     * @param {object} post - Entrada do índice
+     * @returns {boolean}
+     */
+    static isOtherLanguage(post) {
+        return post.lang.split('-')[0] !== i18n.locale.split('-')[0];
+    }
+    
+    /**
+     * Gera o template da data, idioma e tags de um post
+     * @param {object} post - Entrada do índice
+     * @returns {SafeHTML}
+     */
+    static metaTemplate(post) {
+        return html`
+            <time datetime="${post.date}">${i18n.formatDate(post.date)}</time>
+            ${BlogSection.isOtherLanguage(post) && html`<span class="blog-language">${i18n.t('blog.inLanguage', { language: i18n.formatLanguage(post.lang) })}</span>`}
+            ${post.tags.length > 0 && html`<span class="blog-post-tags">${post.tags.map(tag => html`<span class="blog-tag">#${tag}</span>`)}</span>`}
+        `;
+    }
+    
+    /**
+     * Gera o template de um post na lista
+     * @param {object} post - Entrada do índice
+     * @returns {SafeHTML}
+     */
+    static postTemplate(post) {
+        return html`
+            <li class="blog-entry">
+                <article class="blog-card">
+                    <h3 lang="${post.lang}"><a href="${HashRouter.href('posts', post.id)}">${post.title}</a></h3>
+                    <p class="blog-meta">${BlogSection.metaTemplate(post)}</p>
+                    <p class="blog-summary" lang="${post.lang}">${post.summary}</p>
+                </article>
+            </li>
+        `;
+    }
+    
+    /**
+     * Gera o template da lista de posts (ou do aviso de lista vazia)
+     * @param {object[]} posts - Posts da página atual
+     * @param {string} emptyKey - Chave da mensagem quando não há posts
+     * @returns {SafeHTML}
+     */
+    static listTemplate(posts, emptyKey = 'blog.empty') {
+        if (!posts.length) return html`<li class="blog-empty">${i18n.t(emptyKey)}</li>`;
+        return html`${posts.map(post => BlogSection.postTemplate(post))}`;
+    }
+    
+    /**
+     * Gera o template dos botões de filtro por tag
+     * @param {string[]} tags - Tags disponíveis
+     * @param {string} activeTag - Tag selecionada
+     * @returns {SafeHTML}
+     */
+    static tagsTemplate(tags, activeTag) {
+        return html`${['all', ...tags].map(tag => html`
+            <button type="button" class="blog-tag-button" data-tag="${tag}" aria-pressed="${String(tag === activeTag)}">
+                ${tag === 'all' ? i18n.t('blog.allTags') : `#${tag}`}
+            </button>
+        `)}`;
+    }
+    
+    /**
+     * Gera o template da paginação
+     * @param {number} page - Página atual
+     * @param {number} total - Total de páginas
+     * @returns {SafeHTML}
+     */
+    static paginationTemplate(page, total) {
+        return html`
+            <button type="button" class="blog-page-button" data-page="${page - 1}" ${page <= 1 && html`disabled`}>${i18n.t('blog.previous')}</button>
+            <span class="blog-page-status" aria-live="polite">${i18n.t('blog.page', { page, total })}</span>
+            <button type="button" class="blog-page-button" data-page="${page + 1}" ${page >= total && html`disabled`}>${i18n.t('blog.next')}</button>
+        `;
+    }
+    
+    /**
+     * Gera o template de um artigo aberto
+     * @param {object} post - Post com o corpo em Markdown
+     * @returns {SafeHTML}
+     */
+    static articleTemplate(post) {
+        return html`
+            <button type="button" class="blog-back">${i18n.t('blog.back')}</button>
+            <article class="blog-post">
+                <h3 class="blog-post-title" lang="${post.lang}">${post.title}</h3>
+                <p class="blog-meta">${BlogSection.metaTemplate(post)}</p>
+                <div class="blog-post-body" lang="${post.lang}">${Markdown.render(post.body)}</div>
+            </article>
+        `;
+    }
+    
+    /**
+     * Posts que passam pelo filtro de tag
+     * @returns {object[]}
+     */
+    getFilteredPosts() {
+        if (this.activeTag === 'all') return this.posts;
+        return this.posts.filter(post => post.tags.includes(this.activeTag));
+    }
+    
+    /**
+     * Renderiza a lista da página atual, os filtros e a paginação
+     */
+    renderPosts() {
+        if (!this.list) return;
+        
+        const tags = BlogSection.collectTags(this.posts);
+        if (!tags.includes(this.activeTag)) this.activeTag = 'all';
+        
+        const posts = this.getFilteredPosts();
+        const { pageSize } = portfolioConfig.blog;
+        const totalPages = Math.max(1, Math.ceil(posts.length / pageSize));
+        this.page = Math.min(Math.max(1, this.page), totalPages);
+        
+        const visible = posts.slice((this.page - 1) * pageSize, this.page * pageSize);
+        this.list.replaceChildren(TemplateUtils.render(BlogSection.listTemplate(visible, this.hasLoadError ? 'blog.loadError' : 'blog.empty')));
+        
+        if (this.tagContainer) {
+            this.tagContainer.hidden = tags.length === 0;
+            this.tagContainer.replaceChildren(TemplateUtils.render(BlogSection.tagsTemplate(tags, this.activeTag)));
+        }
+        
+        if (this.pagination) {
+            this.pagination.hidden = totalPages < 2;
+            this.pagination.replaceChildren(TemplateUtils.render(BlogSection.paginationTemplate(this.page, totalPages)));
+        }
+        
+        this.revealItems(this.list.querySelectorAll('.blog-entry'));
+    }
+    
+    /**
+     * Filtra os posts por tag, voltando para a primeira página
+     * @param {string} tag - Tag ou 'all'
+     */
+    filterByTag(tag) {
+        this.activeTag = tag;
+        this.page = 1;
+        this.renderPosts();
+    }
+    
+    /**
+     * Vai para uma página da lista e leva o foco ao primeiro post dela
+     * @param {number} page - Número da página
+     */
+    goToPage(page) {
+        this.page = page;
+        this.renderPosts();
+        A11yUtils.focus(this.list.querySelector('.blog-entry a') || this.list);
+    }
+    
+    /**
+     * Abre um artigo no lugar da lista (rolagem e foco ficam a cargo do roteador)
+     * @param {string} id - Id do post
+     * @returns {Promise<boolean>} Se o post foi encontrado (senão, o roteador mostra a página não encontrada)
+     */
+    async openPost(id) {
+        if (this.openPostId === id && this.openedPost) return true;
+        this.openPostId = id;
+        
+        let post = null;
+        try {
+            post = await this.repository.loadPost(id);
+        } catch (error) {
+            console.warn(i18n.t('console.postLoadError', { id }), error);
+        }
+        
+        // Outro artigo (ou a lista) foi pedido enquanto este carregava
+        if (this.openPostId !== id) return false;
+        
+        if (!post) {
+            this.openPostId = null;
+            return false;
+        }
+        
+        this.openedPost = post;
+        this.renderArticle();
+        this.element.classList.add('is-reading');
+        this.articleContainer.hidden = false;
+        
+        eventBus.emit(PortfolioEvents.POST_OPENED, { id });
+        return true;
+    }
+    
+    /**
+     * Renderiza o artigo aberto (também na troca de idioma)
+     */
+    renderArticle() {
+        this.articleContainer.replaceChildren(TemplateUtils.render(BlogSection.articleTemplate(this.openedPost)));
+    }
+    
+    /**
+     * Fecha o artigo e volta a mostrar a lista
+     */
+    closePost() {
+        if (!this.openPostId) return;
+        
+        this.openPostId = null;
+        this.openedPost = null;
+        this.element.classList.remove('is-reading');
+        this.articleContainer.hidden = true;
+        this.articleContainer.replaceChildren();
+    }
+    
+    /**
+     * Botão "voltar": troca a rota pela âncora da seção e devolve o foco ao link do artigo
+     */
+    handleBack() {
+        const id = this.openPostId;
+        
+        this.router.navigate(`#${this.sectionId}`);
+        A11yUtils.focus(this.list.querySelector(`a[href="${HashRouter.href('posts', id)}"]`) || this.element);
+    }
+}
+
 /**
  * Gerenciador da seção de Habilidades
  */
 class SkillsSection extends BaseSection {
+    static CATEGORIES = [...ContentValidator.SKILL_CATEGORIES, 'other'];
+    
     constructor() {
         super('skills');
+        this.skillsGrid = DOMUtils.querySelector('.skills-grid');
         this.skillTags = DOMUtils.querySelectorAll('.skill-tag');
+        this.details = null;
+        this.projects = [];
+        this.skills = new Map();
+        this.selectedSkill = null;
+    }
+    
+    /**
+     * Rota #/skills/nome: abre o painel de projetos da habilidade
+     * @param {HashRouter} router - Roteador do app
+     */
+    registerRoutes(router) {
+        super.registerRoutes(router);
+        
+        router.add('/skills/:name', {
+            enter: ({ name }) => this.openSkill(name),
+            leave: () => this.closeDetails(),
+            title: () => this.selectedSkill.name,
+            scrollTo: () => `#${this.sectionId}`,
+            focus: () => this.details
+        });
     }
     
     setupEventListeners() {
         this.skillTags.forEach(tag => {
-            tag.addEventListener('click', () => {
-                this.handleSkillClick(tag);
-            });
+            // Tags pré-renderizadas são ligadas ao serem hidratadas em addSkill
+            if (tag.dataset.skill) return;
+            this.setupSkillTag(tag);
         });
+        
+        // O painel já vem no index.html (as tags apontam para ele com aria-controls)
+        this.details = document.getElementById('skill-details');
+        if (!this.details && this.skillsGrid) {
+            this.details = TemplateUtils.renderElement(html`
+                <div id="skill-details" class="skill-details" aria-live="polite" hidden></div>
+            `);
+            this.skillsGrid.after(this.details);
+        }
+        
+        if (this.details) {
+            this.details.addEventListener('click', (e) => {
+                if (e.target.closest('.skill-filter-button')) this.handleFilterClick();
+            });
+        }
     }
     
     setupAnimations() {
         super.setupAnimations();
         
-        if (portfolioConfig.areAnimationsEnabled()) {
-            AnimationUtils.observeElements('.skill-tag', (element) => {
-                const index = Array.from(this.skillTags).indexOf(element);
-                AnimationUtils.fadeIn(element, index * 50);
-            });
-        }
+        this.revealItems(this.skillTags);
+    }
+    
+    /**
+     * Converte uma habilidade em registro estruturado (aceita o formato antigo em texto)
+     * @param {string|object} skill - Nome ou dados da habilidade
+     * @returns {object} { name, category, level, years, aliases }
+     */
+    static normalizeSkill(skill) {
+        const record = typeof skill === 'string' ? { name: skill } : { ...skill };
+        
+        if (!SkillsSection.CATEGORIES.includes(record.category)) record.category = 'other';
+        record.aliases = record.aliases || [];
+        
+        return record;
     }
     
     /**
-     * Manipula clique em habilidade
+     * Lista os projetos cujas tecnologias incluem a habilidade (nome ou apelidos)
+     * @param {object} skill - Habilidade normalizada
+     * @param {object[]} projects - Dados dos projetos
+     * @returns {object[]}
+     */
+    static findProjects(skill, projects) {
+        const names = [skill.name, ...skill.aliases].map(name => ProjectFilter.normalize(name));
+        
+        return projects.filter(project => (project.technologies || [])
+            .some(technology => names.includes(ProjectFilter.normalize(technology))));
+    }
+    
+    /**
+     * Define os projetos usados para ligar habilidades a projetos
+     * @param {object[]} projects - Dados dos projetos
+     */
+    setProjects(projects) {
+        this.projects = projects;
+    }
+    
+    /**
+     * Manipula clique em habilidade: mostra (ou esconde) os projetos que a usam
      * @param {Element} tag - Tag da habilidade
      */
     handleSkillClick(tag) {
-        const skillName = tag.textContent;
-        console.log(`Habilidade clicada: ${skillName}`);
-        
-        if (portfolioConfig.areAnimationsEnabled()) {
-            tag.style.transform = 'scale(0.95)';
-            setTimeout(() => {
-                tag.style.transform = 'scale(1)';
-            }, 150);
+        const isOpen = tag.getAttribute('aria-expanded') === 'true';
+        
+        if (isOpen) {
+            this.closeDetails();
+        } else {
+            this.expandSkill(tag);
+        }
+        
+        eventBus.emit(PortfolioEvents.SKILL_CLICKED, { skill: tag.dataset.skill, expanded: !isOpen });
+        
+        animationEngine.emphasize(tag, 'scale(0.95)');
+    }
+    
+    /**
+     * Seleciona a habilidade da tag e mostra o painel com os projetos dela
+     * @param {Element} tag - Tag da habilidade
+     */
+    expandSkill(tag) {
+        this.closeDetails();
+        this.selectedSkill = this.skills.get(tag.dataset.skill);
+        tag.setAttribute('aria-expanded', 'true');
+        this.renderDetails();
+    }
+    
+    /**
+     * Abre o painel de uma habilidade pelo nome (rota #/skills/nome)
+     * @param {string} name - Nome da habilidade
+     * @returns {boolean} Se a habilidade existe
+     */
+    openSkill(name) {
+        const tag = this.skillsGrid
+            ? Array.from(this.skillsGrid.querySelectorAll('.skill-tag')).find(item => item.dataset.skill === name)
+            : null;
+        if (!tag || !this.skills.has(name)) return false;
+        
+        this.expandSkill(tag);
+        return true;
+    }
+    
+    /**
+     * Esconde o painel e desmarca a habilidade selecionada
+     */
+    closeDetails() {
+        if (this.skillsGrid) {
+            this.skillsGrid.querySelectorAll('.skill-tag[aria-expanded="true"]').forEach(other => {
+                other.setAttribute('aria-expanded', 'false');
+            });
         }
+        
+        this.selectedSkill = null;
+        if (this.details) this.details.hidden = true;
+    }
+    
+    /**
+     * Notifica o app para filtrar os projetos pela habilidade selecionada
+     */
+    handleFilterClick() {
+        if (!this.selectedSkill) return;
+        
+        const [project] = SkillsSection.findProjects(this.selectedSkill, this.projects);
+        const names = [this.selectedSkill.name, ...this.selectedSkill.aliases].map(name => ProjectFilter.normalize(name));
+        const technology = project
+            ? project.technologies.find(tech => names.includes(ProjectFilter.normalize(tech)))
+            : this.selectedSkill.name;
+        
+        this.element.dispatchEvent(new CustomEvent('skill-select', {
+            bubbles: true,
+            detail: { skill: technology }
+        }));
+    }
+    
+    /**
+     * Exibe o painel com os projetos da habilidade selecionada
+     */
+    renderDetails() {
+        if (!this.details || !this.selectedSkill) return;
+        
+        const projects = SkillsSection.findProjects(this.selectedSkill, this.projects);
+        this.details.replaceChildren(TemplateUtils.render(SkillsSection.detailsTemplate(this.selectedSkill, projects)));
+        this.details.hidden = false;
+    }
+    
+    /**
+     * Gera o template do painel de projetos de uma habilidade
+     * @param {object} skill - Habilidade normalizada
+     * @param {object[]} projects - Projetos que usam a habilidade
+     * @returns {SafeHTML}
+     */
+    static detailsTemplate(skill, projects) {
+        if (!projects.length) {
+            return html`<p>${i18n.t('skills.noProjects', { skill: skill.name })}</p>`;
+        }
+        
+        return html`
+            <h3>${i18n.t('skills.usedIn', { skill: skill.name })}</h3>
+            <ul class="skill-projects">
+                ${projects.map(project => html`<li><a href="${HashRouter.href('projects', project.slug)}">${project.title}</a></li>`)}
+            </ul>
+            <button type="button" class="skill-filter-button">${i18n.t('skills.filterProjects')}</button>
+        `;
+    }
+    
+    /**
+     * Gera o indicador acessível de nível (texto para leitores de tela, barras visuais)
+     * @param {string} level - Nível da habilidade
+     * @returns {SafeHTML|string}
+     */
+    static levelTemplate(level) {
+        const value = ContentValidator.SKILL_LEVELS.indexOf(level) + 1;
+        if (!value) return '';
+        
+        const max = ContentValidator.SKILL_LEVELS.length;
+        const label = i18n.t('skills.levelLabel', { level: i18n.t(`skills.level.${level}`), value, max });
+        
+        return html`
+            <span class="skill-level" role="img" aria-label="${label}" title="${label}" data-level="${value}">
+                ${ContentValidator.SKILL_LEVELS.map((item, index) => html`<span class="skill-level-bar ${index < value ? 'is-filled' : ''}"></span>`)}
+            </span>
+        `;
+    }
+    
+    /**
+     * Gera o template de uma tag de habilidade
+     * @param {object} skill - Habilidade normalizada
+     * @returns {SafeHTML}
+     */
+    static skillTemplate(skill) {
+        return html`
+            <button type="button" class="skill-tag" data-skill="${skill.name}" aria-expanded="false" aria-controls="skill-details">
+                <span class="skill-name">${skill.name}</span>
+                ${SkillsSection.levelTemplate(skill.level)}
+                ${skill.years && html`<span class="skill-years">${i18n.t('skills.years', { count: skill.years })}</span>`}
+            </button>
+        `;
+    }
+    
+    /**
+     * Gera o template de um grupo de categoria
+     * @param {string} category - Categoria das habilidades
+     * @param {SafeHTML[]} tags - Tags já renderizadas
+     * @returns {SafeHTML}
+     */
+    static categoryTemplate(category, tags = []) {
+        return html`
+            <div class="skill-category" data-category="${category}" role="group" aria-labelledby="skill-category-${category}">
+                <h3 id="skill-category-${category}" data-i18n="skills.category.${category}">${i18n.t(`skills.category.${category}`)}</h3>
+                <div class="skill-category-tags">${tags}</div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Gera o template de todas as habilidades agrupadas (usado na pré-renderização)
+     * @param {Array<string|object>} skills - Habilidades do conteúdo
+     * @returns {SafeHTML}
+     */
+    static gridTemplate(skills) {
+        const records = skills.map(skill => SkillsSection.normalizeSkill(skill));
+        
+        return html`${SkillsSection.CATEGORIES
+            .filter(category => records.some(skill => skill.category === category))
+            .map(category => SkillsSection.categoryTemplate(
+                category,
+                records.filter(skill => skill.category === category).map(skill => SkillsSection.skillTemplate(skill))
+            ))}`;
+    }
+    
+    /**
+     * Obtém (ou cria) o grupo de uma categoria, mantendo a ordem das categorias
+     * @param {string} category - Categoria da habilidade
+     * @returns {Element} Container das tags da categoria
+     */
+    getCategoryGroup(category) {
+        const existing = this.skillsGrid.querySelector(`.skill-category[data-category="${category}"]`);
+        if (existing) return existing.querySelector('.skill-category-tags');
+        
+        const group = TemplateUtils.renderElement(SkillsSection.categoryTemplate(category));
+        
+        const order = SkillsSection.CATEGORIES.indexOf(category);
+        const next = Array.from(this.skillsGrid.querySelectorAll('.skill-category'))
+            .find(other => SkillsSection.CATEGORIES.indexOf(other.dataset.category) > order);
+        
+        this.skillsGrid.insertBefore(group, next || null);
+        return group.querySelector('.skill-category-tags');
     }
     
     /**
      * Adiciona nova habilidade
-     * @param {string} skillName - Nome da habilidade
+     * @param {string|object} skillData - Nome ou dados da habilidade
      */
-    addSkill(skillName) {
-        const skillsGrid = DOMUtils.querySelector('.skills-grid');
-        if (!skillsGrid) return;
+    addSkill(skillData) {
+        if (!this.skillsGrid) return;
         
-        const skillTag = document.createElement('span');
-        skillTag.className = 'skill-tag';
-        skillTag.textContent = skillName;
+        const skill = SkillsSection.normalizeSkill(skillData);
+        const prerenderedTag = this.skills.has(skill.name)
+            ? null
+            : Array.from(this.skillsGrid.querySelectorAll('.skill-tag')).find(tag => tag.dataset.skill === skill.name);
+        const skillTag = prerenderedTag || TemplateUtils.renderElement(SkillsSection.skillTemplate(skill));
         
-        skillsGrid.appendChild(skillTag);
+        this.skills.set(skill.name, skill);
+        if (!prerenderedTag) this.getCategoryGroup(skill.category).appendChild(skillTag);
         this.setupSkillTag(skillTag);
     }
     
+    /**
+     * Remove todas as habilidades
+     */
+    clearSkills() {
+        if (!this.skillsGrid) return;
+        
+        this.skillsGrid.querySelectorAll('.skill-category, .skill-tag').forEach(element => element.remove());
+        this.skills.clear();
+        this.selectedSkill = null;
+        if (this.details) this.details.hidden = true;
+    }
+    
+    /**
+     * Remove tags pré-renderizadas que não correspondem a nenhuma habilidade do conteúdo
+     */
+    removeStaleTags() {
+        if (!this.skillsGrid) return;
+        
+        this.skillsGrid.querySelectorAll('.skill-tag').forEach(tag => {
+            if (!this.skills.has(tag.dataset.skill)) tag.remove();
+        });
+        
+        this.skillsGrid.querySelectorAll('.skill-category').forEach(group => {
+            if (!group.querySelector('.skill-tag')) group.remove();
+        });
+    }
+    
     /**
      * Configura uma tag de habilidade específica
      * @param {Element} tag - Tag da habilidade
@@ -319,6 +1161,147 @@ class SkillsSection extends BaseSection {
     }
 }
 
+/**
+ * Gerenciador da seção de Trajetória (formação, empregos, cursos e certificações)
+ */
+class TimelineSection extends BaseSection {
+    constructor() {
+        super('timeline');
+        this.list = DOMUtils.querySelector('.timeline-list');
+        this.filterContainer = DOMUtils.querySelector('.timeline-filter');
+        this.entries = [];
+        this.activeType = 'all';
+    }
+    
+    setupEventListeners() {
+        if (!this.filterContainer) return;
+        
+        this.filterContainer.addEventListener('click', (e) => {
+            const button = e.target.closest('.timeline-filter-button');
+            if (button) this.filterByType(button.dataset.type);
+        });
+    }
+    
+    /**
+     * Recebe o conteúdo localizado (hook chamado pelo app)
+     * @param {object} content - Conteúdo do portfólio no locale atual
+     */
+    renderContent(content) {
+        this.renderTimeline(content.timeline || []);
+    }
+    
+    /**
+     * Ordena os itens do mais recente para o mais antigo (em andamento primeiro)
+     * @param {object[]} entries - Itens da trajetória
+     * @returns {object[]}
+     */
+    static sortEntries(entries) {
+        const endOf = (entry) => (entry.current ? '9999-12' : entry.endDate || entry.startDate);
+        
+        return [...entries].sort((a, b) => (
+            endOf(b).localeCompare(endOf(a)) || (b.startDate || '').localeCompare(a.startDate || '')
+        ));
+    }
+    
+    /**
+     * Gera o template de um item da trajetória
+     * Itens sem startDate mostram só a conclusão (endDate)
+     * @param {object} entry - Dados do item
+     * @returns {SafeHTML}
+     */
+    static entryTemplate(entry) {
+        const end = entry.current || !entry.endDate
+            ? i18n.t('timeline.present')
+            : html`<time datetime="${entry.endDate}">${i18n.formatMonth(entry.endDate)}</time>`;
+        const period = entry.startDate
+            ? html`<time datetime="${entry.startDate}">${i18n.formatMonth(entry.startDate)}</time> – ${end}`
+            : html`${i18n.t('info.completion')}: ${end}`;
+        
+        return html`
+            <li class="timeline-entry" data-type="${entry.type}" ${entry.current && html`data-current="true"`}>
+                <span class="timeline-marker" aria-hidden="true"></span>
+                <article class="timeline-card">
+                    <p class="timeline-type">${i18n.t(`timeline.type.${entry.type}`)}</p>
+                    <h3>${entry.title}</h3>
+                    <p class="timeline-institution">${entry.institution}</p>
+                    <p class="timeline-period">
+                        ${period}
+                        ${entry.current && html`<span class="timeline-current">${i18n.t('timeline.current')}</span>`}
+                    </p>
+                    ${entry.description && html`<p class="timeline-description">${entry.description}</p>`}
+                    ${entry.credentialUrl && html`<a ${TemplateUtils.link(entry.credentialUrl)} class="timeline-credential">${i18n.t('timeline.credential')}</a>`}
+                </article>
+            </li>
+        `;
+    }
+    
+    /**
+     * Gera o template dos botões de filtro (apenas tipos presentes no conteúdo)
+     * @param {string[]} types - Tipos disponíveis
+     * @param {string} activeType - Tipo selecionado
+     * @returns {SafeHTML}
+     */
+    static filterTemplate(types, activeType) {
+        return html`${['all', ...types].map(type => html`
+            <button type="button" class="timeline-filter-button" data-type="${type}" aria-pressed="${String(type === activeType)}">
+                ${i18n.t(type === 'all' ? 'timeline.all' : `timeline.type.${type}`)}
+            </button>
+        `)}`;
+    }
+    
+    /**
+     * Renderiza a trajetória e os filtros
+     * @param {object[]} entries - Itens da trajetória
+     */
+    renderTimeline(entries) {
+        if (!this.list) return;
+        
+        this.entries = TimelineSection.sortEntries(entries);
+        const types = ContentValidator.TIMELINE_TYPES.filter(type => this.entries.some(entry => entry.type === type));
+        if (!types.includes(this.activeType)) this.activeType = 'all';
+        
+        this.list.replaceChildren(TemplateUtils.render(html`${this.entries.map(entry => TimelineSection.entryTemplate(entry))}`));
+        
+        if (this.filterContainer) {
+            this.filterContainer.hidden = types.length < 2;
+            this.filterContainer.replaceChildren(TemplateUtils.render(TimelineSection.filterTemplate(types, this.activeType)));
+        }
+        
+        this.applyFilter();
+        this.animateEntries();
+    }
+    
+    /**
+     * Filtra os itens por tipo
+     * @param {string} type - Tipo do item ou 'all'
+     */
+    filterByType(type) {
+        this.activeType = type;
+        
+        this.filterContainer.querySelectorAll('.timeline-filter-button').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.type === type));
+        });
+        
+        this.applyFilter();
+    }
+    
+    /**
+     * Exibe apenas os itens do tipo selecionado
+     */
+    applyFilter() {
+        this.list.querySelectorAll('.timeline-entry').forEach(item => {
+            item.hidden = this.activeType !== 'all' && item.dataset.type !== this.activeType;
+        });
+    }
+    
+    /**
+     * Anima os itens ao entrarem na tela (ignorado com movimento reduzido)
+     */
+    animateEntries() {
+        this.revealItems(this.list.querySelectorAll('.timeline-entry'));
+    }
+}
+
 /**
  * Gerenciador da seção de Informações Adicionais
  */
@@ -330,12 +1313,8 @@ class AdditionalInfoSection extends BaseSection {
     
     setupEventListeners() {
         this.infoCards.forEach(card => {
-            card.addEventListener('mouseenter', () => {
-                this.handleCardHover(card, true);
-            });
-            
-            card.addEventListener('mouseleave', () => {
-                this.handleCardHover(card, false);
+            DOMUtils.onHoverOrFocus(card, (isActive) => {
+                this.handleCardHover(card, isActive);
             });
         });
     }
@@ -343,12 +1322,7 @@ class AdditionalInfoSection extends BaseSection {
     setupAnimations() {
         super.setupAnimations();
         
-        if (portfolioConfig.areAnimationsEnabled()) {
-            AnimationUtils.observeElements('.info-card', (element) => {
-                const index = Array.from(this.infoCards).indexOf(element);
-                AnimationUtils.fadeIn(element, index * 100);
-            });
-        }
+        this.revealItems(this.infoCards);
     }
     
     /**
@@ -357,13 +1331,54 @@ class AdditionalInfoSection extends BaseSection {
      * @param {boolean} isHovering - Se está em hover
      */
     handleCardHover(card, isHovering) {
-        if (!portfolioConfig.areAnimationsEnabled()) return;
+        animationEngine.hover(card, isHovering, 'translateY(-5px)');
+    }
+    
+    /**
+     * Gera o template de uma formação acadêmica
+     * @param {object} education - Dados da formação
+     * @returns {SafeHTML}
+     */
+    static educationTemplate(education) {
+        return html`
+            <p><strong>${education.course}</strong></p>
+            <p>${education.institution}${education.completion && html` - ${i18n.t('info.completion')}: ${education.completion}`}</p>
+        `;
+    }
+    
+    /**
+     * Gera o template da lista de hobbies
+     * @param {string[]} hobbies - Lista de hobbies
+     * @returns {SafeHTML}
+     */
+    static hobbiesTemplate(hobbies) {
+        return html`
+            <ul>
+                ${hobbies.map(hobby => html`<li>${hobby}</li>`)}
+            </ul>
+        `;
+    }
+    
+    /**
+     * Renderiza a formação acadêmica
+     * @param {object[]} education - Lista de formações
+     */
+    renderEducation(education) {
+        const content = DOMUtils.querySelector('[data-info="education"] .info-content');
+        if (!content) return;
         
-        if (isHovering) {
-            card.style.transform = 'translateY(-5px)';
-        } else {
-            card.style.transform = 'translateY(0)';
-        }
+        content.replaceChildren(TemplateUtils.render(html`${education.map(item => AdditionalInfoSection.educationTemplate(item))}`));
+    }
+    
+    /**
+     * Renderiza a lista de hobbies e interesses
+     * @param {string[]} hobbies - Lista de hobbies
+     */
+    renderHobbies(hobbies) {
+        const content = DOMUtils.querySelector('[data-info="hobbies"] .info-content');
+        if (!content) return;
+        
+        content.replaceChildren(TemplateUtils.render(AdditionalInfoSection.hobbiesTemplate(hobbies)));
     }
 }
 
@@ -374,16 +1389,48 @@ class ContactSection extends BaseSection {
     constructor() {
         super('contact');
         this.contactLinks = DOMUtils.querySelectorAll('.contact-link');
+        this.contactForm = null;
+    }
+    
+    init() {
+        super.init();
+        
+        if (this.isInitialized) {
+            this.setupContactForm();
+        }
+    }
+    
+    /**
+     * Cria o formulário de contato com o adaptador configurado
+     * Desligado (contactForm.enabled) ou sem destinatário/endpoint, o formulário não é exibido
+     */
+    setupContactForm() {
+        const formConfig = portfolioConfig.contactForm;
+        if (!formConfig.enabled) return;
+        
+        try {
+            const adapter = createContactAdapter(formConfig);
+            if (!adapter.isConfigured()) {
+                console.warn(i18n.t('console.contactFormNotConfigured', {
+                    field: formConfig.adapter === 'mailto' ? 'recipient' : 'endpoint'
+                }));
+                return;
+            }
+            
+            this.contactForm = new ContactForm(adapter, {
+                minFillTime: formConfig.minFillTime,
+                maxLength: formConfig.maxLength
+            });
+            this.contactForm.mount(this.element);
+        } catch (error) {
+            console.warn(i18n.t('console.contactFormError'), error);
+        }
     }
     
     setupEventListeners() {
         this.contactLinks.forEach(link => {
-            link.addEventListener('mouseenter', () => {
-                this.handleLinkHover(link, true);
-            });
-            
-            link.addEventListener('mouseleave', () => {
-                this.handleLinkHover(link, false);
+            DOMUtils.onHoverOrFocus(link, (isActive) => {
+                this.handleLinkHover(link, isActive);
             });
         });
     }
@@ -391,12 +1438,7 @@ class ContactSection extends BaseSection {
     setupAnimations() {
         super.setupAnimations();
         
-        if (portfolioConfig.areAnimationsEnabled()) {
-            AnimationUtils.observeElements('.contact-link', (element) => {
-                const index = Array.from(this.contactLinks).indexOf(element);
-                AnimationUtils.fadeIn(element, index * 100);
-            });
-        }
+        this.revealItems(this.contactLinks);
     }
     
     /**
@@ -405,14 +1447,45 @@ class ContactSection extends BaseSection {
      * @param {boolean} isHovering - Se está em hover
      */
     handleLinkHover(link, isHovering) {
-        if (!portfolioConfig.areAnimationsEnabled()) return;
+        animationEngine.hover(link, isHovering, 'translateY(-5px) scale(1.05)');
+    }
+    
+    /**
+     * Gera o template de um link de contato
+     * @param {object} contact - Dados do contato
+     * @returns {SafeHTML}
+     */
+    static contactTemplate(contact) {
+        return html`
+            <a ${TemplateUtils.link(contact.url)} class="contact-link ${contact.type || ''}">
+                <span>${contact.label}</span>
+            </a>
+        `;
+    }
+    
+    /**
+     * Renderiza os links de contato
+     * @param {object[]} contacts - Lista de contatos
+     */
+    renderContacts(contacts) {
+        const contactGrid = DOMUtils.querySelector('.contact-grid');
+        if (!contactGrid) return;
         
-        if (isHovering) {
-            link.style.transform = 'translateY(-5px) scale(1.05)';
-        } else {
-            link.style.transform = 'translateY(0) scale(1)';
-        }
+        contactGrid.replaceChildren(TemplateUtils.render(html`${contacts.map(contact => ContactSection.contactTemplate(contact))}`));
+        
+        this.contactLinks = contactGrid.querySelectorAll('.contact-link');
+        this.contactLinks.forEach(link => this.setupContactLink(link));
+    }
+    
+    /**
+     * Configura um link de contato específico
+     * @param {Element} link - Link de contato
+     */
+    setupContactLink(link) {
+        DOMUtils.onHoverOrFocus(link, (isActive) => {
+            this.handleLinkHover(link, isActive);
+        });
     }
 }
 
-export { HeroSection, ProjectsSection, SkillsSection, AdditionalInfoSection, ContactSection };
\ No newline at end of file
+export { BaseSection, HeroSection, ProjectsSection, BlogSection, SkillsSection, TimelineSection, AdditionalInfoSection, ContactSection };
\ No newline at end of file
@@ -0,0 +1,170 @@
+/**
+ * Metadados de SEO e compartilhamento (meta description, Open Graph, Twitter e JSON-LD)
+ * Não depende do DOM para gerar as tags: o mesmo código roda no navegador e no
+ * script de pré-renderização (scripts/prerender.mjs)
+ */
+
+import { TemplateUtils, html } from './template.js';
+import i18n from './i18n.js';
+
+class SeoMetadata {
+    static DESCRIPTION_MAX_LENGTH = 160;
+    static JSON_LD_ID = 'structured-data';
+    static OG_LOCALES = { 'pt-BR': 'pt_BR', en: 'en_US' };
+
+    /**
+     * Resolve um caminho relativo ao endereço do site
+     * @param {string} path - Caminho ou URL absoluta
+     * @param {string} siteUrl - Endereço canônico do site
+     * @returns {string}
+     */
+    static absoluteUrl(path, siteUrl) {
+        return new URL(path, siteUrl).href;
+    }
+
+    /**
+     * Resume um texto para meta description (corta na última palavra inteira)
+     * @param {string} text - Texto completo
+     * @returns {string}
+     */
+    static summarize(text) {
+        const normalized = String(text).replace(/\s+/g, ' ').trim();
+        if (normalized.length <= SeoMetadata.DESCRIPTION_MAX_LENGTH) return normalized;
+
+        const cut = normalized.slice(0, SeoMetadata.DESCRIPTION_MAX_LENGTH - 1);
+        return `${cut.slice(0, cut.lastIndexOf(' ')).replace(/[\s,.;:—-]+$/, '')}…`;
+    }
+
+    /**
+     * Gera a lista de tags do <head>
+     * @param {object} content - Conteúdo localizado
+     * @param {object} options - Opções
+     * @param {string} options.siteUrl - Endereço canônico do site
+     * @param {string} options.image - Imagem de compartilhamento (relativa ao site)
+     * @param {string} options.twitterHandle - Perfil do Twitter/X (opcional, ex.: "@perfil")
+     * @param {string} options.locale - Locale do conteúdo
+     * @returns {Array<{tag: string, attributes: object}>}
+     */
+    static buildTags(content, { siteUrl, image, twitterHandle = '', locale = i18n.locale }) {
+        const { profile } = content;
+        const title = i18n.t('document.title', { name: profile.name });
+        const description = SeoMetadata.summarize(profile.summary);
+        const imageUrl = SeoMetadata.absoluteUrl(image, siteUrl);
+        const meta = (key, value, attribute = 'name') => ({ tag: 'meta', attributes: { [attribute]: key, content: value } });
+        const property = (key, value) => meta(key, value, 'property');
+
+        const alternateLocales = Object.keys(SeoMetadata.OG_LOCALES).filter(other => other !== locale);
+
+        return [
+            meta('description', description),
+            meta('author', profile.name),
+            { tag: 'link', attributes: { rel: 'canonical', href: siteUrl } },
+            property('og:type', 'profile'),
+            property('og:site_name', title),
+            property('og:title', title),
+            property('og:description', description),
+            property('og:url', siteUrl),
+            property('og:image', imageUrl),
+            property('og:image:alt', i18n.t('hero.photoAlt')),
+            property('og:locale', SeoMetadata.OG_LOCALES[locale]),
+            ...alternateLocales.map(other => property('og:locale:alternate', SeoMetadata.OG_LOCALES[other])),
+            meta('twitter:card', 'summary'),
+            meta('twitter:title', title),
+            meta('twitter:description', description),
+            meta('twitter:image', imageUrl),
+            ...(twitterHandle ? [meta('twitter:site', twitterHandle)] : [])
+        ];
+    }
+
+    /**
+     * Gera os dados estruturados schema.org (Person e um CreativeWork por projeto)
+     * @param {object} content - Conteúdo localizado
+     * @param {object} options - Mesmas opções de buildTags
+     * @returns {object}
+     */
+    static buildJsonLd(content, { siteUrl, image, locale = i18n.locale }) {
+        const { profile, projects = [], skills = [], contacts = [], education = [] } = content;
+        const personId = `${siteUrl}#person`;
+
+        const person = {
+            '@type': 'Person',
+            '@id': personId,
+            name: profile.name,
+            description: profile.summary,
+            url: siteUrl,
+            image: SeoMetadata.absoluteUrl(image, siteUrl),
+            sameAs: contacts.map(contact => contact.url).filter(url => /^https?:/.test(url)),
+            knowsAbout: skills.map(skill => (typeof skill === 'string' ? skill : skill.name)),
+            alumniOf: education.map(item => ({ '@type': 'EducationalOrganization', name: item.institution }))
+        };
+
+        const works = projects.map(project => ({
+            '@type': 'CreativeWork',
+            name: project.title,
+            description: project.description,
+            url: project.demo || project.repository || project.link,
+            author: { '@id': personId },
+            inLanguage: locale,
+            ...(project.technologies && { keywords: project.technologies.join(', ') }),
+            ...(project.startDate && { dateCreated: project.startDate })
+        }));
+
+        return { '@context': 'https://schema.org', '@graph': [person, ...works] };
+    }
+
+    /**
+     * Gera a marcação das tags para pré-renderização no HTML estático (uma tag por linha)
+     * @param {object} content - Conteúdo localizado
+     * @param {object} options - Mesmas opções de buildTags
+     * @returns {SafeHTML}
+     */
+    static template(content, options) {
+        const tags = SeoMetadata.buildTags(content, options).map(({ tag, attributes }) => html`<${TemplateUtils.raw(tag)}${
+            Object.entries(attributes).map(([name, value]) => html` ${TemplateUtils.raw(name)}="${value}"`)
+        }>`);
+
+        // "<" escapado impede que o JSON feche a tag <script> antes da hora
+        const jsonLd = JSON.stringify(SeoMetadata.buildJsonLd(content, options)).replace(/</g, '\\u003c');
+
+        return TemplateUtils.raw([
+            html`<title>${i18n.t('document.title', { name: content.profile.name })}</title>`,
+            ...tags,
+            html`<script type="application/ld+json" id="${SeoMetadata.JSON_LD_ID}">${TemplateUtils.raw(jsonLd)}</script>`
+        ].join('\n'));
+    }
+
+    /**
+     * Cria ou atualiza as tags no <head> do documento (ex.: após trocar o idioma)
+     * @param {object} content - Conteúdo localizado
+     * @param {object} options - Mesmas opções de buildTags
+     */
+    static apply(content, options) {
+        const { head } = document;
+
+        head.querySelectorAll('meta[property="og:locale:alternate"]').forEach(element => element.remove());
+
+        SeoMetadata.buildTags(content, options).forEach(({ tag, attributes }) => {
+            const key = ['rel', 'property', 'name'].find(name => name in attributes);
+            const selector = `${tag}[${key}="${attributes[key]}"]`;
+            let element = attributes.property === 'og:locale:alternate' ? null : head.querySelector(selector);
+
+            if (!element) {
+                element = document.createElement(tag);
+                head.appendChild(element);
+            }
+
+            Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        });
+
+        let script = document.getElementById(SeoMetadata.JSON_LD_ID);
+        if (!script) {
+            script = document.createElement('script');
+            script.type = 'application/ld+json';
+            script.id = SeoMetadata.JSON_LD_ID;
+            head.appendChild(script);
+        }
+        script.textContent = JSON.stringify(SeoMetadata.buildJsonLd(content, options));
+    }
+}
+
+export { SeoMetadata };
@@ -0,0 +1,126 @@
+/**
+ * Registro do service worker (docs/sw.js) e aviso de nova versão
+ * A nova versão fica em espera até o visitante aceitar o aviso; então a página recarrega
+ */
+
+import { TemplateUtils, html } from './template.js';
+import i18n from './i18n.js';
+
+class ServiceWorkerManager {
+    /**
+     * @param {object} options - Opções
+     * @param {string} options.url - Endereço do service worker (relativo à página)
+     */
+    constructor({ url = 'sw.js' } = {}) {
+        this.url = url;
+        this.registration = null;
+        this.prompt = null;
+        this.updateAccepted = false;
+    }
+
+    /**
+     * Se o navegador suporta service workers neste contexto (HTTPS ou localhost)
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return 'serviceWorker' in navigator && window.isSecureContext;
+    }
+
+    /**
+     * Registra o service worker e passa a observar novas versões
+     * @returns {Promise<ServiceWorkerRegistration|null>}
+     */
+    async register() {
+        if (!ServiceWorkerManager.isSupported()) return null;
+
+        try {
+            this.registration = await navigator.serviceWorker.register(this.url);
+        } catch (error) {
+            console.warn(i18n.t('console.serviceWorkerError'), error);
+            return null;
+        }
+
+        // Só recarrega quando o visitante pediu (a primeira instalação também troca o controller)
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (!this.updateAccepted) return;
+
+            this.updateAccepted = false;
+            window.location.reload();
+        });
+
+        // Versão baixada em uma visita anterior, ainda esperando
+        if (this.registration.waiting && navigator.serviceWorker.controller) {
+            this.showUpdatePrompt(this.registration.waiting);
+        }
+
+        this.registration.addEventListener('updatefound', () => {
+            this.watchInstallingWorker(this.registration.installing);
+        });
+
+        return this.registration;
+    }
+
+    /**
+     * Exibe o aviso quando a nova versão termina de instalar
+     * Sem controller, é a primeira visita: não há versão antiga para substituir
+     * @param {ServiceWorker|null} worker - Service worker em instalação
+     */
+    watchInstallingWorker(worker) {
+        if (!worker) return;
+
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                this.showUpdatePrompt(worker);
+            }
+        });
+    }
+
+    /**
+     * Exibe o aviso de nova versão disponível
+     * @param {ServiceWorker} worker - Nova versão, em espera
+     */
+    showUpdatePrompt(worker) {
+        this.hideUpdatePrompt();
+
+        this.prompt = TemplateUtils.renderElement(ServiceWorkerManager.promptTemplate());
+        this.prompt.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-update-action]');
+            if (!button) return;
+
+            if (button.dataset.updateAction === 'reload') {
+                this.updateAccepted = true;
+                worker.postMessage({ type: 'SKIP_WAITING' });
+            }
+
+            this.hideUpdatePrompt();
+        });
+
+        document.body.appendChild(this.prompt);
+    }
+
+    /**
+     * Remove o aviso de nova versão
+     */
+    hideUpdatePrompt() {
+        if (!this.prompt) return;
+
+        this.prompt.remove();
+        this.prompt = null;
+    }
+
+    /**
+     * Gera o template do aviso (data-i18n mantém o texto traduzido ao trocar o idioma)
+     * @returns {SafeHTML}
+     */
+    static promptTemplate() {
+        return html`
+            <div class="update-prompt" role="status">
+                <p data-i18n="update.available">${i18n.t('update.available')}</p>
+                <button type="button" class="update-button" data-update-action="reload" data-i18n="update.reload">${i18n.t('update.reload')}</button>
+                <button type="button" class="update-button update-button-secondary" data-update-action="dismiss" data-i18n="update.dismiss">${i18n.t('update.dismiss')}</button>
+            </div>
+        `;
+    }
+}
+
+export { ServiceWorkerManager };
@@ -0,0 +1,130 @@
+/**
+ * Camada de templates com escape automático
+ * Todo conteúdo interpolado é tratado como texto, a menos que já seja SafeHTML
+ */
+
+import { ValidationUtils } from './utils.js';
+
+/**
+ * Marcação considerada segura (já escapada ou gerada por template)
+ */
+class SafeHTML {
+    /**
+     * @param {string} value - Marcação HTML segura
+     */
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+class TemplateUtils {
+    static NEW_TAB_HINT_ID = 'new-tab-hint';
+
+    /**
+     * Escapa caracteres especiais de HTML
+     * @param {*} value - Valor a escapar
+     * @returns {string}
+     */
+    static escape(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Tagged template que escapa todos os valores interpolados
+     * Listas são concatenadas; null, undefined e false não geram saída
+     * @param {string[]} strings - Partes literais do template
+     * @param {...*} values - Valores interpolados
+     * @returns {SafeHTML}
+     */
+    static html(strings, ...values) {
+        const markup = strings.reduce((result, part, index) => {
+            const value = index < values.length ? TemplateUtils.interpolate(values[index]) : '';
+            return result + part + value;
+        }, '');
+
+        return new SafeHTML(markup);
+    }
+
+    /**
+     * Converte um valor interpolado em marcação segura
+     * @param {*} value - Valor interpolado
+     * @returns {string}
+     */
+    static interpolate(value) {
+        if (value instanceof SafeHTML) return value.toString();
+        if (Array.isArray(value)) return value.map(item => TemplateUtils.interpolate(item)).join('');
+        if (value === null || value === undefined || value === false) return '';
+        return TemplateUtils.escape(value);
+    }
+
+    /**
+     * Marca uma string como segura sem escapá-la (use apenas com marcação confiável)
+     * @param {string} markup - Marcação confiável
+     * @returns {SafeHTML}
+     */
+    static raw(markup) {
+        return new SafeHTML(String(markup));
+    }
+
+    /**
+     * Retorna a URL se for permitida (http, https ou mailto); caso contrário, '#'
+     * @param {string} url - URL a sanitizar
+     * @returns {string}
+     */
+    static url(url) {
+        return ValidationUtils.isSafeUrl(url) ? url : '#';
+    }
+
+    /**
+     * Gera atributos de link seguros; links externos abrem em nova aba com rel="noopener noreferrer"
+     * e avisam leitores de tela pelo texto de #new-tab-hint (index.html)
+     * @param {string} url - Destino do link
+     * @returns {SafeHTML}
+     */
+    static link(url) {
+        const href = TemplateUtils.url(url);
+
+        if (ValidationUtils.isExternalUrl(href)) {
+            return TemplateUtils.html`href="${href}" target="_blank" rel="noopener noreferrer" aria-describedby="${TemplateUtils.NEW_TAB_HINT_ID}"`;
+        }
+
+        return TemplateUtils.html`href="${href}"`;
+    }
+
+    /**
+     * Converte um template em fragmento do DOM
+     * @param {SafeHTML} template - Template renderizado
+     * @returns {DocumentFragment}
+     */
+    static render(template) {
+        if (!(template instanceof SafeHTML)) {
+            throw new TypeError('TemplateUtils.render espera um SafeHTML (use html`...`)');
+        }
+
+        const container = document.createElement('template');
+        container.innerHTML = template.toString().trim();
+        return container.content;
+    }
+
+    /**
+     * Converte um template no seu primeiro elemento
+     * @param {SafeHTML} template - Template renderizado
+     * @returns {Element|null}
+     */
+    static renderElement(template) {
+        return TemplateUtils.render(template).firstElementChild;
+    }
+}
+
+const html = TemplateUtils.html;
+
+export { SafeHTML, TemplateUtils, html };
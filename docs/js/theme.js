@@ -0,0 +1,171 @@
+/**
+ * Gerenciamento de tema (claro/escuro) do portfólio
+ * Seguindo princípio de Single Responsibility
+ */
+
+import eventBus, { PortfolioEvents } from './event-bus.js';
+import i18n from './i18n.js';
+import portfolioConfig from './config.js';
+
+class ThemeManager {
+    // Chave usada antes da configuração em camadas (migrada para a preferência theme.mode)
+    static STORAGE_KEY = 'portfolio-theme';
+    static THEMES = ['light', 'dark'];
+
+    constructor() {
+        this.root = document.documentElement;
+        this.toggleButton = null;
+        this.currentTheme = null;
+    }
+
+    /**
+     * Aplica cores configuradas e o tema inicial
+     */
+    init() {
+        this.migrateStoredTheme();
+        this.applyColors();
+        this.applyTheme(this.getInitialTheme());
+
+        // Mudanças na configuração (preferência, ?theme=, config.json) valem na hora
+        portfolioConfig.subscribe('theme.mode', () => this.applyTheme(this.getInitialTheme()));
+        portfolioConfig.subscribe('theme.primaryColor', () => this.applyColors());
+        portfolioConfig.subscribe('theme.secondaryColor', () => this.applyColors());
+    }
+
+    /**
+     * Define o tema inicial: theme.mode fixo > preferência do sistema > configuração
+     * @returns {string} 'light' ou 'dark'
+     */
+    getInitialTheme() {
+        const { mode } = portfolioConfig.theme;
+        if (ThemeManager.THEMES.includes(mode)) return mode;
+
+        if (window.matchMedia) {
+            return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+        }
+
+        return portfolioConfig.theme.darkModeEnabled ? 'dark' : 'light';
+    }
+
+    /**
+     * Mapeia as cores de PortfolioConfig.theme para propriedades CSS
+     */
+    applyColors() {
+        const { primaryColor, secondaryColor } = portfolioConfig.theme;
+
+        if (primaryColor) {
+            this.root.style.setProperty('--primary-color', primaryColor);
+            this.root.style.setProperty('--primary-dark', ThemeManager.darken(primaryColor, 0.15));
+        }
+
+        if (secondaryColor) {
+            this.root.style.setProperty('--secondary-color', secondaryColor);
+            this.root.style.setProperty('--secondary-dark', ThemeManager.darken(secondaryColor, 0.15));
+        }
+    }
+
+    /**
+     * Aplica um tema na página
+     * @param {string} theme - 'light' ou 'dark'
+     */
+    applyTheme(theme) {
+        if (!ThemeManager.THEMES.includes(theme)) return;
+
+        this.currentTheme = theme;
+        this.root.setAttribute('data-theme', theme);
+        portfolioConfig.updateThemeConfig({ darkModeEnabled: theme === 'dark' });
+        this.updateToggle();
+    }
+
+    /**
+     * Alterna o tema e salva a escolha do usuário
+     */
+    toggle() {
+        const nextTheme = this.currentTheme === 'dark' ? 'light' : 'dark';
+        portfolioConfig.setPreference('theme.mode', nextTheme);
+        this.applyTheme(nextTheme);
+        eventBus.emit(PortfolioEvents.THEME_CHANGED, { theme: nextTheme });
+    }
+
+    /**
+     * Reage à mudança de tema do sistema operacional
+     * A escolha explícita do usuário tem prioridade sobre o sistema
+     * @param {boolean} prefersDark - Se o sistema prefere tema escuro
+     */
+    handleSystemPreferenceChange(prefersDark) {
+        if (portfolioConfig.theme.mode !== 'auto') return;
+
+        this.applyTheme(prefersDark ? 'dark' : 'light');
+    }
+
+    /**
+     * Cria o botão de alternância de tema
+     * @param {Element} container - Elemento que receberá o botão
+     */
+    mountToggle(container) {
+        if (!container || this.toggleButton) return;
+
+        this.toggleButton = document.createElement('button');
+        this.toggleButton.type = 'button';
+        this.toggleButton.className = 'theme-toggle';
+        this.toggleButton.addEventListener('click', () => {
+            this.toggle();
+        });
+
+        container.appendChild(this.toggleButton);
+        this.updateToggle();
+    }
+
+    /**
+     * Sincroniza estado e rótulo do botão com o tema atual
+     */
+    updateToggle() {
+        if (!this.toggleButton) return;
+
+        const isDark = this.currentTheme === 'dark';
+        this.toggleButton.setAttribute('aria-pressed', String(isDark));
+        this.toggleButton.setAttribute('aria-label', i18n.t(isDark ? 'theme.toLight' : 'theme.toDark'));
+        this.toggleButton.textContent = isDark ? '☀️' : '🌙';
+    }
+
+    /**
+     * Converte o tema salvo por versões anteriores em preferência da configuração
+     */
+    migrateStoredTheme() {
+        try {
+            const theme = localStorage.getItem(ThemeManager.STORAGE_KEY);
+            if (theme === null) return;
+
+            localStorage.removeItem(ThemeManager.STORAGE_KEY);
+            if (ThemeManager.THEMES.includes(theme)) {
+                portfolioConfig.setPreference('theme.mode', theme);
+            }
+        } catch {
+            // Sem acesso ao storage: não há o que migrar
+        }
+    }
+
+    /**
+     * Escurece uma cor hexadecimal
+     * @param {string} hex - Cor no formato #rrggbb ou #rgb
+     * @param {number} amount - Fração a escurecer (0 a 1)
+     * @returns {string}
+     */
+    static darken(hex, amount) {
+        const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(hex);
+        if (!match) return hex;
+
+        const digits = match[1].length === 3
+            ? match[1].split('').map(digit => digit + digit).join('')
+            : match[1];
+
+        const channels = [0, 2, 4].map(offset => {
+            const value = parseInt(digits.slice(offset, offset + 2), 16);
+            return Math.round(value * (1 - amount)).toString(16).padStart(2, '0');
+        });
+
+        return `#${channels.join('')}`;
+    }
+}
+
+export { ThemeManager };
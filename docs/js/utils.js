@@ -3,6 +3,8 @@
  * Seguindo princípio de Single Responsibility
  */
 
+import animationEngine from './animations.js';
+
 class DOMUtils {
     /**
      * Seleciona elemento do DOM com tratamento de erro
@@ -63,52 +65,82 @@ class DOMUtils {
     static hasClass(element, className) {
         return element && className && element.classList.contains(className);
     }
+    
+    /**
+     * Liga o mesmo efeito ao hover do mouse e ao foco do teclado
+     * O foco em qualquer elemento interno (ex.: link dentro do card) também conta
+     * @param {Element} element - Elemento DOM
+     * @param {function} callback - Recebe true ao entrar e false ao sair
+     */
+    static onHoverOrFocus(element, callback) {
+        if (!element) return;
+        
+        element.addEventListener('mouseenter', () => callback(true));
+        element.addEventListener('mouseleave', () => {
+            if (!element.contains(document.activeElement)) callback(false);
+        });
+        element.addEventListener('focusin', () => callback(true));
+        element.addEventListener('focusout', (e) => {
+            if (!element.contains(e.relatedTarget) && !element.matches(':hover')) callback(false);
+        });
+    }
+}
+
+class A11yUtils {
+    static LIVE_REGION_ID = 'live-region';
+    
+    /**
+     * Anuncia uma mensagem para leitores de tela (região #live-region do index.html)
+     * O texto é limpo antes para que a mesma mensagem possa ser anunciada de novo
+     * @param {string} message - Mensagem a anunciar
+     */
+    static announce(message) {
+        const region = document.getElementById(A11yUtils.LIVE_REGION_ID);
+        if (!region) return;
+        
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = message;
+        }, 100);
+    }
+    
+    /**
+     * Move o foco para um elemento, tornando-o focável se necessário
+     * Usado após rolagens internas (âncoras, link de pular para o conteúdo)
+     * @param {Element} element - Elemento de destino
+     */
+    static focus(element) {
+        if (!element) return;
+        
+        if (!element.matches('a[href], button, input, select, textarea, [tabindex]')) {
+            element.setAttribute('tabindex', '-1');
+        }
+        element.focus({ preventScroll: true });
+    }
 }
 
+/**
+ * API de animação anterior ao AnimationEngine, mantida para quem ainda a usa
+ * Delega ao motor (animations.js): respeita a configuração e o movimento reduzido
+ */
 class AnimationUtils {
     /**
-     * Aplica animação de fade in
+     * Aplica animação de fade in (preset fade-up)
      * @param {Element} element - Elemento a ser animado
      * @param {number} delay - Delay da animação em ms
+     * @returns {Animation|null}
      */
     static fadeIn(element, delay = 0) {
-        if (!element) return;
-        
-        setTimeout(() => {
-            element.style.opacity = '0';
-            element.style.transform = 'translateY(20px)';
-            element.style.transition = 'opacity 0.6s ease, transform 0.6s ease';
-            
-            requestAnimationFrame(() => {
-                element.style.opacity = '1';
-                element.style.transform = 'translateY(0)';
-            });
-        }, delay);
+        return animationEngine.play(element, 'fade-up', { delay });
     }
     
     /**
-     * Observa elementos para animação no scroll
+     * Observa elementos para animação no scroll (usa o observer compartilhado do motor)
      * @param {string} selector - Seletor dos elementos
-     * @param {function} callback - Função de callback
+     * @param {function} callback - Chamado uma vez por elemento, quando ele aparece
      */
     static observeElements(selector, callback) {
-        const elements = DOMUtils.querySelectorAll(selector);
-        
-        if (!elements.length) return;
-        
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    callback(entry.target);
-                    observer.unobserve(entry.target);
-                }
-            });
-        }, {
-            threshold: 0.1,
-            rootMargin: '0px 0px -50px 0px'
-        });
-        
-        elements.forEach(element => observer.observe(element));
+        DOMUtils.querySelectorAll(selector).forEach(element => animationEngine.observe(element, callback));
     }
 }
 
@@ -189,7 +221,43 @@ class ValidationUtils {
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
         return emailRegex.test(email);
     }
+
+    /**
+     * Valida URL segura para links (apenas http, https e mailto)
+     * @param {string} url - URL a validar
+     * @returns {boolean}
+     */
+    static isSafeUrl(url) {
+        if (!ValidationUtils.isValidUrl(url)) return false;
+
+        return ['http:', 'https:', 'mailto:'].includes(new URL(url).protocol);
+    }
+
+    /**
+     * Verifica se URL aponta para um site externo (http ou https)
+     * @param {string} url - URL a verificar
+     * @returns {boolean}
+     */
+    static isExternalUrl(url) {
+        return ValidationUtils.isValidUrl(url) && ['http:', 'https:'].includes(new URL(url).protocol);
+    }
+}
+
+class TextUtils {
+    /**
+     * Gera slug para URLs ("Devflow Analytics" -> "devflow-analytics")
+     * @param {string} text - Texto de origem
+     * @returns {string}
+     */
+    static slugify(text) {
+        return String(text)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
 }
 
 // Exporta as classes utilitárias
-export { DOMUtils, AnimationUtils, ScrollUtils, ValidationUtils };
\ No newline at end of file
+export { DOMUtils, A11yUtils, AnimationUtils, ScrollUtils, ValidationUtils, TextUtils };
\ No newline at end of file
@@ -0,0 +1,136 @@
+/**
+ * Service worker do portfólio
+ * - Pré-cache versionado dos arquivos estáticos (HTML, CSS, módulos, imagens)
+ * - Stale-while-revalidate para o conteúdo (data/*.json)
+ * - A nova versão só assume após o visitante aceitar o aviso (mensagem SKIP_WAITING)
+ *
+ * A lista e a versão do pré-cache são geradas por scripts/build-sw.mjs:
+ *   node scripts/build-sw.mjs           atualiza este arquivo
+ *   node scripts/build-sw.mjs --check   falha se a lista estiver desatualizada
+ */
+
+/* precache:start */
+const PRECACHE_VERSION = '352b3bbd9f46';
+const PRECACHE_URLS = [
+    './',
+    'assets/icons/icon-maskable.svg',
+    'assets/icons/icon.svg',
+    'assets/images/profile-placeholder.jpg',
+    'config.json',
+    'css/print.css',
+    'css/style.css',
+    'data/portfolio.json',
+    'index.html',
+    'js/analytics-sinks.js',
+    'js/analytics.js',
+    'js/animations.js',
+    'js/config.js',
+    'js/contact-adapters.js',
+    'js/contact-form.js',
+    'js/content.js',
+    'js/editor.js',
+    'js/event-bus.js',
+    'js/github.js',
+    'js/highlight.js',
+    'js/i18n.js',
+    'js/locales/en.js',
+    'js/locales/pt-BR.js',
+    'js/main.js',
+    'js/markdown.js',
+    'js/navigation.js',
+    'js/posts.js',
+    'js/project-filter.js',
+    'js/project-modal.js',
+    'js/resume.js',
+    'js/router.js',
+    'js/section-registry.js',
+    'js/sections.js',
+    'js/seo.js',
+    'js/service-worker.js',
+    'js/template.js',
+    'js/theme.js',
+    'js/utils.js',
+    'manifest.webmanifest',
+    'posts/index.json'
+];
+/* precache:end */
+
+const PRECACHE_NAME = `portfolio-precache-${PRECACHE_VERSION}`;
+// Sem versão: o conteúdo mais recente sobrevive às atualizações do service worker
+const DATA_CACHE_NAME = 'portfolio-data';
+const DATA_PATH = /\/data\/[^/]+\.json$/;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(PRECACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('portfolio-precache-') && name !== PRECACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    // Requisições de outros sites (ex.: API do GitHub) seguem direto para a rede
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (DATA_PATH.test(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(event));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+/**
+ * Responde com o conteúdo em cache e atualiza o cache em segundo plano
+ * Na primeira visita (cache vazio), espera a rede; sem rede, usa o pré-cache
+ * @param {FetchEvent} event - Evento de fetch
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(DATA_CACHE_NAME);
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+
+    const update = fetch(event.request)
+        .then(async (response) => {
+            if (response.ok) await cache.put(event.request, response.clone());
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(update.catch(() => undefined));
+        return cached;
+    }
+
+    return update.catch(async (error) => {
+        const precached = await caches.match(event.request, { cacheName: PRECACHE_NAME, ignoreSearch: true });
+        if (precached) return precached;
+        throw error;
+    });
+}
+
+/**
+ * Páginas e arquivos estáticos: pré-cache primeiro (a versão do cache muda a cada publicação)
+ * Query strings (?lang=, ?analytics=...) não geram páginas diferentes
+ * @param {Request} request - Requisição
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request, { cacheName: PRECACHE_NAME, ignoreSearch: true });
+    return cached || fetch(request);
+}
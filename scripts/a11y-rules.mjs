@@ -0,0 +1,160 @@
+/**
+ * Regras de acessibilidade sobre um DOM já renderizado (usadas por scripts/check-a11y.mjs)
+ * Cobrem o que dá para checar só pela marcação: idioma, títulos, nomes acessíveis,
+ * referências ARIA, tabindex e o link de pular para o conteúdo
+ *
+ * Cada problema tem o formato { target, rule, message }, em que target descreve o elemento
+ * como um seletor (ex.: "#projects button.project-link")
+ */
+
+const FOCUSABLE = 'a[href], button, input:not([type="hidden"]), select, textarea, summary, [tabindex]';
+const FORM_FIELDS = 'input:not([type="hidden"]):not([type="submit"]):not([type="button"]), select, textarea';
+const ID_REFERENCES = ['aria-controls', 'aria-describedby', 'aria-labelledby', 'for'];
+
+/**
+ * Descreve um elemento como um seletor curto, a partir do ancestral mais próximo com id
+ * @param {Element|null} element - Elemento
+ * @returns {string}
+ */
+export function describeElement(element) {
+    if (!element) return 'document';
+
+    const own = (node) => {
+        const classes = [...node.classList].map(name => `.${name}`).join('');
+        return node.id ? `${node.localName}#${node.id}` : `${node.localName}${classes}`;
+    };
+
+    if (element.id) return own(element);
+
+    const anchor = element.parentElement && element.parentElement.closest('[id]');
+    return anchor ? `#${anchor.id} ${own(element)}` : own(element);
+}
+
+/**
+ * Se o elemento (ou um ancestral) está fora da árvore de acessibilidade
+ * @param {Element} element - Elemento
+ * @returns {boolean}
+ */
+function isHidden(element) {
+    return Boolean(element.closest('[hidden], [aria-hidden="true"]'));
+}
+
+/**
+ * Se o elemento entra na ordem de tabulação
+ * @param {Element} element - Elemento
+ * @returns {boolean}
+ */
+function isFocusable(element) {
+    if (element.hasAttribute('tabindex')) return Number(element.getAttribute('tabindex')) >= 0;
+    return !element.disabled;
+}
+
+/**
+ * Texto lido para o elemento: o conteúdo mais o alt das imagens internas
+ * @param {Element} element - Elemento
+ * @returns {string}
+ */
+function textOf(element) {
+    const alts = [...element.querySelectorAll('img[alt]')].map(image => image.getAttribute('alt'));
+    return [element.textContent, ...alts].join(' ').trim();
+}
+
+/**
+ * Se o elemento tem nome acessível (texto, aria-label, aria-labelledby ou title)
+ * @param {Element} element - Elemento
+ * @returns {boolean}
+ */
+function hasAccessibleName(element) {
+    return Boolean(textOf(element) || element.getAttribute('aria-label')
+        || element.getAttribute('aria-labelledby') || element.getAttribute('title'));
+}
+
+/**
+ * Executa todas as regras sobre o documento
+ * @param {Document} document - Documento renderizado
+ * @returns {object[]} Problemas encontrados, na ordem do documento ({ target, rule, message })
+ */
+export function checkDocument(document) {
+    const issues = [];
+    const report = (element, rule, message) => issues.push({ element, target: describeElement(element), rule, message });
+    const elements = [...document.querySelectorAll('*')];
+
+    const ids = new Map();
+    elements.forEach(element => {
+        if (!element.id) return;
+
+        if (ids.has(element.id)) report(element, 'duplicate-id', `id "${element.id}" repetido (primeiro em ${describeElement(ids.get(element.id))})`);
+        else ids.set(element.id, element);
+    });
+
+    const html = document.documentElement;
+    if (!html.getAttribute('lang')) report(html, 'html-lang', '<html> sem atributo lang');
+
+    const headings = [...document.querySelectorAll('h1, h2, h3, h4, h5, h6')].filter(element => !isHidden(element));
+    const h1s = headings.filter(element => element.localName === 'h1');
+    if (h1s.length !== 1) report(h1s[1] || html, 'heading-h1', `a página deve ter um único <h1> (encontrados: ${h1s.length})`);
+
+    headings.reduce((previousLevel, element) => {
+        const level = Number(element.localName[1]);
+        if (level > previousLevel + 1) {
+            report(element, 'heading-order', `<${element.localName}> depois de <h${previousLevel}> pula um nível`);
+        }
+        if (!textOf(element)) report(element, 'heading-name', `<${element.localName}> vazio`);
+        return level;
+    }, 0);
+
+    elements.forEach(element => {
+        const tag = element.localName;
+
+        if (tag === 'img' && !element.hasAttribute('alt')) {
+            report(element, 'img-alt', '<img> sem alt (use alt="" para imagens decorativas)');
+        }
+
+        if (tag === 'a' && element.hasAttribute('href') && !isHidden(element) && !hasAccessibleName(element)) {
+            report(element, 'link-name', `link para "${element.getAttribute('href')}" sem texto`);
+        }
+
+        if ((tag === 'button' || element.getAttribute('role') === 'button') && !isHidden(element) && !hasAccessibleName(element)) {
+            report(element, 'button-name', 'botão sem texto');
+        }
+
+        if (element.matches(FORM_FIELDS)) {
+            const labelled = element.getAttribute('aria-label') || element.getAttribute('aria-labelledby') || element.labels.length > 0;
+            if (!labelled) report(element, 'form-label', `<${tag}> sem rótulo associado`);
+        }
+
+        if (element.getAttribute('target') === '_blank') {
+            if (!/\bnoopener\b/.test(element.getAttribute('rel') || '')) {
+                report(element, 'blank-target', 'link em nova aba sem rel="noopener"');
+            }
+            if (!element.getAttribute('aria-describedby')) {
+                report(element, 'blank-target', 'link em nova aba sem aviso (aria-describedby)');
+            }
+        }
+
+        if (Number(element.getAttribute('tabindex')) > 0) {
+            report(element, 'tabindex-positive', `tabindex="${element.getAttribute('tabindex')}" altera a ordem natural de tabulação`);
+        }
+
+        ID_REFERENCES.forEach(name => {
+            const value = element.getAttribute(name);
+            if (!value) return;
+
+            value.split(/\s+/).filter(Boolean)
+                .filter(id => !ids.has(id))
+                .forEach(id => report(element, 'id-reference', `${name} aponta para id inexistente "${id}"`));
+        });
+    });
+
+    const firstFocusable = [...document.querySelectorAll(FOCUSABLE)].find(element => isFocusable(element) && !isHidden(element));
+    const href = firstFocusable ? firstFocusable.getAttribute('href') || '' : '';
+    const skipTarget = href.startsWith('#') ? ids.get(href.slice(1)) : null;
+    if (!skipTarget || !skipTarget.closest('main')) {
+        report(firstFocusable || null, 'skip-link', 'o primeiro elemento focável deve ser um link para o conteúdo principal (<main>)');
+    }
+
+    const position = (element) => elements.indexOf(element);
+    return issues
+        .sort((a, b) => position(a.element) - position(b.element))
+        .map(({ target, rule, message }) => ({ target, rule, message }));
+}
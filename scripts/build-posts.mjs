@@ -0,0 +1,176 @@
+/**
+ * Gera o índice do blog (docs/posts/index.json) e o feed Atom (docs/feed.xml) a partir dos
+ * arquivos Markdown de docs/posts/ (formato do frontmatter em docs/js/posts.js)
+ * Sem posts não há feed: o docs/feed.xml é removido, e o prerender esconde a seção e o link do feed
+ *
+ * Execute antes de scripts/prerender.mjs, que pré-renderiza a lista de artigos a partir do índice
+ *
+ * Uso:
+ *   node scripts/build-posts.mjs           atualiza o índice e o feed
+ *   node scripts/build-posts.mjs --check   falha se algum dos dois estiver desatualizado (útil em CI)
+ */
+
+import { readdir, readFile, rm } from 'node:fs/promises';
+import { relative } from 'node:path';
+import { html } from '../docs/js/template.js';
+import { Markdown } from '../docs/js/markdown.js';
+import { PostParser } from '../docs/js/posts.js';
+import { HashRouter } from '../docs/js/router.js';
+import { ContentValidationError } from '../docs/js/content.js';
+import i18n from '../docs/js/i18n.js';
+import portfolioConfig from '../docs/js/config.js';
+import { DOCS_DIR, ROOT_DIR, loadLocalizedContent, writeOutput } from './prerender-utils.mjs';
+
+const COMMAND = 'node scripts/build-posts.mjs';
+
+/**
+ * Lê e valida todos os posts, do mais recente para o mais antigo
+ * @param {string} dir - Pasta dos posts
+ * @returns {Promise<{ entry: object, body: string }[]>}
+ * @throws {ContentValidationError} Com os problemas de todos os arquivos
+ */
+async function readPosts(dir) {
+    const files = (await readdir(dir)).filter(file => file.endsWith('.md')).sort();
+    const posts = new Map();
+    const errors = [];
+
+    for (const file of files) {
+        try {
+            const post = PostParser.parse(file.slice(0, -'.md'.length), await readFile(`${dir}${file}`, 'utf8'));
+            posts.set(post.entry.id, post);
+        } catch (error) {
+            if (!(error instanceof ContentValidationError)) throw error;
+            errors.push(...error.errors);
+        }
+    }
+
+    if (errors.length) throw new ContentValidationError(errors);
+
+    return PostParser.sortEntries([...posts.values()].map(post => post.entry)).map(entry => posts.get(entry.id));
+}
+
+/**
+ * Lê um arquivo gerado anteriormente (vazio se ainda não existir)
+ * @param {string} file - Caminho do arquivo
+ * @returns {Promise<string>}
+ */
+async function readExisting(file) {
+    try {
+        return await readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return '';
+    }
+}
+
+/**
+ * Converte AAAA-MM-DD na data do Atom (RFC 3339)
+ * @param {string} date - Data AAAA-MM-DD
+ * @returns {string}
+ */
+function toAtomDate(date) {
+    return `${date}T00:00:00Z`;
+}
+
+/**
+ * Gera uma entrada do feed
+ * @param {{ entry: object, body: string }} post - Post lido
+ * @param {string} siteUrl - Endereço publicado do site
+ * @returns {SafeHTML}
+ */
+function entryTemplate({ entry, body }, siteUrl) {
+    const url = `${siteUrl}${HashRouter.href('posts', entry.id)}`;
+
+    return html`
+    <entry xml:lang="${entry.lang}">
+        <title>${entry.title}</title>
+        <link href="${url}"/>
+        <id>${url}</id>
+        <published>${toAtomDate(entry.date)}</published>
+        <updated>${toAtomDate(entry.date)}</updated>
+        <summary>${entry.summary}</summary>
+        <content type="html">${String(Markdown.render(body))}</content>
+${entry.tags.map(tag => html`        <category term="${tag}"/>
+`)}    </entry>`;
+}
+
+/**
+ * Gera o feed Atom; endereços relativos dos posts partem de xml:base (o site publicado)
+ * @param {object[]} posts - Posts lidos, do mais recente para o mais antigo (ao menos um)
+ * @param {object} content - Conteúdo localizado do portfólio
+ * @returns {SafeHTML}
+ */
+function feedTemplate(posts, content) {
+    const { siteUrl } = portfolioConfig.seo;
+    const name = content.profile.name;
+    const updated = toAtomDate(posts[0].entry.date);
+
+    return html`<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${i18n.locale}" xml:base="${siteUrl}">
+    <title>${i18n.t('blog.feedTitle', { name })}</title>
+    <link href="${siteUrl}${portfolioConfig.blog.feedUrl}" rel="self"/>
+    <link href="${siteUrl}#blog"/>
+    <id>${siteUrl}${portfolioConfig.blog.feedUrl}</id>
+    <updated>${updated}</updated>
+    <author>
+        <name>${name}</name>
+    </author>${posts.map(post => entryTemplate(post, siteUrl))}
+</feed>
+`;
+}
+
+/**
+ * Remove um arquivo gerado que não deve mais existir (ou, com --check, apenas aponta que ele sobrou)
+ * @param {string} existing - Conteúdo atual (vazio se o arquivo não existe)
+ * @param {string} file - Arquivo a remover
+ */
+async function removeOutput(existing, file) {
+    const name = relative(ROOT_DIR, file);
+    if (!existing) return;
+
+    if (process.argv.includes('--check')) {
+        console.error(`${name} não deveria existir sem posts. Execute: ${COMMAND}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    await rm(file);
+    console.log(`${name} removido (não há posts).`);
+}
+
+/**
+ * Mantém a quebra de linha já usada no arquivo (o repositório guarda docs/ em CRLF)
+ * @param {string} output - Texto gerado com \n
+ * @param {string} existing - Arquivo atual
+ * @returns {string}
+ */
+function matchLineEndings(output, existing) {
+    return existing.includes('\r\n') ? output.replace(/\n/g, '\r\n') : output;
+}
+
+async function main() {
+    const content = await loadLocalizedContent();
+    const indexFile = `${DOCS_DIR}${portfolioConfig.blog.indexUrl}`;
+    const feedFile = `${DOCS_DIR}${portfolioConfig.blog.feedUrl}`;
+    const posts = await readPosts(indexFile.slice(0, indexFile.lastIndexOf('/') + 1));
+
+    const index = {
+        $comment: `Gerado por ${COMMAND} a partir do frontmatter de cada post. Não edite à mão.`,
+        posts: posts.map(post => post.entry)
+    };
+
+    const existingIndex = await readExisting(indexFile);
+    await writeOutput(existingIndex, matchLineEndings(`${JSON.stringify(index, null, 4)}\n`, existingIndex), COMMAND, indexFile);
+
+    const existingFeed = await readExisting(feedFile);
+    if (posts.length === 0) {
+        await removeOutput(existingFeed, feedFile);
+        return;
+    }
+    await writeOutput(existingFeed, matchLineEndings(String(feedTemplate(posts, content)), existingFeed), COMMAND, feedFile);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,90 @@
+/**
+ * Gera a lista e a versão do pré-cache do service worker (docs/sw.js)
+ * A versão é um hash do conteúdo dos arquivos: qualquer alteração publicada cria um
+ * novo cache e faz o site exibir o aviso de nova versão
+ *
+ * Execute depois de scripts/prerender.mjs, já que o hash inclui o docs/index.html
+ *
+ * Uso:
+ *   node scripts/build-sw.mjs           atualiza docs/sw.js
+ *   node scripts/build-sw.mjs --check   falha se docs/sw.js estiver desatualizado (útil em CI)
+ */
+
+import { createHash } from 'node:crypto';
+import { readdir, readFile } from 'node:fs/promises';
+import { DOCS_DIR, writeOutput } from './prerender-utils.mjs';
+
+const SW_FILE = `${DOCS_DIR}sw.js`;
+const START_MARKER = '/* precache:start */';
+const END_MARKER = '/* precache:end */';
+
+/**
+ * Lista os arquivos publicados (caminhos relativos a docs/, em ordem estável)
+ * O próprio service worker e arquivos ocultos ficam de fora
+ * @returns {Promise<string[]>}
+ */
+async function listFiles() {
+    const entries = await readdir(DOCS_DIR, { recursive: true, withFileTypes: true });
+
+    return entries
+        .filter(entry => entry.isFile())
+        .map(entry => `${entry.parentPath || entry.path}/${entry.name}`.slice(DOCS_DIR.length).replace(/^\/+/, ''))
+        .filter(file => file !== 'sw.js' && !file.split('/').some(part => part.startsWith('.')))
+        .sort();
+}
+
+/**
+ * Calcula a versão do pré-cache a partir do nome e do conteúdo dos arquivos
+ * @param {string[]} files - Caminhos relativos a docs/
+ * @returns {Promise<string>}
+ */
+async function computeVersion(files) {
+    const hash = createHash('sha256');
+
+    for (const file of files) {
+        hash.update(file);
+        hash.update(await readFile(`${DOCS_DIR}${file}`));
+    }
+
+    return hash.digest('hex').slice(0, 12);
+}
+
+/**
+ * Substitui o bloco entre os marcadores do service worker
+ * @param {string} source - Código do service worker
+ * @param {string} version - Versão do pré-cache
+ * @param {string[]} files - Arquivos do pré-cache
+ * @returns {string}
+ */
+function replacePrecacheBlock(source, version, files) {
+    const start = source.indexOf(START_MARKER);
+    const end = source.indexOf(END_MARKER);
+
+    if (start === -1 || end < start) {
+        throw new Error(`Marcadores ${START_MARKER} / ${END_MARKER} não encontrados em ${SW_FILE}`);
+    }
+
+    const eol = source.includes('\r\n') ? '\r\n' : '\n';
+    const urls = ['./', ...files].map(url => `    '${url}'`).join(`,${eol}`);
+    const block = [
+        START_MARKER,
+        `const PRECACHE_VERSION = '${version}';`,
+        `const PRECACHE_URLS = [${eol}${urls}${eol}];`,
+        ''
+    ].join(eol);
+
+    return source.slice(0, start) + block + source.slice(end);
+}
+
+async function main() {
+    const files = await listFiles();
+    const source = await readFile(SW_FILE, 'utf8');
+    const output = replacePrecacheBlock(source, await computeVersion(files), files);
+
+    await writeOutput(source, output, 'node scripts/build-sw.mjs', SW_FILE);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,162 @@
+/**
+ * Verificação de acessibilidade do portfólio renderizado (regras em scripts/a11y-rules.mjs)
+ * Carrega o docs/index.html pré-renderizado em um DOM headless (jsdom, o mesmo dos testes),
+ * inicializa o app e confere cada visão: a página, o modal de projeto, o painel de habilidade,
+ * um artigo do blog, a página não encontrada e o formulário de contato com erros
+ *
+ * O formulário de contato é ligado só nesta verificação (mailto para um endereço de exemplo);
+ * sem artigos publicados, um artigo de exemplo é servido no lugar de docs/posts/
+ *
+ * Execute depois de scripts/prerender.mjs, já que a página parte do HTML pré-renderizado
+ *
+ * Uso:
+ *   npm install --no-save jsdom   (uma vez)
+ *   node scripts/check-a11y.mjs   lista os problemas (visão: elemento regra: mensagem) e falha se houver algum
+ */
+
+import { readFile } from 'node:fs/promises';
+import { relative } from 'node:path';
+import { installPage, SKIP_WITHOUT_DOM } from '../tests/helpers/dom.mjs';
+import { checkDocument } from './a11y-rules.mjs';
+import { DOCS_DIR, HTML_FILE, ROOT_DIR } from './prerender-utils.mjs';
+
+const SAMPLE_POST_ID = 'exemplo-de-acessibilidade';
+const SAMPLE_POST = [
+    '---',
+    'title: Artigo de exemplo',
+    'date: 2000-01-01',
+    'tags: [exemplo]',
+    'lang: pt-BR',
+    '---',
+    '',
+    'Texto com **ênfase**, um [link](#contact) e uma lista:',
+    '',
+    '- item',
+    '',
+    '## Uma seção',
+    '',
+    'Mais texto.',
+    ''
+].join('\n');
+
+/**
+ * Arquivos servidos no lugar dos de docs/ durante a verificação
+ * @returns {Promise<object>}
+ */
+async function loadAuditFiles() {
+    const config = JSON.parse(await readFile(`${DOCS_DIR}config.json`, 'utf8'));
+    config.contactForm = { ...config.contactForm, enabled: true, adapter: 'mailto', recipient: 'contato@exemplo.com' };
+
+    const files = { 'config.json': JSON.stringify(config) };
+
+    const { posts } = JSON.parse(await readFile(`${DOCS_DIR}posts/index.json`, 'utf8'));
+    if (posts.length === 0) {
+        files['posts/index.json'] = JSON.stringify({
+            posts: [{ id: SAMPLE_POST_ID, title: 'Artigo de exemplo', date: '2000-01-01', tags: ['exemplo'], lang: 'pt-BR', summary: 'Texto com ênfase.' }]
+        });
+        files[`posts/${SAMPLE_POST_ID}.md`] = SAMPLE_POST;
+    }
+
+    return files;
+}
+
+/**
+ * Espera uma condição ficar verdadeira
+ * @param {Function} predicate - Condição
+ * @param {string} description - O que se espera (para a mensagem de erro)
+ * @param {number} timeout - Tempo máximo em ms
+ */
+async function waitFor(predicate, description, timeout = 10000) {
+    const start = Date.now();
+
+    while (!predicate()) {
+        if (Date.now() - start > timeout) throw new Error(`Tempo esgotado esperando ${description}`);
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+/**
+ * Percorre as visões do app e confere cada uma
+ * Um mesmo problema aparece uma vez, na primeira visão em que foi encontrado
+ * @param {object} app - PortfolioApp inicializado
+ * @returns {Promise<{ views: number, issues: object[] }>}
+ */
+async function auditViews(app) {
+    const issues = new Map();
+    let views = 0;
+
+    const collect = (view) => {
+        views++;
+        checkDocument(document).forEach(issue => {
+            const key = `${issue.target} ${issue.rule} ${issue.message}`;
+            if (!issues.has(key)) issues.set(key, { view, ...issue });
+        });
+    };
+
+    const visit = async (view, hash) => {
+        history.replaceState(null, '', hash);
+        await app.handleHashChange();
+        collect(view);
+    };
+
+    collect('página');
+
+    const [project] = app.getSection('projects').projects;
+    if (project) await visit('projeto', `#/projects/${encodeURIComponent(project.data.slug)}`);
+
+    const [skill] = app.getSection('skills').skills.keys();
+    if (skill) await visit('habilidade', `#/skills/${encodeURIComponent(skill)}`);
+
+    const blog = app.getSection('blog');
+    await waitFor(() => blog.posts.length > 0, 'os artigos do blog');
+    await visit('artigo', `#/posts/${blog.posts[0].id}`);
+
+    await visit('página não encontrada', '#/pagina-que-nao-existe');
+    await visit('página', '#main-content');
+
+    const submit = document.querySelector('#contact .form-submit');
+    if (!submit) throw new Error('O formulário de contato não foi exibido');
+    submit.click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    collect('formulário de contato com erros');
+
+    return { views, issues: [...issues.values()] };
+}
+
+async function main() {
+    if (SKIP_WITHOUT_DOM) throw new Error(`check-a11y precisa de um DOM: ${SKIP_WITHOUT_DOM}`);
+
+    const name = relative(ROOT_DIR, HTML_FILE);
+    const window = await installPage({ files: await loadAuditFiles() });
+
+    // O app registra o próprio andamento no console; só o relatório interessa aqui
+    const { log, warn } = console;
+    console.log = () => {};
+    console.warn = () => {};
+
+    let result;
+    try {
+        const { default: app } = await import('../docs/js/main.js');
+        await waitFor(() => app.isInitialized, 'a inicialização do app');
+        result = await auditViews(app);
+    } finally {
+        console.log = log;
+        console.warn = warn;
+        window.close();
+    }
+
+    const { views, issues } = result;
+    if (issues.length === 0) {
+        console.log(`${name}: nenhum problema de acessibilidade encontrado (${views} visões).`);
+        return;
+    }
+
+    issues.forEach(({ view, target, rule, message }) => console.error(`${view}: ${target} ${rule}: ${message}`));
+    console.error(`${issues.length} problema(s) de acessibilidade.`);
+    process.exitCode = 1;
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,111 @@
+/**
+ * Verificação de saúde do conteúdo do portfólio (docs/data/portfolio.json, docs/config.json e docs/index.html)
+ * Aponta campos obrigatórios faltando, projetos repetidos, valores de exemplo esquecidos
+ * ("[Seu Nome]", links "#", a foto profile-placeholder.jpg), e-mails e URLs inválidos
+ * (regras de ValidationUtils) e imagens grandes demais; as verificações ficam em content-health.mjs
+ *
+ * Problemas da configuração apontam o arquivo de onde veio o valor: docs/config.json ou,
+ * para o que ele não define, os padrões de docs/js/config.js
+ *
+ * Execute depois de scripts/prerender.mjs, já que o HTML pré-renderizado também é verificado
+ *
+ * Uso:
+ *   node scripts/check-content.mjs                    lista os problemas (arquivo:campo severidade regra: mensagem)
+ *   node scripts/check-content.mjs --links            verifica também se os links externos respondem
+ *   node scripts/check-content.mjs --max-image-kb=N   tamanho máximo das imagens (padrão: 500 KB)
+ *
+ * Erros fazem o comando falhar; avisos apenas aparecem no relatório
+ */
+
+import { relative } from 'node:path';
+import portfolioConfig, { PortfolioConfig } from '../docs/js/config.js';
+import { DOCS_DIR, HTML_FILE, ROOT_DIR, loadContentFile, readHtml } from './prerender-utils.mjs';
+import { DEFAULT_MAX_IMAGE_KB, checkContent, checkHtml, checkImages, collectHtmlImages } from './content-health.mjs';
+
+const SEVERITY_LABELS = { error: 'erro', warning: 'aviso' };
+
+// Arquivo de cada camada da configuração que existe fora do navegador
+const CONFIG_FILES = {
+    defaults: relative(ROOT_DIR, `${DOCS_DIR}js/config.js`),
+    file: relative(ROOT_DIR, `${DOCS_DIR}${PortfolioConfig.FILE_URL}`)
+};
+
+/**
+ * Lê o valor de uma opção --nome=valor
+ * @param {string} name - Nome da opção
+ * @returns {string|null}
+ */
+function readOption(name) {
+    const prefix = `--${name}=`;
+    const argument = process.argv.find(arg => arg.startsWith(prefix));
+    return argument ? argument.slice(prefix.length) : null;
+}
+
+/**
+ * Tamanho máximo das imagens pedido na linha de comando
+ * @returns {number}
+ */
+function readMaxImageKb() {
+    const option = readOption('max-image-kb');
+    if (option === null) return DEFAULT_MAX_IMAGE_KB;
+
+    const value = Number(option);
+    if (!Number.isFinite(value) || value <= 0) {
+        throw new Error(`--max-image-kb deve ser um número positivo (recebido: "${option}")`);
+    }
+    return value;
+}
+
+async function main() {
+    const maxImageKb = readMaxImageKb();
+    const { file, content } = await loadContentFile();
+    const html = await readHtml();
+
+    const { content: contentIssues, config: configIssues } = await checkContent(content, portfolioConfig, {
+        docsDir: DOCS_DIR,
+        maxImageKb,
+        links: process.argv.includes('--links')
+    });
+
+    const htmlIssues = [
+        ...checkHtml(html),
+        ...await checkImages(collectHtmlImages(html), { docsDir: DOCS_DIR, maxImageKb })
+    ];
+
+    const reports = [
+        [relative(ROOT_DIR, file), contentIssues],
+        ...Object.entries(CONFIG_FILES).map(([layer, name]) => [
+            name,
+            configIssues.filter(({ path }) => (portfolioConfig.getSource(path) || 'defaults') === layer)
+        ]),
+        [relative(ROOT_DIR, HTML_FILE), htmlIssues]
+    ];
+
+    let errors = 0;
+    let warnings = 0;
+    reports.forEach(([name, issues]) => issues.forEach(({ severity, path, rule, message }) => {
+        const location = path === '' ? name : `${name}:${path}`;
+        const line = `${location} ${SEVERITY_LABELS[severity]} ${rule}: ${message}`;
+
+        if (severity === 'error') {
+            errors++;
+            console.error(line);
+        } else {
+            warnings++;
+            console.warn(line);
+        }
+    }));
+
+    if (errors === 0 && warnings === 0) {
+        console.log('Conteúdo do portfólio: nenhum problema encontrado.');
+        return;
+    }
+
+    console.error(`${errors} erro(s) e ${warnings} aviso(s) no conteúdo do portfólio.`);
+    if (errors > 0) process.exitCode = 1;
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
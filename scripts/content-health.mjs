@@ -0,0 +1,354 @@
+/**
+ * Verificações de saúde do conteúdo do portfólio (usadas por scripts/check-content.mjs)
+ * Cada verificação devolve problemas no formato { severity, path, rule, message }:
+ * severity "error" faz o comando falhar; "warning" apenas aparece no relatório
+ *
+ * URLs e e-mails seguem as mesmas regras de ValidationUtils usadas no navegador
+ */
+
+import { stat } from 'node:fs/promises';
+import { ContentValidator, ContentValidationError } from '../docs/js/content.js';
+import { ValidationUtils, TextUtils } from '../docs/js/utils.js';
+import { I18n } from '../docs/js/i18n.js';
+
+export const DEFAULT_MAX_IMAGE_KB = 500;
+export const DEFAULT_LINK_TIMEOUT = 10000;
+
+// Textos de exemplo herdados do modelo do portfólio (ex.: "[Seu Nome]")
+const PLACEHOLDER_TEXT = /\[(?:Seu|Sua)\s[^\]]*\]/i;
+const PLACEHOLDER_IMAGE = 'profile-placeholder.jpg';
+
+// Respostas de sites que recusam verificações automáticas: o link pode estar bom
+const UNVERIFIABLE_STATUSES = [401, 403, 429, 999];
+
+/**
+ * Cria um problema
+ * @param {string} severity - "error" ou "warning"
+ * @param {string|number} path - Campo do conteúdo (ex.: projects[0].link) ou linha do arquivo
+ * @param {string} rule - Identificador da verificação
+ * @param {string} message - Descrição
+ * @returns {object}
+ */
+function issue(severity, path, rule, message) {
+    return { severity, path, rule, message };
+}
+
+/**
+ * Percorre todos os textos de um valor, com o caminho de cada um
+ * @param {*} value - Valor (objeto, lista ou texto)
+ * @param {string} path - Caminho do valor
+ * @param {Function} visit - Recebe (texto, caminho)
+ */
+function walkStrings(value, path, visit) {
+    if (typeof value === 'string') {
+        visit(value, path);
+    } else if (Array.isArray(value)) {
+        value.forEach((item, index) => walkStrings(item, `${path}[${index}]`, visit));
+    } else if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([key, item]) => walkStrings(item, path ? `${path}.${key}` : key, visit));
+    }
+}
+
+/**
+ * Textos de um campo simples ou com versões por idioma
+ * @param {*} value - Valor do campo
+ * @returns {string[]}
+ */
+function textValues(value) {
+    if (I18n.isLocalizedValue(value)) return Object.values(value).filter(text => typeof text === 'string');
+    return typeof value === 'string' ? [value] : [];
+}
+
+/**
+ * Campos obrigatórios e formatos do schema (as mesmas regras do carregamento no navegador)
+ * @param {object} content - Conteúdo lido do JSON
+ * @returns {object[]} Problemas
+ */
+export function checkSchema(content) {
+    try {
+        ContentValidator.validate(content);
+        return [];
+    } catch (error) {
+        if (!(error instanceof ContentValidationError)) throw error;
+
+        return error.errors.map(message => {
+            const separator = message.indexOf(': ');
+            return separator === -1
+                ? issue('error', '', 'schema', message)
+                : issue('error', message.slice(0, separator), 'schema', message.slice(separator + 2));
+        });
+    }
+}
+
+/**
+ * Projetos repetidos: mesmo slug (os links #/projects/slug colidem) ou mesmo link
+ * @param {object} content - Conteúdo lido do JSON
+ * @returns {object[]} Problemas
+ */
+export function checkDuplicateProjects(content) {
+    const issues = [];
+    const seen = new Map();
+    const projects = Array.isArray(content.projects) ? content.projects : [];
+
+    projects.forEach((project, index) => {
+        if (!project || typeof project !== 'object') return;
+
+        const path = `projects[${index}]`;
+        const slugs = project.slug ? [project.slug] : textValues(project.title).map(title => TextUtils.slugify(title));
+        const keys = [
+            ...new Set(slugs.map(slug => `slug "${slug}"`)),
+            ...(typeof project.link === 'string' && project.link !== '#' ? [`link "${project.link}"`] : [])
+        ];
+
+        keys.forEach(key => {
+            if (seen.has(key)) {
+                issues.push(issue('error', path, 'duplicate-project', `mesmo ${key} de ${seen.get(key)}`));
+            } else {
+                seen.set(key, path);
+            }
+        });
+    });
+
+    return issues;
+}
+
+/**
+ * Um texto com marcas do modelo: "[Seu Nome]", link "#" ou a foto de exemplo
+ * @param {string} text - Texto verificado
+ * @param {string|number} path - Onde o texto está
+ * @returns {object[]} Problemas
+ */
+function placeholderIssues(text, path) {
+    const issues = [];
+    const example = PLACEHOLDER_TEXT.exec(text);
+
+    if (example) issues.push(issue('error', path, 'placeholder', `texto de exemplo "${example[0]}"`));
+    if (text.trim() === '#') issues.push(issue('error', path, 'placeholder', 'link de exemplo "#"'));
+    if (text.includes(PLACEHOLDER_IMAGE)) {
+        issues.push(issue('warning', path, 'placeholder', `foto de exemplo (${PLACEHOLDER_IMAGE})`));
+    }
+
+    return issues;
+}
+
+/**
+ * Valores de exemplo esquecidos no conteúdo
+ * @param {object} content - Conteúdo lido do JSON
+ * @returns {object[]} Problemas
+ */
+export function checkPlaceholders(content) {
+    const issues = [];
+    walkStrings(content, '', (text, path) => issues.push(...placeholderIssues(text, path)));
+    return issues;
+}
+
+/**
+ * E-mails dos contatos (mailto:) com as regras de ValidationUtils.isValidEmail
+ * @param {object} content - Conteúdo lido do JSON
+ * @returns {object[]} Problemas
+ */
+export function checkEmails(content) {
+    const contacts = Array.isArray(content.contacts) ? content.contacts : [];
+
+    return contacts.flatMap((contact, index) => {
+        const url = contact && typeof contact.url === 'string' ? contact.url : '';
+        if (!url.startsWith('mailto:')) return [];
+
+        const email = decodeURIComponent(url.slice('mailto:'.length).split('?')[0]);
+        return ValidationUtils.isValidEmail(email)
+            ? []
+            : [issue('error', `contacts[${index}].url`, 'invalid-email', `e-mail inválido ("${email}")`)];
+    });
+}
+
+/**
+ * Endereços e e-mails da configuração (docs/config.json sobre os padrões de js/config.js)
+ * Campos vazios são opcionais e não são verificados
+ * @param {object} config - Configuração efetiva ({ seo, contactForm, analytics })
+ * @returns {object[]} Problemas
+ */
+export function checkConfig(config) {
+    const issues = [];
+    const { seo = {}, contactForm = {}, analytics = {} } = config;
+
+    if (!ValidationUtils.isExternalUrl(seo.siteUrl)) {
+        issues.push(issue('error', 'seo.siteUrl', 'invalid-url', `deve ser o endereço http(s) publicado ("${seo.siteUrl}")`));
+    }
+
+    [['contactForm.endpoint', contactForm.endpoint], ['analytics.endpoint', analytics.endpoint]]
+        .filter(([, url]) => url && !ValidationUtils.isExternalUrl(url))
+        .forEach(([path, url]) => issues.push(issue('error', path, 'invalid-url', `URL inválida ("${url}")`)));
+
+    if (contactForm.recipient && !ValidationUtils.isValidEmail(contactForm.recipient)) {
+        issues.push(issue('error', 'contactForm.recipient', 'invalid-email', `e-mail inválido ("${contactForm.recipient}")`));
+    }
+
+    if (typeof seo.image === 'string') issues.push(...placeholderIssues(seo.image, 'seo.image'));
+
+    return issues;
+}
+
+/**
+ * Marcas do modelo no HTML publicado (inclui o que foi pré-renderizado)
+ * @param {string} source - HTML
+ * @returns {object[]} Problemas, com a linha como caminho
+ */
+export function checkHtml(source) {
+    return source.split('\n').flatMap((line, index) => {
+        const issues = placeholderIssues(line, index + 1);
+
+        if (/\shref\s*=\s*["']#["']/.test(line)) {
+            issues.push(issue('error', index + 1, 'placeholder', 'link de exemplo href="#"'));
+        }
+
+        return issues;
+    });
+}
+
+/**
+ * Imagens do conteúdo (galerias dos projetos)
+ * @param {object} content - Conteúdo lido do JSON
+ * @returns {{ path: string, src: string }[]}
+ */
+export function collectContentImages(content) {
+    const projects = Array.isArray(content.projects) ? content.projects : [];
+
+    return projects.flatMap((project, index) => (project && Array.isArray(project.images) ? project.images : [])
+        .map((image, imageIndex) => ({ path: `projects[${index}].images[${imageIndex}].src`, src: image && image.src }))
+        .filter(({ src }) => typeof src === 'string'));
+}
+
+/**
+ * Imagens referenciadas no HTML (<img src> e metadados de compartilhamento)
+ * @param {string} source - HTML
+ * @returns {{ path: number, src: string }[]}
+ */
+export function collectHtmlImages(source) {
+    return source.split('\n').flatMap((line, index) => [...line.matchAll(/<img\b[^>]*\ssrc\s*=\s*["']([^"']+)["']/gi)]
+        .map(match => ({ path: index + 1, src: match[1] })));
+}
+
+/**
+ * Confere se as imagens locais existem e não passam do tamanho máximo
+ * Endereços absolutos (http, data:...) ficam de fora
+ * @param {{ path: string|number, src: string }[]} images - Imagens e onde aparecem
+ * @param {object} options - Opções
+ * @param {string} options.docsDir - Pasta publicada (base dos caminhos relativos)
+ * @param {number} options.maxImageKb - Tamanho máximo em KB
+ * @returns {Promise<object[]>} Problemas
+ */
+export async function checkImages(images, { docsDir, maxImageKb = DEFAULT_MAX_IMAGE_KB }) {
+    const issues = [];
+
+    for (const { path, src } of images) {
+        if (/^[a-z][a-z\d+.-]*:/i.test(src) || src.startsWith('//')) continue;
+
+        const file = `${docsDir}${decodeURIComponent(src.split(/[?#]/)[0]).replace(/^\.?\/+/, '')}`;
+        try {
+            const { size } = await stat(file);
+            const sizeKb = Math.ceil(size / 1024);
+
+            if (sizeKb > maxImageKb) {
+                issues.push(issue('error', path, 'image-too-large', `${src} tem ${sizeKb} KB (máximo: ${maxImageKb} KB)`));
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            issues.push(issue('error', path, 'image-missing', `${src} não existe em docs/`));
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Links externos (http/https) do conteúdo
+ * @param {object} content - Conteúdo lido do JSON
+ * @returns {{ path: string, url: string }[]}
+ */
+export function collectLinks(content) {
+    const links = [];
+    walkStrings(content, '', (text, path) => {
+        if (ValidationUtils.isExternalUrl(text)) links.push({ path, url: text });
+    });
+    return links;
+}
+
+/**
+ * Faz a requisição de um link: HEAD e, se o servidor não aceitar, GET
+ * @param {string} url - Endereço
+ * @param {Function} fetchFn - Cliente HTTP com a interface do fetch
+ * @param {number} timeout - Tempo máximo em ms
+ * @returns {Promise<Response>}
+ */
+async function requestLink(url, fetchFn, timeout) {
+    const response = await fetchFn(url, { method: 'HEAD', redirect: 'follow', signal: AbortSignal.timeout(timeout) });
+    if (response.status !== 405 && response.status !== 501) return response;
+
+    return fetchFn(url, { method: 'GET', redirect: 'follow', signal: AbortSignal.timeout(timeout) });
+}
+
+/**
+ * Verifica se os links respondem; cada endereço é pedido uma vez
+ * @param {{ path: string, url: string }[]} links - Links e onde aparecem
+ * @param {object} options - Opções
+ * @param {Function} options.fetchFn - Cliente HTTP (padrão: fetch global; nos testes, um stub local)
+ * @param {number} options.timeout - Tempo máximo por link em ms
+ * @returns {Promise<object[]>} Problemas
+ */
+export async function checkLinks(links, { fetchFn = globalThis.fetch, timeout = DEFAULT_LINK_TIMEOUT } = {}) {
+    const results = new Map();
+
+    links.forEach(({ url }) => {
+        if (results.has(url)) return;
+
+        results.set(url, requestLink(url, fetchFn, timeout).then(
+            response => ({ status: response.status, ok: response.ok }),
+            error => ({ error })
+        ));
+    });
+
+    const issues = [];
+    for (const { path, url } of links) {
+        const { status, ok, error } = await results.get(url);
+
+        if (error) {
+            issues.push(issue('error', path, 'broken-link', `${url} não respondeu (${error.message})`));
+        } else if (UNVERIFIABLE_STATUSES.includes(status)) {
+            issues.push(issue('warning', path, 'unverified-link', `${url} recusou a verificação automática (HTTP ${status})`));
+        } else if (!ok) {
+            issues.push(issue('error', path, 'broken-link', `${url} respondeu HTTP ${status}`));
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Executa as verificações do conteúdo e da configuração
+ * @param {object} content - Conteúdo lido do JSON
+ * @param {object} config - Configuração efetiva
+ * @param {object} options - Opções
+ * @param {string} options.docsDir - Pasta publicada
+ * @param {number} options.maxImageKb - Tamanho máximo das imagens em KB
+ * @param {boolean} options.links - Verifica também se os links externos respondem
+ * @param {Function} options.fetchFn - Cliente HTTP usado na verificação de links
+ * @returns {Promise<{ content: object[], config: object[] }>} Problemas por origem
+ */
+export async function checkContent(content, config, { docsDir, maxImageKb = DEFAULT_MAX_IMAGE_KB, links = false, fetchFn } = {}) {
+    const contentIssues = [
+        ...checkSchema(content),
+        ...checkDuplicateProjects(content),
+        ...checkPlaceholders(content),
+        ...checkEmails(content),
+        ...await checkImages(collectContentImages(content), { docsDir, maxImageKb })
+    ];
+
+    if (links) contentIssues.push(...await checkLinks(collectLinks(content), { fetchFn }));
+
+    const configIssues = [
+        ...checkConfig(config),
+        ...await checkImages(typeof config.seo.image === 'string' ? [{ path: 'seo.image', src: config.seo.image }] : [], { docsDir, maxImageKb })
+    ];
+
+    return { content: contentIssues, config: configIssues };
+}
@@ -0,0 +1,28 @@
+/**
+ * Pré-renderiza as tags de SEO (title, meta, Open Graph, Twitter e JSON-LD) no HTML estático
+ * Crawlers e pré-visualizações de links (LinkedIn, WhatsApp...) não executam JavaScript
+ *
+ * Uso:
+ *   node scripts/prerender-seo.mjs           atualiza docs/index.html
+ *   node scripts/prerender-seo.mjs --check   falha se o HTML estiver desatualizado
+ *
+ * As tags ficam entre os marcadores <!-- prerender:seo:start --> e <!-- prerender:seo:end --> no <head>
+ * (scripts/prerender.mjs também atualiza este bloco)
+ */
+
+import { SeoMetadata } from '../docs/js/seo.js';
+import portfolioConfig from '../docs/js/config.js';
+import { loadLocalizedContent, replaceBlock, readHtml, writeOutput } from './prerender-utils.mjs';
+
+async function main() {
+    const content = await loadLocalizedContent();
+    const source = await readHtml();
+    const output = replaceBlock(source, 'seo', SeoMetadata.template(content, portfolioConfig.seo));
+
+    await writeOutput(source, output, 'node scripts/prerender-seo.mjs');
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,140 @@
+/**
+ * Funções compartilhadas pelos scripts de pré-renderização
+ * Os blocos gerados ficam entre marcadores <!-- prerender:nome:start --> e <!-- prerender:nome:end -->
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { ContentValidator } from '../docs/js/content.js';
+import i18n from '../docs/js/i18n.js';
+import portfolioConfig, { PortfolioConfig } from '../docs/js/config.js';
+
+export const ROOT_DIR = fileURLToPath(new URL('../', import.meta.url));
+export const DOCS_DIR = `${ROOT_DIR}docs/`;
+export const HTML_FILE = `${DOCS_DIR}index.html`;
+
+/**
+ * Aplica o docs/config.json (opcional) sobre os padrões, como o navegador faz
+ * As demais camadas (data-*, URL, preferências) só existem no navegador
+ */
+async function loadConfigFile() {
+    const file = `${DOCS_DIR}${PortfolioConfig.FILE_URL}`;
+
+    try {
+        portfolioConfig.setLayer('file', JSON.parse(await readFile(file, 'utf8')), relative(ROOT_DIR, file));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+}
+
+/**
+ * Lê o conteúdo do portfólio como está no JSON, sem validar nem localizar
+ * @returns {Promise<{ file: string, content: object }>} Caminho do arquivo e conteúdo
+ */
+export async function loadContentFile() {
+    await loadConfigFile();
+
+    const file = `${DOCS_DIR}${portfolioConfig.content.url}`;
+    return { file, content: JSON.parse(await readFile(file, 'utf8')) };
+}
+
+/**
+ * Lê, valida e localiza o conteúdo do portfólio no idioma padrão
+ * @returns {Promise<object>} Conteúdo localizado
+ */
+export async function loadLocalizedContent() {
+    const { content } = await loadContentFile();
+
+    return i18n.localizeContent(ContentValidator.validate(content));
+}
+
+/**
+ * Substitui o conteúdo entre os marcadores de um bloco
+ * Blocos em linha (dentro de um elemento de texto) não recebem quebras de linha
+ * @param {string} source - HTML original
+ * @param {string} name - Nome do bloco
+ * @param {string} markup - Marcação gerada
+ * @returns {string}
+ */
+export function replaceBlock(source, name, markup) {
+    const startMarker = `<!-- prerender:${name}:start -->`;
+    const endMarker = `<!-- prerender:${name}:end -->`;
+    const start = source.indexOf(startMarker);
+    const end = source.indexOf(endMarker);
+
+    if (start === -1 || end < start) {
+        throw new Error(`Marcadores ${startMarker} / ${endMarker} não encontrados em ${HTML_FILE}`);
+    }
+
+    const eol = source.includes('\r\n') ? '\r\n' : '\n';
+    const lineStart = source.lastIndexOf('\n', start) + 1;
+    const prefix = source.slice(lineStart, start);
+    const isInline = prefix.trim() !== '';
+
+    const lines = String(markup).split('\n').map(line => line.trim()).filter(Boolean);
+    const body = isInline
+        ? lines.join(' ')
+        : [...indentLines(lines).map(line => `${eol}${prefix}${line}`), `${eol}${prefix}`].join('');
+
+    return source.slice(0, start + startMarker.length) + body + source.slice(end);
+}
+
+/**
+ * Reindenta linhas de marcação pela profundidade das tags abertas
+ * @param {string[]} lines - Linhas sem indentação
+ * @param {string} unit - Unidade de indentação
+ * @returns {string[]}
+ */
+function indentLines(lines, unit = '    ') {
+    const VOID_ELEMENTS = /^(area|base|br|col|embed|hr|img|input|link|meta|source|track|wbr)$/i;
+    let depth = 0;
+
+    return lines.map(line => {
+        const opened = [...line.matchAll(/<([a-z][\w-]*)[^>]*>/gi)]
+            .filter(([, tag]) => !VOID_ELEMENTS.test(tag)).length;
+        const closed = (line.match(/<\/[a-z][\w-]*>/gi) || []).length;
+        const leadingClose = line.startsWith('</') ? 1 : 0;
+
+        depth = Math.max(0, depth - leadingClose);
+        const indented = unit.repeat(depth) + line;
+        depth = Math.max(0, depth + opened - closed + leadingClose);
+
+        return indented;
+    });
+}
+
+/**
+ * Grava o arquivo gerado (ou, com --check, apenas verifica se está atualizado)
+ * @param {string} source - Conteúdo original
+ * @param {string} output - Conteúdo gerado
+ * @param {string} command - Comando que regenera o arquivo (para a mensagem de erro)
+ * @param {string} file - Arquivo de destino (padrão: docs/index.html)
+ */
+export async function writeOutput(source, output, command, file = HTML_FILE) {
+    const name = relative(ROOT_DIR, file);
+
+    if (process.argv.includes('--check')) {
+        if (output !== source) {
+            console.error(`${name} está desatualizado. Execute: ${command}`);
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    if (output === source) {
+        console.log(`${name} já está atualizado.`);
+        return;
+    }
+
+    await writeFile(file, output);
+    console.log(`${name} atualizado.`);
+}
+
+/**
+ * Lê o HTML de entrada
+ * @returns {Promise<string>}
+ */
+export function readHtml() {
+    return readFile(HTML_FILE, 'utf8');
+}
@@ -0,0 +1,112 @@
+/**
+ * Build estático do site: renderiza o conteúdo de docs/data/portfolio.json direto no docs/index.html
+ * Visitantes sem JavaScript e crawlers passam a ver projetos, habilidades e contatos;
+ * no navegador, main.js hidrata essa marcação (sem duplicar cards)
+ *
+ * Usa os mesmos templates das seções (sections.js), que geram texto e não dependem do DOM;
+ * tests/prerender.test.mjs renderiza a página pelo app em um DOM (jsdom) e confere que cada
+ * bloco pré-renderizado é igual ao que as seções montam no navegador
+ * A lista de artigos vem de docs/posts/index.json: execute antes scripts/build-posts.mjs
+ * Sem artigos, a seção do blog fica oculta (e fora do menu) e a página não anuncia o feed
+ *
+ * Uso:
+ *   node scripts/prerender.mjs           atualiza docs/index.html
+ *   node scripts/prerender.mjs --check   falha se o HTML estiver desatualizado (útil em CI)
+ */
+
+import { readFile } from 'node:fs/promises';
+import { html } from '../docs/js/template.js';
+import {
+    ProjectsSection,
+    BlogSection,
+    SkillsSection,
+    TimelineSection,
+    AdditionalInfoSection,
+    ContactSection
+} from '../docs/js/sections.js';
+import { SeoMetadata } from '../docs/js/seo.js';
+import { PostParser } from '../docs/js/posts.js';
+import i18n from '../docs/js/i18n.js';
+import portfolioConfig from '../docs/js/config.js';
+import { DOCS_DIR, loadLocalizedContent, replaceBlock, readHtml, writeOutput } from './prerender-utils.mjs';
+
+/**
+ * Lê o índice do blog (vazio se ainda não foi gerado)
+ * @returns {Promise<object[]>} Posts do mais recente para o mais antigo
+ */
+async function loadPosts() {
+    try {
+        const index = JSON.parse(await readFile(`${DOCS_DIR}${portfolioConfig.blog.indexUrl}`, 'utf8'));
+        return PostParser.sortEntries(index.posts || []);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return [];
+    }
+}
+
+/**
+ * Gera a marcação de cada bloco marcado no HTML
+ * @param {object} content - Conteúdo localizado
+ * @param {object[]} posts - Posts do blog
+ * @returns {object} Marcação indexada pelo nome do bloco
+ */
+function renderBlocks(content, posts) {
+    const { profile, projects = [], skills = [], timeline = [], education = [], hobbies = [], contacts = [] } = content;
+
+    return {
+        seo: SeoMetadata.template(content, portfolioConfig.seo),
+        'feed-link': html`${posts.length > 0 && html`<link rel="alternate" type="application/atom+xml" href="${portfolioConfig.blog.feedUrl}" title="${i18n.t('blog.title')}">`}`,
+        'hero-name': html`${i18n.t('hero.greeting', { name: profile.name })}`,
+        'hero-summary': html`${profile.summary}`,
+        projects: ProjectsSection.gridTemplate(projects),
+        posts: BlogSection.listTemplate(posts.slice(0, portfolioConfig.blog.pageSize)),
+        skills: SkillsSection.gridTemplate(skills),
+        timeline: html`${TimelineSection.sortEntries(timeline).map(entry => TimelineSection.entryTemplate(entry))}`,
+        education: html`${education.map(item => AdditionalInfoSection.educationTemplate(item))}`,
+        hobbies: AdditionalInfoSection.hobbiesTemplate(hobbies),
+        contacts: html`${contacts.map(contact => ContactSection.contactTemplate(contact))}`
+    };
+}
+
+/**
+ * Marca o <html> com o idioma pré-renderizado (lido pelo app ao hidratar)
+ * @param {string} source - HTML
+ * @returns {string}
+ */
+function markPrerendered(source) {
+    return source.replace(/<html([^>]*)>/, (match, attributes) => {
+        const cleaned = attributes.replace(/\s+data-prerendered="[^"]*"/, '');
+        return `<html${cleaned} data-prerendered="${i18n.locale}">`;
+    });
+}
+
+/**
+ * Esconde a seção do blog enquanto não há artigos (BlogSection faz o mesmo no navegador)
+ * @param {string} source - HTML
+ * @param {boolean} hasPosts - Se há artigos publicados
+ * @returns {string}
+ */
+function markBlogVisibility(source, hasPosts) {
+    return source.replace(/<section id="blog"([^>]*)>/, (match, attributes) => {
+        const cleaned = attributes.replace(/\s+hidden\b/, '');
+        return `<section id="blog"${cleaned}${hasPosts ? '' : ' hidden'}>`;
+    });
+}
+
+async function main() {
+    const content = await loadLocalizedContent();
+    const source = await readHtml();
+    const posts = await loadPosts();
+
+    const output = Object.entries(renderBlocks(content, posts)).reduce(
+        (result, [name, markup]) => replaceBlock(result, name, markup),
+        markBlogVisibility(markPrerendered(source), posts.length > 0)
+    );
+
+    await writeOutput(source, output, 'node scripts/prerender.mjs');
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
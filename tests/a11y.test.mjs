@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkDocument, describeElement } from '../scripts/a11y-rules.mjs';
+import { installDom, SKIP_WITHOUT_DOM } from './helpers/dom.mjs';
+
+const rules = (issues) => issues.map(({ target, rule }) => `${target} ${rule}`);
+
+/**
+ * Confere uma página montada com o corpo indicado
+ * @param {string} body - Marcação dentro de <body>, depois do link de pular e antes do <main>
+ * @param {string} main - Marcação dentro de <main>
+ * @returns {object[]}
+ */
+function check(body, main = '<h1>Título</h1>') {
+    installDom({ html: `<!DOCTYPE html><html lang="pt-BR"><body><a href="#main">Pular</a>${body}<main id="main">${main}</main></body></html>` });
+    return checkDocument(document);
+}
+
+describe('regras de acessibilidade', { skip: SKIP_WITHOUT_DOM }, () => {
+    it('uma página correta não tem problemas', () => {
+        assert.deepEqual(check('<nav><a href="#main">Início</a></nav>', '<h1>Título</h1><h2>Seção</h2><img src="a.png" alt="">'), []);
+    });
+
+    it('descreve o elemento a partir do ancestral com id', () => {
+        installDom({ html: '<!DOCTYPE html><html><body><section id="projects"><button class="card open">x</button></section></body></html>' });
+
+        assert.equal(describeElement(document.querySelector('button')), '#projects button.card.open');
+        assert.equal(describeElement(document.getElementById('projects')), 'section#projects');
+    });
+
+    it('aponta títulos fora de ordem, vazios e mais de um <h1>', () => {
+        const issues = check('', '<h1>Título</h1><h3>Pulou</h3><h2></h2><h1>Outro</h1>');
+
+        assert.deepEqual(rules(issues), ['#main h3 heading-order', '#main h2 heading-name', '#main h1 heading-h1']);
+    });
+
+    it('ignora o que está escondido (hidden ou aria-hidden)', () => {
+        const issues = check('<div hidden><h1>Escondido</h1><button></button></div><span aria-hidden="true"><a href="#x"></a></span>');
+
+        assert.deepEqual(issues, []);
+    });
+
+    it('exige nome acessível em links e botões, aceitando o alt de imagens internas', () => {
+        const issues = check('<a href="/a"><img src="a.png" alt="Perfil"></a><a href="/b"></a><button aria-label="Fechar"></button><div role="button"></div>');
+
+        assert.deepEqual(rules(issues), ['a link-name', 'div button-name']);
+    });
+
+    it('exige rótulo nos campos de formulário', () => {
+        const issues = check('<label for="nome">Nome</label><input id="nome"><label>E-mail <input type="email"></label><textarea></textarea><input type="hidden"><input type="submit">');
+
+        assert.deepEqual(rules(issues), ['textarea form-label']);
+    });
+
+    it('aponta referências a ids inexistentes, ids repetidos, tabindex positivo e nova aba sem aviso', () => {
+        const issues = check('<p id="aviso">Nova aba</p><p id="aviso">De novo</p><input aria-label="Busca" aria-describedby="aviso ajuda" tabindex="2"><a href="https://x.exemplo" target="_blank">Externo</a>');
+
+        assert.deepEqual(rules(issues), [
+            'p#aviso duplicate-id',
+            'input tabindex-positive',
+            'input id-reference',
+            'a blank-target',
+            'a blank-target'
+        ]);
+        assert.match(issues[2].message, /aria-describedby aponta para id inexistente "ajuda"/);
+    });
+
+    it('o primeiro elemento focável deve levar ao <main>', () => {
+        installDom({ html: '<!DOCTYPE html><html lang="pt-BR"><body><button>Menu</button><main id="main"><h1>Título</h1></main></body></html>' });
+
+        assert.deepEqual(rules(checkDocument(document)), ['button skip-link']);
+    });
+
+    it('aponta <html> sem lang', () => {
+        installDom({ html: '<!DOCTYPE html><html><body><a href="#main">Pular</a><main id="main"><h1>Título</h1></main></body></html>' });
+
+        assert.deepEqual(rules(checkDocument(document)), ['html html-lang']);
+    });
+});
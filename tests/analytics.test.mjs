@@ -0,0 +1,70 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Analytics } from '../docs/js/analytics.js';
+import { EventBus, PortfolioEvents } from '../docs/js/event-bus.js';
+import { installDom, SKIP_WITHOUT_DOM } from './helpers/dom.mjs';
+
+// Espera o envio assíncrono de track terminar
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('Analytics', { skip: SKIP_WITHOUT_DOM }, () => {
+    let bus;
+    let sent;
+
+    const createAnalytics = () => new Analytics({
+        bus,
+        sink: { isConfigured: () => true, send: (record) => sent.push(record) }
+    });
+
+    beforeEach(() => {
+        installDom({ html: '<!DOCTYPE html><html><body><footer class="site-footer"></footer></body></html>' });
+        bus = new EventBus();
+        sent = [];
+    });
+
+    it('repassa os eventos acompanhados ao sink', async () => {
+        createAnalytics().start();
+        bus.emit(PortfolioEvents.PROJECT_OPENED, { slug: 'projeto' });
+        await flush();
+
+        assert.equal(sent.length, 1);
+        assert.equal(sent[0].event, PortfolioEvents.PROJECT_OPENED);
+    });
+
+    it('?analytics=off desativa as estatísticas neste navegador', async () => {
+        const analytics = createAnalytics();
+
+        analytics.applyQueryPreference('?analytics=off');
+        analytics.start();
+        bus.emit(PortfolioEvents.PROJECT_OPENED, { slug: 'projeto' });
+        await flush();
+
+        assert.equal(analytics.isOptedOut(), true);
+        assert.deepEqual(sent, []);
+    });
+
+    it('?analytics=on não desfaz a saída salva pelo visitante', async () => {
+        localStorage.setItem(Analytics.OPT_OUT_KEY, 'true');
+        const analytics = createAnalytics();
+
+        analytics.applyQueryPreference('?analytics=on');
+        analytics.start();
+        bus.emit(PortfolioEvents.PROJECT_OPENED, { slug: 'projeto' });
+        await flush();
+
+        assert.equal(analytics.isOptedOut(), true);
+        assert.equal(localStorage.getItem(Analytics.OPT_OUT_KEY), 'true');
+        assert.deepEqual(sent, []);
+    });
+
+    it('o visitante volta a participar pelo botão do aviso', () => {
+        localStorage.setItem(Analytics.OPT_OUT_KEY, 'true');
+        const analytics = createAnalytics();
+
+        analytics.mountNotice(document.querySelector('.site-footer'));
+        document.querySelector('.analytics-toggle').click();
+
+        assert.equal(analytics.isOptedOut(), false);
+        assert.equal(analytics.unsubscribers.length, Analytics.TRACKED_EVENTS.length);
+    });
+});
@@ -0,0 +1,149 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { AnimationEngine } from '../docs/js/animations.js';
+import eventBus, { PortfolioEvents } from '../docs/js/event-bus.js';
+import portfolioConfig from '../docs/js/config.js';
+import { installDom, createMatchMedia, ImmediateIntersectionObserver, SKIP_WITHOUT_DOM } from './helpers/dom.mjs';
+
+const REDUCED_MOTION = '(prefers-reduced-motion: reduce)';
+
+/**
+ * Animation de teste: o jsdom não implementa a Web Animations API
+ */
+class FakeAnimation {
+    constructor(element, keyframes, options) {
+        this.element = element;
+        this.keyframes = keyframes;
+        this.options = options;
+        this.playbackRate = 1;
+        this.playState = 'running';
+        this.listeners = { finish: [], cancel: [] };
+    }
+
+    addEventListener(type, listener) {
+        this.listeners[type].push(listener);
+    }
+
+    reverse() {
+        this.playbackRate = -this.playbackRate;
+        this.playState = 'running';
+    }
+
+    finish() {
+        this.playState = 'finished';
+        this.listeners.finish.forEach(listener => listener());
+    }
+
+    cancel() {
+        this.playState = 'idle';
+        this.listeners.cancel.forEach(listener => listener());
+    }
+}
+
+describe('AnimationEngine', { skip: SKIP_WITHOUT_DOM }, () => {
+    let engine;
+    let animations;
+
+    beforeEach(() => {
+        const window = installDom({ html: '<div class="item"></div><div class="item"></div><div class="item"></div>' });
+        animations = [];
+        window.Element.prototype.animate = function (keyframes, options) {
+            const animation = new FakeAnimation(this, keyframes, options);
+            animations.push(animation);
+            return animation;
+        };
+        ImmediateIntersectionObserver.instances.length = 0;
+        engine = new AnimationEngine();
+    });
+
+    afterEach(() => {
+        portfolioConfig.updateAnimationConfig({ enabled: true, duration: 300, easing: 'ease-in-out' });
+    });
+
+    it('usa a duração e o easing de PortfolioConfig.animations', () => {
+        portfolioConfig.updateAnimationConfig({ duration: 600, easing: 'linear' });
+
+        engine.reveal(document.querySelectorAll('.item'), 'fade-up', { delay: 100 });
+
+        assert.equal(animations.length, 3);
+        assert.deepEqual(animations[0].options, { duration: 600, easing: 'linear', delay: 100, fill: 'backwards' });
+        assert.deepEqual(animations[0].keyframes, AnimationEngine.PRESETS['fade-up'].keyframes);
+        assert.deepEqual(animations.map(animation => animation.options.delay), [100, 100, 100]);
+    });
+
+    it('o preset stagger anima os itens em cascata', () => {
+        engine.reveal(document.querySelectorAll('.item'), 'stagger');
+
+        assert.deepEqual(animations.map(animation => animation.options.delay), [0, 100, 200]);
+    });
+
+    it('não anima com o preset "none" ou desconhecido', () => {
+        engine.reveal(document.querySelectorAll('.item'), 'none');
+        engine.reveal(document.querySelectorAll('.item'), 'girar');
+
+        assert.equal(animations.length, 0);
+        assert.equal(ImmediateIntersectionObserver.instances.length, 0);
+    });
+
+    it('compartilha um único IntersectionObserver entre as chamadas', () => {
+        const [first, second] = document.querySelectorAll('.item');
+        const seen = [];
+
+        engine.observe(first, () => seen.push('a'));
+        engine.observe(second, () => seen.push('b'));
+        engine.reveal([first], 'scale-pop');
+
+        assert.deepEqual(seen, ['a', 'b']);
+        assert.equal(animations.length, 1);
+        assert.equal(ImmediateIntersectionObserver.instances.length, 1);
+        assert.equal(ImmediateIntersectionObserver.instances[0].observed.size, 0);
+    });
+
+    it('cancela as animações em andamento quando o movimento reduzido é ligado', () => {
+        engine.reveal(document.querySelectorAll('.item'), 'slide-in');
+
+        window.matchMedia = createMatchMedia({ [REDUCED_MOTION]: true });
+        eventBus.emit(PortfolioEvents.MOTION_PREFERENCE_CHANGED, { reduced: true });
+
+        assert.ok(animations.every(animation => animation.playState === 'idle'));
+        assert.equal(engine.running.size, 0);
+
+        engine.reveal(document.querySelectorAll('.item'), 'slide-in');
+        assert.equal(animations.length, 3);
+    });
+
+    it('cancela as animações quando animations.enabled é desligado', () => {
+        engine.reveal(document.querySelectorAll('.item'), 'fade-up');
+
+        portfolioConfig.updateAnimationConfig({ enabled: false });
+
+        assert.ok(animations.every(animation => animation.playState === 'idle'));
+    });
+
+    it('hover anima sem estilo inline e volta do ponto em que está', () => {
+        const item = document.querySelector('.item');
+
+        engine.hover(item, true, 'translateY(-5px)');
+        const [animation] = animations;
+        assert.deepEqual(animation.keyframes, [{ transform: 'none' }, { transform: 'translateY(-5px)' }]);
+        assert.equal(animation.options.fill, 'both');
+
+        engine.hover(item, false, 'translateY(-5px)');
+        assert.equal(animation.playbackRate, -1);
+
+        animation.finish();
+        assert.equal(animation.playState, 'idle');
+        assert.equal(item.getAttribute('style'), null);
+
+        engine.hover(item, true, 'translateY(-5px)');
+        assert.equal(animations.length, 2);
+    });
+
+    it('não faz nada sem suporte a element.animate', () => {
+        delete window.Element.prototype.animate;
+        const item = document.querySelector('.item');
+
+        assert.equal(engine.play(item, 'fade-up'), null);
+        assert.doesNotThrow(() => engine.hover(item, true, 'scale(1.05)'));
+    });
+});
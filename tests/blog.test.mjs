@@ -0,0 +1,128 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Markdown } from '../docs/js/markdown.js';
+import { CodeHighlighter } from '../docs/js/highlight.js';
+import { PostParser } from '../docs/js/posts.js';
+import { ContentValidationError } from '../docs/js/content.js';
+
+const render = (source) => String(Markdown.render(source)).replace(/\s*\n\s*/g, '');
+
+describe('Markdown', () => {
+    it('converte títulos, parágrafos e ênfase, deslocando o nível dos títulos', () => {
+        assert.equal(
+            render('## Seção\n\nTexto com **negrito**, _itálico_ e `código`.'),
+            '<h4>Seção</h4><p>Texto com <strong>negrito</strong>, <em>itálico</em> e <code>código</code>.</p>'
+        );
+    });
+
+    it('mostra HTML escrito no Markdown como texto', () => {
+        const output = render('<script>alert(1)</script> <img src=x onerror=alert(1)>');
+
+        assert.ok(!output.includes('<script>'));
+        assert.ok(!output.includes('<img'));
+        assert.ok(output.includes('&lt;script&gt;'));
+    });
+
+    it('troca links perigosos por # e mantém os relativos', () => {
+        assert.match(render('[x](javascript:alert(1))'), /href="#"/);
+        assert.match(render('[contato](#contact)'), /<a href="#contact"\s*>contato<\/a>/);
+        assert.match(render('![foto](posts/foto.png)'), /<img src="posts\/foto.png" alt="foto"/);
+    });
+
+    it('abre links externos em nova aba', () => {
+        const output = render('[MDN](https://developer.mozilla.org)');
+
+        assert.match(output, /href="https:\/\/developer.mozilla.org"/);
+        assert.match(output, /target="_blank"/);
+        assert.match(output, /rel="noopener noreferrer"/);
+    });
+
+    it('converte listas, citações e linhas horizontais', () => {
+        assert.equal(render('- um\n- dois'), '<ul><li>um</li><li>dois</li></ul>');
+        assert.equal(render('3. três\n4. quatro'), '<ol start="3"><li>três</li><li>quatro</li></ol>');
+        assert.equal(render('> citação'), '<blockquote><p>citação</p></blockquote>');
+        assert.equal(render('---'), '<hr>');
+    });
+
+    it('destaca blocos de código e escapa o conteúdo', () => {
+        const output = String(Markdown.render('```js\nconst a = "<b>"; // fim\n```'));
+
+        assert.match(output, /<pre class="code-block" data-language="js"><code class="language-javascript">/);
+        assert.match(output, /<span class="token keyword">const<\/span>/);
+        assert.match(output, /<span class="token string">&quot;&lt;b&gt;&quot;<\/span>/);
+        assert.match(output, /<span class="token comment">\/\/ fim<\/span>/);
+    });
+
+    it('excerpt usa o primeiro parágrafo em texto puro', () => {
+        const source = '# Título\n\n```js\nignorado();\n```\n\nUm **texto** com [link](#x) & <tag>.\n\nSegundo parágrafo.';
+
+        assert.equal(Markdown.excerpt(source), 'Um texto com link & <tag>.');
+        assert.equal(Markdown.excerpt('palavra '.repeat(10), 20), 'palavra palavra…');
+    });
+});
+
+describe('CodeHighlighter', () => {
+    it('resolve apelidos e ignora linguagens desconhecidas', () => {
+        assert.equal(CodeHighlighter.resolveLanguage('sh'), 'bash');
+        assert.equal(CodeHighlighter.resolveLanguage('JSON'), 'json');
+        assert.equal(CodeHighlighter.resolveLanguage('cobol'), null);
+        assert.equal(String(CodeHighlighter.highlight('<a>', 'cobol')), '&lt;a&gt;');
+    });
+
+    it('não confunde # dentro de palavras com comentário em bash', () => {
+        const output = String(CodeHighlighter.highlight('echo a#b # comentário', 'bash'));
+
+        assert.match(output, /a#b <span class="token comment"># comentário<\/span>/);
+    });
+});
+
+describe('PostParser', () => {
+    const SOURCE = [
+        '---',
+        'title: "Primeiro: post"',
+        'date: 2025-01-02',
+        'tags:',
+        '  - javascript',
+        '  - html',
+        'lang: pt-BR',
+        '---',
+        '',
+        'Resumo do post.'
+    ].join('\r\n');
+
+    it('lê o frontmatter e usa o primeiro parágrafo como resumo', () => {
+        const { entry, body } = PostParser.parse('primeiro-post', SOURCE);
+
+        assert.deepEqual(entry, {
+            id: 'primeiro-post',
+            title: 'Primeiro: post',
+            date: '2025-01-02',
+            tags: ['javascript', 'html'],
+            lang: 'pt-BR',
+            summary: 'Resumo do post.'
+        });
+        assert.equal(body.trim(), 'Resumo do post.');
+    });
+
+    it('aceita tags em linha', () => {
+        const { data } = PostParser.parseFrontmatter('---\ntags: [a, "b c"]\n---\n');
+        assert.deepEqual(data.tags, ['a', 'b c']);
+    });
+
+    it('reúne os problemas do frontmatter em um ContentValidationError', () => {
+        assert.throws(
+            () => PostParser.parse('Post_Ruim', '---\ndate: 02/01/2025\n---\nTexto'),
+            (error) => error instanceof ContentValidationError && error.errors.length === 4
+        );
+    });
+
+    it('ordena do mais recente para o mais antigo', () => {
+        const entries = [
+            { id: 'b', date: '2025-01-01' },
+            { id: 'c', date: '2025-03-01' },
+            { id: 'a', date: '2025-01-01' }
+        ];
+
+        assert.deepEqual(PostParser.sortEntries(entries).map(entry => entry.id), ['c', 'a', 'b']);
+    });
+});
@@ -0,0 +1,168 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { PortfolioConfig } from '../docs/js/config.js';
+import { createMatchMedia, installDom, SKIP_WITHOUT_DOM } from './helpers/dom.mjs';
+
+const REDUCED_MOTION = '(prefers-reduced-motion: reduce)';
+
+describe('PortfolioConfig.areAnimationsEnabled', () => {
+    let originalWindow;
+
+    beforeEach(() => {
+        originalWindow = globalThis.window;
+    });
+
+    afterEach(() => {
+        globalThis.window = originalWindow;
+    });
+
+    it('anima quando a configuração permite e não há pedido de movimento reduzido', () => {
+        globalThis.window = { matchMedia: createMatchMedia() };
+        assert.equal(new PortfolioConfig().areAnimationsEnabled(), true);
+    });
+
+    it('respeita prefers-reduced-motion', () => {
+        const matchMedia = mock.fn(createMatchMedia({ [REDUCED_MOTION]: true }));
+        globalThis.window = { matchMedia };
+
+        assert.equal(new PortfolioConfig().areAnimationsEnabled(), false);
+        assert.equal(matchMedia.mock.calls[0].arguments[0], REDUCED_MOTION);
+    });
+
+    it('respeita animations.enabled sem consultar a preferência do sistema', () => {
+        const matchMedia = mock.fn(createMatchMedia());
+        globalThis.window = { matchMedia };
+        const config = new PortfolioConfig();
+
+        config.updateAnimationConfig({ enabled: false });
+
+        assert.equal(config.areAnimationsEnabled(), false);
+        assert.equal(matchMedia.mock.callCount(), 0);
+    });
+
+    it('acompanha a preferência do sistema a cada chamada', () => {
+        let reduced = false;
+        globalThis.window = { matchMedia: (query) => createMatchMedia({ [REDUCED_MOTION]: reduced })(query) };
+        const config = new PortfolioConfig();
+
+        assert.equal(config.areAnimationsEnabled(), true);
+        reduced = true;
+        assert.equal(config.areAnimationsEnabled(), false);
+    });
+});
+
+describe('PortfolioConfig.validate', () => {
+    it('aceita só presets conhecidos em sections.*.animation, inclusive em seções sem padrão', () => {
+        const warn = mock.method(console, 'warn', () => {});
+        const config = new PortfolioConfig();
+
+        const result = config.validate({
+            sections: {
+                timeline: { animation: 'girar' },
+                blog: { animation: 'scale-pop' }
+            }
+        }, 'teste');
+
+        assert.deepEqual(result, { sections: { timeline: {}, blog: { animation: 'scale-pop' } } });
+        assert.equal(warn.mock.callCount(), 1);
+
+        warn.mock.restore();
+    });
+});
+
+describe('PortfolioConfig.getSource', () => {
+    it('aponta a última camada que define o caminho', () => {
+        const config = new PortfolioConfig();
+
+        config.setLayer('file', { seo: { image: 'assets/images/foto.jpg' } }, 'teste');
+        config.updateAnimationConfig({ enabled: false });
+
+        assert.equal(config.getSource('seo.image'), 'file');
+        assert.equal(config.getSource('seo.siteUrl'), 'defaults');
+        assert.equal(config.getSource('animations.enabled'), 'runtime');
+        assert.equal(config.getSource('seo.naoExiste'), null);
+    });
+});
+
+describe('PortfolioConfig.load', { skip: SKIP_WITHOUT_DOM }, () => {
+    it('aplica as camadas na ordem: arquivo, data-*, URL e preferências', async () => {
+        installDom({
+            html: '<!DOCTYPE html><html data-animations="off" data-scroll-offset="40"><body></body></html>',
+            url: 'http://localhost/?scroll.offset=100&lang=en'
+        });
+        localStorage.setItem(PortfolioConfig.STORAGE_KEY, JSON.stringify({ theme: { mode: 'dark' } }));
+        const fetchFn = async () => new Response(JSON.stringify({ scroll: { offset: 10 }, theme: { mode: 'light' } }));
+        const config = new PortfolioConfig();
+
+        await config.load({ fetchFn });
+
+        assert.equal(config.animations.enabled, false);
+        assert.equal(config.scroll.offset, 100);
+        assert.equal(config.theme.mode, 'dark');
+        assert.equal(config.areAnimationsEnabled(), false);
+    });
+
+    it('ignora valores inválidos com um aviso', async () => {
+        installDom({ url: 'http://localhost/?theme=roxo&scroll.offset=muito' });
+        const warn = mock.method(console, 'warn', () => {});
+        const config = new PortfolioConfig();
+
+        await config.load({ fetchFn: async () => new Response('', { status: 404 }) });
+
+        assert.equal(config.theme.mode, 'auto');
+        assert.equal(config.scroll.offset, PortfolioConfig.createDefaults().scroll.offset);
+        assert.equal(warn.mock.callCount(), 2);
+
+        warn.mock.restore();
+    });
+
+    it('caminhos com __proto__, constructor ou prototype não alteram Object.prototype', async () => {
+        installDom({ url: 'http://localhost/?sections.__proto__.enabled=off&sections.__proto__.animation=none&sections.constructor.enabled=off&sections.prototype.animation=none' });
+        const warn = mock.method(console, 'warn', () => {});
+        const config = new PortfolioConfig();
+
+        await config.load({ fetchFn: async () => new Response(JSON.stringify({ sections: JSON.parse('{"__proto__": {"enabled": false}}') })) });
+        config.setPreference('sections.__proto__.animation', 'none');
+
+        assert.equal(Object.hasOwn(Object.prototype, 'enabled'), false);
+        assert.equal(Object.hasOwn(Object.prototype, 'animation'), false);
+        assert.equal({}.enabled, undefined);
+        assert.deepEqual(config.sections, PortfolioConfig.createDefaults().sections);
+
+        warn.mock.restore();
+    });
+
+    it('a URL só altera chaves de apresentação, nunca endereços ou o envio de dados', async () => {
+        const query = new URLSearchParams({
+            'contactForm.adapter': 'json',
+            'contactForm.endpoint': 'https://evil.example/collect',
+            'contactForm.recipient': 'evil@example.com',
+            'analytics.endpoint': 'https://evil.example/events',
+            'content.url': 'https://evil.example/portfolio.json',
+            'blog.indexUrl': 'https://evil.example/posts.json',
+            'github.apiBaseUrl': 'https://evil.example',
+            'seo.siteUrl': 'https://evil.example/',
+            theme: 'dark',
+            'sections.blog.animation': 'none'
+        });
+        installDom({ url: `http://localhost/?${query}` });
+        const warn = mock.method(console, 'warn', () => {});
+        const config = new PortfolioConfig();
+        const defaults = PortfolioConfig.createDefaults();
+
+        await config.load({ fetchFn: async () => new Response('', { status: 404 }) });
+
+        assert.deepEqual(config.contactForm, defaults.contactForm);
+        assert.deepEqual(config.analytics, defaults.analytics);
+        assert.deepEqual(config.content, defaults.content);
+        assert.deepEqual(config.blog, defaults.blog);
+        assert.deepEqual(config.github, defaults.github);
+        assert.deepEqual(config.seo, defaults.seo);
+        assert.equal(config.theme.mode, 'dark');
+        assert.equal(config.sections.blog.animation, 'none');
+        assert.equal(warn.mock.callCount(), 8);
+        assert.match(warn.mock.calls[1].arguments[0], /contactForm\.endpoint não é uma chave de apresentação/);
+
+        warn.mock.restore();
+    });
+});
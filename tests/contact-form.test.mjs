@@ -0,0 +1,252 @@
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ContactForm } from '../docs/js/contact-form.js';
+import {
+    ContactSubmissionError,
+    MailtoAdapter,
+    JsonPostAdapter,
+    FormServiceAdapter,
+    createContactAdapter
+} from '../docs/js/contact-adapters.js';
+import i18n from '../docs/js/i18n.js';
+import { installDom, SKIP_WITHOUT_DOM } from './helpers/dom.mjs';
+
+const MESSAGE = { name: 'Ana', email: 'ana@exemplo.com', subject: 'Vaga', message: 'Olá, tudo bem com você?' };
+
+// Espera o envio assíncrono disparado pelo submit terminar
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('ContactForm', { skip: SKIP_WITHOUT_DOM }, () => {
+    let container;
+    let sent;
+
+    /**
+     * Monta o formulário com um adaptador de teste
+     * @param {object} options - Opções do ContactForm
+     * @param {Function} send - Implementação de send do adaptador
+     * @returns {ContactForm}
+     */
+    function mountForm(options = {}, send = async () => ({ status: 'sent' })) {
+        const form = new ContactForm({
+            send: async (message) => {
+                sent.push(message);
+                return send(message);
+            }
+        }, { minFillTime: 0, maxLength: { name: 100, subject: 150, message: 2000 }, ...options });
+
+        form.mount(container);
+        return form;
+    }
+
+    /**
+     * Preenche os campos como o visitante faria
+     * @param {object} values - Valores por campo
+     */
+    function fill(values) {
+        Object.entries(values).forEach(([name, value]) => {
+            const input = container.querySelector(`[name="${name}"]`);
+            input.value = value;
+            input.dispatchEvent(new Event('input', { bubbles: true }));
+        });
+    }
+
+    async function submit() {
+        container.querySelector('.form-submit').click();
+        await flush();
+    }
+
+    const status = () => container.querySelector('.form-status');
+    const errorOf = (name) => container.querySelector(`#contact-${name}-error`).textContent;
+
+    beforeEach(() => {
+        installDom({ html: '<!DOCTYPE html><html><body><section id="contact"></section></body></html>' });
+        container = document.getElementById('contact');
+        sent = [];
+    });
+
+    it('aria-describedby só aponta para elementos que existem', () => {
+        mountForm();
+
+        container.querySelectorAll('[aria-describedby]').forEach(input => {
+            input.getAttribute('aria-describedby').split(' ').forEach(id => {
+                assert.ok(document.getElementById(id), `${input.name} aponta para #${id}, que não existe`);
+            });
+        });
+        assert.equal(document.getElementById('contact-email').getAttribute('aria-describedby'), 'contact-email-error');
+    });
+
+    it('mostra o contador de caracteres enquanto o visitante digita', () => {
+        mountForm();
+        fill({ message: 'Oi' });
+
+        assert.equal(container.querySelector('#contact-message-counter').textContent, '2/2000');
+    });
+
+    it('enviar vazio mostra os erros em cada campo e leva o foco ao primeiro', async () => {
+        mountForm();
+        await submit();
+
+        assert.equal(errorOf('name'), i18n.t('contactForm.error.required'));
+        assert.equal(document.getElementById('contact-name').getAttribute('aria-invalid'), 'true');
+        assert.equal(document.activeElement.id, 'contact-name');
+        assert.equal(status().textContent, i18n.t('contactForm.error.invalid'));
+        assert.equal(status().dataset.state, 'error');
+        assert.deepEqual(sent, []);
+    });
+
+    it('valida o e-mail e o tamanho mínimo da mensagem', async () => {
+        mountForm();
+        fill({ ...MESSAGE, email: 'ana@', message: 'curta' });
+        await submit();
+
+        assert.equal(errorOf('email'), i18n.t('contactForm.error.email'));
+        assert.equal(errorOf('message'), i18n.t('contactForm.error.messageTooShort'));
+        assert.equal(errorOf('name'), '');
+        assert.equal(document.activeElement.id, 'contact-email');
+    });
+
+    it('corrigir um campo inválido limpa o erro enquanto digita', async () => {
+        mountForm();
+        fill({ ...MESSAGE, email: 'ana@' });
+        await submit();
+
+        fill({ email: 'ana@exemplo.com' });
+
+        assert.equal(errorOf('email'), '');
+        assert.equal(document.getElementById('contact-email').getAttribute('aria-invalid'), 'false');
+    });
+
+    it('envia a mensagem, mostra o sucesso e limpa o formulário', async () => {
+        mountForm();
+        fill(MESSAGE);
+        await submit();
+
+        assert.deepEqual(sent, [MESSAGE]);
+        assert.equal(status().textContent, i18n.t('contactForm.success.sent'));
+        assert.equal(status().dataset.state, 'success');
+        assert.equal(document.getElementById('contact-name').value, '');
+        assert.equal(container.querySelector('.form-submit').disabled, false);
+    });
+
+    it('honeypot preenchido finge sucesso sem enviar', async () => {
+        mountForm();
+        fill({ ...MESSAGE, website: 'https://spam.exemplo' });
+        await submit();
+
+        assert.deepEqual(sent, []);
+        assert.equal(status().textContent, i18n.t('contactForm.success.sent'));
+    });
+
+    it('envio mais rápido que o tempo mínimo é recusado', async () => {
+        mountForm({ minFillTime: 60000 });
+        fill(MESSAGE);
+        await submit();
+
+        assert.deepEqual(sent, []);
+        assert.equal(status().textContent, i18n.t('contactForm.error.tooFast'));
+    });
+
+    it('mostra a mensagem do erro do adaptador e libera o botão', async () => {
+        const consoleError = mock.method(console, 'error', () => {});
+        mountForm({}, async () => {
+            throw new ContactSubmissionError('contactForm.error.network', 'offline');
+        });
+        fill(MESSAGE);
+        await submit();
+
+        assert.equal(status().textContent, i18n.t('contactForm.error.network'));
+        assert.equal(container.querySelector('.form-submit').disabled, false);
+        assert.equal(container.querySelector('form').getAttribute('aria-busy'), 'false');
+        assert.equal(document.getElementById('contact-name').value, MESSAGE.name);
+        assert.equal(consoleError.mock.callCount(), 1);
+
+        consoleError.mock.restore();
+    });
+
+    it('erros inesperados viram a mensagem genérica de falha no servidor', async () => {
+        const consoleError = mock.method(console, 'error', () => {});
+        mountForm({}, async () => {
+            throw new TypeError('falhou');
+        });
+        fill(MESSAGE);
+        await submit();
+
+        assert.equal(status().textContent, i18n.t('contactForm.error.server'));
+
+        consoleError.mock.restore();
+    });
+});
+
+describe('adaptadores de contato', { skip: SKIP_WITHOUT_DOM }, () => {
+    beforeEach(() => {
+        installDom();
+    });
+
+    it('MailtoAdapter abre o cliente de e-mail com assunto e corpo codificados', async () => {
+        const opened = [];
+        const adapter = new MailtoAdapter({ recipient: 'eu@exemplo.com', openUrl: (url) => opened.push(url) });
+
+        assert.deepEqual(await adapter.send(MESSAGE), { status: 'handoff' });
+        assert.equal(opened.length, 1);
+        assert.ok(opened[0].startsWith('mailto:eu@exemplo.com?subject=Vaga&body=Ol%C3%A1%2C%20tudo'));
+        assert.ok(!opened[0].includes('+'));
+    });
+
+    it('MailtoAdapter sem destinatário recusa o envio', async () => {
+        const adapter = new MailtoAdapter({ recipient: '', openUrl: () => assert.fail('não deveria abrir') });
+
+        assert.equal(adapter.isConfigured(), false);
+        await assert.rejects(adapter.send(MESSAGE), { messageKey: 'contactForm.error.notConfigured' });
+    });
+
+    it('JsonPostAdapter envia a mensagem como JSON', async () => {
+        const requests = [];
+        const adapter = new JsonPostAdapter({
+            endpoint: 'https://api.exemplo/contato',
+            fetchFn: async (url, options) => {
+                requests.push({ url, options });
+                return { ok: true, status: 200 };
+            }
+        });
+
+        assert.deepEqual(await adapter.send(MESSAGE), { status: 'sent' });
+        assert.equal(requests[0].options.method, 'POST');
+        assert.deepEqual(JSON.parse(requests[0].options.body), MESSAGE);
+    });
+
+    it('JsonPostAdapter converte falhas de rede e respostas de erro', async () => {
+        const offline = new JsonPostAdapter({
+            endpoint: 'https://api.exemplo/contato',
+            fetchFn: async () => { throw new TypeError('Failed to fetch'); }
+        });
+        const failing = new JsonPostAdapter({
+            endpoint: 'https://api.exemplo/contato',
+            fetchFn: async () => ({ ok: false, status: 500 })
+        });
+
+        await assert.rejects(offline.send(MESSAGE), { messageKey: 'contactForm.error.network' });
+        await assert.rejects(failing.send(MESSAGE), { messageKey: 'contactForm.error.server', message: 'HTTP 500' });
+    });
+
+    it('FormServiceAdapter envia FormData e repassa os erros do serviço', async () => {
+        let body = null;
+        const adapter = new FormServiceAdapter({
+            endpoint: 'https://forms.exemplo/f/abc',
+            fetchFn: async (url, options) => {
+                body = options.body;
+                return { ok: false, status: 422, json: async () => ({ errors: [{ message: 'email inválido' }] }) };
+            }
+        });
+
+        await assert.rejects(adapter.send(MESSAGE), { messageKey: 'contactForm.error.server', message: 'email inválido' });
+        assert.equal(body.get('_replyto'), MESSAGE.email);
+        assert.equal(body.get('message'), MESSAGE.message);
+    });
+
+    it('createContactAdapter escolhe pelo nome e recusa adaptadores desconhecidos', () => {
+        assert.ok(createContactAdapter({ adapter: 'mailto', recipient: 'eu@exemplo.com' }) instanceof MailtoAdapter);
+        assert.ok(createContactAdapter({ adapter: 'json', endpoint: 'https://api.exemplo' }) instanceof JsonPostAdapter);
+        assert.ok(createContactAdapter({ adapter: 'form-service', endpoint: 'https://forms.exemplo' }) instanceof FormServiceAdapter);
+        assert.throws(() => createContactAdapter({ adapter: 'smtp' }), /desconhecido: "smtp"/);
+    });
+});
@@ -0,0 +1,180 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+    checkSchema,
+    checkDuplicateProjects,
+    checkPlaceholders,
+    checkEmails,
+    checkConfig,
+    checkHtml,
+    checkImages,
+    collectLinks,
+    checkLinks
+} from '../scripts/content-health.mjs';
+import { DOCS_DIR } from './helpers/dom.mjs';
+
+const rules = (issues) => issues.map(({ severity, path, rule }) => `${severity} ${path} ${rule}`);
+
+describe('verificações de conteúdo', () => {
+    let portfolio;
+
+    before(async () => {
+        portfolio = JSON.parse(await readFile(`${DOCS_DIR}data/portfolio.json`, 'utf8'));
+    });
+
+    const content = () => structuredClone(portfolio);
+
+    it('o conteúdo publicado passa no schema, sem repetições nem textos de exemplo', () => {
+        assert.deepEqual(checkSchema(content()), []);
+        assert.deepEqual(checkDuplicateProjects(content()), []);
+        assert.deepEqual(checkPlaceholders(content()), []);
+        assert.deepEqual(checkEmails(content()), []);
+    });
+
+    it('aponta o campo obrigatório que falta', () => {
+        const data = content();
+        delete data.projects[0].title;
+
+        assert.deepEqual(rules(checkSchema(data)), ['error projects[0].title schema']);
+    });
+
+    it('aponta projetos com o mesmo slug ou o mesmo link', () => {
+        const data = content();
+        data.projects.push({ ...data.projects[0] });
+        data.projects.push({ ...data.projects[1], slug: 'outro-slug' });
+
+        const issues = checkDuplicateProjects(data);
+        const last = data.projects.length - 1;
+
+        assert.deepEqual(rules(issues), [
+            `error projects[${last - 1}] duplicate-project`,
+            `error projects[${last - 1}] duplicate-project`,
+            `error projects[${last}] duplicate-project`
+        ]);
+        assert.match(issues[0].message, /mesmo slug "sistema-web-academico" de projects\[0\]/);
+    });
+
+    it('aponta textos e links de exemplo, e avisa sobre a foto de exemplo', () => {
+        const data = content();
+        data.profile.name = '[Seu Nome]';
+        data.projects[0].link = '#';
+        data.projects[0].images = [{ src: 'assets/images/profile-placeholder.jpg', alt: 'Foto' }];
+
+        assert.deepEqual(rules(checkPlaceholders(data)), [
+            'error profile.name placeholder',
+            'error projects[0].link placeholder',
+            'warning projects[0].images[0].src placeholder'
+        ]);
+    });
+
+    it('valida os e-mails dos contatos com ValidationUtils', () => {
+        const data = content();
+        data.contacts.push({ type: 'email', label: 'E-mail', url: 'mailto:eu@exemplo.com' });
+        data.contacts.push({ type: 'email', label: 'E-mail', url: 'mailto:eu@exemplo' });
+
+        assert.deepEqual(rules(checkEmails(data)), [`error contacts[${data.contacts.length - 1}].url invalid-email`]);
+    });
+});
+
+describe('verificações da configuração e do HTML', () => {
+    it('aponta endereço do site, endpoints e destinatário inválidos', () => {
+        const issues = checkConfig({
+            seo: { siteUrl: '/portfolio/', image: 'assets/foto.jpg' },
+            contactForm: { recipient: 'eu@', endpoint: 'javascript:alert(1)' },
+            analytics: { endpoint: '' }
+        });
+
+        assert.deepEqual(rules(issues), [
+            'error seo.siteUrl invalid-url',
+            'error contactForm.endpoint invalid-url',
+            'error contactForm.recipient invalid-email'
+        ]);
+    });
+
+    it('aponta no HTML a linha de cada marca do modelo', () => {
+        const issues = checkHtml('<h1>[Seu Nome]</h1>\n<a href="#">GitHub</a>\n<a href="#contact">Contato</a>\n<img src="profile-placeholder.jpg" alt="">');
+
+        assert.deepEqual(rules(issues), ['error 1 placeholder', 'error 2 placeholder', 'warning 4 placeholder']);
+    });
+});
+
+describe('checkImages', () => {
+    let dir;
+
+    before(async () => {
+        dir = `${await mkdtemp(join(tmpdir(), 'content-health-'))}/`;
+        await writeFile(`${dir}pequena.png`, Buffer.alloc(1024));
+        await writeFile(`${dir}grande.png`, Buffer.alloc(3 * 1024));
+    });
+
+    after(() => rm(dir, { recursive: true, force: true }));
+
+    it('aponta imagens acima do limite e as que não existem, ignorando endereços absolutos', async () => {
+        const issues = await checkImages([
+            { path: 'a', src: 'pequena.png' },
+            { path: 'b', src: './grande.png?v=2' },
+            { path: 'c', src: 'sumiu.png' },
+            { path: 'd', src: 'https://exemplo.com/foto.png' }
+        ], { docsDir: dir, maxImageKb: 2 });
+
+        assert.deepEqual(rules(issues), ['error b image-too-large', 'error c image-missing']);
+        assert.match(issues[0].message, /tem 3 KB \(máximo: 2 KB\)/);
+    });
+});
+
+describe('checkLinks', () => {
+    const RESPONSES = {
+        'https://ok.exemplo/': { HEAD: 200 },
+        'https://sumiu.exemplo/': { HEAD: 404 },
+        'https://so-get.exemplo/': { HEAD: 405, GET: 200 },
+        'https://bloqueia.exemplo/': { HEAD: 999 }
+    };
+
+    /**
+     * Cliente HTTP local que responde pela tabela acima e registra os pedidos
+     * @param {string[]} requests - Pedidos feitos ("MÉTODO url")
+     * @returns {Function}
+     */
+    function stubFetch(requests) {
+        return async (url, { method }) => {
+            requests.push(`${method} ${url}`);
+            if (!RESPONSES[url]) throw new Error('getaddrinfo ENOTFOUND');
+
+            const status = RESPONSES[url][method];
+            return { status, ok: status >= 200 && status < 300 };
+        };
+    }
+
+    it('coleta só os links http(s) do conteúdo', () => {
+        const links = collectLinks({ contacts: [{ url: 'https://github.com/eu' }, { url: 'mailto:eu@exemplo.com' }], projects: [{ link: '#' }] });
+
+        assert.deepEqual(links, [{ path: 'contacts[0].url', url: 'https://github.com/eu' }]);
+    });
+
+    it('classifica as respostas e pede cada endereço uma vez', async () => {
+        const requests = [];
+        const links = [
+            { path: 'a', url: 'https://ok.exemplo/' },
+            { path: 'b', url: 'https://sumiu.exemplo/' },
+            { path: 'c', url: 'https://so-get.exemplo/' },
+            { path: 'd', url: 'https://bloqueia.exemplo/' },
+            { path: 'e', url: 'https://fora-do-ar.exemplo/' },
+            { path: 'f', url: 'https://sumiu.exemplo/' }
+        ];
+
+        const issues = await checkLinks(links, { fetchFn: stubFetch(requests) });
+
+        assert.deepEqual(rules(issues), [
+            'error b broken-link',
+            'warning d unverified-link',
+            'error e broken-link',
+            'error f broken-link'
+        ]);
+        assert.match(issues[2].message, /não respondeu \(getaddrinfo ENOTFOUND\)/);
+        assert.equal(requests.filter(request => request.endsWith('sumiu.exemplo/')).length, 1);
+        assert.ok(requests.includes('GET https://so-get.exemplo/'));
+    });
+});
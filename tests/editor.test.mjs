@@ -0,0 +1,183 @@
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { EditHistory, ContentEditor } from '../docs/js/editor.js';
+import { ContentValidationError } from '../docs/js/content.js';
+import { DOCS_DIR, installDom, SKIP_WITHOUT_DOM } from './helpers/dom.mjs';
+
+const published = JSON.parse(await readFile(`${DOCS_DIR}data/portfolio.json`, 'utf8'));
+
+describe('EditHistory', () => {
+    it('desfaz e refaz na ordem inversa', () => {
+        const history = new EditHistory();
+        history.push('a');
+        history.push('b');
+
+        assert.equal(history.undo('c'), 'b');
+        assert.equal(history.undo('b'), 'a');
+        assert.equal(history.undo('a'), null);
+        assert.equal(history.redo('a'), 'b');
+        assert.equal(history.redo('b'), 'c');
+        assert.equal(history.canRedo(), false);
+    });
+
+    it('uma nova alteração descarta o que podia ser refeito', () => {
+        const history = new EditHistory();
+        history.push('a');
+        history.undo('b');
+
+        history.push('a');
+
+        assert.equal(history.canRedo(), false);
+    });
+
+    it('guarda no máximo o limite de estados', () => {
+        const history = new EditHistory(2);
+        ['a', 'b', 'c'].forEach(state => history.push(state));
+
+        assert.deepEqual(history.past, ['b', 'c']);
+    });
+});
+
+describe('ContentEditor', () => {
+    it('isRequested reconhece ?edit', () => {
+        assert.equal(ContentEditor.isRequested('?edit'), true);
+        assert.equal(ContentEditor.isRequested('?lang=en&edit=1'), true);
+        assert.equal(ContentEditor.isRequested('?lang=en'), false);
+    });
+
+    it('createSlug gera slugs únicos a partir do título', () => {
+        const projects = [{ slug: 'meu-app', title: 'Meu App' }];
+
+        assert.equal(ContentEditor.createSlug({ title: 'Meu App' }, projects), 'meu-app-2');
+        assert.equal(ContentEditor.createSlug({ title: 'Outro' }, projects), 'outro');
+    });
+
+    describe('alterações', { skip: SKIP_WITHOUT_DOM }, () => {
+        let editor;
+        let onChange;
+
+        beforeEach(() => {
+            installDom();
+            onChange = mock.fn();
+            editor = new ContentEditor(published, { onChange });
+        });
+
+        it('adiciona, reordena e remove projetos avisando o app', () => {
+            editor.addItem('projects', { title: 'Novo', description: 'Descrição', link: 'https://exemplo.com' });
+            assert.equal(editor.content.projects.at(-1).slug, 'novo');
+
+            editor.moveItem('projects', editor.content.projects.length - 1, -1);
+            assert.equal(editor.content.projects.at(-2).slug, 'novo');
+
+            editor.removeItem('projects', editor.content.projects.length - 2);
+            assert.deepEqual(editor.content.projects, published.projects);
+            assert.equal(onChange.mock.callCount(), 3);
+        });
+
+        it('não altera o conteúdo publicado recebido', () => {
+            editor.removeItem('skills', 0);
+
+            assert.notEqual(editor.content.skills.length, published.skills.length);
+            assert.equal(editor.published.skills.length, published.skills.length);
+        });
+
+        it('rejeita alterações que deixam o conteúdo inválido', () => {
+            assert.throws(() => editor.addItem('projects', { title: 'Sem link' }), ContentValidationError);
+
+            assert.deepEqual(editor.content, published);
+            assert.equal(editor.history.canUndo(), false);
+            assert.equal(onChange.mock.callCount(), 0);
+        });
+
+        it('ignora movimentos para fora da lista', () => {
+            editor.moveItem('projects', 0, -1);
+            assert.equal(editor.history.canUndo(), false);
+        });
+
+        it('desfaz e refaz alterações', () => {
+            editor.updateProfile({ ...published.profile, name: 'Outro nome' });
+            editor.undo();
+            assert.equal(editor.content.profile.name, published.profile.name);
+
+            editor.redo();
+            assert.equal(editor.content.profile.name, 'Outro nome');
+        });
+
+        it('salva o rascunho e o restaura em outra sessão', () => {
+            editor.updateProfile({ ...published.profile, name: 'Rascunho' });
+
+            const restored = new ContentEditor(published, { onChange });
+            assert.equal(restored.restoreDraft(), true);
+            assert.equal(restored.content.profile.name, 'Rascunho');
+            assert.ok(restored.savedAt);
+        });
+
+        it('pergunta antes de restaurar um rascunho feito sobre outro conteúdo publicado', () => {
+            editor.updateProfile({ ...published.profile, name: 'Rascunho' });
+            const changed = { ...published, profile: { ...published.profile, summary: 'Resumo publicado depois' } };
+
+            const confirm = mock.fn(() => true);
+            const accepted = new ContentEditor(changed, { onChange, confirm });
+            assert.equal(accepted.restoreDraft(), true);
+            assert.equal(accepted.content.profile.name, 'Rascunho');
+            assert.deepEqual(confirm.mock.calls[0].arguments, ['O conteúdo publicado mudou depois que o rascunho foi salvo. Restaurar o rascunho mesmo assim? Cancelar descarta o rascunho.']);
+
+            const declined = new ContentEditor(changed, { onChange, confirm: () => false });
+            assert.equal(declined.restoreDraft(), false);
+            assert.deepEqual(declined.content, changed);
+            assert.equal(localStorage.getItem(ContentEditor.DRAFT_KEY), null);
+        });
+
+        it('rascunhos sem a marca do conteúdo publicado também pedem confirmação', () => {
+            localStorage.setItem(ContentEditor.DRAFT_KEY, JSON.stringify({ savedAt: new Date().toISOString(), content: published }));
+            const confirm = mock.fn(() => true);
+
+            assert.equal(new ContentEditor(published, { onChange, confirm }).restoreDraft(), true);
+            assert.equal(confirm.mock.callCount(), 1);
+        });
+
+        it('baixa o JSON e só revoga o endereço depois do clique', () => {
+            mock.timers.enable({ apis: ['setTimeout'] });
+            const create = mock.method(URL, 'createObjectURL', () => 'blob:portfolio');
+            const revoke = mock.method(URL, 'revokeObjectURL', () => {});
+            const click = mock.method(window.HTMLAnchorElement.prototype, 'click', () => {});
+
+            editor.download();
+            assert.equal(click.mock.callCount(), 1);
+            assert.equal(revoke.mock.callCount(), 0);
+
+            mock.timers.tick(0);
+            assert.deepEqual(revoke.mock.calls[0].arguments, ['blob:portfolio']);
+
+            [create, revoke, click].forEach(method => method.mock.restore());
+            mock.timers.reset();
+        });
+
+        it('apaga o rascunho quando o conteúdo volta ao publicado', () => {
+            editor.updateProfile({ ...published.profile, name: 'Rascunho' });
+            editor.discardDraft();
+
+            assert.equal(editor.isDirty(), false);
+            assert.equal(localStorage.getItem(ContentEditor.DRAFT_KEY), null);
+
+            editor.undo();
+            assert.equal(editor.content.profile.name, 'Rascunho');
+        });
+
+        it('descarta rascunhos inválidos', () => {
+            const warn = mock.method(console, 'warn', () => {});
+            localStorage.setItem(ContentEditor.DRAFT_KEY, JSON.stringify({ content: { schemaVersion: 99 } }));
+
+            assert.equal(editor.restoreDraft(), false);
+            assert.equal(localStorage.getItem(ContentEditor.DRAFT_KEY), null);
+
+            warn.mock.restore();
+        });
+
+        it('exporta no formato do data/portfolio.json', () => {
+            assert.deepEqual(JSON.parse(editor.toJson()), published);
+            assert.match(editor.toJson(), /^\{\n {4}"schemaVersion": 1,/);
+        });
+    });
+});
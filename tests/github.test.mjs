@@ -0,0 +1,124 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { GitHubProvider } from '../docs/js/github.js';
+
+const BASE_URL = 'https://api.local';
+const CACHE_KEY = `${GitHubProvider.CACHE_PREFIX}dono/repo`;
+
+const API = {
+    '/repos/dono/repo': { stargazers_count: 7, open_issues_count: 2, pushed_at: '2025-01-01T00:00:00Z' },
+    '/repos/dono/repo/languages': { CSS: 10, JavaScript: 300, HTML: 50, Shell: 1 },
+    '/repos/dono/repo/commits?per_page=1': [{ commit: { committer: { date: '2025-02-03T10:00:00Z' } } }]
+};
+
+/**
+ * Armazenamento em memória com a interface do localStorage
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+}
+
+describe('GitHubProvider', () => {
+    let storage;
+    let requests;
+    let status;
+
+    /**
+     * fetch de teste: responde pela tabela API com o status atual e registra os caminhos pedidos
+     */
+    const fetchFn = async (url) => {
+        const path = url.slice(BASE_URL.length);
+        requests.push(path);
+
+        return {
+            ok: status === 200,
+            status,
+            json: async () => API[path]
+        };
+    };
+
+    const createProvider = () => new GitHubProvider({ baseUrl: `${BASE_URL}/`, cacheTtl: 60000, storage, fetchFn });
+
+    /**
+     * Grava uma entrada no cache com a idade indicada
+     * @param {object} data - Dados guardados
+     * @param {number} age - Idade em ms
+     */
+    const seedCache = (data, age) => {
+        storage.setItem(CACHE_KEY, JSON.stringify({ timestamp: Date.now() - age, data }));
+    };
+
+    beforeEach(() => {
+        storage = new MemoryStorage();
+        requests = [];
+        status = 200;
+    });
+
+    it('extrai dono e repositório apenas de URLs do GitHub', () => {
+        assert.deepEqual(GitHubProvider.parseRepositoryUrl('https://github.com/dono/repo.git'), { owner: 'dono', repo: 'repo' });
+        assert.equal(GitHubProvider.parseRepositoryUrl('https://gitlab.com/dono/repo'), null);
+        assert.equal(GitHubProvider.parseRepositoryUrl('https://github.com/dono'), null);
+    });
+
+    it('busca as estatísticas na API e guarda no cache', async () => {
+        const stats = await createProvider().getRepositoryStats('dono', 'repo');
+
+        assert.deepEqual(stats, {
+            stars: 7,
+            openIssues: 2,
+            lastCommit: '2025-02-03T10:00:00Z',
+            languages: ['JavaScript', 'HTML', 'CSS']
+        });
+        assert.deepEqual(JSON.parse(storage.getItem(CACHE_KEY)).data, stats);
+    });
+
+    it('usa o cache válido sem chamar a API', async () => {
+        seedCache({ stars: 1 }, 1000);
+
+        assert.deepEqual(await createProvider().getRepositoryStats('dono', 'repo'), { stars: 1 });
+        assert.deepEqual(requests, []);
+    });
+
+    it('renova o cache expirado', async () => {
+        seedCache({ stars: 1 }, 120000);
+
+        const stats = await createProvider().getRepositoryStats('dono', 'repo');
+
+        assert.equal(stats.stars, 7);
+        assert.equal(requests.length, 3);
+        assert.equal(JSON.parse(storage.getItem(CACHE_KEY)).data.stars, 7);
+    });
+
+    it('com limite de requisições (403) usa o cache expirado', async () => {
+        seedCache({ stars: 1 }, 120000);
+        status = 403;
+
+        assert.deepEqual(await createProvider().getRepositoryStats('dono', 'repo'), { stars: 1 });
+    });
+
+    it('com limite de requisições (403) e sem cache, falha com o status', async () => {
+        status = 403;
+
+        await assert.rejects(
+            createProvider().getRepositoryStats('dono', 'repo'),
+            /GitHub API respondeu HTTP 403 para \/repos\/dono\/repo/
+        );
+        assert.equal(storage.getItem(CACHE_KEY), null);
+    });
+
+    it('ignora entradas de cache corrompidas', async () => {
+        storage.setItem(CACHE_KEY, '{não é json');
+
+        assert.equal((await createProvider().getRepositoryStats('dono', 'repo')).stars, 7);
+    });
+});
@@ -0,0 +1,138 @@
+/**
+ * DOM headless para os testes (jsdom)
+ * O jsdom é a única dependência dos testes e não faz parte do site; sem ele, os testes
+ * que precisam de DOM são pulados com um aviso
+ *
+ * Uso:
+ *   npm install --no-save jsdom   (uma vez)
+ *   node --test tests/
+ */
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+export const DOCS_DIR = fileURLToPath(new URL('../../docs/', import.meta.url));
+export const PAGE_URL = 'http://localhost/';
+
+let jsdom = null;
+try {
+    jsdom = await import('jsdom');
+} catch {
+    // Sem jsdom: SKIP_WITHOUT_DOM avisa os testes para pular
+}
+
+// Motivo usado em { skip } quando não há DOM disponível
+export const SKIP_WITHOUT_DOM = jsdom ? false : 'jsdom não instalado (npm install --no-save jsdom)';
+
+// Globais do navegador usados pelos módulos de docs/js
+const BROWSER_GLOBALS = [
+    'window', 'document', 'navigator', 'localStorage', 'location', 'history',
+    'Node', 'Element', 'HTMLElement', 'Event', 'CustomEvent', 'KeyboardEvent', 'FocusEvent',
+    'MouseEvent', 'FormData', 'getComputedStyle'
+];
+
+/**
+ * IntersectionObserver de teste: todo elemento observado é considerado visível na hora,
+ * o que percorre os caminhos de animação das seções
+ */
+export class ImmediateIntersectionObserver {
+    static instances = [];
+
+    constructor(callback, options) {
+        this.callback = callback;
+        this.options = options;
+        this.observed = new Set();
+        ImmediateIntersectionObserver.instances.push(this);
+    }
+
+    observe(target) {
+        this.observed.add(target);
+        this.callback([{ isIntersecting: true, target }], this);
+    }
+
+    unobserve(target) {
+        this.observed.delete(target);
+    }
+
+    disconnect() {
+        this.observed.clear();
+    }
+}
+
+/**
+ * Cria um matchMedia controlado pelo teste
+ * @param {object} matches - Resultado por media query (ex.: { '(prefers-reduced-motion: reduce)': true })
+ * @returns {Function}
+ */
+export function createMatchMedia(matches = {}) {
+    return (query) => ({
+        matches: Boolean(matches[query]),
+        media: query,
+        addEventListener() {},
+        removeEventListener() {}
+    });
+}
+
+/**
+ * Cria um fetch que responde com os arquivos de docs/ (404 para o que não existe)
+ * @param {object} files - Conteúdo que substitui arquivos de docs/, por caminho (ex.: { 'posts/index.json': '...' })
+ * @returns {Function}
+ */
+function createDocsFetch(files = {}) {
+    return async (input) => {
+        const url = new URL(input instanceof Request ? input.url : input, PAGE_URL);
+        if (url.origin !== new URL(PAGE_URL).origin) {
+            return new Response('', { status: 404 });
+        }
+
+        const path = decodeURIComponent(url.pathname).replace(/^\/+/, '');
+        if (Object.hasOwn(files, path)) {
+            return new Response(files[path]);
+        }
+
+        try {
+            return new Response(await readFile(`${DOCS_DIR}${path}`));
+        } catch {
+            return new Response('', { status: 404 });
+        }
+    };
+}
+
+/**
+ * Cria um DOM e o instala como ambiente global (window, document...)
+ * @param {object} options - Opções
+ * @param {string} options.html - Marcação inicial (padrão: página vazia)
+ * @param {string} options.url - Endereço da página
+ * @param {object} options.media - Resultados do matchMedia (ver createMatchMedia)
+ * @param {object} options.files - Arquivos servidos no lugar dos de docs/ (ver createDocsFetch)
+ * @returns {Window}
+ */
+export function installDom({ html = '<!DOCTYPE html><html><body></body></html>', url = PAGE_URL, media = {}, files = {} } = {}) {
+    if (!jsdom) throw new Error(SKIP_WITHOUT_DOM);
+
+    const { window } = new jsdom.JSDOM(html, { url, pretendToBeVisual: true });
+
+    window.matchMedia = createMatchMedia(media);
+    window.IntersectionObserver = ImmediateIntersectionObserver;
+    window.scrollTo = () => {};
+    const fetchFn = createDocsFetch(files);
+    window.fetch = fetchFn;
+
+    BROWSER_GLOBALS.forEach(name => {
+        Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+    });
+    globalThis.IntersectionObserver = ImmediateIntersectionObserver;
+    globalThis.fetch = fetchFn;
+    globalThis.requestAnimationFrame = (callback) => setTimeout(callback, 0);
+
+    return window;
+}
+
+/**
+ * Instala o docs/index.html como DOM global
+ * @param {object} options - Mesmas opções de installDom (exceto html)
+ * @returns {Promise<Window>}
+ */
+export async function installPage(options = {}) {
+    return installDom({ ...options, html: await readFile(`${DOCS_DIR}index.html`, 'utf8') });
+}
@@ -0,0 +1,381 @@
+import { describe, it, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installPage, ImmediateIntersectionObserver, SKIP_WITHOUT_DOM } from './helpers/dom.mjs';
+import { checkDocument } from '../scripts/a11y-rules.mjs';
+
+// O site é publicado sem artigos: o blog é testado com estes dois, servidos no lugar de docs/posts/
+const BLOG_FILES = {
+    'posts/index.json': JSON.stringify({
+        posts: [
+            { id: 'segundo', title: 'Segundo artigo', date: '2025-02-01', tags: ['javascript'], lang: 'pt-BR', summary: 'Resumo do segundo.' },
+            { id: 'first', title: 'First article', date: '2025-01-01', tags: ['career'], lang: 'en', summary: 'First summary.' }
+        ]
+    }),
+    'posts/segundo.md': '---\ntitle: Segundo artigo\ndate: 2025-02-01\ntags: [javascript]\nlang: pt-BR\n---\n\nTexto de **teste**.\n\n## Uma seção\n\nMais texto.\n',
+    'posts/first.md': '---\ntitle: First article\ndate: 2025-01-01\ntags: [career]\nlang: en\n---\n\nTest text.\n'
+};
+
+/**
+ * Espera uma condição ficar verdadeira (a inicialização do app é assíncrona)
+ * @param {Function} predicate - Condição
+ * @param {number} timeout - Tempo máximo em ms
+ */
+async function waitFor(predicate, timeout = 5000) {
+    const start = Date.now();
+
+    while (!predicate()) {
+        if (Date.now() - start > timeout) throw new Error('Tempo esgotado esperando a condição');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+describe('PortfolioApp', { skip: SKIP_WITHOUT_DOM }, () => {
+    let app;
+
+    before(async () => {
+        await installPage({ files: BLOG_FILES });
+        localStorage.setItem('portfolio-locale', 'pt-BR');
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+
+        // main.js cria e inicializa o app ao ser importado
+        ({ default: app } = await import('../docs/js/main.js'));
+        await waitFor(() => app.isInitialized);
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+    });
+
+    describe('debounce', () => {
+        it('executa só a última chamada depois da espera', () => {
+            mock.timers.enable({ apis: ['setTimeout'] });
+            const func = mock.fn();
+            const debounced = app.debounce(func, 250);
+
+            debounced('a');
+            debounced('b');
+            mock.timers.tick(249);
+            assert.equal(func.mock.callCount(), 0);
+
+            debounced('c');
+            mock.timers.tick(249);
+            assert.equal(func.mock.callCount(), 0);
+
+            mock.timers.tick(1);
+            assert.equal(func.mock.callCount(), 1);
+            assert.deepEqual(func.mock.calls[0].arguments, ['c']);
+        });
+    });
+
+    describe('throttle', () => {
+        it('executa a primeira chamada e ignora as outras até o fim do intervalo', () => {
+            mock.timers.enable({ apis: ['setTimeout'] });
+            const func = mock.fn();
+            const throttled = app.throttle(func, 100);
+
+            throttled(1);
+            throttled(2);
+            mock.timers.tick(99);
+            throttled(3);
+            assert.deepEqual(func.mock.calls.map(call => call.arguments[0]), [1]);
+
+            mock.timers.tick(1);
+            throttled(4);
+            assert.deepEqual(func.mock.calls.map(call => call.arguments[0]), [1, 4]);
+        });
+
+        it('preserva o this de quem chama', () => {
+            mock.timers.enable({ apis: ['setTimeout'] });
+            const target = { count: 0 };
+            const throttled = app.throttle(function () { this.count++; }, 100);
+
+            throttled.call(target);
+
+            assert.equal(target.count, 1);
+        });
+    });
+
+    describe('integração com o index.html', () => {
+        it('hidrata os projetos pré-renderizados sem duplicar cards', () => {
+            const slugs = Array.from(document.querySelectorAll('.project-card')).map(card => card.dataset.slug);
+
+            assert.ok(slugs.length > 0);
+            assert.equal(new Set(slugs).size, slugs.length);
+        });
+
+        it('observa as seções com IntersectionObserver para animar', () => {
+            assert.ok(ImmediateIntersectionObserver.instances.length > 0);
+        });
+
+        it('addProject renderiza o card e o anuncia', () => {
+            mock.timers.enable({ apis: ['setTimeout'] });
+
+            app.addProject({
+                title: 'Projeto <Teste>',
+                description: 'Descrição do projeto',
+                technologies: ['Node.js', 'SQL'],
+                link: 'https://github.com/exemplo/projeto-teste'
+            });
+
+            const card = document.querySelector('.project-card[data-slug="projeto-teste"]');
+            assert.ok(card);
+            assert.equal(card.querySelector('h3').textContent, 'Projeto <Teste>');
+            assert.deepEqual(Array.from(card.querySelectorAll('.tech-tag')).map(tag => tag.textContent), ['Node.js', 'SQL']);
+
+            const link = card.querySelector('a.project-link');
+            assert.equal(link.getAttribute('href'), 'https://github.com/exemplo/projeto-teste');
+            assert.equal(link.getAttribute('target'), '_blank');
+            assert.equal(link.getAttribute('aria-describedby'), 'new-tab-hint');
+
+            mock.timers.tick(100);
+            assert.equal(document.getElementById('live-region').textContent, 'Projeto adicionado: Projeto <Teste>');
+        });
+
+        it('addProject ignora links inseguros', () => {
+            app.addProject({ title: 'Link inseguro', description: 'x', link: 'javascript:alert(1)' });
+
+            const card = document.querySelector('.project-card[data-slug="link-inseguro"]');
+            assert.ok(card);
+            assert.equal(card.querySelector('a[href^="javascript:"]'), null);
+        });
+
+        it('updateProject troca o card mantendo o slug', () => {
+            const updated = app.updateProject('projeto-teste', {
+                title: 'Projeto atualizado',
+                description: 'Nova descrição',
+                technologies: ['Go'],
+                link: 'https://github.com/exemplo/projeto-teste'
+            });
+
+            const cards = document.querySelectorAll('.project-card[data-slug="projeto-teste"]');
+            assert.equal(updated, true);
+            assert.equal(cards.length, 1);
+            assert.equal(cards[0].querySelector('h3').textContent, 'Projeto atualizado');
+            assert.equal(app.updateProject('inexistente', { title: 'x' }), false);
+        });
+
+        it('removeProject remove o card', () => {
+            assert.equal(app.removeProject('link-inseguro'), true);
+            assert.equal(document.querySelector('.project-card[data-slug="link-inseguro"]'), null);
+            assert.equal(app.removeProject('link-inseguro'), false);
+        });
+
+        it('addSkill adiciona a tag no grupo da categoria', () => {
+            app.addSkill({ name: 'Kotlin', category: 'backend', level: 3 });
+
+            const tag = document.querySelector('.skill-tag[data-skill="Kotlin"]');
+            assert.ok(tag);
+            assert.equal(tag.closest('.skill-category').dataset.category, 'backend');
+            assert.equal(tag.getAttribute('aria-controls'), 'skill-details');
+        });
+
+        it('addSkill aceita o formato antigo em texto', () => {
+            app.addSkill('Figma');
+
+            const tag = document.querySelector('.skill-tag[data-skill="Figma"]');
+            assert.equal(tag.closest('.skill-category').dataset.category, 'other');
+            assert.equal(tag.querySelector('.skill-level'), null);
+            assert.equal(tag.querySelector('.skill-years'), null);
+        });
+
+        it('nível e anos de uso só aparecem quando informados', () => {
+            app.addSkill({ name: 'Rust', category: 'backend', level: 'advanced', years: 2 });
+
+            const tag = document.querySelector('.skill-tag[data-skill="Rust"]');
+            assert.equal(tag.querySelector('.skill-level').getAttribute('aria-label'), 'Nível avançado (3 de 3)');
+            assert.equal(tag.querySelector('.skill-years').textContent, '2 ano(s)');
+        });
+
+        it('clicar em uma habilidade abre o painel de detalhes', () => {
+            const tag = document.querySelector('.skill-tag[data-skill="Kotlin"]');
+
+            tag.click();
+
+            assert.equal(tag.getAttribute('aria-expanded'), 'true');
+            assert.equal(document.getElementById('skill-details').hidden, false);
+        });
+
+        it('updateUserInfo atualiza nome e resumo', () => {
+            app.updateUserData({ name: 'Maria', summary: 'Resumo <novo>' });
+
+            assert.equal(document.querySelector('.hero-content h1').textContent, 'Olá, eu sou Maria');
+            assert.equal(document.querySelector('.summary-text').textContent, 'Resumo <novo>');
+        });
+
+        it('updateUserInfo mantém os campos não informados', () => {
+            app.getSection('hero').updateUserInfo({ summary: 'Outro resumo' });
+
+            assert.equal(document.querySelector('.hero-content h1').textContent, 'Olá, eu sou Maria');
+            assert.equal(document.querySelector('.summary-text').textContent, 'Outro resumo');
+        });
+
+        it('o formulário de contato fica desligado sem configuração, sem avisos no console', () => {
+            const warnings = console.warn.mock.calls.map(call => String(call.arguments[0]));
+
+            assert.equal(document.querySelector('#contact .contact-form'), null);
+            assert.equal(warnings.some(message => message.includes('PortfolioConfig.contactForm')), false);
+        });
+    });
+
+    describe('blog', () => {
+        let blog;
+
+        before(async () => {
+            blog = app.getSection('blog');
+            await waitFor(() => blog.posts.length > 0);
+        });
+
+        it('lista os posts do índice do mais recente para o mais antigo', () => {
+            const links = [...document.querySelectorAll('.blog-entry h3 a')].map(link => link.getAttribute('href'));
+
+            assert.deepEqual(links, blog.posts.map(post => `#/posts/${post.id}`));
+            assert.equal(document.querySelector('.blog-tags').hidden, false);
+        });
+
+        it('filtra por tag', () => {
+            document.querySelector('.blog-tag-button[data-tag="career"]').click();
+
+            const entries = document.querySelectorAll('.blog-entry');
+            assert.equal(entries.length, 1);
+            assert.equal(entries[0].querySelector('h3').getAttribute('lang'), 'en');
+            assert.equal(document.querySelector('.blog-tag-button[data-tag="career"]').getAttribute('aria-pressed'), 'true');
+
+            document.querySelector('.blog-tag-button[data-tag="all"]').click();
+            assert.equal(document.querySelectorAll('.blog-entry').length, blog.posts.length);
+        });
+
+        it('abre o artigo pela rota e volta para a lista', async () => {
+            const post = blog.posts[0];
+            history.replaceState(null, '', `#/posts/${post.id}`);
+            assert.equal(await app.handleHashChange(), true);
+
+            assert.ok(blog.element.classList.contains('is-reading'));
+            assert.equal(document.activeElement, document.querySelector('.blog-post-title'));
+            assert.ok(document.querySelector('.blog-post-body h4'));
+            assert.ok(document.title.startsWith(`${post.title} | `));
+
+            document.querySelector('.blog-back').click();
+            assert.equal(location.hash, '#blog');
+            assert.equal(blog.element.classList.contains('is-reading'), false);
+            assert.equal(document.activeElement.getAttribute('href'), `#/posts/${post.id}`);
+            assert.equal(document.title, app.documentTitle);
+        });
+
+        it('sem posts, a seção e o link do menu somem; com posts, voltam', async () => {
+            const menuLink = () => document.querySelector('header nav a[href="#blog"]');
+            assert.equal(blog.element.hidden, false);
+            assert.ok(menuLink());
+
+            const loadIndex = mock.method(blog.repository, 'loadIndex', async () => []);
+            try {
+                await app.renderSectionContent(blog, {});
+                assert.equal(blog.element.hidden, true);
+                assert.equal(menuLink(), null);
+            } finally {
+                loadIndex.mock.restore();
+            }
+
+            await app.renderSectionContent(blog, {});
+            assert.equal(blog.element.hidden, false);
+            assert.ok(menuLink());
+        });
+
+        it('um erro ao carregar o índice mantém a seção visível com o aviso', async () => {
+            const loadIndex = mock.method(blog.repository, 'loadIndex', async () => { throw new Error('offline'); });
+            try {
+                await app.renderSectionContent(blog, {});
+                assert.equal(blog.element.hidden, false);
+            } finally {
+                loadIndex.mock.restore();
+            }
+
+            await app.renderSectionContent(blog, {});
+        });
+    });
+
+    describe('acessibilidade', () => {
+        it('a página renderizada passa nas regras de acessibilidade', () => {
+            assert.deepEqual(checkDocument(document), []);
+        });
+    });
+
+    describe('renderSectionContent', () => {
+        it('falhas assíncronas de uma seção vão para o console em vez de virar rejeição sem tratamento', async () => {
+            const error = new Error('falhou');
+            const section = { sectionId: 'teste', renderContent: async () => { throw error; } };
+            const before = console.warn.mock.callCount();
+
+            app.renderSectionContent(section, {});
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            const call = console.warn.mock.calls[before];
+            assert.equal(call.arguments[0], 'Erro ao renderizar o conteúdo da seção teste:');
+            assert.equal(call.arguments[1], error);
+        });
+    });
+
+    describe('rotas', () => {
+        it('#/projects/slug abre o modal do projeto e uma âncora comum o fecha', async () => {
+            const { data } = app.getSection('projects').projects[0];
+            const modal = app.getSection('projects').modal;
+
+            history.replaceState(null, '', `#/projects/${data.slug}`);
+            await app.handleHashChange();
+            assert.equal(modal.isOpen(), true);
+            assert.equal(modal.project.slug, data.slug);
+
+            // Sem details, papel, período ou imagens: o modal usa a descrição e omite o resto
+            assert.equal(document.querySelector('.modal-meta'), null);
+            assert.equal(document.querySelector('.modal-gallery'), null);
+            assert.equal(document.querySelector('.modal-details p').textContent, modal.project.description);
+
+            document.querySelector('a.skip-link').click();
+            assert.equal(modal.isOpen(), false);
+            assert.equal(location.hash, '#main-content');
+        });
+
+        it('#/skills/nome abre o painel da habilidade', async () => {
+            const skills = app.getSection('skills');
+            const [name] = skills.skills.keys();
+
+            history.replaceState(null, '', `#/skills/${encodeURIComponent(name)}`);
+            assert.equal(await app.handleHashChange(), true);
+
+            assert.equal(skills.details.hidden, false);
+            assert.equal(document.activeElement, skills.details);
+            assert.equal(document.querySelector(`.skill-tag[data-skill="${name}"]`).getAttribute('aria-expanded'), 'true');
+
+            history.replaceState(null, '', '#skills');
+            await app.handleHashChange();
+            assert.equal(skills.details.hidden, true);
+        });
+
+        it('rotas desconhecidas mostram a página não encontrada', async () => {
+            const view = document.getElementById('not-found');
+
+            history.replaceState(null, '', '#/posts/nao-existe');
+            assert.equal(await app.handleHashChange(), false);
+
+            assert.equal(view.hidden, false);
+            assert.equal(document.activeElement, view);
+            assert.equal(app.getSection('blog').element.classList.contains('is-reading'), false);
+
+            view.querySelector('a').click();
+            assert.equal(view.hidden, true);
+            assert.equal(document.title, app.documentTitle);
+        });
+
+        it('os links antigos (#projects/slug) viram rotas', async () => {
+            const { data } = app.getSection('projects').projects[0];
+
+            history.replaceState(null, '', `#projects/${data.slug}`);
+            await app.handleHashChange();
+
+            assert.equal(location.hash, `#/projects/${data.slug}`);
+            assert.equal(app.getSection('projects').modal.isOpen(), true);
+
+            app.getSection('projects').modal.close();
+        });
+    });
+});
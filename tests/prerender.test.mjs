@@ -0,0 +1,89 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { installDom, DOCS_DIR, SKIP_WITHOUT_DOM } from './helpers/dom.mjs';
+
+// Marcadores de bloco gravados por scripts/prerender.mjs
+const BLOCK_PATTERN = /(<!-- prerender:([\w-]+):start -->)[\s\S]*?(<!-- prerender:\2:end -->)/g;
+
+/**
+ * Espera uma condição ficar verdadeira (a inicialização do app é assíncrona)
+ * @param {Function} predicate - Condição
+ * @param {number} timeout - Tempo máximo em ms
+ */
+async function waitFor(predicate, timeout = 5000) {
+    const start = Date.now();
+
+    while (!predicate()) {
+        if (Date.now() - start > timeout) throw new Error('Tempo esgotado esperando a condição');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+/**
+ * Marcação de um elemento sem comentários e sem diferenças de espaçamento
+ * @param {Element} element - Elemento
+ * @returns {string}
+ */
+function normalize(element) {
+    return element.innerHTML
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/>\s+</g, '><')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Elementos que contêm os blocos pré-renderizados do <body>, por nome do bloco
+ * @param {Document} doc - Documento com os marcadores do prerender
+ * @returns {Map<string, Element>}
+ */
+function findBlockContainers(doc) {
+    const containers = new Map();
+    const walker = doc.createTreeWalker(doc.body, window.NodeFilter.SHOW_COMMENT);
+
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        const match = node.data.trim().match(/^prerender:([\w-]+):start$/);
+        if (match) containers.set(match[1], node.parentElement);
+    }
+    return containers;
+}
+
+describe('prerender', { skip: SKIP_WITHOUT_DOM }, () => {
+    let prerendered;
+    let rendered;
+
+    before(async () => {
+        prerendered = await readFile(`${DOCS_DIR}index.html`, 'utf8');
+
+        // A mesma página sem o que o prerender gerou: o app renderiza tudo no navegador
+        const clientOnly = prerendered
+            .replace(BLOCK_PATTERN, '$1$3')
+            .replace(/\s+data-prerendered="[^"]*"/, '');
+
+        installDom({ html: clientOnly });
+        rendered = findBlockContainers(document);
+        localStorage.setItem('portfolio-locale', 'pt-BR');
+
+        const { log, warn } = console;
+        console.log = () => {};
+        console.warn = () => {};
+        try {
+            const { default: app } = await import('../docs/js/main.js');
+            await waitFor(() => app.isInitialized && document.querySelector('#blog .blog-list').children.length > 0);
+        } finally {
+            console.log = log;
+            console.warn = warn;
+        }
+    });
+
+    it('os blocos do <body> pré-renderizado são iguais ao que as seções renderizam no navegador', () => {
+        const doc = new window.DOMParser().parseFromString(prerendered, 'text/html');
+        const containers = findBlockContainers(doc);
+
+        assert.deepEqual([...rendered.keys()], [...containers.keys()]);
+        containers.forEach((container, name) => {
+            assert.equal(normalize(rendered.get(name)), normalize(container), `bloco ${name}`);
+        });
+    });
+});
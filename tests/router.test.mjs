@@ -0,0 +1,138 @@
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { HashRouter } from '../docs/js/router.js';
+import { installDom, SKIP_WITHOUT_DOM } from './helpers/dom.mjs';
+
+describe('HashRouter.toPath', () => {
+    it('separa rotas de âncoras comuns', () => {
+        assert.equal(HashRouter.toPath('#/posts/primeiro'), '/posts/primeiro');
+        assert.equal(HashRouter.toPath('#contact'), null);
+        assert.equal(HashRouter.toPath(''), null);
+    });
+
+    it('aceita os deep links antigos sem a barra', () => {
+        assert.equal(HashRouter.toPath('#projects/meu-app'), '/projects/meu-app');
+        assert.equal(HashRouter.isRoute('#posts/primeiro'), true);
+    });
+
+    it('href codifica os segmentos', () => {
+        assert.equal(HashRouter.href('skills', 'C#'), '#/skills/C%23');
+        assert.equal(HashRouter.href('projects', 'meu-app'), '#/projects/meu-app');
+    });
+});
+
+describe('HashRouter', { skip: SKIP_WITHOUT_DOM }, () => {
+    let router;
+    let calls;
+
+    /**
+     * Ganchos que registram a ordem das chamadas
+     * @param {string} name - Nome da visão
+     * @param {object} overrides - Ganchos substituídos
+     * @returns {object}
+     */
+    function trackedHooks(name, overrides = {}) {
+        return {
+            enter: (params) => calls.push(`enter ${name} ${JSON.stringify(params)}`),
+            leave: () => calls.push(`leave ${name}`),
+            title: (params) => `${name} ${Object.values(params).join(' ')}`,
+            ...overrides
+        };
+    }
+
+    beforeEach(() => {
+        installDom({ html: '<!DOCTYPE html><html><head><title>Portfólio</title></head><body><button id="origem">Abrir</button><h3 id="artigo">Artigo</h3></body></html>' });
+        calls = [];
+        router = new HashRouter();
+        router.add('/posts/:id', trackedHooks('post', { focus: () => document.getElementById('artigo') }));
+        router.add('/skills/:name', trackedHooks('skill'));
+        router.setFallback(trackedHooks('fallback', { title: () => 'Não encontrada' }));
+    });
+
+    it('entra na rota com os parâmetros decodificados e atualiza o título', async () => {
+        assert.equal(await router.navigate('#/skills/C%23'), true);
+
+        assert.deepEqual(calls, ['enter skill {"name":"C#"}']);
+        assert.equal(document.title, 'skill C# | Portfólio');
+    });
+
+    it('sai da rota anterior antes de entrar na próxima', async () => {
+        await router.navigate('#/posts/a');
+        await router.navigate('#/skills/js');
+
+        assert.deepEqual(calls, ['enter post {"id":"a"}', 'leave post', 'enter skill {"name":"js"}']);
+    });
+
+    it('uma âncora comum fecha a visão e devolve o título e o foco', async () => {
+        const origin = document.getElementById('origem');
+        origin.focus();
+
+        await router.navigate('#/posts/a');
+        assert.equal(document.activeElement.id, 'artigo');
+
+        document.getElementById('artigo').hidden = true;
+        await router.navigate('#blog');
+
+        assert.deepEqual(calls, ['enter post {"id":"a"}', 'leave post']);
+        assert.equal(document.title, 'Portfólio');
+        assert.equal(document.activeElement, origin);
+        assert.equal(router.current, null);
+    });
+
+    it('reaplicar a mesma rota não sai dela nem move o foco', async () => {
+        await router.navigate('#/posts/a');
+        document.getElementById('origem').focus();
+        await router.handle();
+
+        assert.deepEqual(calls, ['enter post {"id":"a"}', 'enter post {"id":"a"}']);
+        assert.equal(document.activeElement.id, 'origem');
+    });
+
+    it('mostra a visão de fallback para rotas desconhecidas', async () => {
+        assert.equal(await router.navigate('#/nada/aqui'), false);
+
+        assert.deepEqual(calls, ['enter fallback {"path":"/nada/aqui"}']);
+        assert.equal(document.title, 'Não encontrada | Portfólio');
+    });
+
+    it('troca pela visão de fallback quando o recurso não existe', async () => {
+        router.add('/projects/:slug', trackedHooks('project', { enter: async () => false }));
+
+        assert.equal(await router.navigate('#/projects/nenhum'), false);
+        assert.deepEqual(calls, ['leave project', 'enter fallback {"path":"/projects/nenhum"}']);
+    });
+
+    it('redireciona deep links antigos para o formato com barra', async () => {
+        history.replaceState(null, '', '#posts/a');
+        await router.handle();
+
+        assert.equal(location.hash, '#/posts/a');
+        assert.deepEqual(calls, ['enter post {"id":"a"}']);
+    });
+
+    it('ignora o resultado de uma navegação ultrapassada por outra', async () => {
+        let finishSlowEnter;
+        router.add('/slow/:id', trackedHooks('slow', {
+            enter: () => new Promise(resolve => { finishSlowEnter = resolve; })
+        }));
+
+        const slow = router.navigate('#/slow/1');
+        await router.navigate('#/posts/b');
+        finishSlowEnter(true);
+
+        assert.equal(await slow, false);
+        assert.equal(router.current.path, '/posts/b');
+        assert.equal(document.title, 'post b | Portfólio');
+    });
+
+    it('uma falha no gancho enter cai na visão de fallback', async () => {
+        const warn = mock.method(console, 'warn', () => {});
+        router.add('/broken/:id', trackedHooks('broken', { enter: () => { throw new Error('falhou'); } }));
+
+        assert.equal(await router.navigate('#/broken/1'), false);
+        assert.equal(router.current.route, router.fallback);
+        assert.equal(warn.mock.callCount(), 1);
+
+        warn.mock.restore();
+    });
+});
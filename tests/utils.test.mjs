@@ -0,0 +1,272 @@
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DOMUtils,
+    A11yUtils,
+    AnimationUtils,
+    ScrollUtils,
+    ValidationUtils,
+    TextUtils
+} from '../docs/js/utils.js';
+import { installDom, ImmediateIntersectionObserver, SKIP_WITHOUT_DOM } from './helpers/dom.mjs';
+
+describe('ValidationUtils', () => {
+    it('isNotEmpty aceita apenas texto com conteúdo', () => {
+        assert.equal(ValidationUtils.isNotEmpty('a'), true);
+        assert.equal(ValidationUtils.isNotEmpty('  texto  '), true);
+        assert.equal(ValidationUtils.isNotEmpty(''), false);
+        assert.equal(ValidationUtils.isNotEmpty('   \n\t'), false);
+        assert.equal(ValidationUtils.isNotEmpty(null), false);
+        assert.equal(ValidationUtils.isNotEmpty(42), false);
+    });
+
+    describe('isValidEmail', () => {
+        it('aceita endereços comuns', () => {
+            ['nome@dominio.com', 'nome.sobrenome+tag@sub.dominio.com.br', 'a@b.co'].forEach(email => {
+                assert.equal(ValidationUtils.isValidEmail(email), true, email);
+            });
+        });
+
+        it('recusa endereços incompletos ou com espaços', () => {
+            [
+                '',
+                'nome',
+                'nome@',
+                '@dominio.com',
+                'nome@dominio',
+                'nome @dominio.com',
+                ' nome@dominio.com',
+                'nome@dominio.com ',
+                'nome@@dominio.com',
+                'nome@dom@inio.com'
+            ].forEach(email => {
+                assert.equal(ValidationUtils.isValidEmail(email), false, JSON.stringify(email));
+            });
+        });
+
+        it('recusa valores que não são texto', () => {
+            assert.equal(ValidationUtils.isValidEmail(undefined), false);
+            assert.equal(ValidationUtils.isValidEmail(null), false);
+            assert.equal(ValidationUtils.isValidEmail({}), false);
+        });
+    });
+
+    describe('isValidUrl', () => {
+        it('aceita URLs absolutas de qualquer protocolo', () => {
+            ['https://exemplo.com', 'http://localhost:8080/a?b=c#d', 'mailto:nome@dominio.com', 'ftp://arquivos.exemplo.com'].forEach(url => {
+                assert.equal(ValidationUtils.isValidUrl(url), true, url);
+            });
+        });
+
+        it('recusa caminhos relativos e texto solto', () => {
+            ['', 'exemplo.com', '/docs/index.html', '#projects', 'http://', 'não é url'].forEach(url => {
+                assert.equal(ValidationUtils.isValidUrl(url), false, JSON.stringify(url));
+            });
+        });
+
+        it('recusa valores ausentes', () => {
+            assert.equal(ValidationUtils.isValidUrl(undefined), false);
+            assert.equal(ValidationUtils.isValidUrl(null), false);
+        });
+    });
+
+    it('isSafeUrl aceita apenas http, https e mailto', () => {
+        assert.equal(ValidationUtils.isSafeUrl('https://exemplo.com'), true);
+        assert.equal(ValidationUtils.isSafeUrl('mailto:nome@dominio.com'), true);
+        assert.equal(ValidationUtils.isSafeUrl('javascript:alert(1)'), false);
+        assert.equal(ValidationUtils.isSafeUrl('data:text/html,<b>x</b>'), false);
+        assert.equal(ValidationUtils.isSafeUrl('/relativo'), false);
+    });
+
+    it('isExternalUrl aceita apenas http e https', () => {
+        assert.equal(ValidationUtils.isExternalUrl('http://exemplo.com'), true);
+        assert.equal(ValidationUtils.isExternalUrl('mailto:nome@dominio.com'), false);
+        assert.equal(ValidationUtils.isExternalUrl(''), false);
+    });
+});
+
+describe('TextUtils', () => {
+    it('slugify remove acentos, símbolos e hífens das pontas', () => {
+        assert.equal(TextUtils.slugify('Devflow Analytics'), 'devflow-analytics');
+        assert.equal(TextUtils.slugify('  Análise & Ciência de Dados!  '), 'analise-ciencia-de-dados');
+        assert.equal(TextUtils.slugify('C++ / C#'), 'c-c');
+    });
+});
+
+describe('DOMUtils', { skip: SKIP_WITHOUT_DOM }, () => {
+    beforeEach(() => {
+        installDom({ html: '<ul><li class="item primeiro">a</li><li class="item">b</li></ul><div class="card"><a href="#">x</a></div>' });
+    });
+
+    it('querySelector e querySelectorAll encontram elementos', () => {
+        assert.equal(DOMUtils.querySelector('.primeiro').textContent, 'a');
+        assert.equal(DOMUtils.querySelectorAll('.item').length, 2);
+        assert.equal(DOMUtils.querySelector('.inexistente'), null);
+    });
+
+    it('seletores inválidos retornam vazio com um aviso', () => {
+        const warn = mock.method(console, 'warn', () => {});
+
+        assert.equal(DOMUtils.querySelector('!!'), null);
+        assert.deepEqual(DOMUtils.querySelectorAll('!!'), []);
+        assert.equal(warn.mock.callCount(), 2);
+
+        warn.mock.restore();
+    });
+
+    it('addClass, removeClass e hasClass ignoram elemento ou classe ausentes', () => {
+        const item = DOMUtils.querySelector('.primeiro');
+
+        DOMUtils.addClass(item, 'ativo');
+        assert.equal(DOMUtils.hasClass(item, 'ativo'), true);
+
+        DOMUtils.removeClass(item, 'ativo');
+        assert.equal(DOMUtils.hasClass(item, 'ativo'), false);
+
+        assert.doesNotThrow(() => DOMUtils.addClass(null, 'ativo'));
+        assert.doesNotThrow(() => DOMUtils.removeClass(item, ''));
+        assert.ok(!DOMUtils.hasClass(null, 'ativo'));
+    });
+
+    it('onHoverOrFocus trata mouse e foco do teclado da mesma forma', () => {
+        const card = DOMUtils.querySelector('.card');
+        const link = card.querySelector('a');
+        const states = [];
+        DOMUtils.onHoverOrFocus(card, (isActive) => states.push(isActive));
+
+        card.dispatchEvent(new MouseEvent('mouseenter'));
+        card.dispatchEvent(new MouseEvent('mouseleave'));
+        link.focus();
+        link.blur();
+
+        assert.deepEqual(states, [true, false, true, false]);
+    });
+
+    it('onHoverOrFocus mantém o estado quando o mouse sai de um card focado', () => {
+        const card = DOMUtils.querySelector('.card');
+        const states = [];
+        DOMUtils.onHoverOrFocus(card, (isActive) => states.push(isActive));
+
+        card.querySelector('a').focus();
+        card.dispatchEvent(new MouseEvent('mouseleave'));
+
+        assert.deepEqual(states, [true]);
+    });
+});
+
+describe('A11yUtils', { skip: SKIP_WITHOUT_DOM }, () => {
+    beforeEach(() => {
+        installDom({ html: '<main><section id="alvo"></section></main><div id="live-region" aria-live="polite">antigo</div>' });
+    });
+
+    it('announce limpa a região e escreve a mensagem em seguida', () => {
+        mock.timers.enable({ apis: ['setTimeout'] });
+        const region = document.getElementById('live-region');
+
+        A11yUtils.announce('Projeto adicionado');
+        assert.equal(region.textContent, '');
+
+        mock.timers.tick(100);
+        assert.equal(region.textContent, 'Projeto adicionado');
+
+        mock.timers.reset();
+    });
+
+    it('focus torna focáveis elementos que não são', () => {
+        const section = document.getElementById('alvo');
+
+        A11yUtils.focus(section);
+
+        assert.equal(section.getAttribute('tabindex'), '-1');
+        assert.equal(document.activeElement, section);
+    });
+});
+
+describe('ScrollUtils', { skip: SKIP_WITHOUT_DOM }, () => {
+    beforeEach(() => {
+        installDom({ html: '<section id="projects"></section>' });
+    });
+
+    it('smoothScrollTo rola até o elemento descontando o offset', () => {
+        const section = document.getElementById('projects');
+        Object.defineProperty(section, 'offsetTop', { value: 500 });
+        const scrollTo = mock.fn();
+        window.scrollTo = scrollTo;
+
+        ScrollUtils.smoothScrollTo('#projects', 80);
+
+        assert.deepEqual(scrollTo.mock.calls[0].arguments, [{ top: 420, behavior: 'smooth' }]);
+    });
+
+    it('smoothScrollTo ignora seletores sem elemento', () => {
+        const scrollTo = mock.fn();
+        window.scrollTo = scrollTo;
+
+        ScrollUtils.smoothScrollTo('#inexistente');
+
+        assert.equal(scrollTo.mock.callCount(), 0);
+    });
+
+    it('getScrollPosition lê a rolagem da janela', () => {
+        window.pageYOffset = 250;
+        assert.equal(ScrollUtils.getScrollPosition(), 250);
+    });
+
+    it('isElementVisible compara o retângulo com a viewport', () => {
+        const section = document.getElementById('projects');
+        window.innerWidth = 1024;
+        window.innerHeight = 768;
+
+        section.getBoundingClientRect = () => ({ top: 10, left: 0, bottom: 300, right: 1000 });
+        assert.equal(ScrollUtils.isElementVisible(section), true);
+
+        section.getBoundingClientRect = () => ({ top: 700, left: 0, bottom: 900, right: 1000 });
+        assert.equal(ScrollUtils.isElementVisible(section), false);
+
+        assert.equal(ScrollUtils.isElementVisible(null), false);
+    });
+});
+
+describe('AnimationUtils', { skip: SKIP_WITHOUT_DOM }, () => {
+    beforeEach(() => {
+        installDom({ html: '<div class="alvo"></div><div class="alvo"></div>' });
+        ImmediateIntersectionObserver.instances.length = 0;
+    });
+
+    it('observeElements chama o callback uma vez por elemento visível', () => {
+        const seen = [];
+
+        AnimationUtils.observeElements('.alvo', (element) => seen.push(element));
+
+        assert.equal(seen.length, 2);
+        assert.equal(ImmediateIntersectionObserver.instances.length, 1);
+        assert.equal(ImmediateIntersectionObserver.instances[0].observed.size, 0);
+    });
+
+    it('observeElements não cria observers novos: usa o compartilhado do motor', () => {
+        AnimationUtils.observeElements('.alvo', () => {});
+        ImmediateIntersectionObserver.instances.length = 0;
+
+        AnimationUtils.observeElements('.inexistente', () => {});
+        AnimationUtils.observeElements('.alvo', () => {});
+
+        assert.equal(ImmediateIntersectionObserver.instances.length, 0);
+    });
+
+    it('fadeIn toca o preset fade-up com o atraso pedido', () => {
+        const element = document.querySelector('.alvo');
+        element.animate = mock.fn(() => ({ addEventListener() {} }));
+
+        assert.ok(AnimationUtils.fadeIn(element, 200));
+
+        const [keyframes, options] = element.animate.mock.calls[0].arguments;
+        assert.deepEqual(keyframes[0], { opacity: 0, transform: 'translateY(20px)' });
+        assert.equal(options.delay, 200);
+        assert.equal(options.fill, 'backwards');
+    });
+
+    it('fadeIn não anima sem suporte a element.animate', () => {
+        assert.equal(AnimationUtils.fadeIn(document.querySelector('.alvo')), null);
+        assert.equal(AnimationUtils.fadeIn(null), null);
+    });
+});